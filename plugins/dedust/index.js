@@ -2,14 +2,15 @@
  * DeDust plugin -- DEX on TON
  *
  * Browse pools, search assets, view trades, get prices, estimate swaps,
- * and execute on-chain swaps on the DeDust protocol.
- * Agent wallet at ~/.teleton/wallet.json signs swap transactions.
+ * execute on-chain swaps, and deposit/withdraw liquidity on the DeDust
+ * protocol. Agent wallet at ~/.teleton/wallet.json signs transactions.
  */
 
 import { createRequire } from "node:module";
-import { readFileSync, realpathSync } from "node:fs";
-import { join } from "node:path";
-import { homedir } from "node:os";
+import { realpathSync } from "node:fs";
+import { initSigner, getTonClient, getWalletAndClient, getAgentAddress, createSender } from "./lib/signer.js";
+import { guardTools, migrateGuard, assetSpend } from "./lib/guard.js";
+import { migrateLiquidity, recordLpEvent, loggedPools, costBasis, versusHold } from "./liquidity.js";
 
 // ---------------------------------------------------------------------------
 // CJS dependencies
@@ -18,9 +19,7 @@ import { homedir } from "node:os";
 const _require = createRequire(realpathSync(process.argv[1]));       // core: @ton/core, @ton/ton, @ton/crypto
 const _pluginRequire = createRequire(import.meta.url);                // local: plugin-specific deps
 
-const { Address, beginCell, toNano, fromNano, SendMode } = _require("@ton/core");
-const { WalletContractV5R1, TonClient, internal } = _require("@ton/ton");
-const { mnemonicToPrivateKey } = _require("@ton/crypto");
+const { Address, beginCell, toNano, fromNano } = _require("@ton/core");
 
 // DeDust SDK -- loaded from plugin's local node_modules
 let DedustSDK = null;
@@ -35,7 +34,6 @@ try {
 // ---------------------------------------------------------------------------
 
 const API_BASE = "https://api.dedust.io";
-const WALLET_FILE = join(homedir(), ".teleton", "wallet.json");
 const FACTORY_ADDR = "EQBfBWT7X2BHg9tXAxzhz2aKiNTU1tpt5NsiK0uSDW_YAJ67";
 
 // ---------------------------------------------------------------------------
@@ -101,49 +99,363 @@ function formatAmount(raw, decimals) {
   return fracPart ? `${intPart}.${fracPart}` : intPart;
 }
 
+function requireSDK() {
+  if (!DedustSDK) {
+    throw new Error(
+      "@dedust/sdk is not installed in the teleton runtime. " +
+      "Install it with: npm install @dedust/sdk"
+    );
+  }
+  return DedustSDK;
+}
+
 // ---------------------------------------------------------------------------
-// Wallet helper
+// Liquidity helpers
 // ---------------------------------------------------------------------------
 
-async function getWalletAndClient() {
-  let walletData;
+const LP_DECIMALS = 9; // DeDust LP jettons
+
+function toRaw(amount, decimals) {
+  return BigInt(Math.round(Number(amount) * 10 ** decimals));
+}
+
+/** SDK asset for "native" or a jetton address. */
+function toAsset(Asset, token) {
+  return token === "native" ? Asset.native() : Asset.jetton(Address.parse(token));
+}
+
+/** Token name, symbol and decimals of an SDK asset, from the asset cache. */
+function describeAsset(assets, asset) {
+  if (!asset.address) return { token: "native", symbol: "TON", decimals: 9 };
+  const meta = assets.find((a) => a.type === "jetton" && a.address && Address.parse(a.address).equals(asset.address));
+  return { token: asset.address.toString(), symbol: meta?.symbol ?? null, decimals: meta?.decimals ?? 9 };
+}
+
+function sharePct(part, whole) {
+  return whole > 0n ? Number(part) / Number(whole) * 100 : null;
+}
+
+/** LP jetton total supply of a pool. */
+async function lpTotalSupply(client, poolAddress) {
+  const { stack } = await client.runMethod(poolAddress, "get_jetton_data");
+  return stack.readBigNumber();
+}
+
+/** LP tokens an owner holds in a pool (0 when its LP wallet is not deployed). */
+async function lpBalance(client, pool, owner) {
+  const lpWallet = client.open(await pool.getWallet(owner));
   try {
-    walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
+    return await lpWallet.getBalance();
   } catch {
-    throw new Error("Agent wallet not found at " + WALLET_FILE);
+    return 0n;
+  }
+}
+
+/**
+ * Marginal price of a pool: raw token1 units per raw token0 unit, from a
+ * tiny swap estimate with the trade fee added back (works for volatile and
+ * stable pools alike).
+ */
+async function spotPrice(pool, poolAssets, reserves) {
+  const amountIn = reserves[0] / 10000n > 0n ? reserves[0] / 10000n : 1n;
+  const { amountOut, tradeFee } = await pool.getEstimatedSwapOut({ assetIn: poolAssets[0], amountIn });
+  return Number(amountOut) / Number(amountIn - tradeFee);
+}
+
+/** Open a ready pool by address, with its assets, reserves and LP supply. */
+async function loadPool(client, poolAddress) {
+  const { Pool, ReadinessStatus } = requireSDK();
+  const pool = client.open(Pool.createFromAddress(Address.parse(poolAddress)));
+  if ((await pool.getReadinessStatus()) !== ReadinessStatus.READY) {
+    throw new Error(`Pool ${poolAddress} is not ready`);
   }
-  if (!walletData.mnemonic || !Array.isArray(walletData.mnemonic)) {
-    throw new Error("Invalid wallet file: missing mnemonic array");
+  const [poolAssets, reserves, supply, type] = await Promise.all([
+    pool.getAssets(),
+    pool.getReserves(),
+    lpTotalSupply(client, pool.address),
+    pool.getPoolType(),
+  ]);
+  return { pool, poolAssets, reserves, supply, type };
+}
+
+/**
+ * Resolve the pool and the amounts of a deposit. Without amount_b the
+ * second token is added at the pool's reserve ratio. Amounts end up in
+ * pool order, as the vaults and the estimate expect them.
+ */
+async function planDeposit(params, client, owner) {
+  const { Factory, PoolType, Asset, ReadinessStatus } = requireSDK();
+  const amountA = Number(params.amount_a);
+  if (isNaN(amountA) || amountA <= 0) throw new Error("amount_a must be a positive number");
+  if (params.amount_b != null && !(Number(params.amount_b) > 0)) throw new Error("amount_b must be a positive number");
+  if (params.token_a === params.token_b) throw new Error("token_a and token_b are the same");
+
+  const poolType = params.pool_type === "stable" ? PoolType.STABLE : PoolType.VOLATILE;
+  const assets = await getAssets();
+  const assetA = toAsset(Asset, params.token_a);
+  const assetB = toAsset(Asset, params.token_b);
+
+  const factory = client.open(Factory.createFromAddress(Address.parse(FACTORY_ADDR)));
+  const pool = client.open(await factory.getPool(poolType, [assetA, assetB]));
+  if ((await pool.getReadinessStatus()) !== ReadinessStatus.READY) {
+    throw new Error(`No ${params.pool_type ?? "volatile"} DeDust pool for this pair. Creating pools is not supported.`);
   }
 
-  const keyPair = await mnemonicToPrivateKey(walletData.mnemonic);
-  const wallet = WalletContractV5R1.create({
-    workchain: 0,
-    publicKey: keyPair.publicKey,
-  });
+  const [poolAssets, reserves, supply] = await Promise.all([
+    pool.getAssets(),
+    pool.getReserves(),
+    lpTotalSupply(client, pool.address),
+  ]);
+  const aFirst = poolAssets[0].equals(assetA);
+  const infoA = describeAsset(assets, assetA);
+  const infoB = describeAsset(assets, assetB);
+
+  const rawA = toRaw(params.amount_a, infoA.decimals);
+  const [reserveA, reserveB] = aFirst ? reserves : [reserves[1], reserves[0]];
+  let rawB;
+  if (params.amount_b != null) rawB = toRaw(params.amount_b, infoB.decimals);
+  else if (reserveA > 0n) rawB = rawA * reserveB / reserveA;
+  else throw new Error("The pool is empty -- give amount_b to set the initial price");
+  const targetBalances = aFirst ? [rawA, rawB] : [rawB, rawA];
+
+  const [{ deposits, fairSupply }, held] = await Promise.all([
+    pool.getEstimateDepositOut(targetBalances),
+    lpBalance(client, pool, owner),
+  ]);
+  const minLp = fairSupply * BigInt(Math.round((1 - (params.slippage ?? 0.01)) * 10000)) / 10000n;
+  const used = aFirst ? deposits : [deposits[1], deposits[0]];
+
+  return {
+    pool,
+    poolType,
+    poolAssets,
+    targetBalances,
+    deposits,
+    fairSupply,
+    minLp,
+    legs: [[params.token_a, rawA], [params.token_b, rawB]],
+    summary: {
+      pool_address: pool.address.toString(),
+      pool_type: poolType === PoolType.STABLE ? "stable" : "volatile",
+      token_a: { ...infoA, amount: formatAmount(rawA.toString(), infoA.decimals), deposited: formatAmount(used[0].toString(), infoA.decimals) },
+      token_b: { ...infoB, amount: formatAmount(rawB.toString(), infoB.decimals), deposited: formatAmount(used[1].toString(), infoB.decimals) },
+      estimated_lp: formatAmount(fairSupply.toString(), LP_DECIMALS),
+      min_lp: formatAmount(minLp.toString(), LP_DECIMALS),
+      lp_held: formatAmount(held.toString(), LP_DECIMALS),
+      pool_share_before_pct: sharePct(held, supply),
+      pool_share_after_pct: sharePct(held + fairSupply, supply + fairSupply),
+    },
+  };
+}
 
-  let endpoint;
-  try {
-    const { getHttpEndpoint } = _pluginRequire("@orbs-network/ton-access");
-    endpoint = await getHttpEndpoint({ network: "mainnet" });
-  } catch {
-    endpoint = "https://toncenter.com/api/v2/jsonRPC";
+/** Resolve the LP amount of a withdraw and the tokens it returns. */
+async function planWithdraw(params, client, owner) {
+  const { pool, poolAssets, reserves, supply } = await loadPool(client, params.pool_address);
+  const balance = await lpBalance(client, pool, owner);
+  if (balance === 0n) throw new Error("The agent wallet holds no LP tokens of this pool");
+
+  let amount;
+  if (params.lp_amount != null) {
+    amount = toRaw(params.lp_amount, LP_DECIMALS);
+  } else {
+    const percent = params.percent ?? 100;
+    if (!(percent > 0 && percent <= 100)) throw new Error("percent must be between 0 and 100");
+    amount = percent === 100 ? balance : balance * BigInt(Math.round(percent * 100)) / 10000n;
   }
+  if (amount <= 0n) throw new Error("Nothing to withdraw -- amount rounds to zero");
+  if (amount > balance) throw new Error(`Only ${formatAmount(balance.toString(), LP_DECIMALS)} LP tokens held in this pool`);
+
+  const assets = await getAssets();
+  const out = reserves.map((r) => (supply > 0n ? r * amount / supply : 0n));
+  return {
+    pool,
+    amount,
+    out,
+    summary: {
+      pool_address: pool.address.toString(),
+      lp_amount: formatAmount(amount.toString(), LP_DECIMALS),
+      lp_held: formatAmount(balance.toString(), LP_DECIMALS),
+      tokens_out: poolAssets.map((a, i) => {
+        const info = describeAsset(assets, a);
+        return { ...info, amount: formatAmount(out[i].toString(), info.decimals) };
+      }),
+      pool_share_before_pct: sharePct(balance, supply),
+      pool_share_after_pct: sharePct(balance - amount, supply - amount),
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Routing
+// ---------------------------------------------------------------------------
 
-  const client = new TonClient({ endpoint });
-  const contract = client.open(wallet);
+const MAX_HOPS = 3;
+const ROUTES_ESTIMATED = 3;   // best candidates re-estimated on-chain
+const SWAP_GAS = 0.25;        // TON forwarded for a one-pool swap
+const HOP_GAS = 0.1;          // extra TON per additional pool
 
-  return { wallet, keyPair, client, contract };
+async function getPoolsLite() {
+  const cached = _sdk?.storage?.get("dedust_pools_lite");
+  if (cached) return cached;
+  const data = await dedustFetch("/v2/pools-lite");
+  _sdk?.storage?.set("dedust_pools_lite", data, { ttl: 60 * 1000 });
+  return data;
 }
 
-function requireSDK() {
-  if (!DedustSDK) {
-    throw new Error(
-      "@dedust/sdk is not installed in the teleton runtime. " +
-      "Install it with: npm install @dedust/sdk"
-    );
+/** Graph key of a token: "native" or "jetton:<raw address>". */
+function tokenKey(token) {
+  if (token === "native") return "native";
+  const address = String(token).startsWith("jetton:") ? token.slice(7) : token;
+  return `jetton:${Address.parse(address).toRawString()}`;
+}
+
+function keyToAsset(Asset, key) {
+  return key === "native" ? Asset.native() : Asset.jetton(Address.parse(key.slice(7)));
+}
+
+/**
+ * Paths from input to output over the pools-lite graph: up to maxHops
+ * pools, no token visited twice. Ranked by a constant-product estimate on
+ * the listed reserves, which is only good enough to pick the candidates
+ * worth estimating on-chain.
+ */
+function candidateRoutes(pools, inKey, outKey, amountIn, maxHops) {
+  const edges = new Map(); // token key -> pools leaving it
+  for (const p of pools) {
+    if (!Array.isArray(p.assets) || p.assets.length !== 2 || !Array.isArray(p.reserves)) continue;
+    let keys;
+    try {
+      keys = p.assets.map(tokenKey);
+    } catch {
+      continue;
+    }
+    const reserves = p.reserves.map((r) => BigInt(r ?? 0));
+    if (!(reserves[0] > 0n && reserves[1] > 0n)) continue;
+    for (const i of [0, 1]) {
+      if (!edges.has(keys[i])) edges.set(keys[i], []);
+      edges.get(keys[i]).push({
+        pool: p.address,
+        type: p.type ?? "volatile",
+        in: keys[i],
+        out: keys[1 - i],
+        reserveIn: reserves[i],
+        reserveOut: reserves[1 - i],
+      });
+    }
   }
-  return DedustSDK;
+
+  const routes = [];
+  const walk = (key, amount, hops, seen) => {
+    for (const e of edges.get(key) ?? []) {
+      if (seen.has(e.out)) continue;
+      const out = amount * e.reserveOut / (e.reserveIn + amount);
+      if (out === 0n) continue;
+      const path = [...hops, e];
+      if (e.out === outKey) routes.push({ hops: path, rough: out });
+      else if (path.length < maxHops) walk(e.out, out, path, new Set([...seen, e.out]));
+    }
+  };
+  walk(inKey, amountIn, [], new Set([inKey]));
+  return routes.sort((a, b) => (b.rough > a.rough ? 1 : b.rough < a.rough ? -1 : 0));
+}
+
+/** Run a route through the pools' get-methods, hop by hop. */
+async function estimateRoute(client, route, amountIn) {
+  const { Pool, Asset } = requireSDK();
+  const hops = [];
+  let amount = amountIn;
+  for (const h of route.hops) {
+    const pool = client.open(Pool.createFromAddress(Address.parse(h.pool)));
+    const assetIn = keyToAsset(Asset, h.in);
+    const { amountOut, tradeFee } = await pool.getEstimatedSwapOut({ assetIn, amountIn: amount });
+    hops.push({ ...h, pool, assetIn, amountIn: amount, amountOut, tradeFee });
+    amount = amountOut;
+  }
+  return { hops, amountOut: amount };
+}
+
+/**
+ * Price impact of one estimated hop: its execution price (fee excluded)
+ * against the marginal price from a swap of 0.001% of the reserve.
+ */
+async function hopPriceImpact(hop) {
+  const probe = hop.reserveIn / 100000n > 0n ? hop.reserveIn / 100000n : 1n;
+  const marginal = await hop.pool.getEstimatedSwapOut({ assetIn: hop.assetIn, amountIn: probe });
+  const marginalPrice = Number(marginal.amountOut) / Number(probe - marginal.tradeFee);
+  const executionPrice = Number(hop.amountOut) / Number(hop.amountIn - hop.tradeFee);
+  return marginalPrice > 0 ? Math.max(0, 1 - executionPrice / marginalPrice) : null;
+}
+
+/**
+ * Best route between two tokens: candidates from the pools graph, the top
+ * ROUTES_ESTIMATED re-estimated on-chain, highest output wins.
+ */
+async function findRoute(client, inputToken, outputToken, rawInput, maxHops) {
+  const hops = Math.min(Math.max(1, maxHops ?? 2), MAX_HOPS);
+  const candidates = candidateRoutes(await getPoolsLite(), tokenKey(inputToken), tokenKey(outputToken), rawInput, hops);
+  if (candidates.length === 0) {
+    throw new Error(`No DeDust route from ${inputToken} to ${outputToken} within ${hops} pool(s)`);
+  }
+
+  // Sequential: public RPC endpoints rate-limit bursts of get-method calls
+  let best = null;
+  for (const candidate of candidates.slice(0, ROUTES_ESTIMATED)) {
+    const estimated = await estimateRoute(client, candidate, rawInput).catch(() => null);
+    if (estimated && estimated.amountOut > 0n && (!best || estimated.amountOut > best.amountOut)) best = estimated;
+  }
+  if (!best) throw new Error("No DeDust route could be estimated on-chain");
+
+  for (const hop of best.hops) hop.priceImpact = await hopPriceImpact(hop).catch(() => null);
+  return { ...best, considered: candidates.length };
+}
+
+/** TON forwarded with a swap through `hops` pools. */
+function swapGas(hops) {
+  return Number((SWAP_GAS + HOP_GAS * (hops - 1)).toFixed(2));
+}
+
+/** Chained swap steps after the first pool; only the last one has a limit. */
+function swapSteps(hops, minOut) {
+  let next;
+  for (let i = hops.length - 1; i >= 1; i--) {
+    next = { poolAddress: hops[i].pool.address, limit: i === hops.length - 1 ? minOut : 0n, next };
+  }
+  return next;
+}
+
+/** Route hops as plain output, with symbols and human-readable amounts. */
+function describeRoute(route, assets) {
+  const { Asset } = requireSDK();
+  return route.hops.map((h) => {
+    const tokenIn = describeAsset(assets, keyToAsset(Asset, h.in));
+    const tokenOut = describeAsset(assets, keyToAsset(Asset, h.out));
+    return {
+      pool_address: h.pool,
+      pool_type: h.type,
+      token_in: tokenIn.token,
+      symbol_in: tokenIn.symbol,
+      token_out: tokenOut.token,
+      symbol_out: tokenOut.symbol,
+      amount_in: formatAmount(h.amountIn.toString(), tokenIn.decimals),
+      amount_out: formatAmount(h.amountOut.toString(), tokenOut.decimals),
+      trade_fee: formatAmount(h.tradeFee.toString(), tokenIn.decimals),
+      price_impact: h.priceImpact != null ? Number(h.priceImpact.toFixed(6)) : null,
+    };
+  });
+}
+
+/** Summary fields shared by the estimate and the swap. */
+function routeSummary(hops, considered) {
+  const impacts = hops.map((h) => h.price_impact);
+  return {
+    path: [hops[0].symbol_in ?? hops[0].token_in, ...hops.map((h) => h.symbol_out ?? h.token_out)],
+    hops,
+    price_impact: impacts.every((i) => i != null)
+      ? Number((1 - impacts.reduce((acc, i) => acc * (1 - i), 1)).toFixed(6))
+      : null,
+    gas_ton: swapGas(hops.length),
+    routes_considered: considered,
+  };
 }
 
 // ---------------------------------------------------------------------------
@@ -703,7 +1015,7 @@ const dedustPrices = {
 const dedustSwapEstimate = {
   name: "dedust_swap_estimate",
   description:
-    'Estimate swap output on DeDust using on-chain pool get-methods. Returns expected output amount and trade fee. Use "native" for TON or a jetton address.',
+    'Estimate swap output on DeDust using on-chain pool get-methods. Finds the best route, direct or through intermediate tokens, and returns the path with per-hop output, fees and price impact. Use "native" for TON or a jetton address.',
   category: "data-bearing",
 
   parameters: {
@@ -722,71 +1034,41 @@ const dedustSwapEstimate = {
         description:
           'Amount to swap in human-readable units (e.g. "10" for 10 TON)',
       },
+      max_hops: {
+        type: "integer",
+        description: "Maximum pools in the route (1 = direct only, default 2, max 3)",
+        minimum: 1,
+        maximum: MAX_HOPS,
+      },
     },
     required: ["input_token", "output_token", "input_amount"],
   },
 
   execute: async (params) => {
     try {
-      const sdk = requireSDK();
-      const { Factory, PoolType, Asset } = sdk;
+      requireSDK();
 
       const inputAmount = Number(params.input_amount);
       if (isNaN(inputAmount) || inputAmount <= 0) {
         throw new Error("input_amount must be a positive number");
       }
+      if (params.input_token === params.output_token) {
+        throw new Error("input_token and output_token must differ");
+      }
 
       _sdk?.log?.info(`Estimating swap: ${params.input_amount} ${params.input_token} -> ${params.output_token}`);
 
-      // Resolve assets
       const assets = await getAssets();
-      const isInputNative = params.input_token === "native";
-      const isOutputNative = params.output_token === "native";
-
-      const inputDecimals = isInputNative
+      const inputDecimals = params.input_token === "native"
         ? 9
         : findAssetDecimals(assets, "jetton", params.input_token);
-      const outputDecimals = isOutputNative
-        ? 9
-        : findAssetDecimals(assets, "jetton", params.output_token);
-
-      const inputAsset = isInputNative
-        ? Asset.native()
-        : Asset.jetton(Address.parse(params.input_token));
-      const outputAsset = isOutputNative
-        ? Asset.native()
-        : Asset.jetton(Address.parse(params.output_token));
-
-      // Convert to raw amount
       const rawInput = BigInt(
         Math.round(inputAmount * 10 ** inputDecimals)
       );
 
-      // Connect to chain
-      const { client } = await getWalletAndClient();
-      const factory = client.open(
-        Factory.createFromAddress(Address.parse(FACTORY_ADDR))
-      );
-
-      // Resolve pool
-      const pool = client.open(
-        await factory.getPool(PoolType.VOLATILE, [inputAsset, outputAsset])
-      );
-
-      // Check readiness
-      const { ReadinessStatus } = sdk;
-      const readiness = await pool.getReadinessStatus();
-      if (readiness !== ReadinessStatus.READY) {
-        throw new Error(
-          "Pool is not ready. It may not exist for this pair or pool type."
-        );
-      }
-
-      // Estimate
-      const estimate = await pool.getEstimatedSwapOut({
-        assetIn: inputAsset,
-        amountIn: rawInput,
-      });
+      const client = await getTonClient();
+      const route = await findRoute(client, params.input_token, params.output_token, rawInput, params.max_hops);
+      const hops = describeRoute(route, assets);
 
       return {
         success: true,
@@ -794,16 +1076,12 @@ const dedustSwapEstimate = {
           input_token: params.input_token,
           output_token: params.output_token,
           input_amount: params.input_amount,
-          estimated_output: formatAmount(
-            estimate.amountOut.toString(),
-            outputDecimals
-          ),
-          trade_fee: formatAmount(
-            estimate.tradeFee.toString(),
-            inputDecimals
-          ),
+          estimated_output: hops[hops.length - 1].amount_out,
+          // Fees of later hops are in intermediate tokens; see hops[]
+          trade_fee: hops.length === 1 ? hops[0].trade_fee : null,
           trade_fee_token: params.input_token,
-          pool_address: pool.address.toString(),
+          pool_address: hops[0].pool_address,
+          ...routeSummary(hops, route.considered),
         },
       };
     } catch (err) {
@@ -823,7 +1101,7 @@ const dedustSwapEstimate = {
 const dedustSwap = {
   name: "dedust_swap",
   description:
-    'Execute a swap on DeDust from the agent wallet. Supports TON->Jetton and Jetton->TON swaps. Use "native" for TON. Call dedust_swap_estimate first to preview the output.',
+    'Execute a swap on DeDust from the agent wallet. Routes through intermediate tokens when that gives more output, in a single transaction. Use "native" for TON. Call dedust_swap_estimate first to preview the route.',
   category: "action",
 
   parameters: {
@@ -849,6 +1127,12 @@ const dedustSwap = {
         minimum: 0.001,
         maximum: 0.5,
       },
+      max_hops: {
+        type: "integer",
+        description: "Maximum pools in the route (1 = direct only, default 2, max 3)",
+        minimum: 1,
+        maximum: MAX_HOPS,
+      },
     },
     required: ["input_token", "output_token", "input_amount"],
   },
@@ -858,9 +1142,6 @@ const dedustSwap = {
       const sdk = requireSDK();
       const {
         Factory,
-        PoolType,
-        Asset,
-        VaultNative,
         VaultJetton,
         JettonRoot,
         ReadinessStatus,
@@ -873,10 +1154,9 @@ const dedustSwap = {
       }
 
       const isInputNative = params.input_token === "native";
-      const isOutputNative = params.output_token === "native";
 
-      if (isInputNative && isOutputNative) {
-        throw new Error("Cannot swap TON to TON");
+      if (params.input_token === params.output_token) {
+        throw new Error("input_token and output_token must differ");
       }
 
       _sdk?.log?.info(`Executing swap: ${params.input_amount} ${params.input_token} -> ${params.output_token} (slippage: ${slippage})`);
@@ -887,47 +1167,29 @@ const dedustSwap = {
         ? 9
         : findAssetDecimals(allAssets, "jetton", params.input_token);
 
-      const inputAsset = isInputNative
-        ? Asset.native()
-        : Asset.jetton(Address.parse(params.input_token));
-      const outputAsset = isOutputNative
-        ? Asset.native()
-        : Asset.jetton(Address.parse(params.output_token));
-
       const rawInput = BigInt(
         Math.round(inputAmount * 10 ** inputDecimals)
       );
 
       // Connect
-      const { wallet, keyPair, client, contract } =
-        await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
       const factory = client.open(
         Factory.createFromAddress(Address.parse(FACTORY_ADDR))
       );
 
-      // Resolve pool
-      const pool = client.open(
-        await factory.getPool(PoolType.VOLATILE, [inputAsset, outputAsset])
-      );
-
-      const readiness = await pool.getReadinessStatus();
-      if (readiness !== ReadinessStatus.READY) {
-        throw new Error(
-          "Pool is not ready. It may not exist for this pair."
-        );
-      }
-
-      // Estimate to calculate min output with slippage
-      const estimate = await pool.getEstimatedSwapOut({
-        assetIn: inputAsset,
-        amountIn: rawInput,
-      });
+      // Best route, estimated on-chain; the slippage limit applies to the final output
+      const route = await findRoute(client, params.input_token, params.output_token, rawInput, params.max_hops);
 
       const minOut =
-        (estimate.amountOut * BigInt(Math.round((1 - slippage) * 10000))) /
+        (route.amountOut * BigInt(Math.round((1 - slippage) * 10000))) /
         10000n;
 
-      const sender = contract.sender(keyPair.secretKey);
+      const [first] = route.hops;
+      const firstLimit = route.hops.length === 1 ? minOut : 0n;
+      const next = swapSteps(route.hops, minOut);
+      const gas = toNano(String(swapGas(route.hops.length)));
+
+      const sender = createSender(wallet);
 
       if (isInputNative) {
         // TON -> Jetton: use VaultNative
@@ -939,10 +1201,11 @@ const dedustSwap = {
         }
 
         await tonVault.sendSwap(sender, {
-          poolAddress: pool.address,
+          poolAddress: first.pool.address,
           amount: rawInput,
-          gasAmount: toNano("0.25"),
-          limit: minOut,
+          gasAmount: gas,
+          limit: firstLimit,
+          next,
         });
       } else {
         // Jetton -> TON or Jetton -> Jetton: use VaultJetton
@@ -963,20 +1226,22 @@ const dedustSwap = {
         );
 
         const forwardPayload = VaultJetton.createSwapPayload({
-          poolAddress: pool.address,
-          limit: minOut,
+          poolAddress: first.pool.address,
+          limit: firstLimit,
+          next,
         });
 
-        await jettonWallet.sendTransfer(sender, toNano("0.3"), {
+        await jettonWallet.sendTransfer(sender, gas + toNano("0.05"), {
           amount: rawInput,
           destination: jettonVault.address,
           responseAddress: wallet.address,
-          forwardAmount: toNano("0.25"),
+          forwardAmount: gas,
           forwardPayload,
         });
       }
 
-      const outputDecimals = isOutputNative
+      const hops = describeRoute(route, allAssets);
+      const outputDecimals = params.output_token === "native"
         ? 9
         : findAssetDecimals(allAssets, "jetton", params.output_token);
 
@@ -986,14 +1251,13 @@ const dedustSwap = {
           input_token: params.input_token,
           output_token: params.output_token,
           input_amount: params.input_amount,
-          estimated_output: formatAmount(
-            estimate.amountOut.toString(),
-            outputDecimals
-          ),
+          estimated_output: hops[hops.length - 1].amount_out,
           min_output: formatAmount(minOut.toString(), outputDecimals),
           slippage,
-          pool_address: pool.address.toString(),
+          pool_address: first.pool.address.toString(),
+          ...routeSummary(hops, route.considered),
           wallet_address: wallet.address.toString(),
+          msg_hash: sender.lastSent?.msgHash ?? null,
           message:
             "Swap transaction sent. Allow ~30 seconds for on-chain confirmation.",
         },
@@ -1008,13 +1272,397 @@ const dedustSwap = {
   },
 };
 
+// ---------------------------------------------------------------------------
+// Tool 9: dedust_deposit_liquidity
+// ---------------------------------------------------------------------------
+
+const dedustDepositLiquidity = {
+  name: "dedust_deposit_liquidity",
+  description:
+    'Deposit liquidity into a DeDust volatile or stable pool from the agent wallet. Give amount_a of token_a; amount_b defaults to the pool ratio. ' +
+    'Use "native" for TON. Each token is sent to its vault in its own transaction; LP tokens are minted once both arrive.',
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      token_a: {
+        type: "string",
+        description: 'First token: jetton address or "native" for TON',
+      },
+      token_b: {
+        type: "string",
+        description: 'Second token: jetton address or "native" for TON',
+      },
+      amount_a: {
+        type: "string",
+        description: 'Amount of token_a in human-readable units (e.g. "10")',
+      },
+      amount_b: {
+        type: "string",
+        description: "Amount of token_b (default: matching amount at the pool ratio)",
+      },
+      pool_type: {
+        type: "string",
+        enum: ["volatile", "stable"],
+        description: 'Pool type (default "volatile")',
+      },
+      slippage: {
+        type: "number",
+        description: "Slippage tolerance on LP tokens received (0.01 = 1%, default 0.01)",
+        minimum: 0.001,
+        maximum: 0.5,
+      },
+    },
+    required: ["token_a", "token_b", "amount_a"],
+  },
+
+  execute: async (params) => {
+    try {
+      const { Factory, VaultJetton, JettonRoot, ReadinessStatus } = requireSDK();
+      const { wallet, client } = await getWalletAndClient();
+      const plan = await planDeposit(params, client, wallet.address);
+      const factory = client.open(Factory.createFromAddress(Address.parse(FACTORY_ADDR)));
+
+      _sdk?.log?.info(`Depositing ${plan.summary.token_a.amount} ${plan.summary.token_a.symbol} + ${plan.summary.token_b.amount} ${plan.summary.token_b.symbol} into ${plan.summary.pool_address}`);
+
+      const deposit = {
+        poolType: plan.poolType,
+        assets: plan.poolAssets,
+        targetBalances: plan.targetBalances,
+      };
+      // Check every vault and jetton wallet first: a leg that fails after
+      // the other was sent leaves that token waiting in the pool's deposit.
+      const legs = [];
+      for (const [i, [token, amount]] of plan.legs.entries()) {
+        const info = i === 0 ? plan.summary.token_a : plan.summary.token_b;
+        const vault = client.open(token === "native"
+          ? await factory.getNativeVault()
+          : await factory.getJettonVault(Address.parse(token)));
+        if ((await vault.getReadinessStatus()) !== ReadinessStatus.READY) {
+          throw new Error(`The DeDust vault for ${info.symbol} is not ready. Nothing was sent.`);
+        }
+        let jettonWallet = null;
+        if (token !== "native") {
+          const jettonRoot = client.open(JettonRoot.createFromAddress(Address.parse(token)));
+          jettonWallet = client.open(await jettonRoot.getWallet(wallet.address));
+          const balance = await jettonWallet.getBalance().catch(() => 0n);
+          if (balance < amount) {
+            throw new Error(`The agent wallet holds ${formatAmount(balance.toString(), info.decimals)} ${info.symbol}, ` +
+              `${info.amount} needed. Nothing was sent.`);
+          }
+        }
+        legs.push({ name: i === 0 ? "token_a" : "token_b", symbol: info.symbol, amount, vault, jettonWallet });
+      }
+
+      const sender = createSender(wallet);
+      const msgHashes = [];
+
+      for (const leg of legs) {
+        try {
+          if (!leg.jettonWallet) {
+            await leg.vault.sendDepositLiquidity(sender, { ...deposit, amount: leg.amount, minimalLPAmount: plan.minLp });
+          } else {
+            await leg.jettonWallet.sendTransfer(sender, toNano("0.5"), {
+              amount: leg.amount,
+              destination: leg.vault.address,
+              responseAddress: wallet.address,
+              forwardAmount: toNano("0.4"),
+              forwardPayload: VaultJetton.createDepositLiquidityPayload({ ...deposit, minimalLpAmount: plan.minLp }),
+            });
+          }
+        } catch (err) {
+          if (msgHashes.length === 0) throw err;
+          const sent = legs[0];
+          _sdk?.log?.warn(`Deposit into ${plan.summary.pool_address}: ${sent.symbol} sent, ${leg.symbol} failed: ${err.message}`);
+          // Success, so the guard keeps the spend and the agent does not resend the first leg.
+          return {
+            success: true,
+            data: {
+              ...plan.summary,
+              wallet_address: wallet.address.toString(),
+              msg_hash: msgHashes[0],
+              msg_hashes: msgHashes,
+              missing_leg: leg.name,
+              message:
+                `Only part of the deposit was sent: the ${sent.name} leg (${sent.symbol}) went out, ` +
+                `but the ${leg.name} leg (${leg.symbol}) failed: ${String(err.message || err).slice(0, 200)}. ` +
+                `The ${sent.symbol} waits in the pool's deposit contract until the missing ${leg.symbol} arrives -- do not repeat the whole deposit.`,
+            },
+          };
+        }
+        msgHashes.push(sender.lastSent?.msgHash ?? null);
+      }
+
+      recordLpEvent(_sdk?.db, {
+        owner: wallet.address.toString(),
+        pool: plan.summary.pool_address,
+        kind: "deposit",
+        lp_units: plan.fairSupply,
+        amount0: plan.deposits[0],
+        amount1: plan.deposits[1],
+        msg_hash: msgHashes[msgHashes.length - 1],
+      });
+
+      return {
+        success: true,
+        data: {
+          ...plan.summary,
+          wallet_address: wallet.address.toString(),
+          msg_hash: msgHashes[msgHashes.length - 1],
+          msg_hashes: msgHashes,
+          message:
+            "Deposit transactions sent. LP tokens are minted once both tokens reach the pool (~30 seconds). " +
+            "Amounts above the pool ratio are returned.",
+        },
+      };
+    } catch (err) {
+      _sdk?.log?.error(`Deposit failed: ${err.message}`);
+      return {
+        success: false,
+        error: String(err.message || err).slice(0, 500),
+      };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 10: dedust_withdraw_liquidity
+// ---------------------------------------------------------------------------
+
+const dedustWithdrawLiquidity = {
+  name: "dedust_withdraw_liquidity",
+  description:
+    "Withdraw liquidity from a DeDust pool by burning the agent's LP tokens -- all of them, a percent, or an exact LP amount. " +
+    "Both pool tokens are returned to the agent wallet.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      pool_address: {
+        type: "string",
+        description: "Pool contract address",
+      },
+      percent: {
+        type: "number",
+        description: "Share of the position to withdraw (default 100)",
+        minimum: 0.01,
+        maximum: 100,
+      },
+      lp_amount: {
+        type: "string",
+        description: "Exact LP tokens to burn, in human-readable units (overrides percent)",
+      },
+    },
+    required: ["pool_address"],
+  },
+
+  execute: async (params) => {
+    try {
+      const { wallet, client } = await getWalletAndClient();
+      const plan = await planWithdraw(params, client, wallet.address);
+
+      _sdk?.log?.info(`Withdrawing ${plan.summary.lp_amount} LP from ${plan.summary.pool_address}`);
+
+      const sender = createSender(wallet);
+      const lpWallet = client.open(await plan.pool.getWallet(wallet.address));
+      await lpWallet.sendBurn(sender, toNano("0.5"), {
+        amount: plan.amount,
+        responseAddress: wallet.address,
+      });
+      const msgHash = sender.lastSent?.msgHash ?? null;
+
+      recordLpEvent(_sdk?.db, {
+        owner: wallet.address.toString(),
+        pool: plan.summary.pool_address,
+        kind: "withdraw",
+        lp_units: plan.amount,
+        amount0: plan.out[0],
+        amount1: plan.out[1],
+        msg_hash: msgHash,
+      });
+
+      return {
+        success: true,
+        data: {
+          ...plan.summary,
+          wallet_address: wallet.address.toString(),
+          msg_hash: msgHash,
+          message: "Burn transaction sent. The pool returns both tokens in ~30 seconds.",
+        },
+      };
+    } catch (err) {
+      _sdk?.log?.error(`Withdraw failed: ${err.message}`);
+      return {
+        success: false,
+        error: String(err.message || err).slice(0, 500),
+      };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 11: dedust_lp_positions
+// ---------------------------------------------------------------------------
+
+const dedustLpPositions = {
+  name: "dedust_lp_positions",
+  description:
+    "Show DeDust liquidity positions: LP tokens, pool share, the underlying token amounts and, for deposits made through dedust_deposit_liquidity, " +
+    "the result against simply holding the deposited tokens (impermanent loss, fees included). " +
+    "Checks the pools the agent deposited into, or pool_address.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      address: {
+        type: "string",
+        description: "Wallet address (default: agent wallet)",
+      },
+      pool_address: {
+        type: "string",
+        description: "Check this pool (required for wallets other than the agent's)",
+      },
+    },
+  },
+
+  execute: async (params) => {
+    try {
+      const { PoolType } = requireSDK();
+      const agent = Address.parse(getAgentAddress());
+      const owner = params.address ? Address.parse(params.address) : agent;
+      const db = _sdk?.db;
+
+      const pools = params.pool_address ? [params.pool_address] : loggedPools(db, owner.toString());
+      if (pools.length === 0) {
+        return {
+          success: true,
+          data: { address: owner.toString(), count: 0, positions: [], note: "No deposits logged for this wallet -- pass pool_address to check a pool." },
+        };
+      }
+
+      const client = await getTonClient();
+      const assets = await getAssets();
+
+      const positions = [];
+      for (const address of pools) {
+        const { pool, poolAssets, reserves, supply, type } = await loadPool(client, address);
+        const balance = await lpBalance(client, pool, owner);
+        const basis = costBasis(db, owner.toString(), pool.address.toString());
+        if (balance === 0n && !basis) continue;
+
+        const infos = poolAssets.map((a) => describeAsset(assets, a));
+        const underlying = reserves.map((r) => (supply > 0n ? r * balance / supply : 0n));
+        const price = await spotPrice(pool, poolAssets, reserves);
+        const scale = 10 ** (infos[0].decimals - infos[1].decimals); // raw -> human price
+
+        let vsHold = null;
+        if (basis && balance > 0n) {
+          // Compare only the LP units the log accounts for
+          const tracked = basis.lp_units < balance ? basis.lp_units : balance;
+          const trackedUnderlying = reserves.map((r) => (supply > 0n ? r * tracked / supply : 0n));
+          const trackedBasis = tracked === basis.lp_units
+            ? basis
+            : { amount0: basis.amount0 * tracked / basis.lp_units, amount1: basis.amount1 * tracked / basis.lp_units };
+          const result = versusHold(trackedBasis, trackedUnderlying, price);
+          if (result) {
+            const inToken1 = (raw) => formatAmount(BigInt(Math.round(raw)).toString(), infos[1].decimals);
+            vsHold = {
+              since: new Date(basis.since * 1000).toISOString(),
+              tracked_lp: formatAmount(tracked.toString(), LP_DECIMALS),
+              deposited: [
+                formatAmount(trackedBasis.amount0.toString(), infos[0].decimals),
+                formatAmount(trackedBasis.amount1.toString(), infos[1].decimals),
+              ],
+              value_token: infos[1].symbol,
+              hold_value: inToken1(result.hold_value),
+              lp_value: inToken1(result.lp_value),
+              il_pct: Number(result.il_pct.toFixed(4)),
+            };
+          }
+        }
+
+        positions.push({
+          pool_address: pool.address.toString(),
+          pool_type: type === PoolType.STABLE ? "stable" : "volatile",
+          pair: infos.map((i) => i.symbol ?? i.token).join("/"),
+          lp_balance: formatAmount(balance.toString(), LP_DECIMALS),
+          pool_share_pct: sharePct(balance, supply),
+          underlying: infos.map((info, i) => ({ ...info, amount: formatAmount(underlying[i].toString(), info.decimals) })),
+          reserves: infos.map((info, i) => formatAmount(reserves[i].toString(), info.decimals)),
+          price: { [`${infos[0].symbol ?? "token0"}_in_${infos[1].symbol ?? "token1"}`]: price * scale },
+          vs_hold: vsHold,
+        });
+      }
+
+      return {
+        success: true,
+        data: { address: owner.toString(), count: positions.length, positions },
+      };
+    } catch (err) {
+      return {
+        success: false,
+        error: String(err.message || err).slice(0, 500),
+      };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Inline manifest
+// ---------------------------------------------------------------------------
+
+export const manifest = {
+  name: "dedust",
+  version: "1.6.0",
+  sdkVersion: ">=1.0.0",
+  description: "Swap tokens, browse pools, and trade on DeDust -- TON's #2 DEX",
+  bot: { callbacks: true }, // Confirm/Cancel buttons for confirm mode (lib/guard.js)
+};
+
+// ---------------------------------------------------------------------------
+// Database migration
+// ---------------------------------------------------------------------------
+
+export function migrate(db) {
+  migrateGuard(db);
+  migrateLiquidity(db);
+}
+
+// ---------------------------------------------------------------------------
+// Spend estimates for the action guard (TON offered)
+// ---------------------------------------------------------------------------
+
+const SPEND = {
+  dedust_swap: (p) => (p.input_token === "native" ? assetSpend("TON", p.input_amount) : null),
+  dedust_deposit_liquidity: async (p) => {
+    if (p.token_a === "native") return assetSpend("TON", p.amount_a);
+    if (p.token_b !== "native") return null;
+    if (p.amount_b != null) return assetSpend("TON", p.amount_b);
+    const { summary } = await planDeposit(p, await getTonClient(), Address.parse(getAgentAddress()));
+    return assetSpend("TON", summary.token_b.amount);
+  },
+};
+
+// Confirm-mode summary: the quote / plan for the same parameters
+const PREVIEW = {
+  dedust_swap: (p) => dedustSwapEstimate.execute(p),
+  dedust_deposit_liquidity: async (p) =>
+    (await planDeposit(p, await getTonClient(), Address.parse(getAgentAddress()))).summary,
+  dedust_withdraw_liquidity: async (p) =>
+    (await planWithdraw(p, await getTonClient(), Address.parse(getAgentAddress()))).summary,
+};
+
 // ---------------------------------------------------------------------------
 // Export
 // ---------------------------------------------------------------------------
 
 export const tools = (sdk) => {
   _sdk = sdk;
-  return [
+  initSigner(sdk);
+  return guardTools(sdk, [
     dedustAssets,
     dedustPools,
     dedustPoolTrades,
@@ -1023,5 +1671,8 @@ export const tools = (sdk) => {
     dedustPrices,
     dedustSwapEstimate,
     dedustSwap,
-  ];
+    dedustDepositLiquidity,
+    dedustWithdrawLiquidity,
+    dedustLpPositions,
+  ], SPEND, PREVIEW);
 };
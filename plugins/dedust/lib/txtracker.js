@@ -0,0 +1,318 @@
+/**
+ * Transaction tracker -- shared by every plugin that sends through lib/signer.js
+ *
+ * Records each external message the signer broadcasts, follows it to its
+ * transaction and trace (toncenter v3 index), and classifies the outcome:
+ *
+ *   pending    -- not indexed yet, or the trace is still running
+ *   confirmed  -- trace complete, every compute phase succeeded, nothing bounced
+ *   bounced    -- at least one message in the trace bounced back
+ *   failed     -- a compute/action phase failed (wallet rejected the message,
+ *                 or a contract threw without bouncing)
+ *   expired    -- never indexed within EXPIRE_AFTER_MS (message likely dropped)
+ *
+ * Identical copies live in each plugin's lib/ folder -- edit all copies together.
+ * The ledger lives on globalThis (one per teleton process, shared by all
+ * copies) and is persisted to ~/.teleton/plugins/data/tx-ledger.json.
+ *
+ * Dependencies (provided by teleton runtime): @ton/core
+ */
+
+import { createRequire } from "node:module";
+import { readFileSync, writeFileSync, renameSync, mkdirSync, realpathSync } from "node:fs";
+import { join } from "node:path";
+import { homedir } from "node:os";
+
+const _require = createRequire(realpathSync(process.argv[1]));
+const { beginCell, fromNano } = _require("@ton/core");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const DATA_DIR = join(homedir(), ".teleton", "plugins", "data");
+const LEDGER_FILE = join(DATA_DIR, "tx-ledger.json");
+const TONCENTER_V3 = "https://toncenter.com/api/v3";
+
+const MAX_ENTRIES = 500;               // oldest entries are dropped first
+const WATCH_INTERVAL_MS = 5_000;
+const WATCH_TIMEOUT_MS = 5 * 60_000;   // background watch gives up after this
+const EXPIRE_AFTER_MS = 5 * 60_000;    // wallet messages are valid for ~60s
+
+const FINAL_STATUSES = new Set(["confirmed", "bounced", "failed"]);
+
+// ---------------------------------------------------------------------------
+// Ledger (process-wide, persisted)
+// ---------------------------------------------------------------------------
+
+const STATE_KEY = Symbol.for("teleton-plugins.txtracker");
+const state = (globalThis[STATE_KEY] ??= {
+  entries: null,          // msg_hash -> entry, insertion-ordered; loaded lazily
+  watching: new Set(),    // msg_hashes with a background watch running
+});
+
+function ledger() {
+  if (state.entries) return state.entries;
+  state.entries = new Map();
+  try {
+    const saved = JSON.parse(readFileSync(LEDGER_FILE, "utf-8"));
+    for (const entry of saved.entries ?? []) state.entries.set(entry.msg_hash, entry);
+  } catch { /* no ledger yet */ }
+  return state.entries;
+}
+
+function saveLedger() {
+  const entries = ledger();
+  while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+  try {
+    mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = LEDGER_FILE + ".tmp";
+    writeFileSync(tmp, JSON.stringify({ entries: [...entries.values()] }));
+    renameSync(tmp, LEDGER_FILE);
+  } catch { /* tracking is best-effort -- never fail a send over it */ }
+}
+
+// ---------------------------------------------------------------------------
+// Hashes
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalized hash of an external-in message (TEP-467): src, import_fee and
+ * init are zeroed and the body is stored as a ref, so the hash does not
+ * depend on how the message was serialized or whether it carried state init.
+ * This is the hash indexers use to find the resulting transaction.
+ */
+export function normalizedMessageHash(dest, body) {
+  return beginCell()
+    .storeUint(2, 2)        // ext_in_msg_info$10
+    .storeUint(0, 2)        // src: addr_none
+    .storeAddress(dest)
+    .storeCoins(0)          // import_fee
+    .storeBit(false)        // no state init
+    .storeBit(true)         // body as ref
+    .storeRef(body)
+    .endCell()
+    .hash()
+    .toString("hex");
+}
+
+/** Accept a message hash as hex, base64 or base64url; return lowercase hex. */
+export function parseMessageHash(value) {
+  const str = String(value ?? "").trim();
+  if (/^[0-9a-fA-F]{64}$/.test(str)) return str.toLowerCase();
+  const buf = Buffer.from(str.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+  if (buf.length !== 32) throw new Error(`Invalid message hash: ${str}`);
+  return buf.toString("hex");
+}
+
+// ---------------------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------------------
+
+/** Summarize internal messages as { to, value_ton }. */
+function summarizeMessages(messages) {
+  return (messages ?? []).map((m) => ({
+    to: m.info?.dest?.toString?.() ?? null,
+    value_ton: m.info?.value?.coins != null ? fromNano(m.info.value.coins) : null,
+  }));
+}
+
+/**
+ * Record a broadcast external message and start watching it in the background.
+ * @returns the ledger entry
+ */
+export function recordSentMessage({ msgHash, plugin, wallet, seqno, messages, log }) {
+  const entry = {
+    msg_hash: msgHash,
+    plugin: plugin ?? null,
+    wallet: wallet ?? null,
+    seqno: seqno ?? null,
+    messages: summarizeMessages(messages),
+    sent_at: Date.now(),
+    status: "pending",
+    checked_at: null,
+    tx_hash: null,
+    trace_id: null,
+    transactions: 0,
+    bounced: [],
+    failed: [],
+  };
+  ledger().set(msgHash, entry);
+  saveLedger();
+  watchMessage(msgHash, log);
+  return entry;
+}
+
+// ---------------------------------------------------------------------------
+// Trace lookup + classification
+// ---------------------------------------------------------------------------
+
+async function fetchTrace(msgHash) {
+  const url = new URL(TONCENTER_V3 + "/traces");
+  url.searchParams.set("msg_hash", msgHash);
+  const headers = { Accept: "application/json" };
+  if (process.env.TONCENTER_API_KEY) headers["X-API-Key"] = process.env.TONCENTER_API_KEY;
+
+  const res = await fetch(url, { headers, signal: AbortSignal.timeout(15000) });
+  if (res.status === 404) return null;
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`toncenter v3 error: ${res.status} ${text.slice(0, 200)}`);
+  }
+  const data = await res.json();
+  return data.traces?.[0] ?? null;
+}
+
+/** Classify a toncenter v3 trace into status + bounce/failure details. */
+function classifyTrace(trace) {
+  const txs = trace.transactions ?? {};
+  const order = trace.transactions_order ?? Object.keys(txs);
+  const rootHash = trace.trace?.tx_hash ?? order[0] ?? null;
+
+  const bounced = [];
+  const failed = [];
+  for (const hash of order) {
+    const tx = txs[hash];
+    if (!tx) continue;
+    const d = tx.description ?? {};
+    const compute = d.compute_ph ?? {};
+    if (tx.in_msg?.bounced) {
+      bounced.push({ tx_hash: hash, account: tx.account ?? null, from: tx.in_msg.source ?? null });
+    }
+    // A skipped compute phase (e.g. plain transfer to an uninit account)
+    // is not a failure, even though the transaction is marked aborted.
+    const computeFailed = compute.skipped === false && compute.success === false;
+    const actionFailed = d.action?.success === false;
+    if (computeFailed || actionFailed) {
+      failed.push({
+        tx_hash: hash,
+        account: tx.account ?? null,
+        exit_code: compute.exit_code ?? null,
+        action_result_code: d.action?.result_code ?? null,
+      });
+    }
+  }
+
+  const incomplete = trace.is_incomplete === true || (trace.trace_info?.pending_messages ?? 0) > 0;
+  let status;
+  if (failed.some((f) => f.tx_hash === rootHash)) status = "failed";
+  else if (bounced.length > 0) status = "bounced";
+  else if (failed.length > 0) status = "failed";
+  else if (incomplete) status = "pending";
+  else status = "confirmed";
+
+  return {
+    status,
+    tx_hash: rootHash,
+    trace_id: trace.trace_id ?? rootHash,
+    transactions: order.length,
+    bounced,
+    failed,
+  };
+}
+
+/**
+ * Re-check one tracked message against the index and update the ledger.
+ * Messages sent outside the signer can be checked too: an untracked hash is
+ * added to the ledger once the index has its trace. Returns null for an
+ * untracked hash the index does not know (never indexed, or mistyped).
+ */
+export async function refreshMessageStatus(msgHash) {
+  const entries = ledger();
+  const tracked = entries.get(msgHash) ?? null;
+  if (tracked && FINAL_STATUSES.has(tracked.status)) return tracked;
+
+  const trace = await fetchTrace(msgHash);
+  if (!tracked && !trace) return null;
+
+  const entry = tracked ?? {
+    msg_hash: msgHash,
+    plugin: null,
+    wallet: null,
+    seqno: null,
+    messages: [],
+    sent_at: null,
+    status: "pending",
+    checked_at: null,
+    tx_hash: null,
+    trace_id: null,
+    transactions: 0,
+    bounced: [],
+    failed: [],
+  };
+  if (trace) {
+    Object.assign(entry, classifyTrace(trace));
+  } else if (entry.sent_at && Date.now() - entry.sent_at > EXPIRE_AFTER_MS) {
+    entry.status = "expired";
+  }
+  entry.checked_at = Date.now();
+  entries.set(msgHash, entry);
+  saveLedger();
+  return entry;
+}
+
+/** Poll in the background until the message reaches a final status. */
+function watchMessage(msgHash, log) {
+  if (state.watching.has(msgHash)) return;
+  state.watching.add(msgHash);
+  const deadline = Date.now() + WATCH_TIMEOUT_MS;
+
+  const tick = async () => {
+    let entry = null;
+    try {
+      entry = await refreshMessageStatus(msgHash);
+    } catch (err) {
+      log?.debug?.(`tx tracker: ${msgHash.slice(0, 12)}… check failed: ${err.message}`);
+    }
+    if ((entry && FINAL_STATUSES.has(entry.status)) || Date.now() > deadline) {
+      state.watching.delete(msgHash);
+      if (entry && entry.status !== "confirmed") {
+        log?.warn?.(`tx ${msgHash.slice(0, 12)}… ${entry.status}`);
+      }
+      return;
+    }
+    setTimeout(tick, WATCH_INTERVAL_MS).unref?.();
+  };
+  setTimeout(tick, WATCH_INTERVAL_MS).unref?.();
+}
+
+/**
+ * Wait (up to `timeoutMs`) for a tracked message to reach a final status.
+ * Returns the latest entry (null if the hash never showed up); its status
+ * may still be "pending".
+ */
+export async function waitForConfirmation(msgHash, timeoutMs = 60_000) {
+  const deadline = Date.now() + timeoutMs;
+  let entry = ledger().get(msgHash) ?? null;
+  while (Date.now() < deadline) {
+    try {
+      entry = (await refreshMessageStatus(msgHash)) ?? entry;
+      if (entry && FINAL_STATUSES.has(entry.status)) return entry;
+    } catch { /* index hiccup -- retry until the deadline */ }
+    await new Promise((r) => setTimeout(r, WATCH_INTERVAL_MS));
+  }
+  return entry;
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+
+/** Tracked entry for one message hash (no network). */
+export function getTrackedMessage(msgHash) {
+  return ledger().get(msgHash) ?? null;
+}
+
+/** Most recent tracked messages, newest first, optionally filtered. */
+export function listTrackedMessages({ plugin, status, limit = 10 } = {}) {
+  return [...ledger().values()]
+    .filter((e) => (plugin ? e.plugin === plugin : true))
+    .filter((e) => (status ? e.status === status : true))
+    .sort((a, b) => (b.sent_at ?? 0) - (a.sent_at ?? 0))
+    .slice(0, limit);
+}
+
+/** True for statuses that will not change on a later check. */
+export function isFinalStatus(status) {
+  return FINAL_STATUSES.has(status);
+}
@@ -0,0 +1,109 @@
+/**
+ * DeDust liquidity -- deposit/withdraw log and impermanent loss
+ *
+ * dedust_lp_events logs every deposit and withdraw the agent sent, with the
+ * token amounts in pool order. Deposits add to the cost basis; a withdraw
+ * takes out the same share of the basis as of the LP tokens, and a full
+ * exit starts over.
+ *
+ * Impermanent loss compares the position with simply holding the deposited
+ * tokens: both are valued in the pool's second token at the current pool
+ * price. LP value / hold value - 1 is the result of providing liquidity,
+ * fees included. Pure functions over the plugin database.
+ */
+
+// ---------------------------------------------------------------------------
+// Database
+// ---------------------------------------------------------------------------
+
+/** Create the liquidity event table. Call from migrate(db). */
+export function migrateLiquidity(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS dedust_lp_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner TEXT NOT NULL,
+      pool TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('deposit', 'withdraw')),
+      lp_units TEXT NOT NULL,
+      amount0 TEXT NOT NULL DEFAULT '0',
+      amount1 TEXT NOT NULL DEFAULT '0',
+      msg_hash TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_dedust_lp_events_pool ON dedust_lp_events(owner, pool, created_at);
+  `);
+}
+
+/** Log one deposit or withdraw. No-op without a database. */
+export function recordLpEvent(db, event) {
+  if (!db) return null;
+  return db.prepare(`
+    INSERT INTO dedust_lp_events (owner, pool, kind, lp_units, amount0, amount1, msg_hash)
+    VALUES (@owner, @pool, @kind, @lp_units, @amount0, @amount1, @msg_hash)
+  `).run({
+    msg_hash: null,
+    ...event,
+    lp_units: String(event.lp_units),
+    amount0: String(event.amount0 ?? 0),
+    amount1: String(event.amount1 ?? 0),
+  }).lastInsertRowid;
+}
+
+/** Pools the owner has deposited into through the plugin. */
+export function loggedPools(db, owner) {
+  if (!db) return [];
+  return db.prepare(
+    "SELECT pool FROM dedust_lp_events WHERE owner = ? AND kind = 'deposit' GROUP BY pool ORDER BY MAX(created_at) DESC"
+  ).all(owner).map((r) => r.pool);
+}
+
+// ---------------------------------------------------------------------------
+// Cost basis and impermanent loss
+// ---------------------------------------------------------------------------
+
+/**
+ * The LP units the log accounts for in a pool and the token amounts that
+ * went in for them (raw units, pool order). Null without an open position.
+ */
+export function costBasis(db, owner, pool) {
+  if (!db) return null;
+  const events = db.prepare(
+    "SELECT kind, lp_units, amount0, amount1, created_at FROM dedust_lp_events WHERE owner = ? AND pool = ? ORDER BY created_at, id"
+  ).all(owner, pool);
+
+  let lp = 0n;
+  let amount0 = 0n;
+  let amount1 = 0n;
+  let since = null;
+  for (const e of events) {
+    const units = BigInt(e.lp_units);
+    if (e.kind === "deposit") {
+      if (lp === 0n) since = e.created_at;
+      lp += units;
+      amount0 += BigInt(e.amount0);
+      amount1 += BigInt(e.amount1);
+    } else if (units >= lp) {
+      lp = 0n;
+      amount0 = 0n;
+      amount1 = 0n;
+      since = null;
+    } else {
+      amount0 -= amount0 * units / lp;
+      amount1 -= amount1 * units / lp;
+      lp -= units;
+    }
+  }
+  return lp > 0n ? { lp_units: lp, amount0, amount1, since } : null;
+}
+
+/**
+ * Position value against holding, both in raw units of the pool's second
+ * token. `price` is raw token1 units per raw token0 unit; `underlying` is
+ * what the basis' LP units are worth now.
+ */
+export function versusHold(basis, underlying, price) {
+  const hold = Number(basis.amount0) * price + Number(basis.amount1);
+  const lp = Number(underlying[0]) * price + Number(underlying[1]);
+  if (!(hold > 0)) return null;
+  return { hold_value: hold, lp_value: lp, il_pct: (lp / hold - 1) * 100 };
+}
@@ -0,0 +1,782 @@
+/**
+ * DEX orders plugin -- limit orders and DCA plans on top of the swap tools
+ *
+ * Orders live in SQLite (orders.js). A scheduler pass every
+ * scheduler_interval_seconds polls USD prices through the venues' own price
+ * tools (stonfi_price, dedust_prices, swap_price), sends the swap of every
+ * limit order whose trigger is met and of every DCA run that is due, and
+ * reports each fill to the chat the order was placed in.
+ *
+ * The plugin holds no wallet. Swaps go through the venue plugin's swap tool
+ * from the process-wide registry that lib/guard.js fills, in its guarded
+ * form and on behalf of the admin who placed the order: that plugin's admin
+ * check, spend caps and confirm mode apply to every fill. A fill held by
+ * confirm mode is followed through the guard's pending-action outcomes.
+ */
+
+import {
+  migrateOrders,
+  createOrder,
+  updateOrder,
+  getOrder,
+  activeOrders,
+  listOrders,
+  startFill,
+  finishFill,
+  awaitingFills,
+  settleInterruptedFills,
+  triggerMet,
+  nextRunAt,
+  OPEN_STATUSES,
+} from "./orders.js";
+import { assertAdmin, getConfirmationOutcome, getRegisteredTool } from "./lib/guard.js";
+import { VENUES, VENUE_NAMES, isTon, num } from "./lib/venues.js";
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const DEFAULT_SLIPPAGE = 0.01;
+const DEFAULT_MAX_FAILURES = 3;
+const MIN_DCA_INTERVAL_HOURS = 0.25;
+
+let _sdk = null;
+
+// ---------------------------------------------------------------------------
+// Venues
+// ---------------------------------------------------------------------------
+
+async function tonPriceUsd() {
+  return num((await _sdk?.ton?.getPrice?.())?.usd);
+}
+
+/**
+ * USD price of a token: the order's venue first, then the other venues.
+ * Throws when none of them has a price.
+ */
+async function priceUsd(venue, token) {
+  const errors = [];
+  for (const name of [venue, ...VENUE_NAMES.filter((v) => v !== venue)]) {
+    try {
+      const price = await VENUES[name].price(token, tonPriceUsd);
+      if (price > 0) return { price, source: name };
+      errors.push(`${name}: no price`);
+    } catch (err) {
+      errors.push(`${name}: ${err.message}`);
+    }
+  }
+  throw new Error(`No USD price for ${token} (${errors.join("; ")})`.slice(0, 500));
+}
+
+// ---------------------------------------------------------------------------
+// Formatting
+// ---------------------------------------------------------------------------
+
+const isoDate = (t) => (t != null ? new Date(t * 1000).toISOString() : null);
+
+function shortToken(token) {
+  if (isTon(token)) return "TON";
+  const t = String(token);
+  return t.length > 14 ? `${t.slice(0, 6)}...${t.slice(-4)}` : t;
+}
+
+function describeOrder(o) {
+  const swap = `${o.input_amount} ${shortToken(o.input_token)} -> ${shortToken(o.output_token)} on ${o.venue}`;
+  return o.kind === "limit"
+    ? `Limit order #${o.id} (${swap} when ${shortToken(o.price_token)} ${o.price_condition === "gte" ? ">=" : "<="} $${o.trigger_price})`
+    : `DCA plan #${o.id} (${swap} every ${o.interval_seconds / 3600}h)`;
+}
+
+function formatOrder(o) {
+  const base = {
+    id: o.id,
+    kind: o.kind,
+    status: o.status,
+    venue: o.venue,
+    input_token: o.input_token,
+    output_token: o.output_token,
+    input_amount: o.input_amount,
+    slippage: o.slippage,
+  };
+  const schedule = o.kind === "limit"
+    ? {
+        price_token: o.price_token,
+        condition: o.price_condition,
+        trigger_price_usd: o.trigger_price,
+        last_price_usd: o.last_price,
+        last_checked_at: isoDate(o.last_checked_at),
+        expires_at: isoDate(o.expires_at),
+      }
+    : {
+        interval_hours: o.interval_seconds / 3600,
+        runs_done: o.runs_done,
+        runs_total: o.runs_total,
+        next_run_at: o.status === "active" || o.status === "paused" ? isoDate(o.next_run_at) : null,
+      };
+  return {
+    ...base,
+    ...schedule,
+    failures: o.failures,
+    last_error: o.last_error,
+    created_at: isoDate(o.created_at),
+    fills: o.fills?.map((f) => ({ ...f, created_at: isoDate(f.created_at) })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Scheduler
+// ---------------------------------------------------------------------------
+
+const scheduler = {
+  db: null,
+  config: {},
+  appConfig: null,
+  adminIds: [],
+  timer: null,
+  running: false,
+  lastRun: null,
+  lastError: null,
+};
+
+/** Post a fill or status notice to the order's chat (or the alert chats). */
+async function notify(order, text) {
+  _sdk?.log?.info(text);
+  const configured = scheduler.config.alert_chat_ids ?? [];
+  const chats = configured.length ? configured : order.chat_id != null ? [order.chat_id] : scheduler.adminIds;
+  for (const chatId of chats) {
+    try {
+      await _sdk.telegram.sendMessage(String(chatId), text);
+    } catch (err) {
+      _sdk?.log?.warn(`Order notice to ${chatId} failed: ${err.message}`);
+    }
+  }
+}
+
+/** The context a fill runs in: the admin who placed the order, in its chat. */
+function orderContext(order) {
+  return { senderId: order.sender_id, chatId: order.chat_id, config: scheduler.appConfig };
+}
+
+/** Count a failed swap; stop the order after max_failures in a row. */
+async function failFill(db, order, fillId, error) {
+  const failures = order.failures + 1;
+  const stopped = failures >= Number(scheduler.config.max_failures ?? DEFAULT_MAX_FAILURES);
+  finishFill(db, fillId, { status: "failed", error });
+  updateOrder(db, order.id, { failures, last_error: error, ...(stopped ? { status: "failed" } : {}) });
+  if (stopped) await notify(order, `❌ ${describeOrder(order)} stopped after ${failures} failed swaps in a row: ${error}`);
+  else _sdk?.log?.warn(`${describeOrder(order)}: swap failed (${failures}): ${error}`);
+}
+
+/**
+ * Log a sent swap and move the order on: a limit order is filled, a DCA
+ * plan advances to its next run. An order cancelled while its swap awaited
+ * confirmation only counts the run.
+ */
+async function completeFill(db, order, fill, d) {
+  const expected = d.expected_output ?? d.estimated_output ?? d.output_amount ?? null;
+  finishFill(db, fill.id, {
+    status: "sent",
+    expected_output: expected != null ? String(expected) : null,
+    msg_hash: d.msg_hash ?? null,
+  });
+
+  const done = order.kind === "limit" || fill.run >= order.runs_total;
+  const open = OPEN_STATUSES.includes(order.status);
+  updateOrder(db, order.id, {
+    runs_done: fill.run,
+    failures: 0,
+    last_error: null,
+    ...(!open ? {}
+      : done ? { status: order.kind === "limit" ? "filled" : "completed" }
+      : { next_run_at: nextRunAt(order.next_run_at, order.interval_seconds) }),
+  });
+
+  const lines = [
+    order.kind === "limit"
+      ? `✅ ${describeOrder(order)} filled at $${Number(fill.price.toPrecision(6))}.`
+      : `✅ ${describeOrder(order)}: run ${fill.run}/${order.runs_total}.`,
+    `Swap sent${expected != null ? `, expected output ${expected} ${shortToken(order.output_token)}` : ""}.${d.msg_hash ? ` msg_hash: ${d.msg_hash}` : ""}`,
+  ];
+  if (order.kind === "dca" && done && open) lines.push("The DCA plan is complete.");
+  await notify(order, lines.join("\n"));
+}
+
+/**
+ * Send one swap for an order through the venue's guarded swap tool, log
+ * the fill and move the order on. No timeout here: a swap that is slow to
+ * return may still go out, and retrying it could send it twice. A swap held
+ * by confirm mode leaves the order as it is until settleAwaitingFills()
+ * sees the owner's answer.
+ */
+async function runFill(db, order, price) {
+  const venue = VENUES[order.venue];
+  const run = order.runs_done + 1;
+  const fillId = startFill(db, { order_id: order.id, run, price, input_amount: order.input_amount });
+
+  let result;
+  try {
+    const tool = getRegisteredTool(venue.swapTool);
+    if (!tool) throw new Error(`${venue.swapTool} is not available (${venue.plugin} plugin not loaded)`);
+    result = await tool.execute(venue.params(order), orderContext(order));
+  } catch (err) {
+    result = { success: false, error: String(err.message || err).slice(0, 500) };
+  }
+
+  if (!result?.success) {
+    await failFill(db, order, fillId, String(result?.error ?? "swap failed").slice(0, 500));
+    return;
+  }
+
+  const d = result.data ?? {};
+  if (d.status === "awaiting_confirmation") {
+    finishFill(db, fillId, { status: "awaiting_confirmation", pending_action_id: d.pending_action_id ?? null });
+    await notify(order, [
+      order.kind === "limit"
+        ? `⏳ ${describeOrder(order)} triggered at $${Number(price.toPrecision(6))}.`
+        : `⏳ ${describeOrder(order)}: run ${run}/${order.runs_total} is due.`,
+      "Confirm mode is on -- the swap is waiting for your confirmation above. The order waits until you answer.",
+    ].join("\n"));
+    return;
+  }
+  await completeFill(db, order, { id: fillId, run, price }, d);
+}
+
+/**
+ * Settle fills held by confirm mode once the owner has answered: a
+ * confirmed swap completes the fill, a failed one counts as a failure, and
+ * a cancelled or expired one pauses the order so it does not ask again.
+ * Returns the ids of orders still waiting.
+ */
+async function settleAwaitingFills(db) {
+  const waiting = new Set();
+  for (const fill of awaitingFills(db)) {
+    const outcome = getConfirmationOutcome(fill.pending_action_id);
+    const status = outcome?.status ?? "expired";
+    if (status === "pending") {
+      waiting.add(fill.order_id);
+      continue;
+    }
+    const order = getOrder(db, fill.order_id);
+    if (status === "executed") {
+      await completeFill(db, order, fill, outcome.result?.data ?? {});
+    } else if (status === "failed") {
+      await failFill(db, order, fill.id, String(outcome.result?.error ?? "swap failed").slice(0, 500));
+    } else {
+      finishFill(db, fill.id, { status });
+      const reason = status === "cancelled" ? "was cancelled" : "was not confirmed in time";
+      if (order.status === "active") {
+        updateOrder(db, order.id, { status: "paused", last_error: `The swap ${reason}` });
+        await notify(order, `⏸ ${describeOrder(order)} paused: the swap ${reason}. Resume it with dex_order_pause (resume=true) to re-arm it.`);
+      }
+    }
+  }
+  return waiting;
+}
+
+/** Check one active order and fill it when due. */
+async function processOrder(db, order, prices, now) {
+  if (order.kind === "dca") {
+    if (order.next_run_at <= now) await runFill(db, order, null);
+    return;
+  }
+
+  if (order.expires_at != null && order.expires_at <= now) {
+    updateOrder(db, order.id, { status: "expired" });
+    await notify(order, `⌛ ${describeOrder(order)} expired without triggering.`);
+    return;
+  }
+
+  // One price lookup per venue and token per pass
+  const key = `${order.venue}:${order.price_token}`;
+  if (!prices.has(key)) prices.set(key, priceUsd(order.venue, order.price_token).catch((err) => ({ error: err.message })));
+  const quote = await prices.get(key);
+  if (quote.error) {
+    updateOrder(db, order.id, { last_error: quote.error, last_checked_at: now });
+    return;
+  }
+  updateOrder(db, order.id, { last_price: quote.price, last_checked_at: now });
+  if (triggerMet(order, quote.price)) await runFill(db, order, quote.price);
+}
+
+/** One scheduler pass over every active order. */
+async function runScheduler() {
+  const db = scheduler.db;
+  if (scheduler.running || !db) return;
+  scheduler.running = true;
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const prices = new Map();
+    const waiting = await settleAwaitingFills(db);
+    for (const order of activeOrders(db)) {
+      if (waiting.has(order.id)) continue;
+      try {
+        await processOrder(db, order, prices, now);
+      } catch (err) {
+        _sdk?.log?.warn(`${describeOrder(order)}: ${err.message}`);
+      }
+    }
+    scheduler.lastRun = now;
+    scheduler.lastError = null;
+  } catch (err) {
+    scheduler.lastError = String(err.message || err).slice(0, 500);
+    _sdk?.log?.warn(`Order scheduler: ${scheduler.lastError}`);
+  } finally {
+    scheduler.running = false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Order checks
+// ---------------------------------------------------------------------------
+
+/** Validate the swap part of a new order. */
+function checkSwap(params) {
+  const venue = params.venue ?? "stonfi";
+  if (!VENUES[venue]) throw new Error(`venue must be one of: ${VENUE_NAMES.join(", ")}`);
+  const amount = Number(params.input_amount ?? params.amount_per_run);
+  if (isNaN(amount) || amount <= 0) throw new Error("The swap amount must be a positive number");
+  if (String(params.input_token).trim().toLowerCase() === String(params.output_token).trim().toLowerCase()
+    || (isTon(params.input_token) && isTon(params.output_token))) {
+    throw new Error("input_token and output_token are the same");
+  }
+  const slippage = params.slippage ?? DEFAULT_SLIPPAGE;
+  if (!(slippage >= 0.001 && slippage <= 0.5)) throw new Error("slippage must be between 0.001 and 0.5");
+  if (!getRegisteredTool(VENUES[venue].swapTool)) {
+    throw new Error(`${VENUES[venue].swapTool} is not available -- install the ${VENUES[venue].plugin} plugin`);
+  }
+  return { venue, slippage };
+}
+
+function requireDb(sdk) {
+  if (!sdk.db) throw new Error("Orders need the plugin database, which is not available");
+  return sdk.db;
+}
+
+/** An open order by id, or a thrown error. */
+function openOrder(db, id) {
+  const order = getOrder(db, id);
+  if (!order) throw new Error(`Order #${id} not found`);
+  if (!OPEN_STATUSES.includes(order.status)) throw new Error(`Order #${id} is already ${order.status}`);
+  return order;
+}
+
+// ---------------------------------------------------------------------------
+// Plugin manifest
+// ---------------------------------------------------------------------------
+
+export const manifest = {
+  name: "dex-orders",
+  version: "1.0.0",
+  sdkVersion: ">=1.0.0",
+  description: "Limit orders and DCA plans executed through the StonFi, DeDust and swap.coffee swap tools",
+  defaultConfig: {
+    scheduler_interval_seconds: 60,
+    max_failures: 3,      // failed swaps in a row before an order is stopped
+    alert_chat_ids: [],   // default: the chat the order was placed in
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Database migration
+// ---------------------------------------------------------------------------
+
+export function migrate(db) {
+  migrateOrders(db);
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+export const tools = (sdk) => {
+  _sdk = sdk;
+
+// ---------------------------------------------------------------------------
+// Tool 1: dex_limit_order
+// ---------------------------------------------------------------------------
+
+const dexLimitOrder = {
+  name: "dex_limit_order",
+  description:
+    'Place a limit order: swap input_amount of input_token to output_token on a venue (stonfi, dedust or swapcoffee) as soon as the USD price of price_token (default output_token) is at or below (lte) or at or above (gte) trigger_price_usd. ' +
+    'E.g. "buy NOT with 10 TON when NOT <= $0.005" or "sell 50 TON for USDT when TON >= $8" (price_token "native", condition "gte"). Use "native" for TON. The fill is reported in this chat.',
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      venue: {
+        type: "string",
+        enum: VENUE_NAMES,
+        description: "Venue whose swap tool fills the order (default stonfi)",
+      },
+      input_token: {
+        type: "string",
+        description: 'Token to sell: jetton address or "native" for TON',
+      },
+      output_token: {
+        type: "string",
+        description: 'Token to buy: jetton address or "native" for TON',
+      },
+      input_amount: {
+        type: "string",
+        description: 'Amount to swap in human-readable units (e.g. "10" for 10 TON)',
+      },
+      trigger_price_usd: {
+        type: "number",
+        description: "USD price of price_token that triggers the swap",
+        exclusiveMinimum: 0,
+      },
+      condition: {
+        type: "string",
+        enum: ["lte", "gte"],
+        description: 'Trigger when the price is at or below ("lte", default) or at or above ("gte") the trigger',
+      },
+      price_token: {
+        type: "string",
+        description: 'Token whose USD price is watched (default output_token; "native" for TON)',
+      },
+      slippage: {
+        type: "number",
+        description: "Slippage tolerance for the swap (0.01 = 1%, default 0.01)",
+        minimum: 0.001,
+        maximum: 0.5,
+      },
+      expires_in_hours: {
+        type: "number",
+        description: "Cancel the order if it has not triggered within this many hours (default: never)",
+        exclusiveMinimum: 0,
+      },
+    },
+    required: ["input_token", "output_token", "input_amount", "trigger_price_usd"],
+  },
+
+  execute: async (params, context) => {
+    try {
+      assertAdmin(sdk, context);
+      const db = requireDb(sdk);
+      const { venue, slippage } = checkSwap(params);
+      const trigger = Number(params.trigger_price_usd);
+      if (!(trigger > 0)) throw new Error("trigger_price_usd must be a positive number");
+
+      const priceToken = String(params.price_token ?? params.output_token).trim();
+      const condition = params.condition ?? "lte";
+      const { price, source } = await priceUsd(venue, priceToken);
+      const now = Math.floor(Date.now() / 1000);
+
+      const id = createOrder(db, {
+        kind: "limit",
+        venue,
+        input_token: String(params.input_token).trim(),
+        output_token: String(params.output_token).trim(),
+        input_amount: String(params.input_amount),
+        slippage,
+        price_token: priceToken,
+        price_condition: condition,
+        trigger_price: trigger,
+        expires_at: params.expires_in_hours ? now + Math.round(params.expires_in_hours * 3600) : null,
+        last_price: price,
+        last_checked_at: now,
+        sender_id: context.senderId != null ? String(context.senderId) : null,
+        chat_id: context.chatId != null ? String(context.chatId) : null,
+      });
+      const order = getOrder(db, id);
+      sdk.log.info(`Placed ${describeOrder(order)}`);
+
+      return {
+        success: true,
+        data: {
+          ...formatOrder(order),
+          price_source: source,
+          triggers_now: triggerMet(order, price),
+          message: triggerMet(order, price)
+            ? "The trigger is already met -- the swap goes out on the next scheduler pass."
+            : `Watching the price every ${Math.max(15, Number(sdk.pluginConfig?.scheduler_interval_seconds ?? 60))} seconds. The fill is reported in this chat.`,
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 2: dex_dca
+// ---------------------------------------------------------------------------
+
+const dexDca = {
+  name: "dex_dca",
+  description:
+    'Start a DCA plan: swap amount_per_run of input_token to output_token on a venue (stonfi, dedust or swapcoffee) every interval_hours, for a number of runs. ' +
+    'E.g. "swap 10 TON to USDT every day for 30 days" is amount_per_run "10", interval_hours 24, runs 30. Use "native" for TON. Each run is reported in this chat.',
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      venue: {
+        type: "string",
+        enum: VENUE_NAMES,
+        description: "Venue whose swap tool runs the plan (default stonfi)",
+      },
+      input_token: {
+        type: "string",
+        description: 'Token to sell: jetton address or "native" for TON',
+      },
+      output_token: {
+        type: "string",
+        description: 'Token to buy: jetton address or "native" for TON',
+      },
+      amount_per_run: {
+        type: "string",
+        description: 'Amount to swap per run in human-readable units (e.g. "10" for 10 TON)',
+      },
+      interval_hours: {
+        type: "number",
+        description: `Hours between runs (default 24, minimum ${MIN_DCA_INTERVAL_HOURS})`,
+        minimum: MIN_DCA_INTERVAL_HOURS,
+      },
+      runs: {
+        type: "integer",
+        description: "Number of runs (1-1000)",
+        minimum: 1,
+        maximum: 1000,
+      },
+      start_in_hours: {
+        type: "number",
+        description: "Delay before the first run (default 0: on the next scheduler pass)",
+        minimum: 0,
+      },
+      slippage: {
+        type: "number",
+        description: "Slippage tolerance per swap (0.01 = 1%, default 0.01)",
+        minimum: 0.001,
+        maximum: 0.5,
+      },
+    },
+    required: ["input_token", "output_token", "amount_per_run", "runs"],
+  },
+
+  execute: async (params, context) => {
+    try {
+      assertAdmin(sdk, context);
+      const db = requireDb(sdk);
+      const { venue, slippage } = checkSwap(params);
+      const intervalHours = params.interval_hours ?? 24;
+      if (!(intervalHours >= MIN_DCA_INTERVAL_HOURS)) {
+        throw new Error(`interval_hours must be at least ${MIN_DCA_INTERVAL_HOURS}`);
+      }
+      const runs = Number(params.runs);
+      if (!Number.isInteger(runs) || runs < 1 || runs > 1000) throw new Error("runs must be an integer from 1 to 1000");
+
+      const intervalSeconds = Math.round(intervalHours * 3600);
+      const firstRun = Math.floor(Date.now() / 1000) + Math.round((params.start_in_hours ?? 0) * 3600);
+
+      const id = createOrder(db, {
+        kind: "dca",
+        venue,
+        input_token: String(params.input_token).trim(),
+        output_token: String(params.output_token).trim(),
+        input_amount: String(params.amount_per_run),
+        slippage,
+        interval_seconds: intervalSeconds,
+        runs_total: runs,
+        next_run_at: firstRun,
+        sender_id: context.senderId != null ? String(context.senderId) : null,
+        chat_id: context.chatId != null ? String(context.chatId) : null,
+      });
+      const order = getOrder(db, id);
+      sdk.log.info(`Started ${describeOrder(order)}`);
+
+      return {
+        success: true,
+        data: {
+          ...formatOrder(order),
+          total_input: Number((Number(params.amount_per_run) * runs).toPrecision(12)),
+          last_run_at: isoDate(firstRun + intervalSeconds * (runs - 1)),
+          message: "Each run is reported in this chat. Spend caps and confirm mode of the venue plugin apply to every run.",
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 3: dex_orders
+// ---------------------------------------------------------------------------
+
+const dexOrders = {
+  name: "dex_orders",
+  description:
+    "List limit orders and DCA plans with their status, trigger or schedule, last checked price and latest fills. " +
+    'Default: open orders (active and paused). Also shows whether the scheduler is running.',
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      status: {
+        type: "string",
+        enum: ["open", "all", "active", "paused", "filled", "completed", "cancelled", "expired", "failed"],
+        description: 'Filter by status (default "open": active and paused)',
+      },
+      kind: {
+        type: "string",
+        enum: ["limit", "dca"],
+        description: "Only limit orders or only DCA plans",
+      },
+      limit: {
+        type: "integer",
+        description: "Max orders to return (1-100, default 20)",
+        minimum: 1,
+        maximum: 100,
+      },
+    },
+  },
+
+  execute: async (params) => {
+    try {
+      const db = requireDb(sdk);
+      const status = params.status ?? "open";
+      const orders = listOrders(db, {
+        status: status === "all" ? null : status,
+        kind: params.kind ?? null,
+        limit: Math.min(Math.max(1, params.limit ?? 20), 100),
+      });
+      return {
+        success: true,
+        data: {
+          orders: orders.map(formatOrder),
+          scheduler: {
+            running: scheduler.timer !== null,
+            interval_seconds: Math.max(15, Number(scheduler.config.scheduler_interval_seconds ?? 60)),
+            last_run: isoDate(scheduler.lastRun),
+            last_error: scheduler.lastError,
+          },
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 4: dex_order_cancel
+// ---------------------------------------------------------------------------
+
+const dexOrderCancel = {
+  name: "dex_order_cancel",
+  description:
+    "Cancel an open limit order or DCA plan by id. Swaps already sent are not affected.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      order_id: {
+        type: "integer",
+        description: "Order id from dex_orders",
+      },
+    },
+    required: ["order_id"],
+  },
+
+  execute: async (params, context) => {
+    try {
+      assertAdmin(sdk, context);
+      const db = requireDb(sdk);
+      const order = openOrder(db, params.order_id);
+      updateOrder(db, order.id, { status: "cancelled" });
+      sdk.log.info(`Cancelled ${describeOrder(order)}`);
+      return { success: true, data: formatOrder(getOrder(db, order.id)) };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 5: dex_order_pause
+// ---------------------------------------------------------------------------
+
+const dexOrderPause = {
+  name: "dex_order_pause",
+  description:
+    "Pause an active limit order or DCA plan, or resume a paused one (resume=true). Paused orders are not checked; " +
+    "a resumed DCA plan whose next run has passed runs on the next scheduler pass.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      order_id: {
+        type: "integer",
+        description: "Order id from dex_orders",
+      },
+      resume: {
+        type: "boolean",
+        description: "Resume instead of pause (default false)",
+      },
+    },
+    required: ["order_id"],
+  },
+
+  execute: async (params, context) => {
+    try {
+      assertAdmin(sdk, context);
+      const db = requireDb(sdk);
+      const order = openOrder(db, params.order_id);
+      if (params.resume) {
+        if (order.status !== "paused") throw new Error(`Order #${order.id} is not paused`);
+        const now = Math.floor(Date.now() / 1000);
+        updateOrder(db, order.id, {
+          status: "active",
+          failures: 0,
+          last_error: null,
+          ...(order.kind === "dca" ? { next_run_at: Math.max(order.next_run_at, now) } : {}),
+        });
+      } else {
+        if (order.status !== "active") throw new Error(`Order #${order.id} is not active`);
+        updateOrder(db, order.id, { status: "paused" });
+      }
+      sdk.log.info(`${params.resume ? "Resumed" : "Paused"} ${describeOrder(order)}`);
+      return { success: true, data: formatOrder(getOrder(db, order.id)) };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+return [dexLimitOrder, dexDca, dexOrders, dexOrderCancel, dexOrderPause];
+
+}; // end tools(sdk)
+
+// ---------------------------------------------------------------------------
+// Lifecycle
+// ---------------------------------------------------------------------------
+
+export async function start(ctx) {
+  const config = ctx.pluginConfig ?? {};
+  scheduler.db = ctx.db;
+  scheduler.config = config;
+  scheduler.appConfig = ctx.config ?? null;
+  scheduler.adminIds = [...(ctx.config?.telegram?.admin_ids ?? []), ...(config.admin_ids ?? [])];
+  if (!ctx.db) return;
+
+  // A fill interrupted by a restart may or may not have gone out
+  const interrupted = settleInterruptedFills(ctx.db);
+  if (interrupted.length) _sdk?.log?.warn(`Paused order(s) ${interrupted.join(", ")}: a swap was interrupted by a restart`);
+
+  const intervalMs = Math.max(15, Number(config.scheduler_interval_seconds ?? 60)) * 1000;
+  scheduler.timer = setInterval(runScheduler, intervalMs);
+  scheduler.timer.unref?.();
+  runScheduler();
+}
+
+export async function stop() {
+  if (scheduler.timer) clearInterval(scheduler.timer);
+  scheduler.timer = null;
+}
@@ -0,0 +1,188 @@
+/**
+ * Swap venues -- StonFi, DeDust and swap.coffee behind one interface
+ *
+ * Maps a swap request `{ input_token, output_token, input_amount, slippage }`
+ * onto each venue plugin's quote and swap tools, normalizes their quotes,
+ * and prices a token in USD with the venue's own price tool. The venue tools
+ * come from the process-wide registry that lib/guard.js fills, so swap tools
+ * run in their guarded form.
+ *
+ * Identical copies live in each plugin's lib/ folder -- edit all copies together.
+ */
+
+import { getRegisteredTool } from "./guard.js";
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+// StonFi names native TON by this address; DeDust and swap.coffee use "native".
+export const STONFI_TON_ADDRESS = "EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c";
+const TON_ALIASES = new Set(["native", "ton", STONFI_TON_ADDRESS.toLowerCase()]);
+
+export const TOOL_TIMEOUT_MS = 20_000;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+export function isTon(token) {
+  return TON_ALIASES.has(String(token).trim().toLowerCase());
+}
+
+export function num(value) {
+  const n = Number(value);
+  return value != null && value !== "" && Number.isFinite(n) ? n : null;
+}
+
+export function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/** Run a read-only tool of another plugin and return its data. */
+export async function callTool(name, params, context = {}) {
+  const tool = getRegisteredTool(name);
+  if (!tool) throw new Error(`${name} is not available (plugin not installed)`);
+  const result = await withTimeout(tool.execute(params, context), TOOL_TIMEOUT_MS, name);
+  if (!result?.success) throw new Error(`${name}: ${result?.error ?? "failed"}`);
+  return result.data;
+}
+
+/** Minimum output for venues that apply slippage to the expected output. */
+function minAfterSlippage(output, slippage) {
+  return output != null ? output * (1 - slippage) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Venues
+// ---------------------------------------------------------------------------
+
+/**
+ * Each venue maps a request onto its plugin's quote and swap parameters,
+ * normalizes the quote result and prices a token in USD (null when it has
+ * no price; `tonUsd()` resolves the TON price for venues that quote in TON).
+ *
+ * Normalized quote:
+ *
+ *   output, min_output    -- in output-token units
+ *   price_impact_pct      -- as reported by the venue (null if not reported)
+ *   fee                   -- LP/protocol fee { amount, token, pct } or null
+ *                            when the venue folds it into the output
+ *   gas_ton               -- TON the venue estimates for gas
+ *   route                 -- pool address or DEXes used
+ */
+export const VENUES = {
+  stonfi: {
+    plugin: "stonfi",
+    quoteTool: "stonfi_swap_quote",
+    swapTool: "stonfi_swap",
+    params: (req) => ({
+      offer_address: isTon(req.input_token) ? STONFI_TON_ADDRESS : req.input_token,
+      ask_address: isTon(req.output_token) ? STONFI_TON_ADDRESS : req.output_token,
+      amount: req.input_amount,
+      slippage: req.slippage,
+    }),
+    normalize: (d) => {
+      const output = num(d.ask_amount);
+      const askUnits = num(d.ask_units);
+      const feeUnits = num(d.fee_units);
+      // fee_units are in ask-token units; scale them like ask_units -> ask_amount
+      const fee = output != null && askUnits && feeUnits != null ? feeUnits * (output / askUnits) : null;
+      const impact = num(d.price_impact);
+      const gas = num(d.estimated_gas);
+      return {
+        output,
+        min_output: num(d.min_ask_amount),
+        price_impact_pct: impact != null ? impact * 100 : null,
+        fee: fee != null ? { amount: fee, token: "output", pct: output + fee > 0 ? (fee / (output + fee)) * 100 : null } : null,
+        gas_ton: gas != null ? gas / 1e9 : null,
+        route: d.pool_address ? `pool ${d.pool_address}` : null,
+      };
+    },
+    price: async (token) => {
+      const d = await callTool("stonfi_price", { address: isTon(token) ? STONFI_TON_ADDRESS : token });
+      return num(d.dex_price_usd) ?? num(d.third_party_price_usd);
+    },
+  },
+
+  dedust: {
+    plugin: "dedust",
+    quoteTool: "dedust_swap_estimate",
+    swapTool: "dedust_swap",
+    params: (req) => ({
+      input_token: isTon(req.input_token) ? "native" : req.input_token,
+      output_token: isTon(req.output_token) ? "native" : req.output_token,
+      input_amount: req.input_amount,
+      slippage: req.slippage,
+    }),
+    normalize: (d, req) => {
+      const output = num(d.estimated_output);
+      const fee = num(d.trade_fee);
+      const input = num(req.input_amount);
+      const impact = num(d.price_impact);
+      const gas = num(d.gas_ton) ?? 0.25;
+      return {
+        output,
+        min_output: minAfterSlippage(output, req.slippage),
+        price_impact_pct: impact != null ? impact * 100 : null,
+        // trade_fee is only set for single-pool routes; multi-hop fees are in intermediate tokens
+        fee: fee != null ? { amount: fee, token: "input", pct: input ? (fee / input) * 100 : null } : null,
+        // dedust_swap forwards gas_ton, plus 0.05 TON for the jetton transfer; the unused part is refunded
+        gas_ton: isTon(req.input_token) ? gas : gas + 0.05,
+        route: d.path?.length
+          ? `${d.path.join(" > ")} (${d.hops.length} pool${d.hops.length === 1 ? "" : "s"})`
+          : d.pool_address ? `pool ${d.pool_address}` : null,
+      };
+    },
+    // DeDust tickers price a token in TON; the TON price makes it USD
+    price: async (token, tonUsd) => {
+      const usd = await tonUsd();
+      if (usd == null || isTon(token)) return usd;
+      const tickers = await callTool("dedust_prices", { tokens: [token] });
+      const key = String(token).toLowerCase();
+      for (const t of tickers ?? []) {
+        const last = num(t.last_price);
+        if (!last) continue;
+        if (String(t.base).toLowerCase() === key && t.target === "TON (native)") return last * usd;
+        if (String(t.target).toLowerCase() === key && t.base === "TON (native)") return usd / last;
+      }
+      return null;
+    },
+  },
+
+  swapcoffee: {
+    plugin: "swapcoffee",
+    quoteTool: "swap_quote",
+    swapTool: "swap_execute",
+    params: (req) => ({
+      input_token: isTon(req.input_token) ? "native" : req.input_token,
+      output_token: isTon(req.output_token) ? "native" : req.output_token,
+      input_amount: req.input_amount,
+      slippage: req.slippage,
+    }),
+    normalize: (d, req) => {
+      const output = num(d.output_amount);
+      const impact = num(d.price_impact);
+      return {
+        output,
+        min_output: minAfterSlippage(output, req.slippage),
+        price_impact_pct: impact != null ? impact * 100 : null,
+        fee: null,
+        gas_ton: num(d.recommended_gas),
+        route: d.route_summary?.dexes_used?.length
+          ? `${d.route_summary.num_paths} path(s) via ${d.route_summary.dexes_used.join(", ")}`
+          : null,
+      };
+    },
+    price: async (token) => {
+      const d = await callTool("swap_price", { tokens: [isTon(token) ? "native" : token] });
+      return num(d?.[0]?.usd_price);
+    },
+  },
+};
+
+export const VENUE_NAMES = Object.keys(VENUES);
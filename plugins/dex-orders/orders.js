@@ -0,0 +1,210 @@
+/**
+ * DEX orders -- limit order and DCA plan state
+ *
+ * An order is either a limit order (one swap, sent the first time the
+ * trigger token's USD price crosses the trigger) or a DCA plan (the same
+ * swap every interval until all runs are done). Every swap the scheduler
+ * starts is a fill; a fill is written as `sending` before the venue's swap
+ * tool runs, so a restart in between leaves a visible `unknown` fill. Under
+ * the venue's confirm mode a fill stays `awaiting_confirmation` until the
+ * owner confirms it (`sent` or `failed`), cancels it or lets it expire; its
+ * order is not checked again meanwhile.
+ *
+ * Order lifecycle:
+ *
+ *   active     -- checked by the scheduler
+ *   paused     -- kept, but not checked until resumed
+ *   filled     -- limit order swap sent
+ *   completed  -- DCA plan ran all its runs
+ *   cancelled  -- cancelled by the owner
+ *   expired    -- limit order not triggered before expires_at
+ *   failed     -- too many failed swaps in a row
+ *
+ * Pure functions over the plugin database.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+export const OPEN_STATUSES = ["active", "paused"];
+
+// ---------------------------------------------------------------------------
+// Database
+// ---------------------------------------------------------------------------
+
+/** Create the order and fill tables. Call from migrate(db). */
+export function migrateOrders(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS dex_orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL CHECK (kind IN ('limit', 'dca')),
+      status TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'paused', 'filled', 'completed', 'cancelled', 'expired', 'failed')),
+      venue TEXT NOT NULL,
+      input_token TEXT NOT NULL,
+      output_token TEXT NOT NULL,
+      input_amount TEXT NOT NULL,
+      slippage REAL NOT NULL,
+      price_token TEXT,
+      price_condition TEXT CHECK (price_condition IN ('lte', 'gte')),
+      trigger_price REAL,
+      interval_seconds INTEGER,
+      runs_total INTEGER,
+      runs_done INTEGER NOT NULL DEFAULT 0,
+      next_run_at INTEGER,
+      expires_at INTEGER,
+      failures INTEGER NOT NULL DEFAULT 0,
+      last_price REAL,
+      last_checked_at INTEGER,
+      last_error TEXT,
+      sender_id TEXT,
+      chat_id TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_dex_orders_status ON dex_orders(status);
+
+    CREATE TABLE IF NOT EXISTS dex_order_fills (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id INTEGER NOT NULL REFERENCES dex_orders(id),
+      run INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'sending'
+        CHECK (status IN ('sending', 'sent', 'awaiting_confirmation', 'cancelled', 'expired', 'failed', 'unknown')),
+      price REAL,
+      input_amount TEXT NOT NULL,
+      expected_output TEXT,
+      msg_hash TEXT,
+      pending_action_id TEXT,
+      error TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_dex_order_fills_order ON dex_order_fills(order_id, id);
+  `);
+}
+
+/** Insert an order. Returns its id. */
+export function createOrder(db, order) {
+  return db.prepare(`
+    INSERT INTO dex_orders (kind, venue, input_token, output_token, input_amount, slippage, price_token, price_condition,
+      trigger_price, interval_seconds, runs_total, next_run_at, expires_at, last_price, last_checked_at, sender_id, chat_id)
+    VALUES (@kind, @venue, @input_token, @output_token, @input_amount, @slippage, @price_token, @price_condition,
+      @trigger_price, @interval_seconds, @runs_total, @next_run_at, @expires_at, @last_price, @last_checked_at, @sender_id, @chat_id)
+  `).run({
+    price_token: null,
+    price_condition: null,
+    trigger_price: null,
+    interval_seconds: null,
+    runs_total: null,
+    next_run_at: null,
+    expires_at: null,
+    last_price: null,
+    last_checked_at: null,
+    sender_id: null,
+    chat_id: null,
+    ...order,
+  }).lastInsertRowid;
+}
+
+export function updateOrder(db, id, fields) {
+  const keys = Object.keys(fields);
+  db.prepare(`UPDATE dex_orders SET ${keys.map((k) => `${k} = @${k}`).join(", ")}, updated_at = unixepoch() WHERE id = @id`)
+    .run({ ...fields, id });
+}
+
+export function getOrder(db, id) {
+  return db.prepare("SELECT * FROM dex_orders WHERE id = ?").get(id) ?? null;
+}
+
+export function activeOrders(db) {
+  return db.prepare("SELECT * FROM dex_orders WHERE status = 'active' ORDER BY id").all();
+}
+
+/** Orders newest first, with their latest fills. `status` may be "open". */
+export function listOrders(db, { status, kind, limit = 20, fills = 5 } = {}) {
+  const where = [];
+  const args = [];
+  if (status === "open") {
+    where.push(`status IN (${OPEN_STATUSES.map(() => "?").join(", ")})`);
+    args.push(...OPEN_STATUSES);
+  } else if (status) {
+    where.push("status = ?");
+    args.push(status);
+  }
+  if (kind) {
+    where.push("kind = ?");
+    args.push(kind);
+  }
+  const orders = db.prepare(
+    `SELECT * FROM dex_orders ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY id DESC LIMIT ?`
+  ).all(...args, limit);
+  return orders.map((o) => ({ ...o, fills: orderFills(db, o.id, fills) }));
+}
+
+// ---------------------------------------------------------------------------
+// Fills
+// ---------------------------------------------------------------------------
+
+/** Log a fill before its swap runs. Returns the fill id. */
+export function startFill(db, fill) {
+  return db.prepare(`
+    INSERT INTO dex_order_fills (order_id, run, price, input_amount)
+    VALUES (@order_id, @run, @price, @input_amount)
+  `).run({ price: null, ...fill }).lastInsertRowid;
+}
+
+export function finishFill(db, id, fields) {
+  const keys = Object.keys(fields);
+  db.prepare(`UPDATE dex_order_fills SET ${keys.map((k) => `${k} = @${k}`).join(", ")}, updated_at = unixepoch() WHERE id = @id`)
+    .run({ ...fields, id });
+}
+
+/** Latest fills of an order, newest first. */
+export function orderFills(db, orderId, limit = 5) {
+  return db.prepare(
+    "SELECT run, status, price, input_amount, expected_output, msg_hash, pending_action_id, error, created_at FROM dex_order_fills WHERE order_id = ? ORDER BY id DESC LIMIT ?"
+  ).all(orderId, limit);
+}
+
+/** Fills whose swap waits for the owner's confirmation, oldest first. */
+export function awaitingFills(db) {
+  return db.prepare("SELECT * FROM dex_order_fills WHERE status = 'awaiting_confirmation' ORDER BY id").all();
+}
+
+/**
+ * Settle fills a restart interrupted: they may or may not have been sent,
+ * so they become `unknown` and their orders are paused for the owner to
+ * check. Returns the affected order ids.
+ */
+export function settleInterruptedFills(db) {
+  const ids = db.prepare("SELECT DISTINCT order_id FROM dex_order_fills WHERE status = 'sending'").all().map((r) => r.order_id);
+  if (ids.length === 0) return [];
+  db.transaction(() => {
+    db.prepare("UPDATE dex_order_fills SET status = 'unknown', updated_at = unixepoch() WHERE status = 'sending'").run();
+    const pause = db.prepare("UPDATE dex_orders SET status = 'paused', last_error = ?, updated_at = unixepoch() WHERE id = ? AND status = 'active'");
+    for (const id of ids) pause.run("A swap was interrupted by a restart and may or may not have been sent. Check the wallet, then resume.", id);
+  })();
+  return ids;
+}
+
+// ---------------------------------------------------------------------------
+// Scheduling
+// ---------------------------------------------------------------------------
+
+/** Whether a USD price meets a limit order's trigger. */
+export function triggerMet(order, price) {
+  if (price == null || order.trigger_price == null) return false;
+  return order.price_condition === "gte" ? price >= order.trigger_price : price <= order.trigger_price;
+}
+
+/**
+ * Next DCA run after one at `scheduledAt`: keeps the cadence, but skips
+ * slots that already passed (e.g. while the agent was down) instead of
+ * catching up with a burst of swaps.
+ */
+export function nextRunAt(scheduledAt, intervalSeconds, now = Math.floor(Date.now() / 1000)) {
+  let next = scheduledAt + intervalSeconds;
+  if (next <= now) next += Math.ceil((now - next + 1) / intervalSeconds) * intervalSeconds;
+  return next;
+}
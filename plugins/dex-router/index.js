@@ -0,0 +1,230 @@
+/**
+ * DEX router plugin -- best execution across StonFi, DeDust and swap.coffee
+ *
+ * Asks all three venues for the same swap in parallel, through their own
+ * quote tools (stonfi_swap_quote, dedust_swap_estimate, swap_quote), and
+ * puts output, minimum received, price impact, fees and gas side by side.
+ * The best venue can then be handed the swap through its own swap tool.
+ *
+ * The venue tools are looked up in the process-wide registry that every
+ * plugin using lib/guard.js fills, so swap tools run in their guarded form:
+ * the owning plugin's admin check, spend caps and confirm mode still apply.
+ * Venues whose plugin is not installed are reported as unavailable.
+ */
+
+import { getRegisteredTool } from "./lib/guard.js";
+import { VENUES, VENUE_NAMES, TOOL_TIMEOUT_MS, isTon, withTimeout } from "./lib/venues.js";
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const DEFAULT_SLIPPAGE = 0.01;
+
+// ---------------------------------------------------------------------------
+// Venues
+// ---------------------------------------------------------------------------
+
+/** Quote one venue. Never throws -- failures come back as { error }. */
+async function quoteVenue(name, req, context) {
+  const venue = VENUES[name];
+  const tool = getRegisteredTool(venue.quoteTool);
+  if (!tool) {
+    return { venue: name, available: false, error: `${venue.plugin} plugin is not installed` };
+  }
+  try {
+    const result = await withTimeout(tool.execute(venue.params(req), context), TOOL_TIMEOUT_MS, venue.quoteTool);
+    if (!result?.success) return { venue: name, available: true, error: result?.error ?? "quote failed" };
+    const quote = venue.normalize(result.data, req);
+    if (!(quote.output > 0)) return { venue: name, available: true, error: "no output -- pair not tradable here" };
+    return { venue: name, available: true, ...quote };
+  } catch (err) {
+    return { venue: name, available: true, error: String(err.message || err).slice(0, 500) };
+  }
+}
+
+function round(n, digits = 6) {
+  return n == null ? null : Number(n.toPrecision(digits));
+}
+
+/** Shape one venue row for the comparison table. */
+function formatRow(row, best) {
+  if (row.error) return { venue: row.venue, available: row.available, error: row.error };
+  return {
+    venue: row.venue,
+    output: round(row.output, 10),
+    min_output: round(row.min_output, 10),
+    vs_best_pct: best ? round(((row.output - best.output) / best.output) * 100, 4) : null,
+    price_impact_pct: round(row.price_impact_pct, 4),
+    fee: row.fee ? { amount: round(row.fee.amount, 8), token: row.fee.token, pct: round(row.fee.pct, 4) } : null,
+    gas_ton: round(row.gas_ton, 4),
+    route: row.route,
+    swap_tool: VENUES[row.venue].swapTool,
+  };
+}
+
+/** Shared parameters of both tools: the swap and the venues to compare. */
+const SWAP_PROPERTIES = {
+  input_token: {
+    type: "string",
+    description: 'Token to sell: jetton address or "native" for TON',
+  },
+  output_token: {
+    type: "string",
+    description: 'Token to buy: jetton address or "native" for TON',
+  },
+  input_amount: {
+    type: "string",
+    description: 'Amount to swap in human-readable units (e.g. "10" for 10 TON)',
+  },
+  slippage: {
+    type: "number",
+    description: "Slippage tolerance passed to every venue (0.01 = 1%, default 0.01)",
+    minimum: 0.001,
+    maximum: 0.5,
+  },
+  venues: {
+    type: "array",
+    items: { type: "string", enum: VENUE_NAMES },
+    description: "Venues to compare (default: all)",
+  },
+};
+
+/**
+ * Quote the swap on every requested venue and rank the answers. Throws
+ * on bad input or when no venue can quote it.
+ */
+async function compareRoutes(sdk, params, context) {
+  const inputAmount = Number(params.input_amount);
+  if (isNaN(inputAmount) || inputAmount <= 0) {
+    throw new Error("input_amount must be a positive number");
+  }
+  if (isTon(params.input_token) && isTon(params.output_token)) {
+    throw new Error("input_token and output_token are the same");
+  }
+
+  const req = {
+    input_token: String(params.input_token).trim(),
+    output_token: String(params.output_token).trim(),
+    input_amount: String(params.input_amount),
+    slippage: params.slippage ?? DEFAULT_SLIPPAGE,
+  };
+  const names = params.venues?.length ? [...new Set(params.venues)] : VENUE_NAMES;
+
+  sdk.log.info(`Routing ${req.input_amount} ${req.input_token} -> ${req.output_token} across ${names.join(", ")}`);
+
+  const rows = await Promise.all(names.map((name) => quoteVenue(name, req, context)));
+  const quoted = rows.filter((r) => !r.error).sort((a, b) => b.output - a.output);
+  const best = quoted[0] ?? null;
+  const runnerUp = quoted[1] ?? null;
+  if (!best) {
+    throw new Error(`No venue could quote this swap: ${rows.map((r) => `${r.venue}: ${r.error}`).join("; ")}`);
+  }
+
+  return {
+    req,
+    quoted,
+    data: {
+      input_token: req.input_token,
+      output_token: req.output_token,
+      input_amount: req.input_amount,
+      slippage: req.slippage,
+      comparison: [...quoted, ...rows.filter((r) => r.error)].map((r) => formatRow(r, best)),
+      best_venue: best.venue,
+      advantage_pct: runnerUp ? round(((best.output - runnerUp.output) / runnerUp.output) * 100, 4) : null,
+      handoff: { tool: VENUES[best.venue].swapTool, params: VENUES[best.venue].params(req) },
+      note: "Ranked by expected output, which already has the pool fees taken out. gas_ton is each venue's own figure: " +
+        "StonFi's estimated gas use, the TON DeDust and swap.coffee attach (the unused part is refunded).",
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+export const tools = (sdk) => {
+
+// ---------------------------------------------------------------------------
+// Tool 1: dex_best_route
+// ---------------------------------------------------------------------------
+
+const dexBestRoute = {
+  name: "dex_best_route",
+  description:
+    "Compare the same swap on StonFi, DeDust and swap.coffee in parallel and recommend the venue with the best output. " +
+    "Returns one table with output, minimum received, price impact, fees and gas per venue, plus the exact swap tool call for the winner. " +
+    'Use "native" for TON or a jetton address. Read-only: use dex_route_swap to run the swap.',
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: SWAP_PROPERTIES,
+    required: ["input_token", "output_token", "input_amount"],
+  },
+
+  execute: async (params, context) => {
+    try {
+      const { data } = await compareRoutes(sdk, params, context);
+      return { success: true, data };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 2: dex_route_swap
+// ---------------------------------------------------------------------------
+
+const dexRouteSwap = {
+  name: "dex_route_swap",
+  description:
+    "Swap on the venue with the best output (or a chosen one): compares StonFi, DeDust and swap.coffee like dex_best_route, " +
+    "then runs the swap through that venue's own swap tool, so its admin check, spend caps and confirm mode apply. " +
+    'Use "native" for TON or a jetton address.',
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      ...SWAP_PROPERTIES,
+      venue: {
+        type: "string",
+        enum: VENUE_NAMES,
+        description: "Swap on this venue instead of the best one",
+      },
+    },
+    required: ["input_token", "output_token", "input_amount"],
+  },
+
+  execute: async (params, context) => {
+    try {
+      const { req, quoted, data } = await compareRoutes(sdk, params, context);
+
+      // Hand the swap to the venue's own (guarded) swap tool
+      const target = params.venue ?? data.best_venue;
+      if (!quoted.some((r) => r.venue === target)) {
+        return { success: false, error: `${target} has no quote for this swap, so it was not executed.` };
+      }
+      const venue = VENUES[target];
+      const swapTool = getRegisteredTool(venue.swapTool);
+      if (!swapTool) {
+        return { success: false, error: `${venue.swapTool} is not available (${venue.plugin} plugin not loaded).` };
+      }
+
+      sdk.log.info(`Handing swap to ${venue.swapTool}`);
+      const result = await swapTool.execute(venue.params(req), context);
+      if (!result?.success) {
+        return { success: false, error: `${venue.swapTool}: ${result?.error ?? "swap failed"}`.slice(0, 500) };
+      }
+      return { success: true, data: { ...data, executed: { venue: target, tool: venue.swapTool, result: result.data } } };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+return [dexBestRoute, dexRouteSwap];
+
+}; // end tools(sdk)
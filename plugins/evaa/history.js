@@ -0,0 +1,265 @@
+/**
+ * EVAA position history -- snapshots, interest accrual and the action log
+ *
+ * A snapshot stores, per pool, the health factor and for every asset the
+ * user's principal together with the pool's supply and borrow index rates
+ * (sRate/bRate). EVAA balances are principal x rate, so the interest earned
+ * (or owed) between two snapshots is the principal held over the interval
+ * times the rate increase -- whatever supplies, withdrawals, borrows and
+ * repays happened, on this bot or elsewhere. Principal is then the current
+ * balance minus the accrued interest.
+ *
+ * evaa_actions is the log of every supply/withdraw/borrow/repay the agent
+ * sent, marked confirmed/failed from the tx tracker. Pure functions over the
+ * plugin database.
+ */
+
+import { isFinalStatus } from "./lib/txtracker.js";
+import { downsample } from "./lib/series.js";
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+// sRate/bRate scale (masterConstants.ASSET_SRATE_SCALE / ASSET_BRATE_SCALE)
+const RATE_SCALE = 10n ** 12n;
+
+const TREND_POINTS = 48;
+
+// A late trace can confirm an expired action; after this it is left as expired.
+const RECHECK_WINDOW_SECONDS = 24 * 3600;
+
+// ---------------------------------------------------------------------------
+// Database
+// ---------------------------------------------------------------------------
+
+/** Create the snapshot and action tables. Call from migrate(db). */
+export function migrateHistory(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS evaa_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      address TEXT NOT NULL,
+      pool TEXT NOT NULL,
+      health_factor REAL,
+      supply_usd REAL NOT NULL DEFAULT 0,
+      borrow_usd REAL NOT NULL DEFAULT 0,
+      taken_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_evaa_snapshots_pool ON evaa_snapshots(address, pool, taken_at);
+
+    CREATE TABLE IF NOT EXISTS evaa_snapshot_balances (
+      snapshot_id INTEGER NOT NULL REFERENCES evaa_snapshots(id),
+      asset TEXT NOT NULL,
+      principal TEXT NOT NULL,
+      s_rate TEXT NOT NULL,
+      b_rate TEXT NOT NULL,
+      decimals INTEGER NOT NULL,
+      price_usd REAL,
+      PRIMARY KEY (snapshot_id, asset)
+    );
+
+    CREATE TABLE IF NOT EXISTS evaa_actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      action TEXT NOT NULL,
+      pool TEXT NOT NULL,
+      asset TEXT NOT NULL,
+      amount TEXT NOT NULL,
+      msg_hash TEXT,
+      status TEXT NOT NULL DEFAULT 'sent',
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_evaa_actions_created ON evaa_actions(created_at);
+  `);
+}
+
+/**
+ * Store one pool snapshot. `balances` holds every asset of the pool, zero
+ * principals included, so the next interval always has both rates.
+ */
+export function recordSnapshot(db, snapshot, balances) {
+  return db.transaction(() => {
+    const id = db.prepare(`
+      INSERT INTO evaa_snapshots (address, pool, health_factor, supply_usd, borrow_usd)
+      VALUES (@address, @pool, @health_factor, @supply_usd, @borrow_usd)
+    `).run(snapshot).lastInsertRowid;
+    const insert = db.prepare(`
+      INSERT INTO evaa_snapshot_balances (snapshot_id, asset, principal, s_rate, b_rate, decimals, price_usd)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const b of balances) {
+      insert.run(id, b.asset, String(b.principal), String(b.s_rate), String(b.b_rate), Number(b.decimals), b.price_usd);
+    }
+    return id;
+  })();
+}
+
+/** Whether the latest snapshot of a pool still had a non-zero principal. */
+export function hadOpenBalance(db, address, pool) {
+  return Boolean(db.prepare(`
+    SELECT 1 FROM evaa_snapshot_balances
+    WHERE principal != '0' AND snapshot_id = (
+      SELECT id FROM evaa_snapshots WHERE address = ? AND pool = ? ORDER BY taken_at DESC, id DESC LIMIT 1
+    )
+  `).get(address, pool));
+}
+
+/** Drop snapshots older than `days`. */
+export function pruneSnapshots(db, days) {
+  const cutoff = Math.floor(Date.now() / 1000) - days * 86400;
+  db.prepare("DELETE FROM evaa_snapshot_balances WHERE snapshot_id IN (SELECT id FROM evaa_snapshots WHERE taken_at < ?)").run(cutoff);
+  db.prepare("DELETE FROM evaa_snapshots WHERE taken_at < ?").run(cutoff);
+}
+
+/** Log one action the agent sent. No-op without a database. */
+export function recordAction(db, action) {
+  if (!db) return null;
+  return db.prepare(`
+    INSERT INTO evaa_actions (action, pool, asset, amount, msg_hash) VALUES (@action, @pool, @asset, @amount, @msg_hash)
+  `).run({ msg_hash: null, ...action, amount: String(action.amount) }).lastInsertRowid;
+}
+
+/**
+ * Actions still waiting for their on-chain outcome, expired ones included,
+ * sent within the last RECHECK_WINDOW_SECONDS. Older actions that never
+ * settled are marked expired first and no longer checked.
+ */
+export function unconfirmedActions(db) {
+  const cutoff = Math.floor(Date.now() / 1000) - RECHECK_WINDOW_SECONDS;
+  db.prepare("UPDATE evaa_actions SET status = 'expired' WHERE status = 'sent' AND created_at < ?").run(cutoff);
+  return db.prepare(
+    "SELECT id, msg_hash FROM evaa_actions WHERE status IN ('sent', 'expired') AND msg_hash IS NOT NULL AND created_at >= ?"
+  ).all(cutoff);
+}
+
+/**
+ * Map a tx tracker status onto an action row. Pending is left as it is.
+ * Expired is not final in the tracker -- a late trace can still confirm
+ * it -- so an expired action is shown as such and checked for another day.
+ */
+export function applyTxStatus(db, id, trackerStatus) {
+  if (isFinalStatus(trackerStatus) || trackerStatus === "expired") {
+    db.prepare("UPDATE evaa_actions SET status = ? WHERE id = ?").run(trackerStatus, id);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Reports
+// ---------------------------------------------------------------------------
+
+const human = (units, decimals) => Number(units) / 10 ** decimals;
+
+/** Snapshots of one address in [from, to], oldest first, with balances by asset. */
+function loadSnapshots(db, address, from, to, pool) {
+  const rows = pool
+    ? db.prepare("SELECT * FROM evaa_snapshots WHERE address = ? AND pool = ? AND taken_at BETWEEN ? AND ? ORDER BY taken_at, id").all(address, pool, from, to)
+    : db.prepare("SELECT * FROM evaa_snapshots WHERE address = ? AND taken_at BETWEEN ? AND ? ORDER BY taken_at, id").all(address, from, to);
+  const balances = db.prepare("SELECT * FROM evaa_snapshot_balances WHERE snapshot_id = ?");
+  return rows.map((s) => ({ ...s, balances: new Map(balances.all(s.id).map((b) => [b.asset, b])) }));
+}
+
+/**
+ * Principal vs accrued interest per pool and asset over the snapshots in
+ * range. Interest is positive for both sides: earned on supplies, owed on
+ * borrows, each in asset units and in USD at the price of the interval end.
+ */
+function accrual(snapshots, asset) {
+  const out = { supply: { units: 0n, usd: 0 }, borrow: { units: 0n, usd: 0 } };
+  for (let i = 0; i + 1 < snapshots.length; i++) {
+    const a = snapshots[i].balances.get(asset);
+    const b = snapshots[i + 1].balances.get(asset);
+    if (!a || !b) continue;
+    const principal = BigInt(a.principal);
+    if (principal === 0n) continue;
+    const side = principal > 0n ? "supply" : "borrow";
+    const delta = side === "supply"
+      ? BigInt(b.s_rate) - BigInt(a.s_rate)
+      : BigInt(b.b_rate) - BigInt(a.b_rate);
+    const units = ((principal > 0n ? principal : -principal) * delta) / RATE_SCALE;
+    out[side].units += units;
+    out[side].usd += human(units, b.decimals) * (b.price_usd ?? 0);
+  }
+  return out;
+}
+
+/** Current balance of one snapshot row: principal x rate. */
+function presentValue(b) {
+  const principal = BigInt(b.principal);
+  return principal > 0n
+    ? (principal * BigInt(b.s_rate)) / RATE_SCALE
+    : (principal * BigInt(b.b_rate)) / RATE_SCALE;
+}
+
+/**
+ * History report for one address: per pool/asset principal and accrued
+ * interest, the health-factor trend per pool, and the agent's actions.
+ */
+export function buildHistory(db, { address, from, to, pool = null, asset = null, actionLimit = 50 }) {
+  const snapshots = loadSnapshots(db, address, from, to, pool);
+  const byPool = new Map();
+  for (const s of snapshots) {
+    if (!byPool.has(s.pool)) byPool.set(s.pool, []);
+    byPool.get(s.pool).push(s);
+  }
+
+  const positions = [];
+  const health = [];
+  for (const [poolKey, list] of byPool) {
+    const last = list[list.length - 1];
+    const assets = new Set(list.flatMap((s) => [...s.balances.values()].filter((b) => b.principal !== "0").map((b) => b.asset)));
+    for (const name of assets) {
+      if (asset && name.toUpperCase() !== asset.toUpperCase()) continue;
+      const current = last.balances.get(name);
+      const value = current ? presentValue(current) : 0n;
+      const decimals = current?.decimals ?? 9;
+      const acc = accrual(list, name);
+      for (const side of ["supply", "borrow"]) {
+        const sideValue = side === "supply" ? (value > 0n ? value : 0n) : (value < 0n ? -value : 0n);
+        if (sideValue === 0n && acc[side].units === 0n) continue;
+        const interest = human(acc[side].units, decimals);
+        const amount = human(sideValue, decimals);
+        positions.push({
+          pool: poolKey,
+          asset: name,
+          side,
+          current_amount: amount,
+          principal: amount > 0 ? Number((amount - interest).toPrecision(12)) : null,
+          accrued_interest: Number(interest.toPrecision(8)),
+          accrued_interest_usd: Number(acc[side].usd.toFixed(2)),
+          since: list[0].taken_at,
+        });
+      }
+    }
+
+    const series = list.filter((s) => s.health_factor !== null).map((s) => ({ t: s.taken_at, health_factor: s.health_factor }));
+    if (series.length) {
+      const values = series.map((p) => p.health_factor);
+      health.push({
+        pool: poolKey,
+        first: values[0],
+        last: values[values.length - 1],
+        min: Math.min(...values),
+        max: Math.max(...values),
+        change: Number((values[values.length - 1] - values[0]).toFixed(4)),
+        // the lowest point of each bucket, so a dip between two samples is never skipped
+        points: downsample(series, TREND_POINTS, (kept, p) => (p.health_factor < kept.health_factor ? p : kept)),
+      });
+    }
+  }
+
+  const filters = ["created_at BETWEEN ? AND ?"];
+  const args = [from, to];
+  if (pool) { filters.push("pool = ?"); args.push(pool); }
+  if (asset) { filters.push("UPPER(asset) = ?"); args.push(asset.toUpperCase()); }
+  const actions = db.prepare(
+    `SELECT action, pool, asset, amount, status, msg_hash, created_at FROM evaa_actions WHERE ${filters.join(" AND ")} ORDER BY created_at DESC, id DESC LIMIT ?`
+  ).all(...args, actionLimit);
+
+  return {
+    snapshots: snapshots.length,
+    positions,
+    interest_earned_usd: Number(positions.filter((p) => p.side === "supply").reduce((s, p) => s + p.accrued_interest_usd, 0).toFixed(2)),
+    interest_paid_usd: Number(positions.filter((p) => p.side === "borrow").reduce((s, p) => s + p.accrued_interest_usd, 0).toFixed(2)),
+    health,
+    actions,
+  };
+}
@@ -4,12 +4,32 @@
  * Supply, borrow, withdraw, repay, and liquidate across 4 EVAA pools.
  * Uses @evaafi/sdk for on-chain interactions and oracle prices.
  * Agent wallet at ~/.teleton/wallet.json signs all write transactions.
+ * Background jobs (start/stop hooks): a watchdog for the agent's health
+ * factor, an opt-in liquidation bot and position snapshots (history.js).
  */
 
 import { createRequire } from "node:module";
-import { readFileSync, realpathSync } from "node:fs";
-import { join } from "node:path";
-import { homedir } from "node:os";
+import { realpathSync } from "node:fs";
+import {
+  initSigner,
+  getTonClient,
+  getWalletAndClient,
+  getAgentAddress,
+  createSender,
+  withFailover,
+} from "./lib/signer.js";
+import { guardTools, migrateGuard, assetSpend, isToolDisabled, GuardError, getConfirmationOutcome } from "./lib/guard.js";
+import { refreshMessageStatus, isFinalStatus, waitForConfirmation } from "./lib/txtracker.js";
+import {
+  migrateHistory,
+  recordSnapshot,
+  hadOpenBalance,
+  pruneSnapshots,
+  recordAction,
+  unconfirmedActions,
+  applyTxStatus,
+  buildHistory,
+} from "./history.js";
 
 // ---------------------------------------------------------------------------
 // CJS dependencies
@@ -18,9 +38,7 @@ import { homedir } from "node:os";
 const _require = createRequire(realpathSync(process.argv[1]));       // core: @ton/core, @ton/ton, @ton/crypto
 const _pluginRequire = createRequire(import.meta.url);                // local: plugin-specific deps
 
-const { Address, beginCell, toNano, Cell, SendMode, fromNano } = _require("@ton/core");
-const { WalletContractV5R1, TonClient, internal } = _require("@ton/ton");
-const { mnemonicToPrivateKey } = _require("@ton/crypto");
+const { Address, beginCell, toNano, Cell, fromNano } = _require("@ton/core");
 
 const evaa = _pluginRequire("@evaafi/sdk");
 
@@ -28,9 +46,13 @@ const evaa = _pluginRequire("@evaafi/sdk");
 // Constants
 // ---------------------------------------------------------------------------
 
-const WALLET_FILE = join(homedir(), ".teleton", "wallet.json");
 const MASTER_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
+// Estimated network fees per step of a rebalancing plan (most of the
+// attached TON comes back as excess)
+const STEP_FEE_TON = { withdraw: 0.1, supply: 0.08 };
+const STEP_CONFIRM_TIMEOUT_MS = 120_000;
+
 const POOL_MAP = {
   main: { config: evaa.MAINNET_POOL_CONFIG, MasterClass: evaa.EvaaMasterPyth, label: "Main (Pyth)" },
   lp: { config: evaa.MAINNET_LP_POOL_CONFIG, MasterClass: evaa.EvaaMasterClassic, label: "LP" },
@@ -42,22 +64,11 @@ const POOL_MAP = {
 // Shared helpers
 // ---------------------------------------------------------------------------
 
-/** Cached TonClient + pool master instances */
-let _client = null;
-const _masterCache = new Map(); // poolKey -> { master, syncTime }
+let _sdk = null;
+const guarded = {};  // guarded tools by name, for tools and background jobs that run other tools
 
-async function getTonClient() {
-  if (_client) return _client;
-  let endpoint;
-  try {
-    const { getHttpEndpoint } = _pluginRequire("@orbs-network/ton-access");
-    endpoint = await getHttpEndpoint({ network: "mainnet" });
-  } catch {
-    endpoint = "https://toncenter.com/api/v2/jsonRPC";
-  }
-  _client = new TonClient({ endpoint });
-  return _client;
-}
+/** Cached pool master instances */
+const _masterCache = new Map(); // poolKey -> { master, syncTime }
 
 /** Get or create a synced master contract for a pool. Caches for 5 min. */
 async function getSyncedMaster(poolKey) {
@@ -118,62 +129,223 @@ function parseAmount(amountStr, decimals) {
   return BigInt(intPart + fracPart);
 }
 
-/** Read agent wallet, create TonClient, open wallet contract. */
-async function getWalletAndClient() {
-  let walletData;
+/** Resolve pool key from parameter, default "main". */
+function resolvePool(pool) {
+  return (pool ?? "main").toLowerCase();
+}
+
+/** Write a sent action to the history log. Never throws -- the tx is already out. */
+function logAction(action) {
   try {
-    walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-  } catch {
-    throw new Error("Agent wallet not found at " + WALLET_FILE);
-  }
-  if (!walletData.mnemonic || !Array.isArray(walletData.mnemonic)) {
-    throw new Error("Invalid wallet file: missing mnemonic array");
+    recordAction(_sdk?.db, action);
+  } catch (err) {
+    _sdk?.log?.warn(`History write failed: ${err.message}`);
   }
+}
 
-  const keyPair = await mnemonicToPrivateKey(walletData.mnemonic);
-  const wallet = WalletContractV5R1.create({ workchain: 0, publicKey: keyPair.publicKey });
+// ---------------------------------------------------------------------------
+// Inline manifest
+// ---------------------------------------------------------------------------
 
-  const client = await getTonClient();
-  const contract = client.open(wallet);
+export const manifest = {
+  name: "evaa",
+  version: "1.8.1",
+  sdkVersion: ">=1.0.0",
+  description: "Lending and borrowing on TON -- supply, borrow, withdraw, repay, liquidate across 4 pools",
+  bot: { callbacks: true }, // Confirm/Cancel buttons for confirm mode (lib/guard.js)
+  defaultConfig: {
+    watchdog_enabled: true,
+    watchdog_interval_seconds: 300,
+    watchdog_pools: ["main", "lp", "alts", "stable"],
+    health_alert_levels: [0.3, 0.2, 0.1], // alert when the health factor drops below each
+    alert_chat_ids: [],                   // default: telegram.admin_ids
+    auto_protect: "off",                  // "repay" (deleverage) or "supply" (collateral top-up)
+    auto_protect_trigger: 0.15,
+    health_safe_level: 0.35,
+    auto_protect_max_usd: 50,
+    auto_protect_daily_usd: 0,            // nothing is sent until you set a budget
+    auto_supply_assets: {},               // pool -> asset for top-ups (default: largest collateral)
+    liquidator_enabled: false,
+    liquidator_interval_seconds: 120,
+    liquidator_pools: ["main", "lp", "alts", "stable"],
+    liquidator_min_profit_usd: 1,
+    liquidator_gas_ton: 0.35,             // estimated gas per liquidation
+    liquidator_max_usd: 100,              // loan asset sent per liquidation
+    liquidator_daily_usd: 0,              // loan asset sent per UTC day
+    liquidator_asset_limits: {},          // loan asset -> amount per UTC day, e.g. { USDT: 500 }
+    liquidator_scan_pages: 5,             // master transaction pages (100 each) indexed per pass
+    liquidator_checks_per_pass: 50,
+    history_enabled: true,
+    history_interval_seconds: 3600,
+    history_retention_days: 365,
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Database migration
+// ---------------------------------------------------------------------------
 
-  return { wallet, keyPair, client, contract };
+export function migrate(db) {
+  migrateGuard(db);
+  migrateHistory(db);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS evaa_health (
+      address TEXT NOT NULL,
+      pool TEXT NOT NULL,
+      health_factor REAL NOT NULL,
+      debt_usd REAL NOT NULL,
+      limit_usd REAL NOT NULL,
+      alert_level INTEGER NOT NULL DEFAULT 0,
+      checked_at INTEGER NOT NULL,
+      PRIMARY KEY (address, pool)
+    );
+
+    CREATE TABLE IF NOT EXISTS evaa_auto_protect (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pool TEXT NOT NULL,
+      action TEXT NOT NULL,
+      asset TEXT NOT NULL,
+      amount TEXT NOT NULL,
+      usd REAL NOT NULL DEFAULT 0,
+      health_before REAL,
+      msg_hash TEXT,
+      pending_action_id TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_evaa_auto_protect_created ON evaa_auto_protect(created_at);
+
+    CREATE TABLE IF NOT EXISTS evaa_scan_state (
+      pool TEXT PRIMARY KEY,
+      last_lt TEXT NOT NULL,
+      scanned_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS evaa_borrowers (
+      pool TEXT NOT NULL,
+      address TEXT NOT NULL,
+      owner TEXT,
+      status TEXT NOT NULL DEFAULT 'new',
+      health_factor REAL,
+      debt_usd REAL,
+      errors INTEGER NOT NULL DEFAULT 0,
+      checked_at INTEGER NOT NULL DEFAULT 0,
+      first_seen INTEGER NOT NULL DEFAULT (unixepoch()),
+      PRIMARY KEY (pool, address)
+    );
+    CREATE INDEX IF NOT EXISTS idx_evaa_borrowers_health ON evaa_borrowers(pool, status, health_factor);
+
+    CREATE TABLE IF NOT EXISTS evaa_liquidation_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pool TEXT NOT NULL,
+      borrower TEXT NOT NULL,
+      loan_asset TEXT NOT NULL,
+      collateral_asset TEXT NOT NULL,
+      amount TEXT NOT NULL,
+      loan_usd REAL NOT NULL,
+      min_collateral TEXT,
+      est_profit_usd REAL,
+      status TEXT NOT NULL,
+      msg_hash TEXT,
+      error TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_evaa_liquidation_attempts_created ON evaa_liquidation_attempts(created_at);
+  `);
 }
 
-/** Create a Sender adapter for the SDK. */
-function createSender(contract, keyPair) {
-  return {
-    address: contract.address,
-    async send(args) {
-      const seqno = await contract.getSeqno();
-      await contract.sendTransfer({
-        seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({
-            to: args.to,
-            value: args.value,
-            body: args.body,
-            bounce: args.bounce ?? true,
-          }),
-        ],
-      });
-      return seqno;
-    },
-  };
+// ---------------------------------------------------------------------------
+// Spend estimates for the action guard (supplied, borrowed, repaid or
+// liquidated amount)
+// ---------------------------------------------------------------------------
+
+/**
+ * Loan asset a liquidation would send: the requested amount, capped at the
+ * borrower's liquidation amount. TON counts as TON, other assets at the
+ * oracle price. Null when the position is not liquidatable (execute rejects it).
+ */
+async function liquidationSpend(p) {
+  let borrower;
+  try {
+    borrower = Address.parse(p.borrower_address);
+  } catch {
+    return null;
+  }
+  const { master, poolConfig } = await getSyncedMaster(resolvePool(p.pool));
+  const prices = await getPrices(poolConfig);
+  const user = master.getOpenedUserContract(await getTonClient(), borrower);
+  await user.getSync(master.data.assetsData, master.data.assetsConfig, prices.dict);
+  const liq = user.data?.liquidationData;
+  if (!liq?.liquidable) return null;
+
+  const loan = liq.greatestLoanAsset;
+  const decimals = master.data.assetsConfig.get(loan.assetId).decimals;
+  let units = liq.liquidationAmount;
+  if (p.amount) {
+    const requested = parseAmount(p.amount, decimals);
+    if (requested > 0n && requested < units) units = requested;
+  }
+  if (evaa.isTonAsset(loan)) return { ton: Number(formatBalance(units, decimals)) };
+  const price = prices.dict.get(loan.assetId);
+  return price ? { usd: usdOf(units, price, decimals) } : assetSpend(loan.name, formatBalance(units, decimals));
 }
 
-/** Resolve pool key from parameter, default "main". */
-function resolvePool(pool) {
-  return (pool ?? "main").toLowerCase();
+const amountSpend = (p) => assetSpend(p.asset, p.amount);
+
+/**
+ * Check the moves given to evaa_yield_rebalance and price each one in USD at
+ * the source pool's oracle. A move without a price is rejected, so the
+ * rebalance never runs outside the spend caps.
+ */
+async function priceMoves(moves) {
+  if (!Array.isArray(moves) || moves.length === 0) {
+    throw new Error("moves must list at least one move from the evaa_yield_advisor plan.");
+  }
+  const priced = [];
+  for (const m of moves) {
+    const from = String(m?.from_pool ?? "").toLowerCase();
+    const to = String(m?.to_pool ?? "").toLowerCase();
+    if (!POOL_MAP[from] || !POOL_MAP[to] || from === to) {
+      throw new Error("Each move needs two different pools in from_pool and to_pool (main, lp, alts, stable).");
+    }
+    const amount = String(m.amount ?? "").trim();
+    if (!/^\d+(\.\d+)?$/.test(amount) || Number(amount) <= 0) {
+      throw new Error(`Invalid amount in move: ${m.amount}`);
+    }
+    const { master, poolConfig } = await getSyncedMaster(from);
+    const asset = resolveAsset(poolConfig, String(m.asset ?? ""));
+    const decimals = master.data.assetsConfig.get(asset.assetId).decimals;
+    const price = (await getPrices(poolConfig)).dict.get(asset.assetId);
+    if (!price) {
+      throw new GuardError("PRICE_UNAVAILABLE", `${asset.name} has no oracle price in the ${from} pool, so the spend limits cannot be checked.`);
+    }
+    const usd = usdOf(parseAmount(amount, decimals), price, decimals);
+    priced.push({ asset: asset.name, amount, from_pool: from, to_pool: to, amount_usd: Number(usd.toFixed(2)) });
+  }
+  return priced;
+}
+
+/** USD value a rebalance supplies to its target pools. */
+async function rebalanceSpend(p) {
+  const moves = await priceMoves(p.moves);
+  return { usd: moves.reduce((sum, m) => sum + m.amount_usd, 0) };
 }
 
+const SPEND = {
+  evaa_supply: amountSpend,
+  evaa_borrow: amountSpend,
+  evaa_repay: amountSpend,
+  evaa_liquidate: (p) => liquidationSpend(p),
+  evaa_yield_rebalance: (p) => rebalanceSpend(p),
+};
+
 // ---------------------------------------------------------------------------
 // Export (SDK v1.0.0)
 // ---------------------------------------------------------------------------
 
 export const tools = (sdk) => {
   const { log, ton } = sdk;
+  initSigner(sdk);
 
 // ---------------------------------------------------------------------------
 // Tool 1: evaa_markets
@@ -380,8 +552,7 @@ const evaaUserPosition = {
       if (params.address) {
         userAddr = Address.parse(params.address);
       } else {
-        const walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-        userAddr = Address.parse(walletData.address);
+        userAddr = Address.parse(getAgentAddress());
       }
 
       const { master, poolConfig } = await getSyncedMaster(poolKey);
@@ -494,8 +665,7 @@ const evaaPredict = {
       if (params.address) {
         userAddr = Address.parse(params.address);
       } else {
-        const walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-        userAddr = Address.parse(walletData.address);
+        userAddr = Address.parse(getAgentAddress());
       }
 
       const { master, poolConfig } = await getSyncedMaster(poolKey);
@@ -685,14 +855,14 @@ const evaaSupply = {
       const poolKey = resolvePool(params.pool);
       const { master, poolConfig } = await getSyncedMaster(poolKey);
       const data = master.data;
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
 
       const assetPoolCfg = resolveAsset(poolConfig, params.asset);
       const assetCfg = data.assetsConfig.get(assetPoolCfg.assetId);
       const amount = parseAmount(params.amount, assetCfg.decimals);
       const isTon = evaa.isTonAsset(assetPoolCfg);
 
-      const sender = createSender(contract, keyPair);
+      const sender = createSender(wallet);
       const value = isTon
         ? toNano("0.3") + BigInt(amount)
         : toNano("0.3");
@@ -713,6 +883,7 @@ const evaaSupply = {
       });
 
       log.info(`Supply ${params.amount} ${params.asset} to ${poolKey} pool`);
+      logAction({ action: "supply", pool: poolKey, asset: assetPoolCfg.name, amount: params.amount, msg_hash: sender.lastSent?.msgHash });
       return {
         success: true,
         data: {
@@ -720,6 +891,7 @@ const evaaSupply = {
           asset: params.asset,
           amount: params.amount,
           wallet_address: wallet.address.toString(),
+          msg_hash: sender.lastSent?.msgHash ?? null,
           message: "Supply tx sent. Check position after ~15 seconds with evaa_user_position.",
         },
       };
@@ -764,7 +936,7 @@ const evaaWithdraw = {
       const poolKey = resolvePool(params.pool);
       const { master, poolConfig } = await getSyncedMaster(poolKey);
       const data = master.data;
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
 
       const assetPoolCfg = resolveAsset(poolConfig, params.asset);
       const assetCfg = data.assetsConfig.get(assetPoolCfg.assetId);
@@ -812,7 +984,7 @@ const evaaWithdraw = {
         }
       }
 
-      const sender = createSender(contract, keyPair);
+      const sender = createSender(wallet);
       const openedMaster = client.open(new (POOL_MAP[poolKey].MasterClass)({ poolConfig }));
       await openedMaster.getSync();
 
@@ -830,6 +1002,13 @@ const evaaWithdraw = {
       });
 
       log.info(`Withdraw ${params.amount} ${params.asset} from ${poolKey} pool`);
+      logAction({
+        action: "withdraw",
+        pool: poolKey,
+        asset: assetPoolCfg.name,
+        amount: formatBalance(withdrawAmount, assetCfg.decimals),
+        msg_hash: sender.lastSent?.msgHash,
+      });
       return {
         success: true,
         data: {
@@ -837,6 +1016,7 @@ const evaaWithdraw = {
           asset: params.asset,
           amount: params.amount === "max" ? formatBalance(withdrawAmount, assetCfg.decimals) : params.amount,
           wallet_address: wallet.address.toString(),
+          msg_hash: sender.lastSent?.msgHash ?? null,
           message: "Withdraw tx sent. Check position after ~15 seconds with evaa_user_position.",
         },
       };
@@ -881,7 +1061,7 @@ const evaaBorrow = {
       const poolKey = resolvePool(params.pool);
       const { master, poolConfig } = await getSyncedMaster(poolKey);
       const data = master.data;
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
 
       const borrowAsset = resolveAsset(poolConfig, params.asset);
       const assetCfg = data.assetsConfig.get(borrowAsset.assetId);
@@ -942,7 +1122,7 @@ const evaaBorrow = {
         }
       }
 
-      const sender = createSender(contract, keyPair);
+      const sender = createSender(wallet);
       const openedMaster = client.open(new (POOL_MAP[poolKey].MasterClass)({ poolConfig }));
       await openedMaster.getSync();
 
@@ -965,6 +1145,7 @@ const evaaBorrow = {
       });
 
       log.info(`Borrow ${params.amount} ${params.asset} from ${poolKey} pool`);
+      logAction({ action: "borrow", pool: poolKey, asset: borrowAsset.name, amount: params.amount, msg_hash: sender.lastSent?.msgHash });
       return {
         success: true,
         data: {
@@ -972,6 +1153,7 @@ const evaaBorrow = {
           asset: params.asset,
           amount: params.amount,
           wallet_address: wallet.address.toString(),
+          msg_hash: sender.lastSent?.msgHash ?? null,
           message: "Borrow tx sent. Check position after ~15 seconds with evaa_user_position.",
         },
       };
@@ -1016,7 +1198,7 @@ const evaaRepay = {
       const poolKey = resolvePool(params.pool);
       const { master, poolConfig } = await getSyncedMaster(poolKey);
       const data = master.data;
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
 
       const assetPoolCfg = resolveAsset(poolConfig, params.asset);
       const assetCfg = data.assetsConfig.get(assetPoolCfg.assetId);
@@ -1024,7 +1206,7 @@ const evaaRepay = {
       const isTon = evaa.isTonAsset(assetPoolCfg);
 
       // Repay is done via supply (supplying the borrowed asset reduces debt)
-      const sender = createSender(contract, keyPair);
+      const sender = createSender(wallet);
       const value = isTon
         ? toNano("0.3") + BigInt(amount)
         : toNano("0.3");
@@ -1045,6 +1227,7 @@ const evaaRepay = {
       });
 
       log.info(`Repay ${params.amount} ${params.asset} to ${poolKey} pool`);
+      logAction({ action: "repay", pool: poolKey, asset: assetPoolCfg.name, amount: params.amount, msg_hash: sender.lastSent?.msgHash });
       return {
         success: true,
         data: {
@@ -1052,6 +1235,7 @@ const evaaRepay = {
           asset: params.asset,
           amount: params.amount,
           wallet_address: wallet.address.toString(),
+          msg_hash: sender.lastSent?.msgHash ?? null,
           message: "Repay tx sent. Excess will be returned. Check position after ~15 seconds with evaa_user_position.",
         },
       };
@@ -1079,6 +1263,11 @@ const evaaLiquidate = {
         type: "string",
         description: "Address of the undercollateralized borrower",
       },
+      amount: {
+        type: "string",
+        description: "Loan-asset amount to repay in human units (default: the full liquidation amount). " +
+          "A smaller amount lowers the minimum collateral in proportion.",
+      },
       pool: {
         type: "string",
         enum: ["main", "lp", "alts", "stable"],
@@ -1096,7 +1285,7 @@ const evaaLiquidate = {
       const poolKey = resolvePool(params.pool);
       const { master, poolConfig } = await getSyncedMaster(poolKey);
       const data = master.data;
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
       const borrowerAddr = Address.parse(params.borrower_address);
 
       const prices = await getPrices(poolConfig);
@@ -1135,9 +1324,19 @@ const evaaLiquidate = {
         };
       }
 
-      const sender = createSender(contract, keyPair);
-      const liquidationAmount = liqData.liquidationAmount;
-      const minCollateralAmount = liqData.minCollateralAmount;
+      let liquidationAmount = liqData.liquidationAmount;
+      let minCollateralAmount = liqData.minCollateralAmount;
+      if (params.amount) {
+        const requested = parseAmount(params.amount, loanCfg.decimals);
+        if (requested <= 0n) return { success: false, error: "Amount must be positive." };
+        if (requested < liquidationAmount) {
+          minCollateralAmount = evaa.calculateMinCollateralByTransferredAmount(requested, liquidationAmount, minCollateralAmount);
+          liquidationAmount = requested;
+        }
+      }
+      const colCfg = data.assetsConfig.get(collateralAsset.assetId);
+
+      const sender = createSender(wallet);
 
       const value = isTonLoan
         ? evaa.FEES.LIQUIDATION + BigInt(liquidationAmount)
@@ -1171,7 +1370,9 @@ const evaaLiquidate = {
           loan_asset: loanAsset.name,
           collateral_asset: collateralAsset.name,
           liquidation_amount: formatBalance(liquidationAmount, loanCfg.decimals),
+          min_collateral_amount: formatBalance(minCollateralAmount, colCfg.decimals),
           wallet_address: wallet.address.toString(),
+          msg_hash: sender.lastSent?.msgHash ?? null,
           message: "Liquidation tx sent. Check result after ~15 seconds.",
         },
       };
@@ -1181,7 +1382,373 @@ const evaaLiquidate = {
   },
 };
 
-  return [
+// ---------------------------------------------------------------------------
+// Tool 12: evaa_watchdog
+// ---------------------------------------------------------------------------
+
+const evaaWatchdog = {
+  name: "evaa_watchdog",
+  description:
+    "Health-factor watchdog for the agent wallet: show the last health factors and automatic " +
+    "repays/top-ups, or recompute health across the watched pools now (no alerts, no transactions).",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      action: {
+        type: "string",
+        enum: ["status", "check"],
+        description: "status (default): last results; check: recompute health factors now",
+      },
+    },
+  },
+
+  execute: async (params) => {
+    try {
+      const db = watchdog.db ?? sdk.db;
+      if (!db) return { success: false, error: "Plugin database is not available." };
+      const config = watchdog.config;
+
+      if (params.action === "check") {
+        const userAddr = Address.parse(getAgentAddress());
+        const levels = alertLevels(config);
+        const pools = [];
+        for (const poolKey of configPools(config.watchdog_pools)) {
+          try {
+            const h = await readHealth(poolKey, userAddr);
+            pools.push(h
+              ? { ...publicHealth(h), below_levels: levels.filter((l) => h.health_factor < l) }
+              : { pool: poolKey, status: "no debt" });
+          } catch (err) {
+            pools.push({ pool: poolKey, error: String(err.message || err).slice(0, 500) });
+          }
+        }
+        return { success: true, data: { address: userAddr.toString(), pools } };
+      }
+
+      return {
+        success: true,
+        data: {
+          running: watchdog.timer !== null,
+          interval_seconds: Number(config.watchdog_interval_seconds ?? 300),
+          pools: configPools(config.watchdog_pools),
+          alert_levels: alertLevels(config),
+          auto_protect: config.auto_protect ?? "off",
+          auto_protect_trigger: Number(config.auto_protect_trigger ?? 0.15),
+          safe_level: Number(config.health_safe_level ?? 0.35),
+          last_run: watchdog.lastRun,
+          last_error: watchdog.lastError,
+          positions: db.prepare(
+            "SELECT address, pool, health_factor, debt_usd, limit_usd, checked_at FROM evaa_health ORDER BY health_factor"
+          ).all(),
+          auto_protect_today: db.prepare(
+            "SELECT pool, action, asset, amount, usd, health_before, msg_hash, created_at FROM evaa_auto_protect WHERE created_at >= ? ORDER BY created_at"
+          ).all(utcDayStart()),
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 13: evaa_liquidator
+// ---------------------------------------------------------------------------
+
+const evaaLiquidator = {
+  name: "evaa_liquidator",
+  description:
+    "Liquidation bot: show its status, tracked borrowers and logged liquidation attempts, " +
+    "or run one scan now that lists liquidatable positions with estimated profit (no transactions).",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      action: {
+        type: "string",
+        enum: ["status", "scan"],
+        description: "status (default): bot state and recent attempts; scan: index and check borrowers now",
+      },
+      limit: {
+        type: "integer",
+        description: "Attempts and riskiest borrowers to list (default: 10, max: 50)",
+      },
+    },
+  },
+
+  execute: async (params) => {
+    try {
+      const db = liquidator.db ?? sdk.db;
+      if (!db) return { success: false, error: "Plugin database is not available." };
+      const config = liquidator.config;
+      const limit = Math.min(Math.max(1, params.limit ?? 10), 50);
+
+      if (params.action === "scan") {
+        if (liquidator.running) return { success: false, error: "A liquidator pass is running, try again shortly." };
+        liquidator.running = true;
+        try {
+          return { success: true, data: { pools: await runLiquidator(db, config, false) } };
+        } finally {
+          liquidator.running = false;
+        }
+      }
+
+      const spent = db.prepare(
+        "SELECT COALESCE(SUM(loan_usd), 0) AS usd FROM evaa_liquidation_attempts WHERE status IN ('sending', 'sent', 'confirmed', 'unknown') AND created_at >= ?"
+      ).get(utcDayStart()).usd;
+      return {
+        success: true,
+        data: {
+          enabled: Boolean(config.liquidator_enabled),
+          running: liquidator.timer !== null,
+          interval_seconds: Number(config.liquidator_interval_seconds ?? 120),
+          pools: configPools(config.liquidator_pools),
+          min_profit_usd: Number(config.liquidator_min_profit_usd ?? 1),
+          max_usd_per_liquidation: Number(config.liquidator_max_usd ?? 100),
+          daily_usd: Number(config.liquidator_daily_usd ?? 0),
+          spent_today_usd: Number(spent.toFixed(2)),
+          asset_limits: config.liquidator_asset_limits ?? {},
+          last_run: liquidator.lastRun,
+          last_error: liquidator.lastError,
+          tracked: db.prepare(
+            "SELECT pool, status, COUNT(*) AS count FROM evaa_borrowers GROUP BY pool, status ORDER BY pool, status"
+          ).all(),
+          riskiest: db.prepare(
+            "SELECT pool, owner, health_factor, debt_usd, checked_at FROM evaa_borrowers WHERE status = 'borrower' ORDER BY health_factor LIMIT ?"
+          ).all(limit),
+          attempts: db.prepare(
+            "SELECT * FROM evaa_liquidation_attempts ORDER BY id DESC LIMIT ?"
+          ).all(limit),
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 14: evaa_yield_advisor
+// ---------------------------------------------------------------------------
+
+const evaaYieldAdvisor = {
+  name: "evaa_yield_advisor",
+  description:
+    "Compare supply/borrow APYs for the same asset across the main, lp, alts and stable pools and " +
+    "plan withdraw-from/supply-to moves of the user's supplied assets to the best-yielding pool, with " +
+    "projected yield change and fees. Read-only; pass the plan's moves to evaa_yield_rebalance to run them for the agent wallet.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      asset: {
+        type: "string",
+        description: "Asset to compare (e.g. 'USDT'). Default: every asset present in more than one pool",
+      },
+      address: {
+        type: "string",
+        description: "TON wallet address whose position to plan for (default: agent wallet)",
+      },
+      min_apy_delta: {
+        type: "number",
+        description: "Minimum supply APY gain in percentage points for a move (default: 0.5)",
+      },
+    },
+  },
+
+  execute: async (params) => {
+    try {
+      if (params.address && !ton.validateAddress(params.address)) {
+        return { success: false, error: `Invalid address: ${params.address}` };
+      }
+      const userAddr = Address.parse(params.address ?? getAgentAddress());
+      const tonUsd = (await sdk.ton.getPrice())?.usd ?? null;
+      const { comparison, plan, errors } = await yieldPlan(userAddr, {
+        asset: params.asset,
+        minDelta: params.min_apy_delta,
+        tonUsd,
+      });
+      return {
+        success: true,
+        data: {
+          address: userAddr.toString(),
+          comparison,
+          plan,
+          total_yearly_delta_usd: Number(plan.reduce((sum, s) => sum + (s.projected_yearly_delta_usd ?? 0), 0).toFixed(2)),
+          total_fees_usd: Number(plan.reduce((sum, s) => sum + (s.est_fees_usd ?? 0), 0).toFixed(2)),
+          errors: errors.length ? errors : undefined,
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 15: evaa_yield_rebalance
+// ---------------------------------------------------------------------------
+
+const evaaYieldRebalance = {
+  name: "evaa_yield_rebalance",
+  description:
+    "Run moves from the evaa_yield_advisor plan for the agent wallet, exactly as given: each move withdraws " +
+    "from the source pool, waits for the withdrawal to confirm, then supplies the same amount to the target pool. " +
+    "Stops at the first step that fails or is not confirmed in time.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      moves: {
+        type: "array",
+        description: "Moves to run, copied from the plan returned by evaa_yield_advisor",
+        items: {
+          type: "object",
+          properties: {
+            asset: { type: "string", description: "Asset name (e.g. 'USDT')" },
+            amount: { type: "string", description: "Amount to move in human-readable units" },
+            from_pool: { type: "string", enum: ["main", "lp", "alts", "stable"], description: "Pool to withdraw from" },
+            to_pool: { type: "string", enum: ["main", "lp", "alts", "stable"], description: "Pool to supply to" },
+          },
+          required: ["asset", "amount", "from_pool", "to_pool"],
+        },
+      },
+    },
+    required: ["moves"],
+  },
+
+  execute: async (params, context) => {
+    try {
+      const moves = await priceMoves(params.moves);
+      // The guard checked and confirmed the rebalance as a whole, so the
+      // steps call the tools directly -- but never ones the config turns off.
+      for (const name of ["evaa_withdraw", "evaa_supply"]) {
+        if (isToolDisabled(sdk, name)) {
+          return { success: false, error: `${name} is disabled in this plugin's config, so nothing was moved.` };
+        }
+      }
+
+      const executed = [];
+      for (const move of moves) {
+        const base = { asset: move.asset, amount: move.amount };
+        const withdraw = await evaaWithdraw.execute({ ...base, pool: move.from_pool }, context);
+        const done = { ...move, withdraw };
+        executed.push(done);
+        if (!withdraw.success || !withdraw.data?.msg_hash) {
+          done.stopped = "Withdraw did not go through; remaining moves not run.";
+          break;
+        }
+        const status = (await waitForConfirmation(withdraw.data.msg_hash, STEP_CONFIRM_TIMEOUT_MS))?.status ?? "pending";
+        if (status !== "confirmed") {
+          done.stopped = `Withdraw is ${status}; supply to ${move.to_pool} and remaining moves not run.`;
+          break;
+        }
+        done.supply = await evaaSupply.execute({ ...base, pool: move.to_pool }, context);
+        if (!done.supply.success || !done.supply.data?.msg_hash) {
+          done.stopped = `Supply did not go through; the withdrawn ${move.asset} is in the wallet.`;
+          break;
+        }
+      }
+      // Nothing sent at all: report a failure so the guard releases the spend.
+      if (!executed[0].withdraw.success) {
+        return { success: false, error: `First withdraw failed: ${executed[0].withdraw.error}` };
+      }
+      return { success: true, data: { executed } };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 16: evaa_history
+// ---------------------------------------------------------------------------
+
+const evaaHistory = {
+  name: "evaa_history",
+  description:
+    "Agent wallet's EVAA history: principal vs accrued interest per asset and pool (earned on supplies, " +
+    "paid on loans), health-factor trend per pool, and every supply/withdraw/borrow/repay sent with tx hashes.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      days: {
+        type: "integer",
+        description: "Look-back window in days (default: 30)",
+      },
+      pool: {
+        type: "string",
+        enum: ["main", "lp", "alts", "stable"],
+        description: "Only this pool (default: all)",
+      },
+      asset: {
+        type: "string",
+        description: "Only this asset (e.g. 'USDT')",
+      },
+      refresh: {
+        type: "boolean",
+        description: "Take a fresh snapshot first so figures run up to now (default: true)",
+      },
+    },
+  },
+
+  execute: async (params) => {
+    try {
+      const db = history.db ?? sdk.db;
+      if (!db) return { success: false, error: "Plugin database is not available." };
+      const address = Address.parse(getAgentAddress()).toString();
+      const poolKey = params.pool ? resolvePool(params.pool) : null;
+
+      const errors = [];
+      await refreshActions(db);
+      if (params.refresh !== false) {
+        errors.push(...await takeSnapshots(db, address, poolKey ? [poolKey] : Object.keys(POOL_MAP)));
+      }
+
+      const days = Math.max(1, params.days ?? 30);
+      const to = Math.floor(Date.now() / 1000);
+      const report = buildHistory(db, { address, from: to - days * 86400, to, pool: poolKey, asset: params.asset ?? null });
+      return {
+        success: true,
+        data: {
+          address,
+          days,
+          ...report,
+          note: report.snapshots < 2
+            ? "Interest needs at least two snapshots; they are taken every history_interval_seconds."
+            : undefined,
+          errors: errors.length ? errors : undefined,
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+  // Confirm-mode summary: predicted health factor and APY after the action
+  const predictPreview = (action) => (p) => evaaPredict.execute({ ...p, action });
+  const PREVIEW = {
+    evaa_supply: predictPreview("supply"),
+    evaa_withdraw: predictPreview("withdraw"),
+    evaa_borrow: predictPreview("borrow"),
+    evaa_repay: predictPreview("repay"),
+    evaa_yield_rebalance: async (p) => {
+      const moves = await priceMoves(p.moves);
+      return { moves, total_usd: Number(moves.reduce((sum, m) => sum + m.amount_usd, 0).toFixed(2)) };
+    },
+  };
+
+  _sdk = sdk;
+
+  const guardedTools = guardTools(sdk, [
     evaaMarkets,
     evaaAssets,
     evaaPrices,
@@ -1193,5 +1760,956 @@ const evaaLiquidate = {
     evaaBorrow,
     evaaRepay,
     evaaLiquidate,
-  ];
+    evaaWatchdog,
+    evaaLiquidator,
+    evaaYieldAdvisor,
+    evaaYieldRebalance,
+    evaaHistory,
+  ], SPEND, PREVIEW);
+  for (const tool of guardedTools) guarded[tool.name] = tool;
+  return guardedTools;
 }; // end tools(sdk)
+
+// ---------------------------------------------------------------------------
+// Health-factor watchdog
+// ---------------------------------------------------------------------------
+
+const watchdog = {
+  db: null,
+  config: {},
+  appConfig: {},
+  adminIds: [],
+  timer: null,
+  running: false,
+  lastRun: null,
+  lastError: null,
+};
+
+/** Known pool keys from a config list (default: all four). */
+function configPools(list) {
+  return (list ?? Object.keys(POOL_MAP)).map((p) => String(p).toLowerCase()).filter((p) => POOL_MAP[p]);
+}
+
+/** Health-factor alert levels, highest first. */
+function alertLevels(config) {
+  const list = (config.health_alert_levels ?? [0.3, 0.2, 0.1]).map(Number).filter((n) => n > 0 && n < 1);
+  return list.sort((a, b) => b - a);
+}
+
+/**
+ * Recompute a user's health factor in one pool from the synced master and
+ * fresh collector prices. The SDK defines it as 1 - debt / liquidation
+ * limit: 1 without debt, 0 or below once the position can be liquidated.
+ * Returns null when the user has no debt in the pool.
+ */
+async function readHealth(poolKey, userAddr) {
+  const { master, poolConfig } = await getSyncedMaster(poolKey);
+  const data = master.data;
+  const client = await getTonClient();
+  const prices = await getPrices(poolConfig);
+
+  const userContract = master.getOpenedUserContract(client, userAddr);
+  await userContract.getSync(data.assetsData, data.assetsConfig, prices.dict);
+  const ud = userContract.data;
+  if (!ud || ud.type === "inactive") return null;
+
+  const liq = ud.liquidationData;
+  if (!liq) throw new Error("No oracle price for an asset of the position in the " + poolKey + " pool.");
+  if (liq.totalDebt === 0n) return null;
+
+  const debt = Number(liq.totalDebt) / 1e9;
+  const limit = Number(liq.totalLimit) / 1e9;
+  return {
+    pool: poolKey,
+    health_factor: Number((limit > 0 ? 1 - debt / limit : 0).toFixed(4)),
+    debt_usd: debt,
+    limit_usd: limit,
+    liquidatable: liq.liquidable,
+    loan: liq.greatestLoanAsset,
+    loan_usd: Number(liq.greatestLoanValue) / 1e9,
+    collateral: liq.greatestCollateralAsset,
+    poolConfig,
+    assetsConfig: data.assetsConfig,
+    prices: prices.dict,
+  };
+}
+
+/** The reportable part of a readHealth() result. */
+function publicHealth(h) {
+  return {
+    pool: h.pool,
+    health_factor: h.health_factor,
+    debt_usd: Number(h.debt_usd.toFixed(2)),
+    liquidation_limit_usd: Number(h.limit_usd.toFixed(2)),
+    largest_loan: h.loan?.name ?? null,
+    largest_collateral: h.collateral?.name ?? null,
+    liquidatable: h.liquidatable,
+  };
+}
+
+/** Asset amount (human units, rounded up) worth `usd` at the oracle price. */
+function usdToAmount(h, asset, usd) {
+  const price = h.prices.get(asset.assetId);
+  const decimals = h.assetsConfig.get(asset.assetId).decimals;
+  if (!price) return null;
+  const units = (BigInt(Math.ceil(usd * 1e9)) * 10n ** decimals) / price + 1n;
+  return formatBalance(units, decimals);
+}
+
+/**
+ * Plan the transaction that brings health back to `safe`:
+ *
+ *   repay  -- repay r of the largest loan:   1 - (debt - r) / limit = safe
+ *   supply -- add s of collateral with liquidation threshold lt:
+ *                                            1 - debt / (limit + s * lt) = safe
+ *
+ * Amounts are in USD and capped at `maxUsd`; a capped plan still helps, it
+ * just stops short of the safe level.
+ */
+function protectPlan(h, mode, safe, maxUsd, supplyAsset) {
+  if (mode === "repay") {
+    const needed = h.debt_usd - (1 - safe) * h.limit_usd;
+    const usd = Math.min(needed, maxUsd, h.loan_usd);
+    return { tool: "evaa_repay", asset: h.loan, usd, capped: usd < needed };
+  }
+
+  let asset = h.collateral;
+  if (supplyAsset) {
+    try {
+      asset = resolveAsset(h.poolConfig, supplyAsset);
+    } catch {
+      // not in this pool -- fall back to the largest collateral
+    }
+  }
+  const cfg = h.assetsConfig.get(asset.assetId);
+  if (!cfg) return null;
+  const lt = Number(cfg.liquidationThreshold) / Number(h.poolConfig.masterConstants.ASSET_COEFFICIENT_SCALE);
+  if (!(lt > 0)) return null;
+  const needed = (h.debt_usd / (1 - safe) - h.limit_usd) / lt;
+  const usd = Math.min(needed, maxUsd);
+  return { tool: "evaa_supply", asset, usd, capped: usd < needed };
+}
+
+/** Start of the current UTC day in unix seconds. */
+function utcDayStart() {
+  const now = new Date();
+  return Math.floor(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) / 1000);
+}
+
+/**
+ * Settle the pool's auto-protect actions held by confirm mode. Executed ones
+ * get their msg_hash; declined, expired or failed ones are dropped from the
+ * day's budget. Returns true while one still awaits the owner.
+ */
+function settlePendingProtect(db, pool) {
+  const rows = db.prepare(
+    "SELECT id, pending_action_id FROM evaa_auto_protect WHERE pool = ? AND pending_action_id IS NOT NULL"
+  ).all(pool);
+  let waiting = false;
+  for (const row of rows) {
+    const outcome = getConfirmationOutcome(row.pending_action_id);
+    if (outcome?.status === "pending") {
+      waiting = true;
+    } else if (outcome?.status === "executed") {
+      db.prepare("UPDATE evaa_auto_protect SET msg_hash = ?, pending_action_id = NULL WHERE id = ?")
+        .run(outcome.result?.data?.msg_hash ?? null, row.id);
+    } else {
+      db.prepare("DELETE FROM evaa_auto_protect WHERE id = ?").run(row.id);
+    }
+  }
+  return waiting;
+}
+
+/**
+ * Repay debt or add collateral for the agent wallet, within the per-action
+ * and daily USD caps (a daily cap of 0 sends nothing). The transaction goes
+ * through the guarded tool; while one awaits confirmation for the pool, no
+ * other is posted. Returns `{ sent, note }` for the alert, or null when
+ * nothing applies.
+ */
+async function autoProtect(db, config, h) {
+  const mode = config.auto_protect;
+  const label = mode === "repay" ? "Auto-repay" : "Auto top-up";
+  if (settlePendingProtect(db, h.pool)) {
+    return { sent: false, note: `${label} already awaits your confirmation.` };
+  }
+  const plan = protectPlan(
+    h,
+    mode,
+    Number(config.health_safe_level ?? 0.35),
+    Number(config.auto_protect_max_usd ?? 50),
+    config.auto_supply_assets?.[h.pool],
+  );
+  if (!plan || !(plan.usd > 0)) return null;
+  if ((config.disabled_tools ?? []).includes(plan.tool)) return null;
+
+  const spent = db.prepare(
+    "SELECT COALESCE(SUM(usd), 0) AS usd FROM evaa_auto_protect WHERE created_at >= ?"
+  ).get(utcDayStart()).usd;
+  const budget = Number(config.auto_protect_daily_usd ?? 0);
+  if (spent + plan.usd > budget) {
+    return { sent: false, note: `${label} skipped: daily budget ($${budget}) reached.` };
+  }
+  const amount = usdToAmount(h, plan.asset, plan.usd);
+  if (!amount) return { sent: false, note: `${label} skipped: no oracle price for ${plan.asset.name}.` };
+
+  const id = db.prepare(
+    "INSERT INTO evaa_auto_protect (pool, action, asset, amount, usd, health_before) VALUES (?, ?, ?, ?, ?, ?)"
+  ).run(h.pool, mode, plan.asset.name, amount, plan.usd, h.health_factor).lastInsertRowid;
+
+  const result = await guarded[plan.tool].execute({ asset: plan.asset.name, amount, pool: h.pool }, jobContext(config));
+  if (!result.success) {
+    db.prepare("DELETE FROM evaa_auto_protect WHERE id = ?").run(id);
+    _sdk?.log?.warn(`EVAA watchdog: ${label.toLowerCase()} failed: ${result.error}`);
+    return { sent: false, note: `${label} failed: ${result.error}` };
+  }
+  if (result.data?.status === "awaiting_confirmation") {
+    db.prepare("UPDATE evaa_auto_protect SET pending_action_id = ? WHERE id = ?").run(result.data.pending_action_id, id);
+    return { sent: true, note: `${label} of ${amount} ${plan.asset.name} (~$${plan.usd.toFixed(2)}) awaits your confirmation.` };
+  }
+  db.prepare("UPDATE evaa_auto_protect SET msg_hash = ? WHERE id = ?").run(result.data.msg_hash, id);
+  _sdk?.log?.info(`EVAA watchdog: ${mode} ${amount} ${plan.asset.name} in ${h.pool} pool (${result.data.msg_hash})`);
+  const verb = mode === "repay" ? "repaid" : "supplied";
+  return {
+    sent: true,
+    note: `${label}: ${verb} ${amount} ${plan.asset.name} (~$${plan.usd.toFixed(2)}, msg_hash ${result.data.msg_hash})` +
+      (plan.capped ? " -- capped, health stays below the safe level." : "."),
+  };
+}
+
+/** Send a Telegram alert to every configured chat. */
+async function sendAlert(text) {
+  const chats = watchdog.config.alert_chat_ids?.length ? watchdog.config.alert_chat_ids : watchdog.adminIds;
+  if (!chats.length) {
+    _sdk?.log?.warn("EVAA: no alert_chat_ids or admin_ids configured -- " + text);
+    return;
+  }
+  for (const chatId of chats) {
+    try {
+      await _sdk.telegram.sendMessage(String(chatId), text);
+    } catch (err) {
+      _sdk?.log?.warn(`EVAA: alert to ${chatId} failed: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Context for action tools run by a background job: the first admin, in the
+ * first alert chat. The guard then applies its admin check, spend caps and
+ * confirm mode as it does for the owner's own calls.
+ */
+function jobContext(config) {
+  const chats = config.alert_chat_ids?.length ? config.alert_chat_ids : watchdog.adminIds;
+  return { senderId: watchdog.adminIds[0] ?? null, chatId: chats[0] ?? null, config: watchdog.appConfig };
+}
+
+/** Whether confirm mode holds a tool's calls for the owner's approval. */
+function confirmModeFor(config, toolName) {
+  const confirm = config.confirm_mode;
+  return confirm === true || (Array.isArray(confirm) && confirm.includes(toolName));
+}
+
+/**
+ * Store the latest health factor, protect the position below the trigger,
+ * and alert when a lower level is crossed or a transaction was sent.
+ */
+async function handleHealth(db, config, address, h) {
+  const level = alertLevels(config).filter((l) => h.health_factor < l).length;
+  const prev = db.prepare("SELECT alert_level FROM evaa_health WHERE address = ? AND pool = ?").get(address, h.pool);
+
+  db.prepare(`
+    INSERT INTO evaa_health (address, pool, health_factor, debt_usd, limit_usd, alert_level, checked_at)
+    VALUES (?, ?, ?, ?, ?, ?, unixepoch())
+    ON CONFLICT (address, pool) DO UPDATE SET
+      health_factor = excluded.health_factor, debt_usd = excluded.debt_usd, limit_usd = excluded.limit_usd,
+      alert_level = excluded.alert_level, checked_at = excluded.checked_at
+  `).run(address, h.pool, h.health_factor, h.debt_usd, h.limit_usd, level);
+
+  let action = null;
+  const mode = config.auto_protect;
+  if ((mode === "repay" || mode === "supply") && h.health_factor < Number(config.auto_protect_trigger ?? 0.15)) {
+    action = await autoProtect(db, config, h);
+  }
+  if (!action?.sent && (level === 0 || level <= (prev?.alert_level ?? 0))) return;
+
+  const lines = [
+    `⚠️ EVAA ${POOL_MAP[h.pool].label} pool: health factor ${h.health_factor}` +
+      (h.liquidatable ? " -- position is liquidatable" : ""),
+    `Debt $${h.debt_usd.toFixed(2)} of $${h.limit_usd.toFixed(2)} liquidation limit`,
+    `Largest loan: ${h.loan?.name ?? "?"} · largest collateral: ${h.collateral?.name ?? "?"}`,
+  ];
+  if (action) lines.push(action.note);
+  await sendAlert(lines.join("\n"));
+}
+
+/** One watchdog pass over the agent wallet's pools. */
+async function runWatchdog() {
+  if (watchdog.running) return;
+  watchdog.running = true;
+  try {
+    const { db, config } = watchdog;
+    const userAddr = Address.parse(getAgentAddress());
+    const address = userAddr.toString();
+    for (const poolKey of configPools(config.watchdog_pools)) {
+      try {
+        const h = await readHealth(poolKey, userAddr);
+        if (h) await handleHealth(db, config, address, h);
+        else db.prepare("DELETE FROM evaa_health WHERE address = ? AND pool = ?").run(address, poolKey);
+      } catch (err) {
+        _sdk?.log?.warn(`EVAA watchdog: ${poolKey} pool: ${String(err.message || err).slice(0, 500)}`);
+      }
+    }
+    watchdog.lastRun = Math.floor(Date.now() / 1000);
+    watchdog.lastError = null;
+  } catch (err) {
+    watchdog.lastError = String(err.message || err).slice(0, 500);
+    _sdk?.log?.warn(`EVAA watchdog: ${watchdog.lastError}`);
+  } finally {
+    watchdog.running = false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Liquidation bot
+// ---------------------------------------------------------------------------
+
+const liquidator = {
+  db: null,
+  config: {},
+  timer: null,
+  running: false,
+  lastRun: null,
+  lastError: null,
+};
+
+const TX_PAGE = 100;                  // master transactions per getTransactions call
+const RECHECK_BELOW = 0.05;           // borrowers this close to liquidation are checked every pass
+const ATTEMPT_COOLDOWN_SECONDS = 300; // per borrower, while the last attempt settles
+const SYNC_FAILURES_TO_IGNORE = 2;    // an address that never parses as a user contract
+
+/**
+ * Index new transactions of a pool's master contract and remember every
+ * address it exchanged messages with. User contracts are among them; owner
+ * wallets, jetton wallets and oracles are weeded out by checkUser().
+ * Returns the number of addresses seen.
+ */
+async function discoverUsers(db, poolKey, maxPages) {
+  const masterAddress = POOL_MAP[poolKey].config.masterAddress;
+  const cursor = db.prepare("SELECT last_lt FROM evaa_scan_state WHERE pool = ?").get(poolKey)?.last_lt;
+  const seen = new Set();
+  let newest = null;
+  let page = null;
+
+  for (let i = 0; i < maxPages; i++) {
+    const txs = await withFailover((client) =>
+      client.getTransactions(masterAddress, { limit: TX_PAGE, ...page, archival: true })
+    );
+    let reached = false;
+    for (const tx of txs) {
+      if (cursor && tx.lt <= BigInt(cursor)) {
+        reached = true;
+        break;
+      }
+      newest ??= tx.lt;
+      if (tx.inMessage?.info.type === "internal") seen.add(tx.inMessage.info.src.toString());
+      for (const msg of tx.outMessages.values()) {
+        if (msg.info.type === "internal") seen.add(msg.info.dest.toString());
+      }
+    }
+    if (reached || txs.length < TX_PAGE) break;
+    const last = txs[txs.length - 1];
+    page = { lt: last.lt.toString(), hash: last.hash().toString("base64") };
+  }
+
+  seen.delete(masterAddress.toString());
+  const upsert = db.prepare(`
+    INSERT INTO evaa_borrowers (pool, address) VALUES (?, ?)
+    ON CONFLICT (pool, address) DO UPDATE SET checked_at = 0 WHERE status != 'ignored'
+  `);
+  db.transaction(() => {
+    for (const address of seen) upsert.run(poolKey, address);
+    if (newest !== null) {
+      db.prepare(`
+        INSERT INTO evaa_scan_state (pool, last_lt, scanned_at) VALUES (?, ?, unixepoch())
+        ON CONFLICT (pool) DO UPDATE SET last_lt = excluded.last_lt, scanned_at = excluded.scanned_at
+      `).run(poolKey, newest.toString());
+    }
+  })();
+  return seen.size;
+}
+
+/** Borrowers near liquidation first, then new and least recently checked addresses. */
+function usersToCheck(db, poolKey, limit) {
+  const rows = [
+    ...db.prepare(
+      "SELECT * FROM evaa_borrowers WHERE pool = ? AND status = 'borrower' AND health_factor < ? ORDER BY health_factor LIMIT ?"
+    ).all(poolKey, RECHECK_BELOW, limit),
+    ...db.prepare(
+      "SELECT * FROM evaa_borrowers WHERE pool = ? AND status != 'ignored' ORDER BY checked_at LIMIT ?"
+    ).all(poolKey, limit),
+  ];
+  const unique = new Map(rows.map((r) => [r.address, r]));
+  return [...unique.values()].slice(0, limit);
+}
+
+/**
+ * Sync one address as an EVAA user contract of the pool and store what it
+ * is: a borrower (with its health factor), idle (no debt) or ignored (not a
+ * user contract of this pool). Returns the user data for liquidatable
+ * borrowers, else null.
+ */
+async function checkUser(db, ctx, row) {
+  const address = Address.parse(row.address);
+  const state = await ctx.client.getContractState(address);
+  const update = db.prepare(`
+    UPDATE evaa_borrowers SET owner = ?, status = ?, health_factor = ?, debt_usd = ?, errors = 0, checked_at = unixepoch()
+    WHERE pool = ? AND address = ?
+  `);
+  if (state.state !== "active") {
+    update.run(row.owner, "ignored", null, null, ctx.pool, row.address);
+    return null;
+  }
+
+  let ud;
+  try {
+    const user = ctx.client.open(evaa.EvaaUser.createFromAddress(address, ctx.poolConfig));
+    await user.getSync(ctx.data.assetsData, ctx.data.assetsConfig, ctx.prices.dict);
+    ud = user.data;
+  } catch (err) {
+    // Usually not a user contract; allow a second try in case it was the RPC
+    if (row.errors + 1 < SYNC_FAILURES_TO_IGNORE) {
+      db.prepare("UPDATE evaa_borrowers SET errors = errors + 1, checked_at = unixepoch() WHERE pool = ? AND address = ?")
+        .run(ctx.pool, row.address);
+      throw err;
+    }
+    ud = null;
+  }
+  if (!ud || ud.type !== "active" || !ud.masterAddress?.equals(ctx.poolConfig.masterAddress)) {
+    update.run(row.owner, "ignored", null, null, ctx.pool, row.address);
+    return null;
+  }
+
+  const liq = ud.liquidationData;
+  const owner = ud.ownerAddress.toString();
+  if (!liq || liq.totalDebt === 0n) {
+    update.run(owner, "idle", null, 0, ctx.pool, row.address);
+    return null;
+  }
+  const health = liq.totalLimit > 0n ? 1 - Number(liq.totalDebt) / Number(liq.totalLimit) : 0;
+  update.run(owner, "borrower", Number(health.toFixed(4)), Number(liq.totalDebt) / 1e9, ctx.pool, row.address);
+  return liq.liquidable ? { owner, health, liq } : null;
+}
+
+/** Smallest asset amount worth at least `usd` at the oracle price (raw units). */
+function unitsForUsd(usd, price, decimals) {
+  if (!Number.isFinite(usd)) return 0n;
+  return (BigInt(Math.floor(Math.max(0, usd) * 1e9)) * 10n ** decimals) / price;
+}
+
+/** USD value of a raw asset amount at the oracle price. */
+function usdOf(units, price, decimals) {
+  return (Number(units) / Number(10n ** decimals)) * (Number(price) / 1e9);
+}
+
+/** How much of a loan asset the agent wallet can put into a liquidation (raw units). */
+async function walletHolding(asset) {
+  const tonBalance = BigInt((await _sdk.ton.getBalance())?.balanceNano ?? 0);
+  const reserve = toNano("0.1");
+  if (evaa.isTonAsset(asset)) {
+    const free = tonBalance - evaa.FEES.LIQUIDATION - reserve;
+    return free > 0n ? free : 0n;
+  }
+  if (tonBalance < evaa.FEES.LIQUIDATION_JETTON + reserve) return 0n;
+  const jettonWallet = await _sdk.ton.getJettonWalletAddress(getAgentAddress(), asset.jettonMasterAddress.toString());
+  if (!jettonWallet) return 0n;
+  try {
+    const res = await withFailover((client) => client.runMethod(Address.parse(jettonWallet), "get_wallet_data"));
+    return res.stack.readBigNumber();
+  } catch {
+    return 0n; // wallet not deployed
+  }
+}
+
+/**
+ * Size a liquidation within the capital limits and estimate its profit:
+ * the minimum collateral the master must pay out (the SDK keeps it 3% under
+ * the bonus-adjusted value) minus the loan asset sent and the gas estimate.
+ */
+async function planLiquidation(db, config, ctx, candidate, tonUsd) {
+  const { liq } = candidate;
+  const loan = liq.greatestLoanAsset;
+  const collateral = liq.greatestCollateralAsset;
+  const loanCfg = ctx.data.assetsConfig.get(loan.assetId);
+  const colCfg = ctx.data.assetsConfig.get(collateral.assetId);
+  const loanPrice = ctx.prices.dict.get(loan.assetId);
+  const colPrice = ctx.prices.dict.get(collateral.assetId);
+  const plan = {
+    pool: ctx.pool,
+    borrower: candidate.owner,
+    health_factor: Number(candidate.health.toFixed(4)),
+    loan_asset: loan.name,
+    collateral_asset: collateral.name,
+  };
+  if (!loanPrice || !colPrice) return { ...plan, skip: "no oracle price" };
+
+  const today = utcDayStart();
+  const spentUsd = db.prepare(
+    "SELECT COALESCE(SUM(loan_usd), 0) AS usd FROM evaa_liquidation_attempts WHERE status IN ('sending', 'sent', 'confirmed', 'unknown') AND created_at >= ?"
+  ).get(today).usd;
+  const spentAsset = db.prepare(
+    "SELECT COALESCE(SUM(amount), 0) AS amount FROM evaa_liquidation_attempts WHERE status IN ('sending', 'sent', 'confirmed', 'unknown') AND loan_asset = ? AND created_at >= ?"
+  ).get(loan.name, today).amount;
+  const usdLeft = Math.min(Number(config.liquidator_max_usd ?? 100), Number(config.liquidator_daily_usd ?? 0) - spentUsd);
+  const caps = [liq.liquidationAmount, unitsForUsd(usdLeft, loanPrice, loanCfg.decimals)];
+  const assetLimit = config.liquidator_asset_limits?.[loan.name];
+  if (assetLimit != null) {
+    caps.push(parseAmount(Math.max(0, Number(assetLimit) - spentAsset).toFixed(Number(loanCfg.decimals)), loanCfg.decimals));
+  }
+  caps.push(await walletHolding(loan));
+  const amount = caps.reduce((a, b) => (b < a ? b : a));
+  if (amount <= 0n) {
+    const reason = caps[1] <= 0n ? "daily capital budget reached"
+      : caps.length > 3 && caps[2] <= 0n ? `daily ${loan.name} limit reached`
+      : `no ${loan.name} in the agent wallet`;
+    return { ...plan, skip: reason };
+  }
+
+  const minCollateral = evaa.calculateMinCollateralByTransferredAmount(amount, liq.liquidationAmount, liq.minCollateralAmount);
+  const loanUsd = usdOf(amount, loanPrice, loanCfg.decimals);
+  const profit = usdOf(minCollateral, colPrice, colCfg.decimals) - loanUsd -
+    Number(config.liquidator_gas_ton ?? 0.35) * tonUsd;
+  return {
+    ...plan,
+    amount: formatBalance(amount, loanCfg.decimals),
+    loan_usd: Number(loanUsd.toFixed(2)),
+    min_collateral: formatBalance(minCollateral, colCfg.decimals),
+    est_profit_usd: Number(profit.toFixed(2)),
+    partial: amount < liq.liquidationAmount,
+  };
+}
+
+/**
+ * Send one planned liquidation through the guarded evaa_liquidate and log
+ * the attempt. The guard counts it against the spend caps.
+ */
+async function executeLiquidation(db, plan) {
+  const id = db.prepare(`
+    INSERT INTO evaa_liquidation_attempts (pool, borrower, loan_asset, collateral_asset, amount, loan_usd, min_collateral, est_profit_usd, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'sending')
+  `).run(plan.pool, plan.borrower, plan.loan_asset, plan.collateral_asset, plan.amount, plan.loan_usd,
+    plan.min_collateral, plan.est_profit_usd).lastInsertRowid;
+
+  const result = await guarded.evaa_liquidate.execute(
+    { borrower_address: plan.borrower, pool: plan.pool, amount: plan.amount },
+    jobContext(liquidator.config),
+  );
+  if (!result.success) {
+    db.prepare("UPDATE evaa_liquidation_attempts SET status = 'failed', error = ?, updated_at = unixepoch() WHERE id = ?")
+      .run(result.error, id);
+    _sdk?.log?.warn(`EVAA liquidator: ${plan.borrower} in ${plan.pool} pool failed: ${result.error}`);
+    return { ...plan, status: "failed", error: result.error };
+  }
+  db.prepare("UPDATE evaa_liquidation_attempts SET status = 'sent', msg_hash = ?, updated_at = unixepoch() WHERE id = ?")
+    .run(result.data.msg_hash, id);
+  _sdk?.log?.info(`EVAA liquidator: liquidated ${plan.amount} ${plan.loan_asset} of ${plan.borrower} (${result.data.msg_hash})`);
+  await sendAlert([
+    `🔨 EVAA ${POOL_MAP[plan.pool].label} pool: liquidation sent`,
+    `Borrower: ${plan.borrower} (health ${plan.health_factor})`,
+    `Repaid ${plan.amount} ${plan.loan_asset} for at least ${plan.min_collateral} ${plan.collateral_asset}`,
+    `Estimated profit: $${plan.est_profit_usd} · msg_hash ${result.data.msg_hash}`,
+  ].join("\n"));
+  return { ...plan, status: "sent", msg_hash: result.data.msg_hash };
+}
+
+/**
+ * Move sent attempts to their final status from the tx tracker. An expired
+ * message (never indexed) is settled as 'expired', so it frees the borrower.
+ */
+async function refreshAttempts(db) {
+  const rows = db.prepare("SELECT id, msg_hash FROM evaa_liquidation_attempts WHERE status = 'sent' AND msg_hash IS NOT NULL").all();
+  for (const row of rows) {
+    try {
+      const entry = await refreshMessageStatus(row.msg_hash);
+      if (entry && (isFinalStatus(entry.status) || entry.status === "expired")) {
+        db.prepare("UPDATE evaa_liquidation_attempts SET status = ?, updated_at = unixepoch() WHERE id = ?").run(entry.status, row.id);
+      }
+    } catch {
+      // index hiccup -- try again next pass
+    }
+  }
+}
+
+/**
+ * One liquidator pass: index new borrowers, re-check health factors, and
+ * (when `execute`) liquidate profitable positions, best profit first.
+ * Returns a per-pool summary.
+ */
+async function runLiquidator(db, config, execute = true) {
+  await refreshAttempts(db);
+  const minProfit = Number(config.liquidator_min_profit_usd ?? 1);
+  const tonUsd = (await _sdk.ton.getPrice())?.usd;
+  if (!tonUsd) throw new Error("TON price unavailable -- cannot estimate gas cost.");
+
+  const summary = [];
+  for (const poolKey of configPools(config.liquidator_pools)) {
+    const result = { pool: poolKey, discovered: 0, checked: 0, liquidatable: [] };
+    try {
+      result.discovered = await discoverUsers(db, poolKey, Math.max(1, Number(config.liquidator_scan_pages ?? 5)));
+    } catch (err) {
+      result.discovery_error = String(err.message || err).slice(0, 500);
+    }
+
+    try {
+      const { master, poolConfig } = await getSyncedMaster(poolKey);
+      const ctx = { pool: poolKey, poolConfig, data: master.data, prices: await getPrices(poolConfig), client: await getTonClient() };
+      const candidates = [];
+      for (const row of usersToCheck(db, poolKey, Math.max(1, Number(config.liquidator_checks_per_pass ?? 50)))) {
+        try {
+          const candidate = await checkUser(db, ctx, row);
+          result.checked++;
+          if (candidate) candidates.push(candidate);
+        } catch (err) {
+          _sdk?.log?.debug?.(`EVAA liquidator: ${row.address}: ${err.message}`);
+        }
+      }
+
+      for (const candidate of candidates) {
+        const recent = db.prepare(`
+          SELECT 1 FROM evaa_liquidation_attempts
+          WHERE pool = ? AND borrower = ? AND (status IN ('sending', 'sent') OR created_at >= unixepoch() - ?)
+        `).get(poolKey, candidate.owner, ATTEMPT_COOLDOWN_SECONDS);
+        if (recent) {
+          result.liquidatable.push({ pool: poolKey, borrower: candidate.owner, skip: "recent attempt still settling" });
+          continue;
+        }
+        const plan = await planLiquidation(db, config, ctx, candidate, tonUsd);
+        if (!plan.skip && plan.est_profit_usd < minProfit) plan.skip = `estimated profit below $${minProfit}`;
+        result.liquidatable.push(plan);
+      }
+
+      result.liquidatable.sort((a, b) => (b.est_profit_usd ?? -Infinity) - (a.est_profit_usd ?? -Infinity));
+      // A liquidation cannot wait for a button press -- under confirm mode the bot only scans
+      if (execute && confirmModeFor(config, "evaa_liquidate")) {
+        result.note = "confirm mode covers evaa_liquidate, so the bot does not send liquidations";
+      } else if (execute && !(config.disabled_tools ?? []).includes("evaa_liquidate")) {
+        for (let i = 0; i < result.liquidatable.length; i++) {
+          const plan = result.liquidatable[i];
+          if (plan.skip) continue;
+          // Budgets move with every send, so size each liquidation afresh
+          const fresh = await planLiquidation(db, config, ctx,
+            candidates.find((c) => c.owner === plan.borrower), tonUsd);
+          if (!fresh.skip && fresh.est_profit_usd < minProfit) fresh.skip = `estimated profit below $${minProfit}`;
+          result.liquidatable[i] = fresh.skip ? fresh : await executeLiquidation(db, fresh);
+        }
+      }
+    } catch (err) {
+      result.error = String(err.message || err).slice(0, 500);
+      _sdk?.log?.warn(`EVAA liquidator: ${poolKey} pool: ${result.error}`);
+    }
+    summary.push(result);
+  }
+  return summary;
+}
+
+/** Background pass; skipped while another pass (or an evaa_liquidator scan) runs. */
+async function liquidatorTick() {
+  if (liquidator.running) return;
+  liquidator.running = true;
+  try {
+    await runLiquidator(liquidator.db, liquidator.config, true);
+    liquidator.lastRun = Math.floor(Date.now() / 1000);
+    liquidator.lastError = null;
+  } catch (err) {
+    liquidator.lastError = String(err.message || err).slice(0, 500);
+    _sdk?.log?.warn(`EVAA liquidator: ${liquidator.lastError}`);
+  } finally {
+    liquidator.running = false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Yield advisor
+// ---------------------------------------------------------------------------
+
+/** One pool's rates for every asset, with the user's balances in it. */
+async function poolSnapshot(poolKey, userAddr) {
+  const { master, poolConfig } = await getSyncedMaster(poolKey);
+  const data = master.data;
+  const mc = poolConfig.masterConstants;
+  const prices = await getPrices(poolConfig);
+  const client = await getTonClient();
+  const userContract = master.getOpenedUserContract(client, userAddr);
+  await userContract.getSync(data.assetsData, data.assetsConfig, prices.dict);
+  const ud = userContract.data?.type === "active" ? userContract.data : null;
+
+  const assets = new Map();
+  for (const asset of poolConfig.poolAssetsConfig) {
+    const assetData = data.assetsData.get(asset.assetId);
+    const cfg = data.assetsConfig.get(asset.assetId);
+    const totalSupply = (assetData.sRate * assetData.totalSupply) / mc.FACTOR_SCALE;
+    const totalBorrow = (assetData.bRate * assetData.totalBorrow) / mc.FACTOR_SCALE;
+    const balance = ud?.balances.get(asset.assetId);
+    assets.set(asset.name.toUpperCase(), {
+      pool: poolKey,
+      asset,
+      cfg,
+      assetData,
+      masterConstants: mc,
+      price: prices.dict.get(asset.assetId) ?? null,
+      supply_apy: data.apy.supply.get(asset.assetId),
+      borrow_apy: data.apy.borrow.get(asset.assetId),
+      utilization: totalSupply > 0n ? Number((totalBorrow * 10000n) / totalSupply) / 100 : 0,
+      supply_room: cfg.maxTotalSupply > 0n ? cfg.maxTotalSupply - totalSupply : null,
+      supplied: balance?.type === "supply" ? balance.amount : 0n,
+      borrowed: balance?.type === "borrow" ? balance.amount : 0n,
+      withdraw_limit: ud?.withdrawalLimits?.get(asset.assetId) ?? 0n,
+    });
+  }
+  return assets;
+}
+
+const pct = (apy) => Number((apy * 100).toFixed(2));
+
+/**
+ * Moves of one asset towards the pool with the best supply APY after the
+ * move. Each source pool gives up what it can withdraw without hurting its
+ * health factor, limited by the target's supply cap.
+ */
+function planMoves(entries, minDeltaPct, tonUsd) {
+  const steps = [];
+  const candidates = entries.filter((e) => e.supplied > 0n);
+  for (const source of candidates) {
+    let amount = source.withdraw_limit < source.supplied ? source.withdraw_limit : source.supplied;
+    if (amount <= 0n) continue;
+
+    let best = null;
+    for (const target of entries) {
+      if (target.pool === source.pool) continue;
+      let moved = amount;
+      if (target.supply_room !== null && target.supply_room < moved) moved = target.supply_room;
+      if (moved <= 0n) continue;
+      const after = evaa.predictAPY({
+        assetConfig: target.cfg,
+        assetData: target.assetData,
+        masterConstants: target.masterConstants,
+        amount: moved,
+        balanceChangeType: evaa.BalanceChangeType.Supply,
+      }).supplyApy;
+      if (!best || after > best.after) best = { target, after, moved };
+    }
+    if (!best || (best.after - source.supply_apy) * 100 < minDeltaPct) continue;
+    if (best.target.supply_room !== null) best.target.supply_room -= best.moved;
+
+    const units = Number(best.moved) / 10 ** Number(source.cfg.decimals);
+    const price = source.price ? Number(source.price) / 1e9 : null;
+    const yearlyDelta = units * (best.after - source.supply_apy);
+    const feesUsd = tonUsd ? (STEP_FEE_TON.withdraw + STEP_FEE_TON.supply) * tonUsd : null;
+    const yearlyUsd = price !== null ? yearlyDelta * price : null;
+    steps.push({
+      asset: source.asset.name,
+      amount: formatBalance(best.moved, source.cfg.decimals),
+      amount_usd: price !== null ? Number((units * price).toFixed(2)) : null,
+      from_pool: source.pool,
+      to_pool: best.target.pool,
+      from_supply_apy: pct(source.supply_apy),
+      to_supply_apy_after: pct(best.after),
+      projected_yearly_delta: Number(yearlyDelta.toPrecision(6)),
+      projected_yearly_delta_usd: yearlyUsd !== null ? Number(yearlyUsd.toFixed(2)) : null,
+      est_fees_ton: STEP_FEE_TON.withdraw + STEP_FEE_TON.supply,
+      est_fees_usd: feesUsd !== null ? Number(feesUsd.toFixed(2)) : null,
+      break_even_days: yearlyUsd > 0 && feesUsd !== null ? Number(((feesUsd / yearlyUsd) * 365).toFixed(1)) : null,
+      partial: best.moved < source.supplied,
+    });
+  }
+  return steps;
+}
+
+/**
+ * Compare the asset (or every asset in more than one pool) across the pools
+ * for `userAddr` and plan the moves. Pools that fail to load are listed in
+ * `errors` and left out.
+ */
+async function yieldPlan(userAddr, { asset, minDelta, tonUsd = null }) {
+  const byAsset = new Map();
+  const errors = [];
+  for (const poolKey of Object.keys(POOL_MAP)) {
+    try {
+      for (const [name, entry] of await poolSnapshot(poolKey, userAddr)) {
+        if (!byAsset.has(name)) byAsset.set(name, []);
+        byAsset.get(name).push(entry);
+      }
+    } catch (err) {
+      errors.push({ pool: poolKey, error: String(err.message || err).slice(0, 500) });
+    }
+  }
+
+  const names = asset ? [asset.toUpperCase()] : [...byAsset.keys()].filter((n) => byAsset.get(n).length > 1);
+  if (asset && !byAsset.has(names[0])) throw new Error(`Asset '${asset}' not found in any pool.`);
+
+  const comparison = [];
+  const plan = [];
+  for (const name of names) {
+    const entries = byAsset.get(name);
+    const bestSupply = entries.reduce((a, b) => (b.supply_apy > a.supply_apy ? b : a));
+    const cheapestBorrow = entries.reduce((a, b) => (b.borrow_apy < a.borrow_apy ? b : a));
+    comparison.push({
+      asset: entries[0].asset.name,
+      best_supply_pool: bestSupply.pool,
+      cheapest_borrow_pool: cheapestBorrow.pool,
+      pools: entries.map((e) => ({
+        pool: e.pool,
+        supply_apy: pct(e.supply_apy),
+        borrow_apy: pct(e.borrow_apy),
+        utilization: e.utilization,
+        your_supply: e.supplied > 0n ? formatBalance(e.supplied, e.cfg.decimals) : null,
+        your_borrow: e.borrowed > 0n ? formatBalance(e.borrowed, e.cfg.decimals) : null,
+      })),
+    });
+    plan.push(...planMoves(entries, Number(minDelta ?? 0.5), tonUsd));
+  }
+  return { comparison, plan, errors };
+}
+
+// ---------------------------------------------------------------------------
+// Position history
+// ---------------------------------------------------------------------------
+
+const history = {
+  db: null,
+  config: {},
+  timer: null,
+  running: false,
+  lastRun: null,
+  lastError: null,
+};
+
+/**
+ * Snapshot the address's principals and the pool rates in each pool. Pools
+ * without a position are skipped, except right after one closes, so the
+ * last interval's interest is still counted. Returns per-pool errors.
+ */
+async function takeSnapshots(db, address, pools) {
+  const userAddr = Address.parse(address);
+  const errors = [];
+  for (const poolKey of pools) {
+    try {
+      const { master, poolConfig } = await getSyncedMaster(poolKey);
+      const data = master.data;
+      const client = await getTonClient();
+      const prices = await getPrices(poolConfig);
+      const userContract = master.getOpenedUserContract(client, userAddr);
+      await userContract.getSync(data.assetsData, data.assetsConfig, prices.dict);
+      const ud = userContract.data?.type === "active" ? userContract.data : null;
+      const principals = ud?.realPrincipals ?? ud?.principals;
+
+      const balances = poolConfig.poolAssetsConfig.map((asset) => {
+        const assetData = data.assetsData.get(asset.assetId);
+        const price = prices.dict.get(asset.assetId);
+        return {
+          asset: asset.name,
+          principal: principals?.get(asset.assetId) ?? 0n,
+          s_rate: assetData.sRate,
+          b_rate: assetData.bRate,
+          decimals: data.assetsConfig.get(asset.assetId).decimals,
+          price_usd: price ? Number(price) / 1e9 : null,
+        };
+      });
+      if (!balances.some((b) => b.principal !== 0n) && !hadOpenBalance(db, address, poolKey)) continue;
+
+      recordSnapshot(db, {
+        address,
+        pool: poolKey,
+        health_factor: ud?.liquidationData ? Number(ud.healthFactor.toFixed(4)) : null,
+        supply_usd: ud ? Number(ud.supplyBalance) / 1e9 : 0,
+        borrow_usd: ud ? Number(ud.borrowBalance) / 1e9 : 0,
+      }, balances);
+    } catch (err) {
+      errors.push({ pool: poolKey, error: String(err.message || err).slice(0, 500) });
+    }
+  }
+  return errors;
+}
+
+/** Move logged actions to their final status from the tx tracker. */
+async function refreshActions(db) {
+  for (const row of unconfirmedActions(db)) {
+    try {
+      const entry = await refreshMessageStatus(row.msg_hash);
+      if (entry) applyTxStatus(db, row.id, entry.status);
+    } catch {
+      // index hiccup -- try again next time
+    }
+  }
+}
+
+/** One history pass: snapshot the agent wallet, settle actions, prune. */
+async function runHistory() {
+  if (history.running) return;
+  history.running = true;
+  try {
+    const { db, config } = history;
+    const address = Address.parse(getAgentAddress()).toString();
+    for (const e of await takeSnapshots(db, address, Object.keys(POOL_MAP))) {
+      _sdk?.log?.warn(`EVAA history: ${e.pool} pool: ${e.error}`);
+    }
+    await refreshActions(db);
+    pruneSnapshots(db, Math.max(1, Number(config.history_retention_days ?? 365)));
+    history.lastRun = Math.floor(Date.now() / 1000);
+    history.lastError = null;
+  } catch (err) {
+    history.lastError = String(err.message || err).slice(0, 500);
+    _sdk?.log?.warn(`EVAA history: ${history.lastError}`);
+  } finally {
+    history.running = false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Lifecycle
+// ---------------------------------------------------------------------------
+
+export async function start(ctx) {
+  const config = ctx.pluginConfig ?? {};
+  watchdog.db = ctx.db;
+  watchdog.config = config;
+  watchdog.appConfig = ctx.config ?? {};
+  watchdog.adminIds = [...(ctx.config?.telegram?.admin_ids ?? []), ...(config.admin_ids ?? [])];
+  liquidator.db = ctx.db;
+  liquidator.config = config;
+  history.db = ctx.db;
+  history.config = config;
+  if (!ctx.db) return;
+
+  // A send interrupted by a restart may or may not have gone out
+  ctx.db.prepare("UPDATE evaa_liquidation_attempts SET status = 'unknown', updated_at = unixepoch() WHERE status = 'sending'").run();
+
+  if (config.watchdog_enabled) {
+    const intervalMs = Math.max(60, Number(config.watchdog_interval_seconds ?? 300)) * 1000;
+    watchdog.timer = setInterval(runWatchdog, intervalMs);
+    watchdog.timer.unref?.();
+    runWatchdog();
+  }
+
+  if (config.history_enabled) {
+    const intervalMs = Math.max(300, Number(config.history_interval_seconds ?? 3600)) * 1000;
+    history.timer = setInterval(runHistory, intervalMs);
+    history.timer.unref?.();
+    runHistory();
+  }
+
+  if (config.liquidator_enabled) {
+    const intervalMs = Math.max(60, Number(config.liquidator_interval_seconds ?? 120)) * 1000;
+    liquidator.timer = setInterval(liquidatorTick, intervalMs);
+    liquidator.timer.unref?.();
+    liquidatorTick();
+  }
+}
+
+export async function stop() {
+  if (watchdog.timer) clearInterval(watchdog.timer);
+  if (liquidator.timer) clearInterval(liquidator.timer);
+  if (history.timer) clearInterval(history.timer);
+  watchdog.timer = null;
+  liquidator.timer = null;
+  history.timer = null;
+}
@@ -0,0 +1,23 @@
+/**
+ * Time series -- thin a series of samples down for a trend
+ *
+ * Identical copies live in each plugin's lib/ folder -- edit all copies together.
+ */
+
+/**
+ * Cut `points` (oldest first, each with a unix time `t`) into `max` equal
+ * time buckets and keep one point per bucket: whichever `keep(kept, next)`
+ * returns, by default the latest. A series of up to `max` points is
+ * returned as it is.
+ */
+export function downsample(points, max, keep = (_kept, next) => next) {
+  if (points.length <= max) return points;
+  const start = points[0].t;
+  const span = points[points.length - 1].t - start || 1;
+  const buckets = new Map();
+  for (const p of points) {
+    const i = Math.min(max - 1, Math.floor(((p.t - start) / span) * max));
+    buckets.set(i, buckets.has(i) ? keep(buckets.get(i), p) : p);
+  }
+  return [...buckets.values()];
+}
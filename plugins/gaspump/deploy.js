@@ -2,10 +2,10 @@
  * GasPump v9 contract builder and deployer
  *
  * Builds state init, computes token address, and sends deploy transactions
- * using the agent's TON wallet at ~/.teleton/wallet.json.
+ * using the agent's TON wallet at ~/.teleton/wallet.json (via lib/signer.js).
  *
  * Dependencies (provided by teleton runtime):
- *   @ton/core, @ton/ton, @ton/crypto, @orbs-network/ton-access
+ *   @ton/core, @ton/ton, @ton/crypto
  */
 
 import { createHash } from "crypto";
@@ -13,7 +13,7 @@ import { readFileSync, realpathSync } from "fs";
 import { fileURLToPath } from "url";
 import { createRequire } from "module";
 import { dirname, join } from "path";
-import { homedir } from "os";
+import { getTonClient, getAgentWallet, getAgentAddress, sendTransfer } from "./lib/signer.js";
 
 // ---------------------------------------------------------------------------
 // TON dependencies (CJS packages — use createRequire for ESM compat)
@@ -21,11 +21,9 @@ import { homedir } from "os";
 
 // Resolve @ton/* packages from teleton's own node_modules.
 const require = createRequire(realpathSync(process.argv[1]));
-const _pluginRequire = createRequire(import.meta.url);
 
-const { Cell, Address, beginCell, Dictionary, contractAddress, SendMode } = require("@ton/core");
-const { WalletContractV5R1, TonClient, toNano, internal } = require("@ton/ton");
-const { mnemonicToPrivateKey } = require("@ton/crypto");
+const { Cell, Address, beginCell, Dictionary, contractAddress } = require("@ton/core");
+const { toNano, internal } = require("@ton/ton");
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -44,7 +42,6 @@ const WALLET_CODE_V9 = Cell.fromBoc(
 const ADMIN = Address.parse("EQARmGWyt9u3zZPY8K4vUrqjNzEAHQGAZaI8XFibgUzYcy7B");
 const BONDING_CURVE_BUY_OP = 0x6CD3E4B0;
 const DESC_SUFFIX = " (launched on \u26FD\uFE0F GasPump)";
-const WALLET_FILE = join(homedir(), ".teleton", "wallet.json");
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -82,49 +79,13 @@ function buildContentCell(name, symbol, imageUrl, description, dexType) {
   return beginCell().storeUint(0, 8).storeDict(dict).endCell();
 }
 
-// ---------------------------------------------------------------------------
-// Shared wallet + client setup
-// ---------------------------------------------------------------------------
-
-async function getWalletAndClient() {
-  let walletData;
-  try {
-    walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-  } catch {
-    throw new Error("Agent wallet not found at " + WALLET_FILE);
-  }
-  if (!walletData.mnemonic || !Array.isArray(walletData.mnemonic)) {
-    throw new Error("Invalid wallet file: missing mnemonic");
-  }
-
-  const keyPair = await mnemonicToPrivateKey(walletData.mnemonic);
-  const wallet = WalletContractV5R1.create({
-    workchain: 0,
-    publicKey: keyPair.publicKey,
-  });
-
-  let endpoint;
-  try {
-    const { getHttpEndpoint } = _pluginRequire("@orbs-network/ton-access");
-    endpoint = await getHttpEndpoint({ network: "mainnet" });
-  } catch {
-    endpoint = "https://toncenter.com/api/v2/jsonRPC";
-  }
-
-  const client = new TonClient({ endpoint });
-  const contract = client.open(wallet);
-
-  return { wallet, keyPair, client, contract };
-}
-
 // ---------------------------------------------------------------------------
 // Public API
 // ---------------------------------------------------------------------------
 
 /** Read the agent's wallet address from ~/.teleton/wallet.json */
 export function getAgentWalletAddress() {
-  const data = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-  return data.address;
+  return getAgentAddress();
 }
 
 /**
@@ -177,29 +138,24 @@ export function buildDeployBody(doBuy = true) {
  * @param {{code: Cell, data: Cell}} stateInit  State init cells
  * @param {Cell}   body           Deploy message body (BondingCurveBuy)
  * @param {string} buyTon         TON amount to send (e.g. "5")
- * @returns {Promise<{seqno: number, walletAddress: string}>}
+ * @returns {Promise<{seqno: number, msgHash: string, walletAddress: string}>}
  */
 export async function sendDeploy(tokenAddress, stateInit, body, buyTon) {
-  const { wallet, keyPair, contract } = await getWalletAndClient();
-  const seqno = await contract.getSeqno();
-
-  await contract.sendTransfer({
-    seqno,
-    secretKey: keyPair.secretKey,
-    sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-    messages: [
-      internal({
-        to: tokenAddress,
-        value: toNano(buyTon),
-        init: stateInit,
-        body,
-        bounce: false,
-      }),
-    ],
-  });
+  const { wallet } = await getAgentWallet();
+
+  const { seqno, msgHash } = await sendTransfer([
+    internal({
+      to: tokenAddress,
+      value: toNano(buyTon),
+      init: stateInit,
+      body,
+      bounce: false,
+    }),
+  ]);
 
   return {
     seqno,
+    msgHash,
     walletAddress: wallet.address.toString(),
   };
 }
@@ -209,11 +165,10 @@ export async function sendDeploy(tokenAddress, stateInit, body, buyTon) {
  *
  * @param {string} tokenAddress  Token contract address (friendly or raw)
  * @param {string} buyTon        TON amount to spend (e.g. "2")
- * @returns {Promise<{seqno: number, walletAddress: string}>}
+ * @returns {Promise<{seqno: number, msgHash: string, walletAddress: string}>}
  */
 export async function sendBuy(tokenAddress, buyTon) {
-  const { wallet, keyPair, contract } = await getWalletAndClient();
-  const seqno = await contract.getSeqno();
+  const { wallet } = await getAgentWallet();
 
   const body = beginCell()
     .storeUint(BONDING_CURVE_BUY_OP, 32)
@@ -221,22 +176,18 @@ export async function sendBuy(tokenAddress, buyTon) {
     .storeBit(false)
     .endCell();
 
-  await contract.sendTransfer({
-    seqno,
-    secretKey: keyPair.secretKey,
-    sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-    messages: [
-      internal({
-        to: Address.parse(tokenAddress),
-        value: toNano(buyTon),
-        body,
-        bounce: true,
-      }),
-    ],
-  });
+  const { seqno, msgHash } = await sendTransfer([
+    internal({
+      to: Address.parse(tokenAddress),
+      value: toNano(buyTon),
+      body,
+      bounce: true,
+    }),
+  ]);
 
   return {
     seqno,
+    msgHash,
     walletAddress: wallet.address.toString(),
   };
 }
@@ -249,7 +200,7 @@ export async function sendBuy(tokenAddress, buyTon) {
  * @returns {Promise<Address>}
  */
 export async function getJettonWalletAddress(tokenMasterAddress, ownerAddress) {
-  const { client } = await getWalletAndClient();
+  const client = await getTonClient();
   const result = await client.runMethod(
     Address.parse(tokenMasterAddress),
     "get_wallet_address",
@@ -263,11 +214,10 @@ export async function getJettonWalletAddress(tokenMasterAddress, ownerAddress) {
  *
  * @param {string} tokenAddress   Token master contract address
  * @param {bigint|string} jettonAmount  Amount of jettons to sell (in base units)
- * @returns {Promise<{seqno: number, walletAddress: string, jettonWalletAddress: string}>}
+ * @returns {Promise<{seqno: number, msgHash: string, walletAddress: string, jettonWalletAddress: string}>}
  */
 export async function sendSell(tokenAddress, jettonAmount) {
-  const { wallet, keyPair, contract } = await getWalletAndClient();
-  const seqno = await contract.getSeqno();
+  const { wallet } = await getAgentWallet();
 
   const jettonWallet = await getJettonWalletAddress(tokenAddress, wallet.address.toString());
 
@@ -282,22 +232,18 @@ export async function sendSell(tokenAddress, jettonAmount) {
     .storeBit(false)                               // no forward_payload
     .endCell();
 
-  await contract.sendTransfer({
-    seqno,
-    secretKey: keyPair.secretKey,
-    sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-    messages: [
-      internal({
-        to: jettonWallet,
-        value: toNano("0.3"),
-        body,
-        bounce: true,
-      }),
-    ],
-  });
+  const { seqno, msgHash } = await sendTransfer([
+    internal({
+      to: jettonWallet,
+      value: toNano("0.3"),
+      body,
+      bounce: true,
+    }),
+  ]);
 
   return {
     seqno,
+    msgHash,
     walletAddress: wallet.address.toString(),
     jettonWalletAddress: jettonWallet.toString(),
   };
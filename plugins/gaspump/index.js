@@ -9,6 +9,7 @@
 import { createRequire } from "node:module";
 import { realpathSync } from "node:fs";
 import { buildGaspumpStateInit, buildDeployBody, sendDeploy, getAgentWalletAddress, sendBuy, sendSell, getJettonWalletAddress } from "./deploy.js";
+import { guardTools, migrateGuard, assetSpend } from "./lib/guard.js";
 
 // Resolve "telegram" from teleton's own node_modules (not the plugin directory).
 const _require = createRequire(realpathSync(process.argv[1]));
@@ -182,7 +183,7 @@ const gasLaunchToken = {
       );
 
       const body = buildDeployBody(true);
-      const { seqno, walletAddress } = await sendDeploy(address, stateInit, body, buyTon);
+      const { seqno, msgHash, walletAddress } = await sendDeploy(address, stateInit, body, buyTon);
       steps.push("deploy: ok (seqno " + seqno + ")");
 
       // --- Step 4: Register on Gas111 API (best-effort) ---
@@ -216,6 +217,7 @@ const gasLaunchToken = {
           token_address: address.toString(),
           wallet_address: walletAddress,
           seqno,
+          msg_hash: msgHash,
           buy_ton: buyTon,
           image_url: imageUrl,
           api_registered: apiRegistered,
@@ -434,12 +436,13 @@ const gasBuy = {
 
   execute: async (params) => {
     try {
-      const { seqno, walletAddress } = await sendBuy(params.token_address, params.buy_ton || "1");
+      const { seqno, msgHash, walletAddress } = await sendBuy(params.token_address, params.buy_ton || "1");
       return {
         success: true,
         data: {
           token_address: params.token_address,
           seqno,
+          msg_hash: msgHash,
           walletAddress,
           buy_ton: params.buy_ton || "1",
           message: "Buy transaction sent. Check balance after ~15 seconds.",
@@ -472,12 +475,13 @@ const gasSell = {
 
   execute: async (params) => {
     try {
-      const { seqno, walletAddress, jettonWalletAddress } = await sendSell(params.token_address, BigInt(params.sell_amount));
+      const { seqno, msgHash, walletAddress, jettonWalletAddress } = await sendSell(params.token_address, BigInt(params.sell_amount));
       return {
         success: true,
         data: {
           token_address: params.token_address,
           seqno,
+          msg_hash: msgHash,
           walletAddress,
           jettonWalletAddress,
           sell_amount: params.sell_amount,
@@ -636,11 +640,41 @@ const gasKing = {
   },
 };
 
+// ---------------------------------------------------------------------------
+// Inline manifest
+// ---------------------------------------------------------------------------
+
+export const manifest = {
+  name: "gaspump",
+  version: "2.4.1",
+  sdkVersion: ">=1.0.0",
+  description: "Launch, trade, and manage meme tokens on Gas111/TON",
+  bot: { callbacks: true }, // Confirm/Cancel buttons for confirm mode (lib/guard.js)
+};
+
+// ---------------------------------------------------------------------------
+// Database migration
+// ---------------------------------------------------------------------------
+
+export function migrate(db) {
+  migrateGuard(db);
+}
+
+// ---------------------------------------------------------------------------
+// Spend estimates for the action guard (TON sent to the bonding curve)
+// ---------------------------------------------------------------------------
+
+const SPEND = {
+  gas_launch_token: (p) => assetSpend("TON", p.buy_ton || "5"),
+  gas_buy: (p) => assetSpend("TON", p.buy_ton || "1"),
+  gas_sell: () => ({ ton: 0.3 }),
+};
+
 // ---------------------------------------------------------------------------
 // Export
 // ---------------------------------------------------------------------------
 
-export const tools = [
+export const tools = (sdk) => guardTools(sdk, [
   gasLaunchToken,
   gasTokenInfo,
   gasTokenSearch,
@@ -654,4 +688,4 @@ export const tools = [
   gasTopTraders,
   gasPriceChart,
   gasKing,
-];
+], SPEND);
@@ -2,15 +2,13 @@
  * GiftIndex trading workflow guardrails
  *
  * Centralized validation functions called by every trade tool
- * before executing on-chain transactions.
+ * before executing on-chain transactions. These run on top of the shared
+ * action guard (lib/guard.js), which every action tool already goes through.
  */
 
-export class GuardError extends Error {
-  constructor(code, message) {
-    super(message);
-    this.code = code;
-  }
-}
+import { GuardError } from './lib/guard.js';
+
+export { GuardError };
 
 /**
  * Rule 1: Owner-only access.
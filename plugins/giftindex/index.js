@@ -41,6 +41,36 @@ import {
   GuardError,
 } from './guards.js';
 
+import { guardTools, migrateGuard } from './lib/guard.js';
+
+// ---------------------------------------------------------------------------
+// Inline manifest
+// ---------------------------------------------------------------------------
+
+export const manifest = {
+  name: 'giftindex',
+  version: '2.4.1',
+  sdkVersion: '>=1.0.0',
+  description: 'GiftIndex ODROB trading with workflow guardrails - monitor, analyze and trade the Telegram Gifts index on TON. Owner-only, corridor-enforced, post-trade verified.',
+  bot: { callbacks: true }, // Confirm/Cancel buttons for confirm mode (lib/guard.js)
+};
+
+// ---------------------------------------------------------------------------
+// Database migration
+// ---------------------------------------------------------------------------
+
+export function migrate(db) {
+  migrateGuard(db);
+}
+
+// ---------------------------------------------------------------------------
+// Spend estimates for the action guard (USDT committed to buys)
+// ---------------------------------------------------------------------------
+
+const SPEND = {
+  giftindex_place_bid: (p) => ({ usd: parseFloat(p.amount) }),
+};
+
 // ---------------------------------------------------------------------------
 // Export (SDK v1.0.0)
 // ---------------------------------------------------------------------------
@@ -292,6 +322,7 @@ const giftindexPlaceBid = {
             usdt: ask.usdtHuman.toFixed(2),
             tokens: (Number(ask.amount) / 1e9).toFixed(4),
             seqno: result.seqno,
+            msg_hash: result.msgHash,
             confirmed: verification.confirmed,
             elapsed_ms: verification.elapsed,
           });
@@ -395,6 +426,7 @@ const giftindexPlaceAsk = {
           corridor: { low: corridor.low.toFixed(4), high: corridor.high.toFixed(4) },
           fee_note: 'Displayed price includes 10% platform fee.',
           seqno: result.seqno,
+          msg_hash: result.msgHash,
           wallet_address: result.walletAddress,
           jetton_wallet: result.jettonWalletAddress,
           confirmed: verification.confirmed,
@@ -450,6 +482,7 @@ const giftindexCancel = {
           order_book: params.order_book.toUpperCase(),
           query_id: params.query_id,
           seqno: result.seqno,
+          msg_hash: result.msgHash,
           wallet_address: result.walletAddress,
           message: 'Cancel order sent. Tokens should return after ~15 seconds.',
         },
@@ -524,12 +557,12 @@ const giftindexPortfolio = {
   },
 };
 
-  return [
+  return guardTools(sdk, [
     giftindexMarket,
     giftindexFairValue,
     giftindexPlaceBid,
     giftindexPlaceAsk,
     giftindexCancel,
     giftindexPortfolio,
-  ];
+  ], SPEND);
 }; // end tools(sdk)
@@ -12,24 +12,21 @@
  * Price scaling: 10^4 (price=10000 means $1.0000 USDT).
  *
  * Dependencies (provided by teleton runtime):
- *   @ton/core, @ton/ton, @ton/crypto, @orbs-network/ton-access
+ *   @ton/core, @ton/ton, @ton/crypto
  */
 
-import { readFileSync, realpathSync } from "fs";
+import { realpathSync } from "fs";
 import { createRequire } from "module";
-import { homedir } from "os";
-import { join } from "path";
+import { initSigner, getAgentWallet, getWalletAndClient, withFailover, sendTransfer } from "./lib/signer.js";
 
 // ---------------------------------------------------------------------------
 // TON dependencies (CJS packages -- use createRequire for ESM compat)
 // ---------------------------------------------------------------------------
 
 const require = createRequire(realpathSync(process.argv[1]));
-const _pluginRequire = createRequire(import.meta.url);
 
-const { beginCell, Address, SendMode } = require("@ton/core");
-const { WalletContractV5R1, TonClient, toNano, internal } = require("@ton/ton");
-const { mnemonicToPrivateKey } = require("@ton/crypto");
+const { beginCell, Address } = require("@ton/core");
+const { toNano, internal } = require("@ton/ton");
 
 // ---------------------------------------------------------------------------
 // SDK logger
@@ -37,9 +34,10 @@ const { mnemonicToPrivateKey } = require("@ton/crypto");
 
 let _log = { info() {}, warn() {}, error() {} };
 
-/** Initialize trade module with SDK logger. */
+/** Initialize trade module with SDK logger (and the shared signer). */
 export function initTrade(sdk) {
   _log = sdk.log;
+  initSigner(sdk);
 }
 
 // ---------------------------------------------------------------------------
@@ -79,43 +77,10 @@ const BID_OP = 0x00845746;
 /** Cancel order op */
 const CANCEL_OP = 0x3567;
 
-const WALLET_FILE = join(homedir(), ".teleton", "wallet.json");
-
 // ---------------------------------------------------------------------------
-// Wallet + client setup (same pattern as gaspump/deploy.js)
+// Jetton wallet lookup
 // ---------------------------------------------------------------------------
 
-async function getWalletAndClient() {
-  let walletData;
-  try {
-    walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-  } catch {
-    throw new Error("Agent wallet not found at " + WALLET_FILE);
-  }
-  if (!walletData.mnemonic || !Array.isArray(walletData.mnemonic)) {
-    throw new Error("Invalid wallet file: missing mnemonic");
-  }
-
-  const keyPair = await mnemonicToPrivateKey(walletData.mnemonic);
-  const wallet = WalletContractV5R1.create({
-    workchain: 0,
-    publicKey: keyPair.publicKey,
-  });
-
-  let endpoint;
-  try {
-    const { getHttpEndpoint } = _pluginRequire("@orbs-network/ton-access");
-    endpoint = await getHttpEndpoint({ network: "mainnet" });
-  } catch {
-    endpoint = "https://toncenter.com/api/v2/jsonRPC";
-  }
-
-  const client = new TonClient({ endpoint });
-  const contract = client.open(wallet);
-
-  return { wallet, keyPair, client, contract };
-}
-
 /**
  * Resolve the jetton wallet address for a given owner on a jetton master.
  *
@@ -218,10 +183,10 @@ export function buildCancelBody(queryId, priority, orderType, traderAddress) {
  * @param {string} orderBook       Order book contract address
  * @param {bigint|string} amount   Token amount in base units (9 decimals)
  * @param {number} price           Ask price scaled by 10^4
- * @returns {Promise<{seqno: number, walletAddress: string, jettonWalletAddress: string}>}
+ * @returns {Promise<{seqno: number, msgHash: string, walletAddress: string, jettonWalletAddress: string}>}
  */
 export async function placeAskOrder(orderBook, amount, price) {
-  const { wallet, keyPair, client, contract } = await getWalletAndClient();
+  const { wallet, client } = await getWalletAndClient();
   const ownerAddress = wallet.address.toString();
 
   // Resolve the user's index token jetton wallet (GHOLD or FLOOR depending on OB)
@@ -236,24 +201,19 @@ export async function placeAskOrder(orderBook, amount, price) {
     forwardPayload,
   );
 
-  const seqno = await contract.getSeqno();
+  const { seqno, msgHash } = await sendTransfer([
+    internal({
+      to: jettonWallet,
+      value: toNano("0.15"),
+      body,
+      bounce: true,
+    }),
+  ]);
   _log.info(`ASK order: seqno=${seqno}, ob=${orderBook}, price=${price}`);
-  await contract.sendTransfer({
-    seqno,
-    secretKey: keyPair.secretKey,
-    sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-    messages: [
-      internal({
-        to: jettonWallet,
-        value: toNano("0.15"),
-        body,
-        bounce: true,
-      }),
-    ],
-  });
 
   return {
     seqno,
+    msgHash,
     walletAddress: ownerAddress,
     jettonWalletAddress: jettonWallet.toString(),
   };
@@ -269,10 +229,10 @@ export async function placeAskOrder(orderBook, amount, price) {
  * @param {string} orderBook       Order book contract address
  * @param {bigint|string} amount   USDT amount in base units (6 decimals)
  * @param {number} price           Bid price scaled by 10^4
- * @returns {Promise<{seqno: number, walletAddress: string, jettonWalletAddress: string}>}
+ * @returns {Promise<{seqno: number, msgHash: string, walletAddress: string, jettonWalletAddress: string}>}
  */
 export async function placeBidOrder(orderBook, amount, price) {
-  const { wallet, keyPair, client, contract } = await getWalletAndClient();
+  const { wallet, client } = await getWalletAndClient();
   const ownerAddress = wallet.address.toString();
 
   // Resolve the user's USDT jetton wallet
@@ -286,24 +246,19 @@ export async function placeBidOrder(orderBook, amount, price) {
     forwardPayload,
   );
 
-  const seqno = await contract.getSeqno();
+  const { seqno, msgHash } = await sendTransfer([
+    internal({
+      to: usdtJettonWallet,
+      value: toNano("0.15"),
+      body,
+      bounce: true,
+    }),
+  ]);
   _log.info(`BID order: seqno=${seqno}, ob=${orderBook}, price=${price}`);
-  await contract.sendTransfer({
-    seqno,
-    secretKey: keyPair.secretKey,
-    sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-    messages: [
-      internal({
-        to: usdtJettonWallet,
-        value: toNano("0.15"),
-        body,
-        bounce: true,
-      }),
-    ],
-  });
 
   return {
     seqno,
+    msgHash,
     walletAddress: ownerAddress,
     jettonWalletAddress: usdtJettonWallet.toString(),
   };
@@ -319,32 +274,27 @@ export async function placeBidOrder(orderBook, amount, price) {
  * @param {bigint} queryId      Timestamp / query ID of the order to cancel
  * @param {number} priority     Priority of the order (uint16)
  * @param {number} orderType    1 = cancel bid (sell orders), 2 = cancel ask (buy orders)
- * @returns {Promise<{seqno: number, walletAddress: string}>}
+ * @returns {Promise<{seqno: number, msgHash: string, walletAddress: string}>}
  */
 export async function cancelOrder(orderBook, queryId, priority, orderType) {
-  const { wallet, keyPair, contract } = await getWalletAndClient();
+  const { wallet } = await getAgentWallet();
   const ownerAddress = wallet.address.toString();
 
   const body = buildCancelBody(BigInt(queryId), priority, orderType, ownerAddress);
 
-  const seqno = await contract.getSeqno();
+  const { seqno, msgHash } = await sendTransfer([
+    internal({
+      to: Address.parse(orderBook),
+      value: toNano("0.1"),
+      body,
+      bounce: true,
+    }),
+  ]);
   _log.info(`CANCEL order: seqno=${seqno}, ob=${orderBook}, type=${orderType}`);
-  await contract.sendTransfer({
-    seqno,
-    secretKey: keyPair.secretKey,
-    sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-    messages: [
-      internal({
-        to: Address.parse(orderBook),
-        value: toNano("0.1"),
-        body,
-        bounce: true,
-      }),
-    ],
-  });
 
   return {
     seqno,
+    msgHash,
     walletAddress: ownerAddress,
   };
 }
@@ -363,13 +313,13 @@ export async function cancelOrder(orderBook, queryId, priority, orderType) {
  * @returns {{ confirmed: boolean, newSeqno?: number, elapsed: number }}
  */
 export async function verifySeqnoAdvanced(expectedSeqno, maxWaitMs = 25000, intervalMs = 3000) {
-  const { contract } = await getWalletAndClient();
+  const { wallet } = await getAgentWallet();
   const start = Date.now();
 
   while (Date.now() - start < maxWaitMs) {
     await new Promise((r) => setTimeout(r, intervalMs));
     try {
-      const current = await contract.getSeqno();
+      const current = await withFailover((client) => client.open(wallet).getSeqno());
       if (current > expectedSeqno) {
         return { confirmed: true, newSeqno: current, elapsed: Date.now() - start };
       }
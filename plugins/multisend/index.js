@@ -2,14 +2,20 @@
  * Multisend plugin -- batch TON & jetton transfers via Highload Wallet v3
  *
  * Send TON or jettons to up to 254 recipients in a single transaction.
+ * Larger lists run as campaigns: recipients are split into 254-message
+ * batches whose query IDs are reserved in SQLite before broadcast, so an
+ * interrupted campaign can be resumed without paying anyone twice.
  * Uses @tonkite/highload-wallet-v3 for on-chain batch operations.
  * Agent wallet at ~/.teleton/wallet.json provides the signing key.
  */
 
 import { createRequire } from "node:module";
-import { readFileSync, realpathSync } from "node:fs";
-import { join } from "node:path";
-import { homedir } from "node:os";
+import { realpathSync } from "node:fs";
+
+import { parseRecipientList, normalizeRecipients } from "./recipients.js";
+import { initSigner, loadAgentKeyPair, getAgentWallet, getTonClient, sendTransfer } from "./lib/signer.js";
+import { guardTools, migrateGuard } from "./lib/guard.js";
+import { normalizedMessageHash, recordSentMessage } from "./lib/txtracker.js";
 
 // ---------------------------------------------------------------------------
 // CJS dependencies
@@ -19,15 +25,36 @@ const _require = createRequire(realpathSync(process.argv[1]));       // core: @t
 const _pluginRequire = createRequire(import.meta.url);                // local: plugin-specific deps
 
 const { HighloadWalletV3 } = _pluginRequire("@tonkite/highload-wallet-v3");
-const { Address, SendMode, beginCell } = _require("@ton/core");
-const { WalletContractV5R1, TonClient, toNano, internal } = _require("@ton/ton");
-const { mnemonicToPrivateKey } = _require("@ton/crypto");
+const { Address, SendMode, beginCell, storeMessageRelaxed } = _require("@ton/core");
+const { toNano, internal } = _require("@ton/ton");
 
 // ---------------------------------------------------------------------------
 // Constants
 // ---------------------------------------------------------------------------
 
-const WALLET_FILE = join(homedir(), ".teleton", "wallet.json");
+const MAX_BATCH_SIZE = 254;
+const VALUE_PER_BATCH = "0.05";     // TON attached to the highload self-message
+const TON_GAS_BUFFER = "0.15";      // per TON batch
+const JETTON_GAS_BUFFER = "0.1";    // per jetton batch, on top of forward_ton per transfer
+
+// Basechain fee prices (config params 21 and 25), used by multisend_simulate
+const GAS_PRICE = 400n;                   // nanoton per gas unit
+const FWD_LUMP_PRICE = 400000n;           // nanoton per message
+const FWD_BIT_PRICE = 26214400n;          // per bit, scaled by 2^16
+const FWD_CELL_PRICE = 2621440000n;       // per cell, scaled by 2^16
+const HIGHLOAD_INTERNAL_GAS = 3000n;      // internal_transfer handling, conservative
+
+// ---------------------------------------------------------------------------
+// Inline manifest
+// ---------------------------------------------------------------------------
+
+export const manifest = {
+  name: "multisend",
+  version: "1.7.1",
+  sdkVersion: ">=1.0.0",
+  description: "Batch send TON and jettons to up to 254 recipients in a single transaction",
+  bot: { callbacks: true }, // Confirm/Cancel buttons for confirm mode (lib/guard.js)
+};
 
 // ---------------------------------------------------------------------------
 // Database migration
@@ -39,52 +66,86 @@ export function migrate(db) {
       id INTEGER PRIMARY KEY CHECK (id = 1),
       last_query_id TEXT NOT NULL
     );
+
+    CREATE TABLE IF NOT EXISTS multisend_campaigns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      label TEXT,
+      kind TEXT NOT NULL CHECK (kind IN ('ton', 'jetton')),
+      jetton_master TEXT,
+      decimals INTEGER NOT NULL DEFAULT 9,
+      forward_ton TEXT,
+      batch_size INTEGER NOT NULL,
+      recipient_count INTEGER NOT NULL,
+      total_amount TEXT NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+
+    CREATE TABLE IF NOT EXISTS multisend_campaign_batches (
+      campaign_id INTEGER NOT NULL,
+      batch_index INTEGER NOT NULL,
+      recipient_count INTEGER NOT NULL,
+      total_amount TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sending', 'sent', 'confirmed', 'unknown')),
+      query_id INTEGER,
+      msg_created_at INTEGER,
+      sent_at INTEGER,
+      confirmed_at INTEGER,
+      error TEXT,
+      PRIMARY KEY (campaign_id, batch_index)
+    );
+
+    CREATE TABLE IF NOT EXISTS multisend_campaign_recipients (
+      campaign_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      batch_index INTEGER NOT NULL,
+      address TEXT NOT NULL,
+      amount TEXT NOT NULL,
+      memo TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      PRIMARY KEY (campaign_id, position)
+    );
+    CREATE INDEX IF NOT EXISTS idx_multisend_recipients_batch
+      ON multisend_campaign_recipients(campaign_id, batch_index);
+
+    CREATE TABLE IF NOT EXISTS multisend_imports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL CHECK (kind IN ('ton', 'jetton')),
+      jetton_master TEXT,
+      decimals INTEGER NOT NULL DEFAULT 9,
+      forward_ton TEXT,
+      source TEXT NOT NULL,
+      recipients_json TEXT NOT NULL,
+      recipient_count INTEGER NOT NULL,
+      rejected_count INTEGER NOT NULL,
+      total_amount TEXT NOT NULL,
+      ready INTEGER NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
   `);
+  migrateGuard(db);
 }
 
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
-/** Resolve TON RPC endpoint. */
-async function getEndpoint() {
-  try {
-    const { getHttpEndpoint } = _pluginRequire("@orbs-network/ton-access");
-    return await getHttpEndpoint({ network: "mainnet" });
-  } catch {
-    return "https://toncenter.com/api/v2/jsonRPC";
-  }
-}
-
-/** Create TonClient instance. */
-async function getClient() {
-  const endpoint = await getEndpoint();
-  return new TonClient({ endpoint });
-}
-
-/** Load agent mnemonic and derive keypair. */
-async function getWalletData() {
-  let raw;
-  try {
-    raw = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-  } catch {
-    throw new Error("Agent wallet not found at " + WALLET_FILE);
-  }
-  if (!raw.mnemonic || !Array.isArray(raw.mnemonic)) {
-    throw new Error("Invalid wallet file: missing mnemonic array");
-  }
-  const keyPair = await mnemonicToPrivateKey(raw.mnemonic);
-  return { keyPair, mnemonic: raw.mnemonic };
+/**
+ * Sequence positioned at a stored query ID. SQLite and the batch rows hand
+ * it back as a number or a numeric string, so it is normalized here.
+ */
+function restoreSequence(queryId) {
+  return HighloadWalletV3.restoreSequence(Number(queryId));
 }
 
 /** Create HighloadWalletV3 instance with persisted sequence. */
 async function getMultisendWallet(db) {
-  const { keyPair } = await getWalletData();
+  const { keyPair } = await loadAgentKeyPair();
 
   let sequence;
   const row = db.prepare("SELECT last_query_id FROM multisend_sequence WHERE id = 1").get();
   if (row) {
-    sequence = HighloadWalletV3.restoreSequence(row.last_query_id);
+    sequence = restoreSequence(row.last_query_id);
   } else {
     sequence = HighloadWalletV3.newSequence();
   }
@@ -100,12 +161,406 @@ function saveSequence(db, sequence) {
   ).run(sequence.current());
 }
 
+/** Format base units to a human-readable decimal string. */
+function formatUnits(units, decimals) {
+  const n = typeof units === "bigint" ? units : BigInt(units);
+  const base = 10n ** BigInt(decimals);
+  const whole = n / base;
+  const frac = decimals > 0 ? (n % base).toString().padStart(decimals, "0").replace(/0+$/, "") : "";
+  return frac ? `${whole}.${frac}` : `${whole}`;
+}
+
 /** Format nanotons to human-readable TON string. */
 function formatTON(nano) {
-  const n = typeof nano === "bigint" ? nano : BigInt(nano);
-  const whole = n / 1000000000n;
-  const frac = (n % 1000000000n).toString().padStart(9, "0").replace(/0+$/, "");
-  return frac ? `${whole}.${frac}` : `${whole}`;
+  return formatUnits(nano, 9);
+}
+
+/** Convert a human jetton amount to base units. */
+function toJettonUnits(amount, decimals) {
+  return BigInt(Math.round(Number(amount) * 10 ** decimals));
+}
+
+/** Resolve the jetton wallet owned by `owner` for a jetton master. */
+async function getJettonWallet(client, jettonMaster, owner) {
+  const result = await client.runMethod(jettonMaster, "get_wallet_address", [
+    { type: "slice", cell: beginCell().storeAddress(owner).endCell() },
+  ]);
+  return result.stack.readAddress();
+}
+
+/**
+ * Sign and broadcast a highload batch, then record its external message with
+ * the tx tracker so tx_status can follow it. Returns the normalized hash.
+ */
+async function sendHighloadBatch(client, wallet, secretKey, { messages, createdAt }, log) {
+  const provider = client.provider(wallet.address, wallet.init);
+  let external = null;
+  await wallet.sendBatch(
+    { ...provider, external: async (cell) => { external = cell; await provider.external(cell); } },
+    secretKey,
+    { messages, createdAt, valuePerBatch: toNano(VALUE_PER_BATCH) },
+  );
+  const msgHash = normalizedMessageHash(wallet.address, external);
+  recordSentMessage({
+    msgHash,
+    plugin: "multisend",
+    wallet: wallet.address.toString(),
+    messages: messages.map((m) => m.message),
+    log,
+  });
+  return msgHash;
+}
+
+/** Build highload messages for a TON batch. */
+function buildTonMessages(recipients) {
+  return recipients.map((r) => ({
+    mode: SendMode.PAY_GAS_SEPARATELY,
+    message: internal({
+      to: Address.parse(r.address),
+      value: toNano(r.amount),
+      body: r.memo
+        ? beginCell().storeUint(0, 32).storeStringTail(r.memo).endCell()
+        : undefined,
+      bounce: false,
+    }),
+  }));
+}
+
+/** Build highload messages for a jetton batch (one transfer per recipient). */
+function buildJettonMessages(recipients, { jettonWallet, responseAddress, decimals, forwardTon }) {
+  return recipients.map((r, i) => {
+    const body = beginCell()
+      .storeUint(0xf8a7ea5, 32) // op: jetton transfer
+      .storeUint(i, 64) // query_id
+      .storeCoins(toJettonUnits(r.amount, decimals)) // jetton amount
+      .storeAddress(Address.parse(r.address)) // destination
+      .storeAddress(responseAddress) // response_destination (excess back to multisend)
+      .storeBit(false) // no custom payload
+      .storeCoins(1n) // forward_ton_amount (1 nanoton for notification)
+      .storeBit(false) // no forward payload
+      .endCell();
+
+    return {
+      mode: SendMode.PAY_GAS_SEPARATELY,
+      message: internal({
+        to: jettonWallet,
+        value: forwardTon,
+        body,
+        bounce: true,
+      }),
+    };
+  });
+}
+
+/**
+ * Upper-bound TON cost of sending a list: the per-batch gas buffers (plus the
+ * per-transfer forward TON for jettons, mostly refunded as excess) and, for
+ * TON lists, the amounts themselves.
+ */
+function estimateRequirements(kind, recipientCount, batchCount, totalUnits, forwardTon) {
+  const feeNano = kind === "jetton"
+    ? forwardTon * BigInt(recipientCount) + toNano(JETTON_GAS_BUFFER) * BigInt(batchCount)
+    : toNano(TON_GAS_BUFFER) * BigInt(batchCount);
+  const requiredNano = kind === "jetton" ? feeNano : totalUnits + feeNano;
+  return { feeNano, requiredNano };
+}
+
+/**
+ * Resolve tool params that reference a stored import: the import's validated
+ * recipient list (and jetton settings) replace the inline ones. Lists with
+ * rejected rows are refused unless they were imported with drop_invalid.
+ * An inline list goes through the same validation as multisend_import, and
+ * is refused on any invalid or zero-amount row.
+ */
+function withImport(db, params, kind) {
+  if (params.import_id == null) {
+    if (!Array.isArray(params.recipients)) return params;
+    const decimals = kind === "jetton" ? params.decimals ?? 9 : 9;
+    const rows = params.recipients.map((r, i) => ({ row: i + 1, address: r?.address ?? "", amount: r?.amount ?? "", memo: r?.memo }));
+    const { entries, invalid, zero } = normalizeRecipients(rows, decimals);
+    const rejected = [...invalid, ...zero.map((z) => ({ ...z, reason: "zero amount" }))];
+    if (rejected.length > 0) {
+      const shown = rejected.slice(0, 5).map((r) => `#${r.row} ${r.address} (${r.reason})`).join(", ");
+      throw new Error(`${rejected.length} invalid or zero-amount recipients: ${shown}${rejected.length > 5 ? ", ..." : ""} -- nothing was sent`);
+    }
+    return {
+      ...params,
+      recipients: entries.map((e) => ({
+        address: e.address,
+        amount: formatUnits(e.units, decimals),
+        ...(e.memo && kind !== "jetton" ? { memo: e.memo } : {}),
+      })),
+    };
+  }
+  const row = db.prepare("SELECT * FROM multisend_imports WHERE id = ?").get(params.import_id);
+  if (!row) throw new Error(`Import ${params.import_id} not found`);
+  if (row.kind !== kind) {
+    throw new Error(`Import ${row.id} is a ${row.kind} list, not ${kind}`);
+  }
+  if (!row.ready) {
+    throw new Error(`Import ${row.id} has ${row.rejected_count} invalid or zero-amount rows -- fix the list, or re-import with drop_invalid to skip them`);
+  }
+  return {
+    ...params,
+    recipients: JSON.parse(row.recipients_json),
+    jetton_master: row.jetton_master ?? params.jetton_master,
+    decimals: row.decimals,
+    forward_ton: params.forward_ton ?? row.forward_ton ?? undefined,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Campaign helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Reserve the next query ID for a campaign batch and persist it, together with
+ * the highload created_at, before anything is broadcast. A batch that crashed
+ * mid-send is re-sent with the same query ID and created_at, which the
+ * contract rejects as a replay if the first attempt already landed.
+ */
+function reserveBatchQueryId(db, campaignId, batchIndex) {
+  return db.transaction(() => {
+    const row = db.prepare("SELECT last_query_id FROM multisend_sequence WHERE id = 1").get();
+    const sequence = row
+      ? restoreSequence(row.last_query_id)
+      : HighloadWalletV3.newSequence();
+    if (!sequence.hasNext()) {
+      throw new Error("Query ID sequence exhausted -- wait for the wallet timeout before sending more batches");
+    }
+    const queryId = sequence.current();
+    sequence.next();
+    saveSequence(db, sequence);
+
+    const createdAt = Math.floor(Date.now() / 1000) - 60;
+    db.prepare(
+      "UPDATE multisend_campaign_batches SET query_id = ?, msg_created_at = ?, error = NULL WHERE campaign_id = ? AND batch_index = ?"
+    ).run(queryId, createdAt, campaignId, batchIndex);
+    setBatchStatus(db, campaignId, batchIndex, "sending");
+    return { queryId, createdAt };
+  })();
+}
+
+/** Update a batch status and mirror it onto the batch's recipients. */
+function setBatchStatus(db, campaignId, batchIndex, status, extra = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  db.transaction(() => {
+    db.prepare(
+      `UPDATE multisend_campaign_batches
+         SET status = ?,
+             sent_at = CASE WHEN ? = 'sent' THEN ? ELSE sent_at END,
+             confirmed_at = CASE WHEN ? = 'confirmed' THEN ? ELSE confirmed_at END,
+             error = ?
+       WHERE campaign_id = ? AND batch_index = ?`
+    ).run(status, status, now, status, now, extra.error ?? null, campaignId, batchIndex);
+    db.prepare(
+      "UPDATE multisend_campaign_recipients SET status = ? WHERE campaign_id = ? AND batch_index = ?"
+    ).run(status, campaignId, batchIndex);
+  })();
+}
+
+/** Load the recipients of one campaign batch in their original order. */
+function getBatchRecipients(db, campaignId, batchIndex) {
+  return db.prepare(
+    "SELECT address, amount, memo FROM multisend_campaign_recipients WHERE campaign_id = ? AND batch_index = ? ORDER BY position"
+  ).all(campaignId, batchIndex);
+}
+
+/**
+ * Ask the highload contract whether a query ID was processed.
+ * Returns null when the wallet is not deployed or the get-method fails.
+ */
+async function isQueryProcessed(opened, queryId) {
+  try {
+    return await opened.getProcessed(restoreSequence(queryId), false);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reconcile an in-flight batch ('sending' or 'sent') against the chain.
+ * Returns the batch's new status. While the batch is inside the wallet
+ * timeout window the processed? lookup is authoritative; once the window has
+ * passed an unprocessed answer is no longer conclusive, so the batch is
+ * parked as 'unknown' for the operator to check.
+ */
+async function reconcileBatch(db, opened, deployed, timeout, campaignId, batch) {
+  const processed = deployed ? await isQueryProcessed(opened, batch.query_id) : false;
+  if (processed) {
+    setBatchStatus(db, campaignId, batch.batch_index, "confirmed");
+    return "confirmed";
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (now >= batch.msg_created_at + timeout) {
+    setBatchStatus(db, campaignId, batch.batch_index, "unknown", {
+      error: "Not confirmed within the wallet timeout window -- verify recipients on-chain before re-queuing",
+    });
+    return "unknown";
+  }
+  return batch.status;
+}
+
+/** Summarize a campaign's batch and recipient progress. */
+function getCampaignProgress(db, campaignId) {
+  const batches = {};
+  for (const row of db.prepare(
+    "SELECT status, COUNT(*) AS n FROM multisend_campaign_batches WHERE campaign_id = ? GROUP BY status"
+  ).all(campaignId)) {
+    batches[row.status] = row.n;
+  }
+  const recipients = {};
+  for (const row of db.prepare(
+    "SELECT status, COUNT(*) AS n FROM multisend_campaign_recipients WHERE campaign_id = ? GROUP BY status"
+  ).all(campaignId)) {
+    recipients[row.status] = row.n;
+  }
+
+  let state = "pending";
+  const total = Object.values(batches).reduce((a, b) => a + b, 0);
+  if (batches.confirmed === total) state = "completed";
+  else if (batches.unknown) state = "attention";
+  else if (batches.sending || batches.sent || batches.confirmed) state = "running";
+
+  return { state, batches, recipients };
+}
+
+// ---------------------------------------------------------------------------
+// Simulation helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the external message body `sendBatch` would broadcast, without
+ * broadcasting it. A capturing provider stands in for the network, and a
+ * throwaway all-zero key signs it -- the fee estimator is told to ignore the
+ * signature, so the agent key is never used.
+ */
+async function buildBatchExternal(wallet, messages, createdAt) {
+  const draft = new HighloadWalletV3(
+    restoreSequence(wallet.sequence.current()),
+    wallet.publicKey,
+    wallet.timeout,
+    wallet.subwalletId,
+  );
+  let body = null;
+  const provider = { external: async (cell) => { body = cell; } };
+  await draft.sendBatch(provider, Buffer.alloc(64), {
+    messages,
+    createdAt,
+    valuePerBatch: toNano(VALUE_PER_BATCH),
+  });
+  return body;
+}
+
+/** Count the bits and unique cells below a message's root cell. */
+function countMessageCells(cell, seen = new Set()) {
+  let bits = 0;
+  let cells = 0;
+  for (const ref of cell.refs) {
+    const key = ref.hash().toString("hex");
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const sub = countMessageCells(ref, seen);
+    bits += ref.bits.length + sub.bits;
+    cells += 1 + sub.cells;
+  }
+  return { bits, cells };
+}
+
+/** Forward fee the highload wallet pays to send one outgoing message. */
+function estimateForwardFee(message) {
+  const cell = beginCell().store(storeMessageRelaxed(message)).endCell();
+  const { bits, cells } = countMessageCells(cell);
+  const scaled = FWD_BIT_PRICE * BigInt(bits) + FWD_CELL_PRICE * BigInt(cells);
+  return FWD_LUMP_PRICE + (scaled + 65535n) / 65536n;
+}
+
+/**
+ * Dry-run multisend_fund: build the same transfer from the agent wallet,
+ * signed with a throwaway key for the fee estimator, and check the agent's
+ * TON balance against the amount plus fees.
+ */
+async function simulateFund(db, amount) {
+  const checks = [];
+  const check = (name, ok, detail) => checks.push({ check: name, ok, detail });
+
+  let value = 0n;
+  try {
+    value = toNano(String(amount ?? ""));
+  } catch { /* reported by the amount check */ }
+  check("amount", value > 0n, `${amount ?? "(missing)"} TON`);
+  if (value <= 0n) return { would_fail: true, failures: ["amount"], checks };
+
+  const { wallet: multisendWallet } = await getMultisendWallet(db);
+  const { wallet: agentWallet } = await getAgentWallet();
+  const client = await getTonClient();
+  const [target, source, balance] = await Promise.all([
+    client.getContractState(multisendWallet.address),
+    client.getContractState(agentWallet.address),
+    client.getBalance(agentWallet.address),
+  ]);
+  const deployed = target.state === "active";
+  const agentDeployed = source.state === "active";
+
+  const message = internal({ to: multisendWallet.address, value, bounce: deployed });
+  const seqno = agentDeployed ? await client.open(agentWallet).getSeqno() : 0;
+  const transfer = await agentWallet.createTransfer({
+    seqno,
+    secretKey: Buffer.alloc(64),
+    sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
+    messages: [message],
+  });
+
+  let externalFee;
+  let feeSource = "emulated";
+  try {
+    const estimate = await client.estimateExternalMessageFee(agentWallet.address, {
+      body: transfer,
+      initCode: agentDeployed ? null : agentWallet.init.code,
+      initData: agentDeployed ? null : agentWallet.init.data,
+      ignoreSignature: true,
+    });
+    const f = estimate.source_fees;
+    externalFee = BigInt(f.in_fwd_fee + f.storage_fee + f.gas_fee + f.fwd_fee);
+  } catch (err) {
+    feeSource = `fallback (${String(err.message || err).slice(0, 100)})`;
+    externalFee = toNano("0.01");
+  }
+  const forwardFee = estimateForwardFee(message);
+  const totalFee = externalFee + forwardFee;
+
+  check(
+    "agent_balance",
+    balance >= value + totalFee,
+    `${formatTON(balance)} TON in the agent wallet, ${formatTON(value + totalFee)} TON needed (${formatTON(value)} + ${formatTON(totalFee)} fees)`,
+  );
+  const failures = checks.filter((c) => !c.ok).map((c) => c.check);
+
+  return {
+    would_fail: failures.length > 0,
+    failures,
+    checks,
+    kind: "fund",
+    from: agentWallet.address.toString({ bounceable: false }),
+    to: multisendWallet.address.toString({ bounceable: !deployed }),
+    amount: formatTON(value),
+    bounce: deployed,
+    fees: {
+      source: feeSource,
+      external: formatTON(externalFee),
+      outgoing_forward: formatTON(forwardFee),
+      total: formatTON(totalFee),
+    },
+    balance: formatTON(balance),
+  };
+}
+
+/** Read a jetton wallet balance (0 when the wallet is not deployed). */
+async function getJettonBalance(client, jettonWallet) {
+  const state = await client.getContractState(jettonWallet);
+  if (state.state !== "active") return 0n;
+  const result = await client.runMethod(jettonWallet, "get_wallet_data");
+  return result.stack.readBigNumber();
 }
 
 // ---------------------------------------------------------------------------
@@ -114,6 +569,7 @@ function formatTON(nano) {
 
 export const tools = (sdk) => {
   const { db, log, ton } = sdk;
+  initSigner(sdk);
 
 // ---------------------------------------------------------------------------
 // Tool 1: multisend_info
@@ -134,7 +590,7 @@ const multisendInfo = {
   execute: async (_params, _context) => {
     try {
       const { wallet, sequence } = await getMultisendWallet(db);
-      const client = await getClient();
+      const client = await getTonClient();
       const balance = await client.getBalance(wallet.address);
       const state = await client.getContractState(wallet.address);
       const deployed = state.state === "active";
@@ -183,39 +639,28 @@ const multisendFund = {
 
   execute: async (params, _context) => {
     try {
-      const { wallet: multisendWallet, keyPair } = await getMultisendWallet(db);
-
-      const v5Wallet = WalletContractV5R1.create({
-        workchain: 0,
-        publicKey: keyPair.publicKey,
-      });
-
-      const client = await getClient();
-      const contract = client.open(v5Wallet);
-      const seqno = await contract.getSeqno();
+      const { wallet: multisendWallet } = await getMultisendWallet(db);
+      const { wallet: agentWallet } = await getAgentWallet();
 
       // Check if multisend wallet is deployed to set bounce correctly
+      const client = await getTonClient();
       const state = await client.getContractState(multisendWallet.address);
       const deployed = state.state === "active";
 
-      await contract.sendTransfer({
-        seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({
-            to: multisendWallet.address,
-            value: toNano(params.amount),
-            bounce: deployed,
-          }),
-        ],
-      });
+      const { seqno, msgHash } = await sendTransfer([
+        internal({
+          to: multisendWallet.address,
+          value: toNano(params.amount),
+          bounce: deployed,
+        }),
+      ]);
 
       return {
         success: true,
         data: {
           seqno,
-          from: v5Wallet.address.toString({ bounceable: false }),
+          msg_hash: msgHash,
+          from: agentWallet.address.toString({ bounceable: false }),
           to: multisendWallet.address.toString({ bounceable: !deployed }),
           amount: params.amount,
           bounce: deployed,
@@ -254,18 +699,23 @@ const multisendBatchTon = {
           required: ["address", "amount"],
         },
       },
+      import_id: {
+        type: "integer",
+        description: "Use a validated list from multisend_import instead of recipients",
+      },
     },
-    required: ["recipients"],
+    required: [],
   },
 
   execute: async (params, _context) => {
     try {
-      const recipients = params.recipients;
+      const input = withImport(db, params, "ton");
+      const recipients = input.recipients;
       if (!Array.isArray(recipients) || recipients.length === 0) {
         return { success: false, error: "recipients must be a non-empty array" };
       }
-      if (recipients.length > 254) {
-        return { success: false, error: "Maximum 254 recipients per batch" };
+      if (recipients.length > MAX_BATCH_SIZE) {
+        return { success: false, error: "Maximum 254 recipients per batch -- use multisend_campaign_create for larger lists" };
       }
 
       // Validate all recipient addresses
@@ -276,7 +726,7 @@ const multisendBatchTon = {
       }
 
       const { wallet, keyPair, sequence } = await getMultisendWallet(db);
-      const client = await getClient();
+      const client = await getTonClient();
 
       // Calculate total and verify balance (wallet auto-deploys on first sendBatch)
       let totalNano = 0n;
@@ -284,7 +734,7 @@ const multisendBatchTon = {
         totalNano += toNano(r.amount);
       }
       const balance = await client.getBalance(wallet.address);
-      const gasBuffer = toNano("0.15");
+      const gasBuffer = toNano(TON_GAS_BUFFER);
       if (balance < totalNano + gasBuffer) {
         return {
           success: false,
@@ -293,25 +743,13 @@ const multisendBatchTon = {
       }
 
       // Build messages
-      const messages = recipients.map((r) => ({
-        mode: SendMode.PAY_GAS_SEPARATELY,
-        message: internal({
-          to: Address.parse(r.address),
-          value: toNano(r.amount),
-          body: r.memo
-            ? beginCell().storeUint(0, 32).storeStringTail(r.memo).endCell()
-            : undefined,
-          bounce: false,
-        }),
-      }));
+      const messages = buildTonMessages(recipients);
 
-      // Send batch (client.open auto-injects provider as first arg)
-      const opened = client.open(wallet);
-      await opened.sendBatch(keyPair.secretKey, {
+      // Send batch
+      const msgHash = await sendHighloadBatch(client, wallet, keyPair.secretKey, {
         messages,
         createdAt: Math.floor(Date.now() / 1000) - 60,
-        valuePerBatch: toNano("0.05"),
-      });
+      }, log);
 
       // Advance sequence and persist
       sequence.next();
@@ -325,6 +763,7 @@ const multisendBatchTon = {
           total_ton: formatTON(totalNano),
           multisend_address: wallet.address.toString({ bounceable: true }),
           query_id: sequence.current(),
+          msg_hash: msgHash,
         },
       };
     } catch (err) {
@@ -373,23 +812,28 @@ const multisendBatchJetton = {
         type: "string",
         description: "TON to attach per transfer for gas forwarding (default '0.05')",
       },
+      import_id: {
+        type: "integer",
+        description: "Use a validated list from multisend_import instead of recipients",
+      },
     },
-    required: ["jetton_master", "recipients"],
+    required: [],
   },
 
   execute: async (params, _context) => {
     try {
-      const recipients = params.recipients;
+      const input = withImport(db, params, "jetton");
+      const recipients = input.recipients;
       if (!Array.isArray(recipients) || recipients.length === 0) {
         return { success: false, error: "recipients must be a non-empty array" };
       }
-      if (recipients.length > 254) {
-        return { success: false, error: "Maximum 254 recipients per batch" };
+      if (recipients.length > MAX_BATCH_SIZE) {
+        return { success: false, error: "Maximum 254 recipients per batch -- use multisend_campaign_create for larger lists" };
       }
 
       // Validate jetton master and all recipient addresses
-      if (!ton.validateAddress(params.jetton_master)) {
-        return { success: false, error: `Invalid jetton master address: ${params.jetton_master}` };
+      if (!ton.validateAddress(input.jetton_master)) {
+        return { success: false, error: `Invalid jetton master address: ${input.jetton_master}` };
       }
       for (const r of recipients) {
         if (!ton.validateAddress(r.address)) {
@@ -398,7 +842,7 @@ const multisendBatchJetton = {
       }
 
       const { wallet, keyPair, sequence } = await getMultisendWallet(db);
-      const client = await getClient();
+      const client = await getTonClient();
 
       // Jetton batch requires the wallet to be deployed -- it must already hold
       // jetton tokens, which means it was funded and deployed via a prior TON batch.
@@ -411,18 +855,15 @@ const multisendBatchJetton = {
       }
 
       // Resolve the multisend wallet's jetton wallet address
-      const jettonMaster = Address.parse(params.jetton_master);
-      const result = await client.runMethod(jettonMaster, "get_wallet_address", [
-        { type: "slice", cell: beginCell().storeAddress(wallet.address).endCell() },
-      ]);
-      const jettonWallet = result.stack.readAddress();
+      const jettonMaster = Address.parse(input.jetton_master);
+      const jettonWallet = await getJettonWallet(client, jettonMaster, wallet.address);
 
-      const decimals = params.decimals ?? 9;
-      const forwardTon = toNano(params.forward_ton ?? "0.05");
+      const decimals = input.decimals ?? 9;
+      const forwardTon = toNano(input.forward_ton ?? "0.05");
 
       // Check TON balance covers gas (forwardTon per recipient + buffer)
       const balance = await client.getBalance(wallet.address);
-      const gasNeeded = forwardTon * BigInt(recipients.length) + toNano("0.1");
+      const gasNeeded = forwardTon * BigInt(recipients.length) + toNano(JETTON_GAS_BUFFER);
       if (balance < gasNeeded) {
         return {
           success: false,
@@ -431,37 +872,18 @@ const multisendBatchJetton = {
       }
 
       // Build jetton transfer messages
-      const messages = recipients.map((r, i) => {
-        const jettonAmount = BigInt(Math.round(Number(r.amount) * 10 ** decimals));
-        const body = beginCell()
-          .storeUint(0xf8a7ea5, 32) // op: jetton transfer
-          .storeUint(i, 64) // query_id
-          .storeCoins(jettonAmount) // jetton amount
-          .storeAddress(Address.parse(r.address)) // destination
-          .storeAddress(wallet.address) // response_destination (excess back to multisend)
-          .storeBit(false) // no custom payload
-          .storeCoins(1n) // forward_ton_amount (1 nanoton for notification)
-          .storeBit(false) // no forward payload
-          .endCell();
-
-        return {
-          mode: SendMode.PAY_GAS_SEPARATELY,
-          message: internal({
-            to: jettonWallet,
-            value: forwardTon,
-            body,
-            bounce: true,
-          }),
-        };
+      const messages = buildJettonMessages(recipients, {
+        jettonWallet,
+        responseAddress: wallet.address,
+        decimals,
+        forwardTon,
       });
 
-      // Send batch (client.open auto-injects provider as first arg)
-      const opened = client.open(wallet);
-      await opened.sendBatch(keyPair.secretKey, {
+      // Send batch
+      const msgHash = await sendHighloadBatch(client, wallet, keyPair.secretKey, {
         messages,
         createdAt: Math.floor(Date.now() / 1000) - 60,
-        valuePerBatch: toNano("0.05"),
-      });
+      }, log);
 
       // Advance sequence and persist
       sequence.next();
@@ -477,6 +899,7 @@ const multisendBatchJetton = {
           multisend_address: wallet.address.toString({ bounceable: true }),
           decimals,
           query_id: sequence.current(),
+          msg_hash: msgHash,
         },
       };
     } catch (err) {
@@ -492,22 +915,91 @@ const multisendBatchJetton = {
 const multisendStatus = {
   name: "multisend_status",
   description:
-    "Check the on-chain state of the multisend wallet: balance, timeout configuration, last cleanup timestamp, and subwallet ID.",
+    "Check the on-chain state of the multisend wallet: balance, timeout configuration, last cleanup timestamp, subwallet ID, and recent campaigns. Pass campaign_id for per-batch and per-recipient progress of a campaign.",
   category: "data-bearing",
 
   parameters: {
     type: "object",
-    properties: {},
+    properties: {
+      campaign_id: {
+        type: "integer",
+        description: "Campaign to report on (omit for wallet state and a list of recent campaigns)",
+      },
+      recipient_status: {
+        type: "string",
+        enum: ["pending", "sending", "sent", "confirmed", "unknown"],
+        description: "Only list recipients in this status (campaign report only)",
+      },
+      limit: {
+        type: "integer",
+        description: "Max recipients to list in a campaign report (default 50, 0 to omit)",
+        minimum: 0,
+        maximum: 500,
+      },
+    },
     required: [],
   },
 
-  execute: async (_params, _context) => {
+  execute: async (params, _context) => {
     try {
       const { wallet, sequence } = await getMultisendWallet(db);
-      const client = await getClient();
+      const client = await getTonClient();
       const balance = await client.getBalance(wallet.address);
       const contractState = await client.getContractState(wallet.address);
       const deployed = contractState.state === "active";
+      const opened = client.open(wallet);
+
+      if (params.campaign_id != null) {
+        const campaign = db.prepare("SELECT * FROM multisend_campaigns WHERE id = ?").get(params.campaign_id);
+        if (!campaign) {
+          return { success: false, error: `Campaign ${params.campaign_id} not found` };
+        }
+
+        // Confirm batches that have landed since the last check
+        const inFlight = db.prepare(
+          "SELECT * FROM multisend_campaign_batches WHERE campaign_id = ? AND status IN ('sending', 'sent') ORDER BY batch_index"
+        ).all(campaign.id);
+        for (const batch of inFlight) {
+          await reconcileBatch(db, opened, deployed, wallet.timeout, campaign.id, batch);
+        }
+
+        const batches = db.prepare(
+          "SELECT batch_index, recipient_count, total_amount, status, query_id, sent_at, confirmed_at, error FROM multisend_campaign_batches WHERE campaign_id = ? ORDER BY batch_index"
+        ).all(campaign.id);
+
+        const limit = params.limit ?? 50;
+        let recipients;
+        if (limit > 0) {
+          const filter = params.recipient_status ? " AND status = ?" : "";
+          const args = params.recipient_status
+            ? [campaign.id, params.recipient_status, limit]
+            : [campaign.id, limit];
+          recipients = db.prepare(
+            `SELECT position, batch_index, address, amount, status FROM multisend_campaign_recipients WHERE campaign_id = ?${filter} ORDER BY position LIMIT ?`
+          ).all(...args);
+        }
+
+        return {
+          success: true,
+          data: {
+            campaign_id: campaign.id,
+            label: campaign.label,
+            kind: campaign.kind,
+            jetton_master: campaign.jetton_master ?? undefined,
+            recipient_count: campaign.recipient_count,
+            total_amount: campaign.total_amount,
+            created_at: new Date(campaign.created_at * 1000).toISOString(),
+            progress: getCampaignProgress(db, campaign.id),
+            batches: batches.map((b) => ({
+              ...b,
+              sent_at: b.sent_at ? new Date(b.sent_at * 1000).toISOString() : null,
+              confirmed_at: b.confirmed_at ? new Date(b.confirmed_at * 1000).toISOString() : null,
+            })),
+            recipients,
+            multisend_balance: formatTON(balance),
+          },
+        };
+      }
 
       const data = {
         address: wallet.address.toString({ bounceable: !deployed }),
@@ -523,7 +1015,6 @@ const multisendStatus = {
 
       // Read on-chain state if deployed
       if (deployed) {
-        const opened = client.open(wallet);
         try {
           data.timeout = await opened.getTimeout();
         } catch { /* method may not exist on older versions */ }
@@ -538,6 +1029,10 @@ const multisendStatus = {
         } catch { /* ignore */ }
       }
 
+      data.campaigns = db.prepare(
+        "SELECT id, label, kind, recipient_count, total_amount FROM multisend_campaigns ORDER BY id DESC LIMIT 10"
+      ).all().map((c) => ({ ...c, state: getCampaignProgress(db, c.id).state }));
+
       return { success: true, data };
     } catch (err) {
       return { success: false, error: String(err.message || err).slice(0, 500) };
@@ -545,5 +1040,790 @@ const multisendStatus = {
   },
 };
 
-  return [multisendInfo, multisendFund, multisendBatchTon, multisendBatchJetton, multisendStatus];
+// ---------------------------------------------------------------------------
+// Tool 6: multisend_campaign_create
+// ---------------------------------------------------------------------------
+
+const multisendCampaignCreate = {
+  name: "multisend_campaign_create",
+  description:
+    "Create a TON or jetton airdrop campaign for any number of recipients. The list is validated, stored, and split into batches of up to 254. Nothing is sent -- run it with multisend_campaign_run.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      kind: {
+        type: "string",
+        enum: ["ton", "jetton"],
+        description: "What to send: 'ton' or 'jetton'",
+      },
+      recipients: {
+        type: "array",
+        description: "List of recipients (no size limit)",
+        items: {
+          type: "object",
+          properties: {
+            address: { type: "string", description: "Recipient TON address" },
+            amount: { type: "string", description: "Amount in TON or jetton human units" },
+            memo: { type: "string", description: "Comment to attach (TON campaigns only, optional)" },
+          },
+          required: ["address", "amount"],
+        },
+      },
+      import_id: {
+        type: "integer",
+        description: "Use a validated list from multisend_import instead of recipients",
+      },
+      jetton_master: {
+        type: "string",
+        description: "Jetton master contract address (required for jetton campaigns)",
+      },
+      decimals: {
+        type: "integer",
+        description: "Jetton decimals (6 for USDT, 9 for most tokens)",
+        minimum: 0,
+        maximum: 18,
+      },
+      forward_ton: {
+        type: "string",
+        description: "TON to attach per jetton transfer for gas forwarding (default '0.05')",
+      },
+      batch_size: {
+        type: "integer",
+        description: "Recipients per batch (default 254)",
+        minimum: 1,
+        maximum: 254,
+      },
+      label: {
+        type: "string",
+        description: "Free-form campaign name (optional)",
+      },
+    },
+    required: ["kind"],
+  },
+
+  execute: async (params, _context) => {
+    try {
+      const input = withImport(db, params, params.kind);
+      const recipients = input.recipients;
+      if (!Array.isArray(recipients) || recipients.length === 0) {
+        return { success: false, error: "recipients must be a non-empty array" };
+      }
+
+      const isJetton = input.kind === "jetton";
+      if (isJetton && !ton.validateAddress(input.jetton_master ?? "")) {
+        return { success: false, error: `Invalid jetton master address: ${input.jetton_master}` };
+      }
+      const decimals = isJetton ? input.decimals ?? 9 : 9;
+      const batchSize = input.batch_size ?? MAX_BATCH_SIZE;
+
+      // Validate every row before storing anything
+      let totalUnits = 0n;
+      for (const [i, r] of recipients.entries()) {
+        if (!ton.validateAddress(r.address)) {
+          return { success: false, error: `Invalid recipient address at row ${i + 1}: ${r.address}` };
+        }
+        let units;
+        try {
+          units = isJetton ? toJettonUnits(r.amount, decimals) : toNano(r.amount);
+        } catch {
+          units = 0n;
+        }
+        if (units <= 0n) {
+          return { success: false, error: `Invalid amount at row ${i + 1}: ${r.amount}` };
+        }
+        totalUnits += units;
+      }
+
+      const batchCount = Math.ceil(recipients.length / batchSize);
+      const totalAmount = formatUnits(totalUnits, decimals);
+
+      const campaignId = db.transaction(() => {
+        const { lastInsertRowid } = db.prepare(
+          `INSERT INTO multisend_campaigns
+             (label, kind, jetton_master, decimals, forward_ton, batch_size, recipient_count, total_amount)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+        ).run(
+          input.label ?? null,
+          input.kind,
+          isJetton ? Address.parse(input.jetton_master).toString() : null,
+          decimals,
+          isJetton ? input.forward_ton ?? "0.05" : null,
+          batchSize,
+          recipients.length,
+          totalAmount,
+        );
+        const id = Number(lastInsertRowid);
+
+        const insertBatch = db.prepare(
+          "INSERT INTO multisend_campaign_batches (campaign_id, batch_index, recipient_count, total_amount) VALUES (?, ?, ?, ?)"
+        );
+        const insertRecipient = db.prepare(
+          `INSERT INTO multisend_campaign_recipients (campaign_id, position, batch_index, address, amount, memo)
+           VALUES (?, ?, ?, ?, ?, ?)`
+        );
+        for (let b = 0; b < batchCount; b++) {
+          const slice = recipients.slice(b * batchSize, (b + 1) * batchSize);
+          let batchUnits = 0n;
+          slice.forEach((r, k) => {
+            batchUnits += isJetton ? toJettonUnits(r.amount, decimals) : toNano(r.amount);
+            insertRecipient.run(id, b * batchSize + k, b, r.address, String(r.amount), isJetton ? null : r.memo ?? null);
+          });
+          insertBatch.run(id, b, slice.length, formatUnits(batchUnits, decimals));
+        }
+        return id;
+      })();
+
+      const { requiredNano } = estimateRequirements(
+        input.kind, recipients.length, batchCount, totalUnits, toNano(input.forward_ton ?? "0.05"),
+      );
+
+      log.info(`Campaign ${campaignId} created: ${recipients.length} recipients in ${batchCount} batches`);
+
+      return {
+        success: true,
+        data: {
+          campaign_id: campaignId,
+          kind: input.kind,
+          recipient_count: recipients.length,
+          batch_count: batchCount,
+          batch_size: batchSize,
+          total_amount: totalAmount,
+          required_ton: formatTON(requiredNano),
+          next_step: `Fund the multisend wallet if needed, then call multisend_campaign_run with campaign_id ${campaignId}`,
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 7: multisend_campaign_run
+// ---------------------------------------------------------------------------
+
+const multisendCampaignRun = {
+  name: "multisend_campaign_run",
+  description:
+    "Send the pending batches of a multisend campaign, or resume one after an interruption. In-flight batches are checked on-chain first and re-sent with their original query ID, so recipients are never paid twice. Stops at the first batch that cannot be funded or sent.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      campaign_id: {
+        type: "integer",
+        description: "Campaign ID returned by multisend_campaign_create",
+      },
+      max_batches: {
+        type: "integer",
+        description: "Max batches to send or re-send in this call (default: all remaining)",
+        minimum: 1,
+      },
+      requeue_unknown: {
+        type: "boolean",
+        description: "Re-queue batches in 'unknown' state with a fresh query ID. Only set after confirming on-chain that their recipients were NOT paid (default false)",
+      },
+    },
+    required: ["campaign_id"],
+  },
+
+  execute: async (params, _context) => {
+    try {
+      const campaign = db.prepare("SELECT * FROM multisend_campaigns WHERE id = ?").get(params.campaign_id);
+      if (!campaign) {
+        return { success: false, error: `Campaign ${params.campaign_id} not found` };
+      }
+      const isJetton = campaign.kind === "jetton";
+
+      const { wallet, keyPair } = await getMultisendWallet(db);
+      const client = await getTonClient();
+      const opened = client.open(wallet);
+      let deployed = (await client.getContractState(wallet.address)).state === "active";
+
+      let jettonWallet;
+      const forwardTon = toNano(campaign.forward_ton ?? "0.05");
+      if (isJetton) {
+        if (!deployed) {
+          return {
+            success: false,
+            error: "Multisend wallet is not deployed. Fund it and send a TON batch first, then transfer the jettons to the multisend wallet.",
+          };
+        }
+        jettonWallet = await getJettonWallet(client, Address.parse(campaign.jetton_master), wallet.address);
+      }
+
+      /** Sign and broadcast one batch under its reserved query ID. */
+      const sendBatch = async (batch, queryId, createdAt) => {
+        const recipients = getBatchRecipients(db, campaign.id, batch.batch_index);
+        const messages = isJetton
+          ? buildJettonMessages(recipients, {
+              jettonWallet,
+              responseAddress: wallet.address,
+              decimals: campaign.decimals,
+              forwardTon,
+            })
+          : buildTonMessages(recipients);
+        const batchWallet = new HighloadWalletV3(restoreSequence(queryId), keyPair.publicKey);
+        const msgHash = await sendHighloadBatch(client, batchWallet, keyPair.secretKey, { messages, createdAt }, log);
+        setBatchStatus(db, campaign.id, batch.batch_index, "sent");
+        deployed = true;
+        msgHashes[batch.batch_index] = msgHash;
+      };
+
+      const report = { confirmed: [], resent: [], sent: [], waiting: [], unknown: [], requeued: [] };
+      const msgHashes = {};
+      const maxBatches = params.max_batches ?? Infinity;
+      let stopReason = null;
+      let failedSend = null;   // may still have gone out, so it counts as spent
+
+      const batches = db.prepare(
+        "SELECT * FROM multisend_campaign_batches WHERE campaign_id = ? ORDER BY batch_index"
+      ).all(campaign.id);
+
+      for (const batch of batches) {
+        let status = batch.status;
+        if (status === "confirmed") continue;
+
+        if (status === "sending" || status === "sent") {
+          status = await reconcileBatch(db, opened, deployed, wallet.timeout, campaign.id, batch);
+          if (status === "confirmed") {
+            report.confirmed.push(batch.batch_index);
+            continue;
+          }
+          if (status === "sent") {
+            report.waiting.push(batch.batch_index);
+            continue;
+          }
+        }
+
+        if (status === "unknown") {
+          if (!params.requeue_unknown) {
+            report.unknown.push(batch.batch_index);
+            continue;
+          }
+          setBatchStatus(db, campaign.id, batch.batch_index, "pending");
+          report.requeued.push(batch.batch_index);
+        }
+
+        // Pending or crashed batch: batch limit, fund check, then broadcast
+        if (report.sent.length + report.resent.length >= maxBatches) break;
+
+        const balance = await client.getBalance(wallet.address);
+        const needed = isJetton
+          ? forwardTon * BigInt(batch.recipient_count) + toNano(JETTON_GAS_BUFFER)
+          : toNano(batch.total_amount) + toNano(TON_GAS_BUFFER);
+        if (balance < needed) {
+          stopReason = `Insufficient balance for batch ${batch.batch_index}: ${formatTON(balance)} TON, need ~${formatTON(needed)} TON`;
+          break;
+        }
+
+        if (status === "sending") {
+          // Crashed between reservation and broadcast: same query ID, same created_at
+          try {
+            await sendBatch(batch, batch.query_id, batch.msg_created_at);
+            report.resent.push(batch.batch_index);
+          } catch (err) {
+            stopReason = `Batch ${batch.batch_index} re-send failed: ${String(err.message || err)}`;
+            failedSend = batch.batch_index;
+            setBatchStatus(db, campaign.id, batch.batch_index, "sending", { error: stopReason });
+            break;
+          }
+          continue;
+        }
+
+        const { queryId, createdAt } = reserveBatchQueryId(db, campaign.id, batch.batch_index);
+        try {
+          await sendBatch(batch, queryId, createdAt);
+          report.sent.push(batch.batch_index);
+          log.info(`Campaign ${campaign.id}: batch ${batch.batch_index} sent (query ${queryId})`);
+        } catch (err) {
+          // Left in 'sending' -- the next run re-sends it under the same query ID
+          stopReason = `Batch ${batch.batch_index} send failed: ${String(err.message || err)}`;
+          failedSend = batch.batch_index;
+          setBatchStatus(db, campaign.id, batch.batch_index, "sending", { error: stopReason });
+          break;
+        }
+      }
+
+      const data = {
+        campaign_id: campaign.id,
+        batches: report,
+        msg_hashes: msgHashes,
+        progress: getCampaignProgress(db, campaign.id),
+      };
+      if (stopReason) data.stopped = stopReason.slice(0, 500);
+      if (report.unknown.length > 0) {
+        data.attention = "Some batches were not confirmed within the wallet timeout. Check their recipients on-chain; re-run with requeue_unknown only if they were not paid.";
+      }
+      if (isJetton) return { success: true, data };
+      // TON actually paid out, so the guard releases the rest of its reservation
+      const broadcast = new Set([...report.sent, ...report.resent, failedSend]);
+      const spentTon = batches
+        .filter((b) => broadcast.has(b.batch_index))
+        .reduce((sum, b) => sum + Number(b.total_amount), 0);
+      return { success: true, data, spent: { ton: spentTon } };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 8: multisend_import
+// ---------------------------------------------------------------------------
+
+const multisendImport = {
+  name: "multisend_import",
+  description:
+    "Import a recipient list from CSV or JSON text, or from a CSV/JSON document sent in Telegram. Normalizes addresses, merges duplicates, flags invalid rows and zero amounts, and returns a dry-run summary (totals, batches, estimated fee). Nothing is sent -- pass the returned import_id to multisend_batch_ton, multisend_batch_jetton or multisend_campaign_create.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      kind: {
+        type: "string",
+        enum: ["ton", "jetton"],
+        description: "What the list pays out: 'ton' or 'jetton'",
+      },
+      data: {
+        type: "string",
+        description: "CSV (address,amount[,memo]) or JSON payload",
+      },
+      message_id: {
+        type: "integer",
+        description: "Telegram message ID of a CSV/JSON document to import instead of data",
+      },
+      chat_id: {
+        type: "string",
+        description: "Chat holding the document (default: current chat)",
+      },
+      format: {
+        type: "string",
+        enum: ["auto", "csv", "json"],
+        description: "Payload format (default 'auto')",
+      },
+      jetton_master: {
+        type: "string",
+        description: "Jetton master contract address (required for jetton lists)",
+      },
+      decimals: {
+        type: "integer",
+        description: "Jetton decimals (default: read from the jetton, else 9)",
+        minimum: 0,
+        maximum: 18,
+      },
+      forward_ton: {
+        type: "string",
+        description: "TON to attach per jetton transfer for gas forwarding (default '0.05')",
+      },
+      drop_invalid: {
+        type: "boolean",
+        description: "Mark the list ready even if some rows were rejected; rejected rows are left out (default false)",
+      },
+    },
+    required: ["kind"],
+  },
+
+  execute: async (params, context) => {
+    try {
+      const isJetton = params.kind === "jetton";
+      if (isJetton && !ton.validateAddress(params.jetton_master ?? "")) {
+        return { success: false, error: `Invalid jetton master address: ${params.jetton_master}` };
+      }
+
+      let text = params.data;
+      let source = "inline";
+      if (params.message_id != null) {
+        const chatId = params.chat_id ?? context.chatId;
+        const buffer = await sdk.telegram.downloadMedia(chatId, params.message_id);
+        if (!buffer) {
+          return { success: false, error: `No document found in message ${params.message_id}` };
+        }
+        text = buffer.toString("utf-8");
+        source = `telegram:${chatId}/${params.message_id}`;
+      }
+      if (!text || !String(text).trim()) {
+        return { success: false, error: "Provide the list as data or as a Telegram document message_id" };
+      }
+
+      let decimals = 9;
+      if (isJetton) {
+        const info = params.decimals == null ? await ton.getJettonInfo(params.jetton_master) : null;
+        decimals = params.decimals ?? (Number.isInteger(Number(info?.decimals)) ? Number(info.decimals) : 9);
+      }
+
+      const { format, rows } = parseRecipientList(text, params.format ?? "auto");
+      if (rows.length === 0) {
+        return { success: false, error: "The list contains no rows" };
+      }
+      const { entries, invalid, zero, duplicates, totalUnits } = normalizeRecipients(rows, decimals);
+
+      const recipients = entries.map((e) => ({
+        address: e.address,
+        amount: formatUnits(e.units, decimals),
+        ...(e.memo && !isJetton ? { memo: e.memo } : {}),
+      }));
+      const rejected = invalid.length + zero.length;
+      const ready = recipients.length > 0 && (rejected === 0 || params.drop_invalid === true);
+      const batchCount = Math.ceil(recipients.length / MAX_BATCH_SIZE);
+      const forwardTon = isJetton ? params.forward_ton ?? "0.05" : null;
+      const { feeNano, requiredNano } = estimateRequirements(
+        params.kind, recipients.length, batchCount, totalUnits, toNano(forwardTon ?? "0.05"),
+      );
+
+      const { lastInsertRowid } = db.prepare(
+        `INSERT INTO multisend_imports
+           (kind, jetton_master, decimals, forward_ton, source, recipients_json, recipient_count, rejected_count, total_amount, ready)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).run(
+        params.kind,
+        isJetton ? Address.parse(params.jetton_master).toString() : null,
+        decimals,
+        forwardTon,
+        source,
+        JSON.stringify(recipients),
+        recipients.length,
+        rejected,
+        formatUnits(totalUnits, decimals),
+        ready ? 1 : 0,
+      );
+      const importId = Number(lastInsertRowid);
+
+      let nextStep;
+      if (!ready) {
+        nextStep = recipients.length === 0
+          ? "No valid recipients -- fix the list and import again"
+          : "Fix the rejected rows and import again, or re-import with drop_invalid to skip them";
+      } else if (recipients.length > MAX_BATCH_SIZE) {
+        nextStep = `Call multisend_campaign_create with kind '${params.kind}' and import_id ${importId}`;
+      } else {
+        nextStep = `Call multisend_batch_${params.kind} with import_id ${importId}`;
+      }
+
+      log.info(`Import ${importId}: ${rows.length} rows, ${recipients.length} recipients, ${rejected} rejected`);
+
+      return {
+        success: true,
+        data: {
+          import_id: importId,
+          ready,
+          format,
+          source,
+          rows: rows.length,
+          recipient_count: recipients.length,
+          total_amount: formatUnits(totalUnits, decimals),
+          unit: isJetton ? "jetton" : "TON",
+          decimals: isJetton ? decimals : undefined,
+          batch_count: batchCount,
+          estimated_fee_ton: formatTON(feeNano),
+          required_ton: formatTON(requiredNano),
+          duplicates_merged: duplicates.length,
+          duplicates: duplicates.slice(0, 20).map((d) => ({
+            address: d.address,
+            rows: d.rows,
+            merged_amount: formatUnits(d.units, decimals),
+          })),
+          invalid_rows: invalid.slice(0, 50),
+          invalid_count: invalid.length,
+          zero_amount_rows: zero.slice(0, 50),
+          zero_amount_count: zero.length,
+          preview: recipients.slice(0, 5),
+          next_step: nextStep,
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 9: multisend_simulate
+// ---------------------------------------------------------------------------
+
+const multisendSimulate = {
+  name: "multisend_simulate",
+  description:
+    "Dry-run a multisend batch without signing or broadcasting anything. Builds the exact Highload v3 message set multisend_batch_ton / multisend_batch_jetton would send (or the next batch of a campaign), estimates forward and compute fees, checks the multisend wallet's TON balance and jetton wallet balance, and reports whether the batch would fail. " +
+    "With kind 'fund' it dry-runs multisend_fund instead: the transfer from the agent wallet, its fees and the agent's balance.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      kind: {
+        type: "string",
+        enum: ["ton", "jetton", "fund"],
+        description: "Batch type to simulate, or 'fund' for multisend_fund (ignored with campaign_id)",
+      },
+      amount: {
+        type: "string",
+        description: "TON to fund the multisend wallet with (kind 'fund')",
+      },
+      recipients: {
+        type: "array",
+        description: "List of recipients (max 254), same shape as the batch tools",
+        maxItems: 254,
+        items: {
+          type: "object",
+          properties: {
+            address: { type: "string", description: "Recipient TON address" },
+            amount: { type: "string", description: "Amount in TON or jetton human units" },
+            memo: { type: "string", description: "Comment to attach (TON only, optional)" },
+          },
+          required: ["address", "amount"],
+        },
+      },
+      import_id: {
+        type: "integer",
+        description: "Simulate a validated list from multisend_import instead of recipients",
+      },
+      campaign_id: {
+        type: "integer",
+        description: "Simulate the next batch multisend_campaign_run would send (or re-send) instead",
+      },
+      jetton_master: {
+        type: "string",
+        description: "Jetton master contract address (jetton batches)",
+      },
+      decimals: {
+        type: "integer",
+        description: "Jetton decimals (6 for USDT, 9 for most tokens)",
+        minimum: 0,
+        maximum: 18,
+      },
+      forward_ton: {
+        type: "string",
+        description: "TON to attach per jetton transfer (default '0.05')",
+      },
+    },
+    required: [],
+  },
+
+  execute: async (params, _context) => {
+    try {
+      let input;
+      let batchIndex;
+      if (params.campaign_id != null) {
+        const campaign = db.prepare("SELECT * FROM multisend_campaigns WHERE id = ?").get(params.campaign_id);
+        if (!campaign) {
+          return { success: false, error: `Campaign ${params.campaign_id} not found` };
+        }
+        const next = db.prepare(
+          "SELECT batch_index FROM multisend_campaign_batches WHERE campaign_id = ? AND status IN ('sending', 'pending') ORDER BY batch_index LIMIT 1"
+        ).get(campaign.id);
+        if (!next) {
+          return { success: false, error: `Campaign ${campaign.id} has no pending batches` };
+        }
+        batchIndex = next.batch_index;
+        input = {
+          kind: campaign.kind,
+          recipients: getBatchRecipients(db, campaign.id, batchIndex),
+          jetton_master: campaign.jetton_master,
+          decimals: campaign.decimals,
+          forward_ton: campaign.forward_ton,
+        };
+      } else if (params.kind === "fund") {
+        return { success: true, data: await simulateFund(db, params.amount) };
+      } else {
+        if (params.kind !== "ton" && params.kind !== "jetton") {
+          return { success: false, error: "kind must be 'ton', 'jetton' or 'fund'" };
+        }
+        input = withImport(db, params, params.kind);
+      }
+
+      const isJetton = input.kind === "jetton";
+      const recipients = input.recipients;
+      if (!Array.isArray(recipients) || recipients.length === 0) {
+        return { success: false, error: "recipients must be a non-empty array" };
+      }
+      if (isJetton && !ton.validateAddress(input.jetton_master ?? "")) {
+        return { success: false, error: `Invalid jetton master address: ${input.jetton_master}` };
+      }
+      for (const r of recipients) {
+        if (!ton.validateAddress(r.address)) {
+          return { success: false, error: `Invalid recipient address: ${r.address}` };
+        }
+      }
+
+      const checks = [];
+      const check = (name, ok, detail) => checks.push({ check: name, ok, detail });
+
+      check(
+        "batch_size",
+        recipients.length <= MAX_BATCH_SIZE,
+        `${recipients.length} recipients (max ${MAX_BATCH_SIZE} per batch)`,
+      );
+      if (recipients.length > MAX_BATCH_SIZE) {
+        return {
+          success: true,
+          data: { would_fail: true, checks, hint: "Split the list with multisend_campaign_create" },
+        };
+      }
+
+      const { wallet, sequence } = await getMultisendWallet(db);
+      const client = await getTonClient();
+      const balance = await client.getBalance(wallet.address);
+      const deployed = (await client.getContractState(wallet.address)).state === "active";
+
+      check("query_id_available", sequence.hasNext(), `next query ID ${sequence.current()}`);
+
+      // Build the exact message set
+      const decimals = isJetton ? input.decimals ?? 9 : 9;
+      const forwardTon = toNano(input.forward_ton ?? "0.05");
+      let messages;
+      let jettonWallet;
+      let totalUnits = 0n;
+      if (isJetton) {
+        jettonWallet = await getJettonWallet(client, Address.parse(input.jetton_master), wallet.address);
+        messages = buildJettonMessages(recipients, {
+          jettonWallet,
+          responseAddress: wallet.address,
+          decimals,
+          forwardTon,
+        });
+        for (const r of recipients) totalUnits += toJettonUnits(r.amount, decimals);
+      } else {
+        messages = buildTonMessages(recipients);
+        for (const r of recipients) totalUnits += toNano(r.amount);
+      }
+      const attachedNano = messages.reduce((sum, m) => sum + m.message.info.value.coins, 0n);
+
+      // Fees: emulate the external, price the outgoing messages from config
+      const externalBody = await buildBatchExternal(wallet, messages, Math.floor(Date.now() / 1000) - 60);
+      let externalFee;
+      let feeSource = "emulated";
+      try {
+        const estimate = await client.estimateExternalMessageFee(wallet.address, {
+          body: externalBody,
+          initCode: deployed ? null : wallet.init.code,
+          initData: deployed ? null : wallet.init.data,
+          ignoreSignature: true,
+        });
+        const f = estimate.source_fees;
+        externalFee = BigInt(f.in_fwd_fee + f.storage_fee + f.gas_fee + f.fwd_fee);
+      } catch (err) {
+        // Fall back to a flat estimate of the external + self-message leg
+        feeSource = `fallback (${String(err.message || err).slice(0, 100)})`;
+        externalFee = toNano("0.01");
+      }
+      const forwardFees = messages.reduce((sum, m) => sum + estimateForwardFee(m.message), 0n);
+      const internalGas = HIGHLOAD_INTERNAL_GAS * GAS_PRICE;
+      const totalFee = externalFee + internalGas + forwardFees;
+
+      // Balance checks
+      const requiredNano = attachedNano + totalFee;
+      check(
+        "ton_balance",
+        balance >= requiredNano,
+        `${formatTON(balance)} TON available, ${formatTON(requiredNano)} TON needed (${formatTON(attachedNano)} attached + ${formatTON(totalFee)} fees)`,
+      );
+
+      const toolBuffer = isJetton
+        ? forwardTon * BigInt(recipients.length) + toNano(JETTON_GAS_BUFFER)
+        : totalUnits + toNano(TON_GAS_BUFFER);
+      check(
+        "batch_tool_precheck",
+        balance >= toolBuffer,
+        `multisend_batch_${input.kind} requires ${formatTON(toolBuffer)} TON including its safety buffer`,
+      );
+
+      let jettonBalance;
+      if (isJetton) {
+        check(
+          "wallet_deployed",
+          deployed,
+          deployed ? "multisend wallet is active" : "multisend wallet must be deployed (send a TON batch first) before jetton batches",
+        );
+        jettonBalance = await getJettonBalance(client, jettonWallet);
+        check(
+          "jetton_balance",
+          jettonBalance >= totalUnits,
+          `${formatUnits(jettonBalance, decimals)} available, ${formatUnits(totalUnits, decimals)} needed`,
+        );
+      } else if (!deployed) {
+        check("wallet_deployed", true, "multisend wallet will be deployed by this batch");
+      }
+
+      const failures = checks.filter((c) => !c.ok).map((c) => c.check);
+
+      return {
+        success: true,
+        data: {
+          would_fail: failures.length > 0,
+          failures,
+          checks,
+          kind: input.kind,
+          campaign_batch: batchIndex,
+          query_id: sequence.current(),
+          multisend_address: wallet.address.toString({ bounceable: deployed }),
+          deployed,
+          message_count: messages.length,
+          total_amount: formatUnits(totalUnits, decimals),
+          jetton_wallet: jettonWallet?.toString(),
+          jetton_balance: jettonBalance != null ? formatUnits(jettonBalance, decimals) : undefined,
+          ton_attached: formatTON(attachedNano),
+          fees: {
+            source: feeSource,
+            external_and_self_message: formatTON(externalFee),
+            internal_compute: formatTON(internalGas),
+            outgoing_forward: formatTON(forwardFees),
+            total: formatTON(totalFee),
+            note: isJetton
+              ? "Jetton wallet gas is paid from forward_ton; the unused part returns to the multisend wallet as excess"
+              : undefined,
+          },
+          balance: formatTON(balance),
+          preview: recipients.slice(0, 10).map((r, i) => ({
+            to: messages[i].message.info.dest.toString(),
+            value: formatTON(messages[i].message.info.value.coins),
+            ...(isJetton ? { jetton_destination: r.address, jetton_amount: r.amount } : {}),
+            ...(!isJetton && r.memo ? { memo: r.memo } : {}),
+          })),
+          external_body_cells: countMessageCells(beginCell().storeRef(externalBody).endCell()).cells,
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Spend estimates for the action guard (TON paid out to recipients; funding
+// only moves TON between the agent's own wallets and is not counted)
+// ---------------------------------------------------------------------------
+
+const SPEND = {
+  multisend_batch_ton: (p) => {
+    const recipients = withImport(db, p, "ton").recipients ?? [];
+    return { ton: recipients.reduce((sum, r) => sum + Number(r.amount), 0) };
+  },
+  multisend_campaign_run: (p) => {
+    const campaign = db.prepare("SELECT kind FROM multisend_campaigns WHERE id = ?").get(p.campaign_id);
+    if (campaign?.kind !== "ton") return null;
+    // Batches left in 'sending' are re-sent; requeue_unknown adds the re-queued ones
+    const statuses = p.requeue_unknown ? "'pending', 'sending', 'unknown'" : "'pending', 'sending'";
+    const pending = db.prepare(
+      `SELECT total_amount FROM multisend_campaign_batches WHERE campaign_id = ? AND status IN (${statuses}) ORDER BY batch_index`
+    ).all(p.campaign_id).slice(0, p.max_batches ?? Infinity);
+    return { ton: pending.reduce((sum, b) => sum + Number(b.total_amount), 0) };
+  },
+};
+
+  return guardTools(sdk, [
+    multisendInfo,
+    multisendFund,
+    multisendBatchTon,
+    multisendBatchJetton,
+    multisendStatus,
+    multisendCampaignCreate,
+    multisendCampaignRun,
+    multisendImport,
+    multisendSimulate,
+  ], SPEND);
 }; // end tools(sdk)
@@ -0,0 +1,235 @@
+/**
+ * Multisend recipient-list import
+ *
+ * Parses CSV or JSON recipient lists into rows, validates addresses and
+ * amounts, normalizes bounceable/non-bounceable/raw address forms, and merges
+ * duplicate recipients. Pure functions -- nothing here touches the chain.
+ */
+
+import { createRequire } from "node:module";
+import { realpathSync } from "node:fs";
+
+const _require = createRequire(realpathSync(process.argv[1]));
+const { Address } = _require("@ton/core");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const ADDRESS_COLUMNS = ["address", "wallet", "recipient", "to", "destination"];
+const AMOUNT_COLUMNS = ["amount", "value", "sum", "qty", "quantity"];
+const MEMO_COLUMNS = ["memo", "comment", "note", "message"];
+
+// ---------------------------------------------------------------------------
+// Amounts
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a decimal amount string into base units.
+ * Accepts "1.5", "1,5", "1 000.5" and "1_000". Returns null for negative,
+ * malformed, or over-precise values.
+ */
+export function parseUnits(value, decimals) {
+  const str = String(value ?? "").trim().replace(/[\s_]/g, "").replace(",", ".");
+  const m = /^(\d*)(?:\.(\d*))?$/.exec(str);
+  if (!m || (m[1] === "" && !m[2])) return null;
+  const frac = m[2] ?? "";
+  if (frac.length > decimals) return null;
+  return BigInt(m[1] || "0") * 10n ** BigInt(decimals) + BigInt(frac.padEnd(decimals, "0") || "0");
+}
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+/** Split one CSV line on `delimiter`, honouring double-quoted fields. */
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/** True if `value` parses as a TON address in any form. */
+function isAddress(value) {
+  try {
+    Address.parse(String(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Find the first header cell matching one of `names`. */
+function findColumn(header, names) {
+  return header.findIndex((h) => names.includes(h.toLowerCase().replace(/[^a-z]/g, "")));
+}
+
+/**
+ * Parse CSV text into `{ row, address, amount, memo }` entries.
+ * The delimiter (comma, semicolon or tab) is detected from the first line;
+ * a header row is detected when its first column is not an address and its
+ * second column is not a number.
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const first = lines.find((l) => l.trim()) ?? "";
+  const delimiter = [",", ";", "\t"].reduce(
+    (best, d) => (first.split(d).length > first.split(best).length ? d : best),
+    ",",
+  );
+
+  const rows = [];
+  lines.forEach((line, i) => {
+    if (line.trim()) rows.push({ line: i + 1, cells: splitCsvLine(line, delimiter) });
+  });
+  if (rows.length === 0) return [];
+
+  let cols = { address: 0, amount: 1, memo: 2 };
+  if (!isAddress(rows[0].cells[0]) && parseUnits(rows[0].cells[1], 18) === null) {
+    const header = rows.shift().cells;
+    cols = {
+      address: findColumn(header, ADDRESS_COLUMNS),
+      amount: findColumn(header, AMOUNT_COLUMNS),
+      memo: findColumn(header, MEMO_COLUMNS),
+    };
+    if (cols.address < 0 || cols.amount < 0) {
+      throw new Error(`CSV header must name an address and an amount column (got: ${header.join(", ")})`);
+    }
+  }
+
+  return rows.map(({ line, cells }) => ({
+    row: line,
+    address: cells[cols.address] ?? "",
+    amount: cells[cols.amount] ?? "",
+    memo: cols.memo >= 0 ? cells[cols.memo] || undefined : undefined,
+  }));
+}
+
+/** Pick the first defined field of `obj` among `names`. */
+function pick(obj, names) {
+  for (const n of names) {
+    if (obj[n] != null) return obj[n];
+  }
+  return undefined;
+}
+
+/**
+ * Parse JSON into `{ row, address, amount, memo }` entries. Accepts an array
+ * of objects, an array of [address, amount, memo?] tuples, or an
+ * `{ address: amount }` map.
+ */
+function parseJson(text) {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) {
+    return data.map((item, i) => {
+      if (Array.isArray(item)) {
+        return { row: i + 1, address: item[0] ?? "", amount: item[1] ?? "", memo: item[2] ?? undefined };
+      }
+      const obj = item ?? {};
+      return {
+        row: i + 1,
+        address: pick(obj, ADDRESS_COLUMNS) ?? "",
+        amount: pick(obj, AMOUNT_COLUMNS) ?? "",
+        memo: pick(obj, MEMO_COLUMNS),
+      };
+    });
+  }
+  if (data && typeof data === "object") {
+    return Object.entries(data).map(([address, amount], i) => ({ row: i + 1, address, amount }));
+  }
+  throw new Error("JSON must be an array of recipients or an { address: amount } object");
+}
+
+/**
+ * Parse a recipient list. `format` is "csv", "json" or "auto" (JSON when the
+ * payload starts with `[` or `{`).
+ */
+export function parseRecipientList(text, format = "auto") {
+  const body = String(text).replace(/^\uFEFF/, "").trim();
+  const isJson = format === "json" || (format === "auto" && /^[[{]/.test(body));
+  return { format: isJson ? "json" : "csv", rows: isJson ? parseJson(body) : parseCsv(body) };
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate and normalize parsed rows.
+ *
+ * Addresses are normalized to their non-bounceable user-friendly form and
+ * keyed by raw address, so EQ.../UQ.../0:... spellings of the same account
+ * merge into one recipient whose amounts are summed. Memos are kept from the
+ * first row that has one.
+ *
+ * @returns {{ entries, invalid, zero, duplicates, totalUnits }}
+ */
+export function normalizeRecipients(rows, decimals) {
+  const byRaw = new Map();
+  const invalid = [];
+  const zero = [];
+
+  for (const r of rows) {
+    let address;
+    try {
+      address = Address.parse(String(r.address).trim());
+    } catch {
+      invalid.push({ row: r.row, address: String(r.address), amount: String(r.amount), reason: "invalid address" });
+      continue;
+    }
+    const units = parseUnits(r.amount, decimals);
+    if (units === null) {
+      invalid.push({ row: r.row, address: String(r.address), amount: String(r.amount), reason: `invalid amount (max ${decimals} decimals)` });
+      continue;
+    }
+    if (units === 0n) {
+      zero.push({ row: r.row, address: String(r.address) });
+      continue;
+    }
+
+    const raw = address.toRawString();
+    const existing = byRaw.get(raw);
+    if (existing) {
+      existing.units += units;
+      existing.rows.push(r.row);
+      if (!existing.memo && r.memo) existing.memo = String(r.memo);
+    } else {
+      byRaw.set(raw, {
+        address: address.toString({ bounceable: false }),
+        units,
+        memo: r.memo ? String(r.memo) : undefined,
+        rows: [r.row],
+      });
+    }
+  }
+
+  const entries = [...byRaw.values()];
+  const duplicates = entries
+    .filter((e) => e.rows.length > 1)
+    .map((e) => ({ address: e.address, rows: e.rows, units: e.units }));
+  const totalUnits = entries.reduce((sum, e) => sum + e.units, 0n);
+
+  return { entries, invalid, zero, duplicates, totalUnits };
+}
@@ -0,0 +1,689 @@
+/**
+ * Portfolio plugin -- net worth of a TON address across wallet, DeFi and NFTs
+ *
+ * Wallet TON, jettons and NFTs come from TONAPI (the same endpoints as
+ * tonapi_account, tonapi_account_jettons and tonapi_account_nfts), and every
+ * price from its rates endpoint (tonapi_rates), in TON and USD. Positions
+ * held elsewhere come from the other plugins' own tools, looked up in the
+ * process-wide registry that lib/guard.js fills:
+ *
+ *   evaa_user_position  -- EVAA lending, supply minus borrow, every pool
+ *   storm_positions     -- Storm Trade perps, at the margin posted
+ *   gas_portfolio       -- Gas111 tokens (agent wallet only)
+ *   webdom_my_domains   -- .ton domains and usernames, at their last sale price
+ *
+ * A plugin that is not installed is reported as an unavailable source, and
+ * a failing one as an error; the net worth then leaves that category out.
+ * Daily snapshots of the net worth are stored in SQLite (snapshots.js).
+ */
+
+import { createRequire } from "node:module";
+import { realpathSync } from "node:fs";
+import {
+  migrateSnapshots,
+  saveSnapshot,
+  hasSnapshotToday,
+  snapshotHistory,
+  snapshotAddresses,
+  dayOf,
+} from "./snapshots.js";
+
+const _require = createRequire(realpathSync(process.argv[1]));
+
+const { Address } = _require("@ton/core");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+// Filled by guardTools() in lib/guard.js of each signing plugin.
+const REGISTRY_KEY = Symbol.for("teleton-plugins.tools");
+
+const TONAPI_BASE = "https://tonapi.io";
+const NFT_LIMIT = 1000;
+const RATES_BATCH = 100;
+
+// Settlement tokens of the Storm Trade vaults
+const USDT_ADDRESS = "EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs";
+const NOT_ADDRESS = "EQAvlWFDxGF2lXm67y4yzC17wYKD9A0guwPkMs1gOsM__NOT";
+
+// NFT collections of .ton domains and Telegram usernames
+const DOMAIN_COLLECTIONS = [
+  "EQC3dNlesgVD8YbAazcauIrXBPfiVhMMr5YYk2in0Mtsz0Bz",
+  "EQCA14o1-VWhS2efqoh_9M1b_A9DtKTuoqfmkn83AbJzwnPi",
+];
+
+const EVAA_POOLS = ["main", "lp", "alts", "stable"];
+const SOURCE_TIMEOUT_MS = 60_000;
+const SNAPSHOT_CHECK_MS = 60 * 60 * 1000;
+
+const CATEGORY_ORDER = ["ton", "jettons", "gas111", "lending", "perps", "domains", "nfts"];
+
+let _sdk = null;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function num(value) {
+  const n = Number(value);
+  return value != null && value !== "" && Number.isFinite(n) ? n : null;
+}
+
+/** A 9-decimal contract amount (Storm position data), or null. */
+function nanoNum(value) {
+  const n = num(value);
+  return n == null ? null : n / 1e9;
+}
+
+function round(n, digits = 2) {
+  return n == null ? null : Number(n.toFixed(digits));
+}
+
+async function tonPriceUsd() {
+  try {
+    return num((await _sdk?.ton?.getPrice?.())?.usd);
+  } catch {
+    return null;
+  }
+}
+
+/** Raw form ("0:abcd...") of an address, so every API's format compares equal. */
+function rawAddress(address) {
+  try {
+    return Address.parse(String(address)).toRawString();
+  } catch {
+    return String(address).toLowerCase();
+  }
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// ---------------------------------------------------------------------------
+// TONAPI
+// ---------------------------------------------------------------------------
+
+let lastRequestTime = 0;
+
+async function tonapiFetch(path, params = {}) {
+  const apiKey = _sdk?.secrets?.get("api_key") ?? null;
+  const minGap = apiKey ? 1000 : 4000;
+  const elapsed = Date.now() - lastRequestTime;
+  if (elapsed < minGap) await new Promise((r) => setTimeout(r, minGap - elapsed));
+  lastRequestTime = Date.now();
+
+  const url = new URL(path, TONAPI_BASE);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+  }
+  const headers = { Accept: "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const res = await fetch(url, { headers, signal: AbortSignal.timeout(15000) });
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`TONAPI error: ${res.status} ${text.slice(0, 200)}`);
+  }
+  return res.json();
+}
+
+/**
+ * TON and USD prices of tokens ("ton" for TON), keyed by raw address
+ * ("ton" for TON). Tokens without a rate are missing from the map.
+ */
+async function fetchRates(tokens) {
+  const rates = new Map();
+  const list = [...new Set(tokens)];
+  for (let i = 0; i < list.length; i += RATES_BATCH) {
+    const data = await tonapiFetch("/v2/rates", {
+      tokens: list.slice(i, i + RATES_BATCH).join(","),
+      currencies: "ton,usd",
+    });
+    for (const [token, info] of Object.entries(data.rates ?? {})) {
+      const prices = info.prices ?? {};
+      const key = token.toLowerCase() === "ton" ? "ton" : rawAddress(token);
+      rates.set(key, { ton: num(prices.TON), usd: num(prices.USD) });
+    }
+  }
+  return rates;
+}
+
+/** Raw address of an account, resolving .ton domains through TONAPI. */
+async function resolveAddress(address) {
+  try {
+    return Address.parse(String(address).trim()).toRawString();
+  } catch {
+    const data = await tonapiFetch(`/v2/accounts/${encodeURIComponent(String(address).trim())}`);
+    if (!data.address) throw new Error(`Unknown account: ${address}`);
+    return rawAddress(data.address);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Sources
+// ---------------------------------------------------------------------------
+
+/** A tool from another plugin, or null if that plugin is not loaded. */
+function registeredTool(name) {
+  return globalThis[REGISTRY_KEY]?.get(name)?.tool ?? null;
+}
+
+class Unavailable extends Error {}
+
+/** Run a read-only tool of another plugin and return its data. */
+async function callTool(name, params, context = {}) {
+  const tool = registeredTool(name);
+  if (!tool) throw new Unavailable(`${name} is not available (plugin not installed)`);
+  const result = await withTimeout(tool.execute(params, context), SOURCE_TIMEOUT_MS, name);
+  if (!result?.success) throw new Error(`${name}: ${result?.error ?? "failed"}`);
+  return result.data;
+}
+
+/** Run one source; failures become its status instead of failing the portfolio. */
+async function runSource(source, fn) {
+  try {
+    return { source, status: "ok", data: await fn() };
+  } catch (err) {
+    const status = err instanceof Unavailable ? "unavailable" : "error";
+    return { source, status, error: String(err.message || err).slice(0, 300), data: null };
+  }
+}
+
+async function walletSources(address) {
+  const account = await runSource("tonapi_account", () => tonapiFetch(`/v2/accounts/${address}`));
+  const jettons = await runSource("tonapi_account_jettons", async () => {
+    const data = await tonapiFetch(`/v2/accounts/${address}/jettons`, { currencies: "ton,usd" });
+    return data.balances ?? [];
+  });
+  const nfts = await runSource("tonapi_account_nfts", async () => {
+    const data = await tonapiFetch(`/v2/accounts/${address}/nfts`, { limit: NFT_LIMIT, offset: 0 });
+    return data.nft_items ?? [];
+  });
+  return { account, jettons, nfts };
+}
+
+/** EVAA positions in every pool with one; a failing pool fails the source. */
+async function lendingSource(address) {
+  const pools = [];
+  for (const pool of EVAA_POOLS) {
+    const d = await callTool("evaa_user_position", { address, pool });
+    if (d.status !== "active") continue;
+    const supply = num(String(d.supply_balance_usd ?? "").replace("$", "")) ?? 0;
+    const borrow = num(String(d.borrow_balance_usd ?? "").replace("$", "")) ?? 0;
+    pools.push({ pool, supply_usd: supply, borrow_usd: borrow, health_factor: d.health_factor ?? null, balances: d.balances ?? [] });
+  }
+  return pools;
+}
+
+/**
+ * Storm positions as { market, direction, vault, margin } in vault currency,
+ * from the active-positions list: each entry has its market (with the
+ * /markets config) and the contract's positionData, whose amounts are
+ * 9-decimal. An entry in any other shape fails the source.
+ */
+async function perpsSource(address) {
+  const data = await callTool("storm_positions", { trader_address: address });
+  if (!Array.isArray(data)) throw new Error("storm_positions: unexpected response (no position list)");
+  return data.map((p) => {
+    const config = p?.market?.config;
+    const margin = nanoNum(p?.positionData?.margin);
+    if (!config?.name || margin == null) {
+      throw new Error("storm_positions: unexpected position entry (no market config or positionData.margin)");
+    }
+    const settlement = String(config.settlementToken ?? "").toLowerCase();
+    const direction = p.positionData.direction;
+    return {
+      market: config.name,
+      direction: direction === 1 || String(direction).toLowerCase() === "short" ? "short" : "long",
+      vault: settlement === "ton" || settlement === "native" ? "native" : settlement === "not" ? "not" : "usdt",
+      margin,
+    };
+  });
+}
+
+/**
+ * Gas111 tokens as { address, symbol, value_ton } (value_ton may be null),
+ * from the portfolio's `tokens` list. Any other shape fails the source.
+ */
+async function gasSource(context) {
+  const data = await callTool("gas_portfolio", {}, context);
+  if (!Array.isArray(data?.tokens)) throw new Error("gas_portfolio: unexpected response (no tokens list)");
+  return data.tokens.map((t) => {
+    if (!t?.token_address) throw new Error("gas_portfolio: unexpected token entry (no token_address)");
+    return { address: t.token_address, symbol: t.ticker ?? null, value_ton: num(t.value_ton) };
+  });
+}
+
+/** Domains as raw address -> { name, last_price_ton, on_sale, sale_price_ton }. */
+async function domainsSource(address) {
+  const data = await callTool("webdom_my_domains", { address });
+  const domains = new Map();
+  for (const d of data.domains ?? []) {
+    if (!d.address) continue;
+    domains.set(rawAddress(d.address), {
+      name: d.name,
+      last_price_ton: num(d.last_price_ton),
+      on_sale: !!d.on_sale,
+      sale_price_ton: num(d.sale_price_ton),
+    });
+  }
+  return domains;
+}
+
+// ---------------------------------------------------------------------------
+// Valuation
+// ---------------------------------------------------------------------------
+
+/** An item's value in TON and USD from whichever of the two is known. */
+function value(ton, usd, tonUsd) {
+  if (ton == null && usd == null) return { value_ton: null, value_usd: null };
+  return {
+    value_ton: ton ?? (tonUsd ? usd / tonUsd : null),
+    value_usd: usd ?? (tonUsd != null && ton != null ? ton * tonUsd : null),
+  };
+}
+
+function category(name, items, extra = {}) {
+  const priced = items.filter((i) => i.value_ton != null);
+  const byValue = [...items].sort((a, b) => (b.value_ton ?? -Infinity) - (a.value_ton ?? -Infinity));
+  const sum = (key) => priced.reduce((s, i) => s + (i[key] ?? 0), 0);
+  return {
+    category: name,
+    value_ton: sum("value_ton"),
+    value_usd: priced.length && priced.every((i) => i.value_usd != null) ? sum("value_usd") : priced.length ? null : 0,
+    share_pct: null,
+    items_count: items.length,
+    unpriced: items.length - priced.length,
+    ...extra,
+    items: byValue,
+  };
+}
+
+const skippedGas = (error) => ({ source: "gas_portfolio", status: "skipped", error, data: null });
+
+/**
+ * Pull every source for an address (raw form). `context` is the tool
+ * call's context: gas_portfolio needs its Telegram bridge, so Gas111 is
+ * skipped without one and for any address but the agent wallet.
+ */
+async function fetchSources(address, context = null) {
+  const agent = _sdk?.ton?.getAddress?.();
+  const isAgent = agent ? rawAddress(agent) === address : false;
+
+  const [wallet, lending, perps, domains, gas] = await Promise.all([
+    walletSources(address),
+    runSource("evaa_user_position", () => lendingSource(address)),
+    runSource("storm_positions", () => perpsSource(address)),
+    runSource("webdom_my_domains", () => domainsSource(address)),
+    isAgent && context?.bridge
+      ? runSource("gas_portfolio", () => gasSource(context))
+      : Promise.resolve(skippedGas(isAgent ? "Needs a chat context (not available to background snapshots)" : "Gas111 only covers the agent wallet")),
+  ]);
+
+  // One rates call for every jetton plus the Storm settlement tokens
+  const jettonBalances = (wallet.jettons.data ?? []).filter((b) => b.jetton?.verification !== "blacklist");
+  const rateTokens = ["ton", USDT_ADDRESS, NOT_ADDRESS, ...jettonBalances.map((b) => b.jetton?.address).filter(Boolean)];
+  const rates = await runSource("tonapi_rates", () => fetchRates(rateTokens));
+  const tonUsd = rates.data?.get("ton")?.usd ?? (await tonPriceUsd());
+  return { address, wallet, lending, perps, domains, gas, rates, tonUsd };
+}
+
+/**
+ * The sources a snapshot is built from: the same set every run, so the
+ * day's row does not depend on whether a chat call or the background job
+ * took it. Gas111 is left out, since the background job cannot reach it.
+ */
+function snapshotSources(src) {
+  return { ...src, gas: skippedGas("Not part of snapshots (background snapshots cannot reach it)") };
+}
+
+/** Value fetched sources as a portfolio: categories, net worth, source statuses. */
+function valuePortfolio({ address, wallet, lending, perps, domains, gas, rates, tonUsd }) {
+  const jettonBalances = (wallet.jettons.data ?? []).filter((b) => b.jetton?.verification !== "blacklist");
+  const rate = (token) => rates.data?.get(token === "ton" ? "ton" : rawAddress(token)) ?? null;
+  const categories = [];
+
+  // Wallet TON
+  if (wallet.account.status === "ok") {
+    const ton = Number(wallet.account.data.balance ?? 0) / 1e9;
+    categories.push(category("ton", [{ symbol: "TON", amount: ton, ...value(ton, null, tonUsd) }]));
+  }
+
+  // Jettons, with Gas111 tokens split out
+  const gasTokens = new Map((gas.data ?? []).map((t) => [rawAddress(t.address), t]));
+  const jettonItems = [];
+  const gasItems = [];
+  for (const b of jettonBalances) {
+    const j = b.jetton ?? {};
+    const amount = Number(b.balance ?? 0) / 10 ** (j.decimals ?? 9);
+    if (!(amount > 0)) continue;
+    const key = rawAddress(j.address);
+    const price = rate(j.address) ?? { ton: num(b.price?.prices?.TON), usd: num(b.price?.prices?.USD) };
+    const gasToken = gasTokens.get(key);
+    gasTokens.delete(key);
+    let v = value(price.ton != null ? amount * price.ton : null, price.usd != null ? amount * price.usd : null, tonUsd);
+    if (v.value_ton == null && gasToken?.value_ton != null) v = value(gasToken.value_ton, null, tonUsd);
+    (gasToken ? gasItems : jettonItems).push({ symbol: j.symbol ?? null, address: j.address ?? null, amount, ...v });
+  }
+  for (const t of gasTokens.values()) {
+    gasItems.push({ symbol: t.symbol, address: t.address, amount: null, ...value(t.value_ton, null, tonUsd) });
+  }
+  if (wallet.jettons.status === "ok") {
+    categories.push(category("jettons", jettonItems, {
+      ignored_blacklisted: (wallet.jettons.data ?? []).length - jettonBalances.length,
+    }));
+  }
+  if (gas.status === "ok") categories.push(category("gas111", gasItems));
+
+  // EVAA lending, net of borrows
+  if (lending.status === "ok") {
+    categories.push(category("lending", lending.data.map((p) => ({
+      pool: p.pool,
+      supply_usd: round(p.supply_usd),
+      borrow_usd: round(p.borrow_usd),
+      health_factor: p.health_factor,
+      ...value(null, p.supply_usd - p.borrow_usd, tonUsd),
+    }))));
+  }
+
+  // Storm perps: margin posted, in vault currency
+  if (perps.status === "ok") {
+    const vaultRate = { usdt: rate(USDT_ADDRESS) ?? { usd: 1 }, native: { ton: 1, usd: tonUsd }, not: rate(NOT_ADDRESS) };
+    categories.push(category("perps", perps.data.map((p) => {
+      const r = vaultRate[p.vault] ?? {};
+      return {
+        ...p,
+        ...value(r.ton != null ? p.margin * r.ton : null, r.usd != null ? p.margin * r.usd : null, tonUsd),
+      };
+    }), { priced_at: "margin posted (unrealized PnL not included)" }));
+  }
+
+  // Domains (TONAPI holdings, priced by webdom) and other NFTs
+  const domainCollections = new Set(DOMAIN_COLLECTIONS.map(rawAddress));
+  const webdom = domains.data ?? new Map();
+  const domainItems = [];
+  const nftItems = [];
+  for (const item of wallet.nfts.data ?? []) {
+    const key = rawAddress(item.address);
+    const isDomain = webdom.has(key) || domainCollections.has(rawAddress(item.collection?.address ?? ""));
+    if (isDomain) {
+      const d = webdom.get(key);
+      webdom.delete(key);
+      domainItems.push({
+        name: d?.name ?? item.dns ?? item.metadata?.name ?? null,
+        address: item.address,
+        on_sale: d?.on_sale ?? false,
+        ...value(d?.last_price_ton ?? null, null, tonUsd),
+      });
+    } else {
+      nftItems.push({
+        name: item.metadata?.name ?? null,
+        collection: item.collection?.name ?? null,
+        address: item.address,
+        verified: item.approved_by?.length > 0,
+        value_ton: null,
+        value_usd: null,
+      });
+    }
+  }
+  for (const [key, d] of webdom) {
+    domainItems.push({ name: d.name, address: key, on_sale: d.on_sale, ...value(d.last_price_ton, null, tonUsd) });
+  }
+  if (wallet.nfts.status === "ok" || domains.status === "ok") {
+    categories.push(category("domains", domainItems, { priced_at: "last sale price (webdom)" }));
+  }
+  if (wallet.nfts.status === "ok") categories.push(category("nfts", nftItems, { priced_at: "not priced" }));
+
+  const netTon = categories.reduce((s, c) => s + c.value_ton, 0);
+  const netUsd = tonUsd != null ? netTon * tonUsd : null;
+  for (const c of categories) c.share_pct = netTon > 0 ? round((c.value_ton / netTon) * 100) : null;
+  categories.sort((a, b) => CATEGORY_ORDER.indexOf(a.category) - CATEGORY_ORDER.indexOf(b.category));
+
+  const sources = [wallet.account, wallet.jettons, wallet.nfts, rates, lending, perps, gas, domains]
+    .map(({ source, status, error }) => (error ? { source, status, error } : { source, status }));
+
+  return {
+    address,
+    ton_usd: tonUsd,
+    net_worth_ton: netTon,
+    net_worth_usd: netUsd,
+    complete: sources.every((s) => s.status !== "error"),
+    categories,
+    sources,
+  };
+}
+
+/** Portfolio as returned to the LLM: rounded, items capped per category. */
+function formatPortfolio(p, maxItems) {
+  return {
+    address: p.address,
+    net_worth_ton: round(p.net_worth_ton),
+    net_worth_usd: round(p.net_worth_usd),
+    ton_usd: round(p.ton_usd, 4),
+    complete: p.complete,
+    categories: p.categories.map((c) => ({
+      ...c,
+      value_ton: round(c.value_ton),
+      value_usd: round(c.value_usd),
+      items: c.items.slice(0, maxItems).map((i) => ({ ...i, value_ton: round(i.value_ton, 4), value_usd: round(i.value_usd) })),
+    })),
+    sources: p.sources,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Daily snapshots
+// ---------------------------------------------------------------------------
+
+const snapshots = {
+  db: null,
+  config: {},
+  timer: null,
+  running: false,
+};
+
+/** Addresses snapshotted in the background: the agent wallet and tracked_addresses. */
+function trackedAddresses() {
+  const agent = _sdk?.ton?.getAddress?.();
+  return [...(agent ? [agent] : []), ...(snapshots.config.tracked_addresses ?? [])];
+}
+
+/** Take today's snapshot of every tracked address that has none yet. */
+async function runSnapshots() {
+  if (snapshots.running || !snapshots.db) return;
+  snapshots.running = true;
+  try {
+    for (const input of trackedAddresses()) {
+      try {
+        const address = await resolveAddress(input);
+        if (hasSnapshotToday(snapshots.db, address)) continue;
+        const portfolio = valuePortfolio(snapshotSources(await fetchSources(address)));
+        saveSnapshot(snapshots.db, address, portfolio);
+        _sdk?.log?.info(`Portfolio snapshot ${address}: ${round(portfolio.net_worth_ton)} TON`);
+      } catch (err) {
+        _sdk?.log?.warn(`Portfolio snapshot of ${input} failed: ${err.message}`);
+      }
+    }
+  } finally {
+    snapshots.running = false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Plugin manifest
+// ---------------------------------------------------------------------------
+
+export const manifest = {
+  name: "portfolio",
+  version: "1.0.0",
+  sdkVersion: ">=1.0.0",
+  description: "Net worth of a TON address across wallet, EVAA, Storm Trade, Gas111, domains and NFTs, with daily snapshots",
+  defaultConfig: {
+    snapshots_enabled: true,
+    tracked_addresses: [], // snapshotted daily in addition to the agent wallet
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Database migration
+// ---------------------------------------------------------------------------
+
+export function migrate(db) {
+  migrateSnapshots(db);
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+export const tools = (sdk) => {
+  _sdk = sdk;
+
+// ---------------------------------------------------------------------------
+// Tool 1: portfolio_overview
+// ---------------------------------------------------------------------------
+
+const portfolioOverview = {
+  name: "portfolio_overview",
+  description:
+    "Net worth of a TON address (default: agent wallet) in TON and USD, broken down by category: wallet TON, jettons, Gas111 tokens, EVAA lending (supply minus borrow), Storm Trade perps (margin posted, without unrealized PnL), .ton domains and NFTs. " +
+    "Lists the largest holdings per category and which sources (plugins) were unavailable or failed. Also stores today's net-worth snapshot, unless today's has fewer failed sources.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      address: {
+        type: "string",
+        description: "TON address or .ton domain (default: agent wallet)",
+      },
+      max_items: {
+        type: "integer",
+        description: "Holdings to list per category, largest first (default 10, 0 for totals only)",
+        minimum: 0,
+        maximum: 100,
+      },
+      save_snapshot: {
+        type: "boolean",
+        description: "Store today's snapshot for portfolio_history (default true). Never replaces one with fewer failed sources",
+      },
+    },
+  },
+
+  execute: async (params, context) => {
+    try {
+      const input = params.address ?? sdk.ton.getAddress();
+      if (!input) throw new Error("No address given and the agent wallet is not available");
+      const address = await resolveAddress(input);
+      const src = await fetchSources(address, context);
+      const portfolio = valuePortfolio(src);
+
+      const saved = (params.save_snapshot ?? true) && saveSnapshot(sdk.db, address, valuePortfolio(snapshotSources(src)));
+
+      return {
+        success: true,
+        data: {
+          ...formatPortfolio(portfolio, params.max_items ?? 10),
+          snapshot_saved: saved,
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 2: portfolio_history
+// ---------------------------------------------------------------------------
+
+const portfolioHistory = {
+  name: "portfolio_history",
+  description:
+    "Net worth over time from the daily portfolio snapshots: one point per day in TON and USD with the value of each category, plus the change over the period and its high and low. " +
+    "The agent wallet and tracked_addresses are snapshotted daily; other addresses each time portfolio_overview runs for them.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      address: {
+        type: "string",
+        description: "TON address or .ton domain (default: agent wallet)",
+      },
+      days: {
+        type: "integer",
+        description: "Days of history (default 30)",
+        minimum: 1,
+        maximum: 365,
+      },
+      include_categories: {
+        type: "boolean",
+        description: "Include the per-category values of each day (default true)",
+      },
+    },
+  },
+
+  execute: async (params) => {
+    try {
+      if (!sdk.db) throw new Error("Snapshots need the plugin database, which is not available");
+      const input = params.address ?? sdk.ton.getAddress();
+      if (!input) throw new Error("No address given and the agent wallet is not available");
+      const address = await resolveAddress(input);
+      const days = params.days ?? 30;
+      const from = dayOf(Math.floor(Date.now() / 1000) - (days - 1) * 86400);
+
+      const history = snapshotHistory(sdk.db, address, from);
+      if (params.include_categories === false) {
+        history.points = history.points.map(({ categories: _c, ...p }) => p);
+      }
+      return {
+        success: true,
+        data: {
+          address,
+          days,
+          snapshots: history.points.length,
+          ...history,
+          ...(history.points.length === 0
+            ? {
+                message: "No snapshots for this address yet. Run portfolio_overview to take one.",
+                addresses_with_snapshots: snapshotAddresses(sdk.db).slice(0, 10),
+              }
+            : {}),
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+return [portfolioOverview, portfolioHistory];
+
+}; // end tools(sdk)
+
+// ---------------------------------------------------------------------------
+// Lifecycle
+// ---------------------------------------------------------------------------
+
+export async function start(ctx) {
+  const config = ctx.pluginConfig ?? {};
+  snapshots.db = ctx.db;
+  snapshots.config = config;
+  if (!ctx.db || config.snapshots_enabled === false) return;
+
+  snapshots.timer = setInterval(runSnapshots, SNAPSHOT_CHECK_MS);
+  snapshots.timer.unref?.();
+  runSnapshots();
+}
+
+export async function stop() {
+  if (snapshots.timer) clearInterval(snapshots.timer);
+  snapshots.timer = null;
+}
@@ -0,0 +1,123 @@
+/**
+ * Portfolio snapshots -- net worth per address and day
+ *
+ * One row per address and UTC day: the net worth in TON and USD, the TON
+ * price it was taken at, the value of every category, and the sources that
+ * failed (a snapshot with failed sources understates the net worth). A later
+ * snapshot on the same day replaces the earlier one unless it has more
+ * failed sources, so a day holds its latest complete value.
+ *
+ * Pure functions over the plugin database.
+ */
+
+// ---------------------------------------------------------------------------
+// Database
+// ---------------------------------------------------------------------------
+
+/** Create the snapshot table. Call from migrate(db). */
+export function migrateSnapshots(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      address TEXT NOT NULL,
+      day TEXT NOT NULL,
+      net_worth_ton REAL NOT NULL,
+      net_worth_usd REAL,
+      ton_usd REAL,
+      categories TEXT NOT NULL DEFAULT '{}',
+      failed_sources TEXT NOT NULL DEFAULT '[]',
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      UNIQUE (address, day)
+    );
+  `);
+}
+
+/** UTC day ("YYYY-MM-DD") of a unix time in seconds. */
+export function dayOf(time = Math.floor(Date.now() / 1000)) {
+  return new Date(time * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Store today's snapshot of a portfolio, or replace it unless the stored one
+ * has fewer failed sources. Returns whether the row was written; false
+ * without a database.
+ */
+export function saveSnapshot(db, address, portfolio) {
+  if (!db) return false;
+  const categories = {};
+  for (const c of portfolio.categories) categories[c.category] = { ton: c.value_ton, usd: c.value_usd };
+  db.prepare(`
+    INSERT INTO portfolio_snapshots (address, day, net_worth_ton, net_worth_usd, ton_usd, categories, failed_sources)
+    VALUES (@address, @day, @net_worth_ton, @net_worth_usd, @ton_usd, @categories, @failed_sources)
+    ON CONFLICT (address, day) DO UPDATE SET
+      net_worth_ton = excluded.net_worth_ton, net_worth_usd = excluded.net_worth_usd, ton_usd = excluded.ton_usd,
+      categories = excluded.categories, failed_sources = excluded.failed_sources, created_at = unixepoch()
+    WHERE json_array_length(excluded.failed_sources) <= json_array_length(portfolio_snapshots.failed_sources)
+  `).run({
+    address,
+    day: dayOf(),
+    net_worth_ton: portfolio.net_worth_ton,
+    net_worth_usd: portfolio.net_worth_usd,
+    ton_usd: portfolio.ton_usd,
+    categories: JSON.stringify(categories),
+    failed_sources: JSON.stringify(portfolio.sources.filter((s) => s.status === "error").map((s) => s.source)),
+  }).changes > 0;
+}
+
+/** Whether an address already has a snapshot for today. */
+export function hasSnapshotToday(db, address) {
+  return !!db.prepare("SELECT 1 FROM portfolio_snapshots WHERE address = ? AND day = ?").get(address, dayOf());
+}
+
+/** Addresses with at least one snapshot, most recent first. */
+export function snapshotAddresses(db) {
+  return db.prepare("SELECT address FROM portfolio_snapshots GROUP BY address ORDER BY MAX(created_at) DESC").all()
+    .map((r) => r.address);
+}
+
+// ---------------------------------------------------------------------------
+// History
+// ---------------------------------------------------------------------------
+
+function round(n, digits = 2) {
+  return n == null ? null : Number(n.toFixed(digits));
+}
+
+function change(first, last) {
+  if (first == null || last == null) return { abs: null, pct: null };
+  return { abs: round(last - first), pct: first !== 0 ? round(((last - first) / Math.abs(first)) * 100) : null };
+}
+
+/**
+ * Daily net worth of an address since `fromDay`, oldest first, with the
+ * change over the period and its high and low (in USD, or TON when no
+ * snapshot has a USD value).
+ */
+export function snapshotHistory(db, address, fromDay) {
+  const rows = db.prepare(
+    "SELECT * FROM portfolio_snapshots WHERE address = ? AND day >= ? ORDER BY day"
+  ).all(address, fromDay);
+
+  const points = rows.map((r) => ({
+    day: r.day,
+    net_worth_ton: round(r.net_worth_ton),
+    net_worth_usd: round(r.net_worth_usd),
+    ton_usd: r.ton_usd,
+    categories: JSON.parse(r.categories),
+    failed_sources: JSON.parse(r.failed_sources),
+  }));
+  if (points.length === 0) return { points, change_ton: null, change_usd: null, high: null, low: null };
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const unit = points.every((p) => p.net_worth_usd != null) ? "usd" : "ton";
+  const key = `net_worth_${unit}`;
+  const byValue = [...points].sort((a, b) => a[key] - b[key]);
+  return {
+    points,
+    change_ton: change(first.net_worth_ton, last.net_worth_ton),
+    change_usd: change(first.net_worth_usd, last.net_worth_usd),
+    high: { day: byValue[byValue.length - 1].day, unit, value: byValue[byValue.length - 1][key] },
+    low: { day: byValue[0].day, unit, value: byValue[0][key] },
+  };
+}
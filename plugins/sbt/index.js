@@ -2,10 +2,10 @@
  * TON SBT plugin — deploy and mint Soulbound Tokens (TEP-85)
  *
  * Uses @ton/core for cell building and the agent wallet
- * at ~/.teleton/wallet.json for signing transactions.
+ * at ~/.teleton/wallet.json (via lib/signer.js) for signing transactions.
  *
  * Dependencies (provided by teleton runtime):
- *   @ton/core, @ton/ton, @ton/crypto, @orbs-network/ton-access
+ *   @ton/core, @ton/ton, @ton/crypto
  */
 
 import { createHash } from "crypto";
@@ -13,25 +13,23 @@ import { readFileSync, realpathSync } from "fs";
 import { fileURLToPath } from "url";
 import { createRequire } from "module";
 import { dirname, join } from "path";
-import { homedir } from "os";
+import { initSigner, getWalletAndClient, sendTransfer } from "./lib/signer.js";
+import { guardTools, migrateGuard } from "./lib/guard.js";
 
 // ---------------------------------------------------------------------------
 // TON dependencies (CJS packages — use createRequire for ESM compat)
 // ---------------------------------------------------------------------------
 
 const require = createRequire(realpathSync(process.argv[1]));
-const _pluginRequire = createRequire(import.meta.url);
 
-const { Cell, Address, beginCell, Dictionary, contractAddress, SendMode } = require("@ton/core");
-const { WalletContractV5R1, TonClient, toNano, internal } = require("@ton/ton");
-const { mnemonicToPrivateKey } = require("@ton/crypto");
+const { Cell, Address, beginCell, Dictionary, contractAddress } = require("@ton/core");
+const { toNano, internal } = require("@ton/ton");
 
 // ---------------------------------------------------------------------------
 // Constants
 // ---------------------------------------------------------------------------
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const WALLET_FILE = join(homedir(), ".teleton", "wallet.json");
 
 const SBT_ITEM_CODE = Cell.fromBoc(
   Buffer.from(readFileSync(join(__dirname, "sbt_item_code.boc.b64"), "utf-8").trim(), "base64"),
@@ -100,49 +98,39 @@ function extractCollectionImage(metaCell) {
   }
 }
 
-// ---------------------------------------------------------------------------
-// Wallet setup
-// ---------------------------------------------------------------------------
-
-async function getWalletAndClient() {
-  let walletData;
-  try {
-    walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-  } catch {
-    throw new Error("Agent wallet not found at " + WALLET_FILE);
-  }
-  if (!walletData.mnemonic || !Array.isArray(walletData.mnemonic)) {
-    throw new Error("Invalid wallet file: missing mnemonic");
-  }
+// ═══════════════════════════════════════════════════════════════════════════
+// TOOLS
+// ═══════════════════════════════════════════════════════════════════════════
 
-  const keyPair = await mnemonicToPrivateKey(walletData.mnemonic);
-  const wallet = WalletContractV5R1.create({
-    workchain: 0,
-    publicKey: keyPair.publicKey,
-  });
+// ── Inline manifest ──────────────────────────────────────────────────────
 
-  let endpoint;
-  try {
-    const { getHttpEndpoint } = _pluginRequire("@orbs-network/ton-access");
-    endpoint = await getHttpEndpoint({ network: "mainnet" });
-  } catch {
-    endpoint = "https://toncenter.com/api/v2/jsonRPC";
-  }
+export const manifest = {
+  name: "sbt",
+  version: "2.4.1",
+  sdkVersion: ">=1.0.0",
+  description: "Deploy and mint Soulbound Tokens (TEP-85) on TON",
+  bot: { callbacks: true }, // Confirm/Cancel buttons for confirm mode (lib/guard.js)
+};
 
-  const client = new TonClient({ endpoint });
-  const contract = client.open(wallet);
+// ── Database migration ───────────────────────────────────────────────────
 
-  return { wallet, keyPair, client, contract };
+export function migrate(db) {
+  migrateGuard(db);
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// TOOLS
-// ═══════════════════════════════════════════════════════════════════════════
+// ── Spend estimates for the action guard (TON attached per call) ─────────
+
+const SPEND = {
+  sbt_deploy_collection: () => ({ ton: 0.05 }),
+  sbt_mint: () => ({ ton: 0.1 }),
+};
 
 // ── Export -- SDK wrapper ────────────────────────────────────────────────
 
 export const tools = (sdk) => {
 
+initSigner(sdk);
+
 // ── 1. sbt_deploy_collection ─────────────────────────────────────────────
 
 const sbtDeployCollection = {
@@ -161,8 +149,7 @@ const sbtDeployCollection = {
   },
   execute: async (params) => {
     try {
-      const { wallet, keyPair, contract } = await getWalletAndClient();
-      const seqno = await contract.getSeqno();
+      const { wallet } = await getWalletAndClient();
 
       const collectionMetaCell = buildContentDict({
         name: params.name,
@@ -194,19 +181,14 @@ const sbtDeployCollection = {
 
       sdk.log.info("sbt_deploy_collection: deploying collection", params.name, "from wallet", wallet.address.toString());
 
-      await contract.sendTransfer({
-        seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({
-            to: address,
-            value: toNano("0.05"),
-            init: stateInit,
-            bounce: false,
-          }),
-        ],
-      });
+      const { seqno, msgHash } = await sendTransfer([
+        internal({
+          to: address,
+          value: toNano("0.05"),
+          init: stateInit,
+          bounce: false,
+        }),
+      ]);
 
       sdk.log.info("sbt_deploy_collection: deployed at", address.toString());
 
@@ -215,6 +197,7 @@ const sbtDeployCollection = {
         data: {
           collection_address: address.toString(),
           seqno,
+          msg_hash: msgHash,
           wallet_address: wallet.address.toString(),
           explorer: "https://tonviewer.com/" + address.toString(),
         },
@@ -247,8 +230,7 @@ const sbtMint = {
   },
   execute: async (params) => {
     try {
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
-      const seqno = await contract.getSeqno();
+      const { wallet, client } = await getWalletAndClient();
 
       const collectionAddr = Address.parse(params.collection_address);
       const result = await client.runMethod(collectionAddr, "get_collection_data");
@@ -286,19 +268,14 @@ const sbtMint = {
         .storeRef(itemPayloadCell)
         .endCell();
 
-      await contract.sendTransfer({
-        seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({
-            to: collectionAddr,
-            value: toNano("0.1"),
-            body: mintBody,
-            bounce: true,
-          }),
-        ],
-      });
+      const { seqno, msgHash } = await sendTransfer([
+        internal({
+          to: collectionAddr,
+          value: toNano("0.1"),
+          body: mintBody,
+          bounce: true,
+        }),
+      ]);
 
       sdk.log.info("sbt_mint: minted item #" + nextItemIndex.toString(), "seqno", seqno);
 
@@ -311,6 +288,7 @@ const sbtMint = {
           authority: authority.toString(),
           image: image || null,
           seqno,
+          msg_hash: msgHash,
           wallet_address: wallet.address.toString(),
         },
       };
@@ -325,6 +303,6 @@ const sbtMint = {
 // Return tools array
 // ═══════════════════════════════════════════════════════════════════════════
 
-return [sbtDeployCollection, sbtMint];
+return guardTools(sdk, [sbtDeployCollection, sbtMint], SPEND);
 
 }; // end tools(sdk)
@@ -0,0 +1,144 @@
+/**
+ * StonFi farms -- APR samples and the "still worth it?" check
+ *
+ * Every sample stores, per farm, the APR StonFi advertises together with
+ * the agent's staked LP (in USD) and its pending rewards (in USD). The
+ * advertised APR shows how the farm as a whole develops; the agent's
+ * effective APR is what its own rewards actually grew by: the increase in
+ * pending rewards between two samples over the staked value and the time
+ * in between, annualized. Intervals where the stake changed or rewards were
+ * claimed (pending went down) are skipped. Pure functions over the plugin
+ * database.
+ */
+
+import { downsample } from "./lib/series.js";
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const YEAR_S = 365 * 86400;
+const TREND_POINTS = 48;
+
+// ---------------------------------------------------------------------------
+// Database
+// ---------------------------------------------------------------------------
+
+/** Create the farm sample table. Call from migrate(db). */
+export function migrateFarms(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS stonfi_farm_samples (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      farm TEXT NOT NULL,
+      pool TEXT NOT NULL,
+      apr REAL,
+      locked_usd REAL,
+      staked_lp TEXT NOT NULL DEFAULT '0',
+      staked_usd REAL,
+      pending_usd REAL,
+      rewards_end_at INTEGER,
+      taken_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_stonfi_farm_samples_farm ON stonfi_farm_samples(farm, taken_at);
+  `);
+}
+
+/** Store one farm sample. */
+export function recordFarmSample(db, sample) {
+  return db.prepare(`
+    INSERT INTO stonfi_farm_samples (farm, pool, apr, locked_usd, staked_lp, staked_usd, pending_usd, rewards_end_at)
+    VALUES (@farm, @pool, @apr, @locked_usd, @staked_lp, @staked_usd, @pending_usd, @rewards_end_at)
+  `).run({
+    apr: null,
+    locked_usd: null,
+    staked_usd: null,
+    pending_usd: null,
+    rewards_end_at: null,
+    ...sample,
+    staked_lp: String(sample.staked_lp ?? "0"),
+  }).lastInsertRowid;
+}
+
+/** Time of the latest sample of a farm, or null. */
+export function lastSampleAt(db, farm) {
+  return db.prepare("SELECT MAX(taken_at) AS t FROM stonfi_farm_samples WHERE farm = ?").get(farm)?.t ?? null;
+}
+
+/** Drop samples older than `days`. */
+export function pruneFarmSamples(db, days) {
+  const cutoff = Math.floor(Date.now() / 1000) - days * 86400;
+  db.prepare("DELETE FROM stonfi_farm_samples WHERE taken_at < ?").run(cutoff);
+}
+
+// ---------------------------------------------------------------------------
+// APR history
+// ---------------------------------------------------------------------------
+
+function round(n, digits = 2) {
+  return n == null ? null : Number(n.toFixed(digits));
+}
+
+/**
+ * The agent's effective APR (percent) over the samples: pending-reward
+ * growth per staked USD and second, annualized. Null without a usable
+ * interval.
+ */
+export function effectiveApr(samples) {
+  let earned = 0;
+  let exposure = 0; // staked USD x seconds
+  for (let i = 1; i < samples.length; i++) {
+    const a = samples[i - 1];
+    const b = samples[i];
+    const dt = b.taken_at - a.taken_at;
+    if (dt <= 0 || a.staked_lp !== b.staked_lp || !(a.staked_usd > 0)) continue;
+    if (a.pending_usd == null || b.pending_usd == null || b.pending_usd < a.pending_usd) continue;
+    earned += b.pending_usd - a.pending_usd;
+    exposure += ((a.staked_usd + (b.staked_usd ?? a.staked_usd)) / 2) * dt;
+  }
+  return exposure > 0 ? (earned / exposure) * YEAR_S * 100 : null;
+}
+
+/**
+ * APR history of one farm since `from`, and whether it is still worth
+ * staking in: `warnings` lists the APR dropping below `floorPct`, falling
+ * more than `dropPct` from its peak, and rewards that have run out or end
+ * within a week.
+ */
+export function buildAprHistory(db, farm, { from, floorPct = null, dropPct = null, now = Math.floor(Date.now() / 1000) }) {
+  const samples = db.prepare(
+    "SELECT apr, locked_usd, staked_lp, staked_usd, pending_usd, rewards_end_at, taken_at FROM stonfi_farm_samples WHERE farm = ? AND taken_at >= ? ORDER BY taken_at, id"
+  ).all(farm, from);
+  if (samples.length === 0) return null;
+
+  const aprs = samples.filter((s) => s.apr != null).map((s) => s.apr);
+  const last = samples[samples.length - 1];
+  const peak = aprs.length ? Math.max(...aprs) : null;
+  const current = last.apr;
+
+  const warnings = [];
+  if (floorPct != null && current != null && current < floorPct) {
+    warnings.push(`APR ${round(current)}% is below the ${floorPct}% floor`);
+  }
+  if (dropPct != null && current != null && peak > 0 && (1 - current / peak) * 100 >= dropPct) {
+    warnings.push(`APR fell ${round((1 - current / peak) * 100, 1)}% from its ${round(peak)}% peak`);
+  }
+  if (last.rewards_end_at != null) {
+    const days = (last.rewards_end_at - now) / 86400;
+    if (days <= 0) warnings.push("Reward pool is used up");
+    else if (days < 7) warnings.push(`Rewards run out in ${round(days, 1)} days`);
+  }
+
+  return {
+    samples: samples.length,
+    since: samples[0].taken_at,
+    apr_first: aprs.length ? round(aprs[0]) : null,
+    apr_last: round(current),
+    apr_min: aprs.length ? round(Math.min(...aprs)) : null,
+    apr_max: round(peak),
+    apr_avg: aprs.length ? round(aprs.reduce((s, a) => s + a, 0) / aprs.length) : null,
+    effective_apr: round(effectiveApr(samples)),
+    worth_it: warnings.length === 0,
+    warnings,
+    points: downsample(samples.map((s) => ({ t: s.taken_at, apr: round(s.apr), locked_usd: round(s.locked_usd) })), TREND_POINTS),
+  };
+}
@@ -2,14 +2,27 @@
  * StonFi plugin -- DEX on TON
  *
  * Search tokens, check prices, browse pools/farms, get swap quotes,
- * and execute swaps on StonFi DEX. Uses @ston-fi/api (StonApiClient)
- * for all API calls. Agent wallet at ~/.teleton/wallet.json signs swaps.
+ * execute swaps, provide/withdraw liquidity and stake LP tokens in farms
+ * on StonFi DEX. Uses @ston-fi/api (StonApiClient) for all API calls.
+ * Agent wallet at ~/.teleton/wallet.json signs all transactions. A
+ * background tracker records farm APR samples in the plugin database.
  */
 
 import { createRequire } from "node:module";
-import { readFileSync, realpathSync } from "node:fs";
-import { join } from "node:path";
-import { homedir } from "node:os";
+import { realpathSync } from "node:fs";
+import { initSigner, getWalletAndClient, getAgentWallet, getAgentAddress, sendTransfer } from "./lib/signer.js";
+import { guardTools, migrateGuard, assetSpend } from "./lib/guard.js";
+import { refreshMessageStatus } from "./lib/txtracker.js";
+import {
+  migrateLiquidity,
+  recordLpEvent,
+  unconfirmedLpEvents,
+  applyLpTxStatus,
+  feeIndex,
+  trackedPosition,
+  accruedFeeShare,
+} from "./liquidity.js";
+import { migrateFarms, recordFarmSample, lastSampleAt, pruneFarmSamples, buildAprHistory } from "./farms.js";
 
 // ---------------------------------------------------------------------------
 // CJS dependencies
@@ -18,9 +31,8 @@ import { homedir } from "node:os";
 const _require = createRequire(realpathSync(process.argv[1]));       // core: @ton/core, @ton/ton, @ton/crypto
 const _pluginRequire = createRequire(import.meta.url);                // local: plugin-specific deps
 
-const { Address, SendMode } = _require("@ton/core");
-const { WalletContractV5R1, TonClient, internal } = _require("@ton/ton");
-const { mnemonicToPrivateKey } = _require("@ton/crypto");
+const { Address } = _require("@ton/core");
+const { internal } = _require("@ton/ton");
 
 // StonFi API client (from plugin's local node_modules)
 const { StonApiClient } = _pluginRequire("@ston-fi/api");
@@ -28,9 +40,11 @@ const stonApi = new StonApiClient();
 
 // StonFi SDK (for swap execution)
 let dexFactory;
+let FARM;
 try {
   const stonfi = _pluginRequire("@ston-fi/sdk");
   dexFactory = stonfi.dexFactory ?? stonfi.DEX;
+  FARM = stonfi.FARM;
 } catch {
   // SDK not available -- swap execution will fail with clear error
 }
@@ -40,7 +54,9 @@ try {
 // ---------------------------------------------------------------------------
 
 const TON_ADDRESS = "EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c";
-const WALLET_FILE = join(homedir(), ".teleton", "wallet.json");
+
+// Messages per transfer, by agent wallet version
+const MAX_MESSAGES = { v5r1: 255, v4r2: 4, v3r2: 4 };
 
 // ---------------------------------------------------------------------------
 // Asset cache (5-minute TTL via sdk.storage)
@@ -83,38 +99,367 @@ function fmtAsset(a) {
 }
 
 // ---------------------------------------------------------------------------
-// Wallet helper
+// Liquidity helpers
 // ---------------------------------------------------------------------------
 
-async function getWalletAndClient() {
-  let walletData;
-  try {
-    walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-  } catch {
-    throw new Error("Agent wallet not found at " + WALLET_FILE);
+const LP_DECIMALS = 9; // StonFi LP jettons
+
+/** Share of `part` in `whole` (BigInt units) as a percentage. */
+function sharePct(part, whole) {
+  return whole > 0n ? Number(part) / Number(whole) * 100 : null;
+}
+
+/** Symbol and decimals of an asset: asset cache first, API fallback. */
+async function assetMeta(address) {
+  const cached = (await getCachedAssets()).find((a) => a.contractAddress === address);
+  const a = cached ?? await stonApi.getAsset(address);
+  return { address, symbol: a.symbol ?? null, decimals: a.decimals ?? 9 };
+}
+
+/** The pool to provide to: the given address, or the deepest live pool of the pair. */
+async function findPool(tokenA, tokenB, poolAddress) {
+  if (poolAddress) return stonApi.getPool(poolAddress);
+  const pools = (await stonApi.getPoolsByAssetPair({ asset0Address: tokenA, asset1Address: tokenB }))
+    .filter((p) => !p.deprecated);
+  if (pools.length === 0) throw new Error("No active StonFi pool for this pair");
+  const tvl = (p) => parseFloat(p.lpTotalSupplyUsd ?? "0") || 0;
+  return pools.sort((a, b) => tvl(b) - tvl(a))[0];
+}
+
+/** LP units a wallet holds in a pool (0 when it has no position). */
+async function walletLpBalance(walletAddress, poolAddress) {
+  const pools = await stonApi.getWalletPools({ walletAddress });
+  const target = Address.parse(poolAddress);
+  const p = pools.find((w) => Address.parse(w.address).equals(target));
+  return BigInt(p?.lpBalance ?? "0");
+}
+
+/** Settle a wallet's logged provides and withdraws from the tx tracker. */
+async function refreshLpEvents(db, wallet) {
+  if (!db) return;
+  for (const row of unconfirmedLpEvents(db, wallet)) {
+    try {
+      const entry = await refreshMessageStatus(row.msg_hash);
+      if (entry) applyLpTxStatus(db, row.id, entry.status);
+    } catch {
+      // index hiccup -- try again next time
+    }
   }
-  if (!walletData.mnemonic || !Array.isArray(walletData.mnemonic)) {
-    throw new Error("Invalid wallet file: missing mnemonic array");
+}
+
+/**
+ * Simulate a provision and work out the pool share it buys. "balanced"
+ * deposits token_a and the matching amount of token_b at the pool ratio;
+ * "single" deposits token_a only (v2 pools swap half of it inside the pool).
+ */
+async function planProvision(params) {
+  const mode = params.mode ?? "balanced";
+  const slippage = params.slippage ?? 0.01;
+  const amount = Number(params.amount);
+  if (isNaN(amount) || amount <= 0) throw new Error("amount must be a positive number");
+  if (params.token_a === params.token_b) throw new Error("token_a and token_b are the same");
+
+  const pool = await findPool(params.token_a, params.token_b, params.pool_address);
+  const [metaA, metaB] = await Promise.all([assetMeta(params.token_a), assetMeta(params.token_b)]);
+  const walletAddress = getAgentAddress();
+
+  const [sim, held] = await Promise.all([
+    stonApi.simulateLiquidityProvision({
+      provisionType: mode === "single" ? "Arbitrary" : "Balanced",
+      poolAddress: pool.address,
+      tokenA: params.token_a,
+      tokenB: params.token_b,
+      tokenAUnits: toUnits(params.amount, metaA.decimals),
+      ...(mode === "single" ? { tokenBUnits: "0" } : {}),
+      slippageTolerance: String(slippage),
+      walletAddress,
+    }),
+    walletLpBalance(walletAddress, pool.address),
+  ]);
+
+  const supply = BigInt(sim.lpTotalSupply ?? pool.lpTotalSupply ?? "0");
+  const estimated = BigInt(sim.estimatedLpUnits ?? "0");
+
+  return {
+    pool,
+    sim,
+    mode,
+    summary: {
+      pool_address: pool.address,
+      mode,
+      token_a: { address: metaA.address, symbol: metaA.symbol, amount: fromUnits(sim.tokenAUnits, metaA.decimals) },
+      token_b: { address: metaB.address, symbol: metaB.symbol, amount: fromUnits(sim.tokenBUnits ?? "0", metaB.decimals) },
+      estimated_lp: fromUnits(estimated, LP_DECIMALS),
+      min_lp: fromUnits(sim.minLpUnits ?? "0", LP_DECIMALS),
+      price_impact: sim.priceImpact ?? null,
+      slippage,
+      lp_held: fromUnits(held, LP_DECIMALS),
+      pool_share_before_pct: sharePct(held, supply),
+      pool_share_after_pct: sharePct(held + estimated, supply + estimated),
+    },
+  };
+}
+
+/** Work out what burning part of a position returns and the share left. */
+async function planWithdrawal(params) {
+  const walletAddress = getAgentAddress();
+  const pool = await stonApi.getWalletPool({ walletAddress, poolAddress: params.pool_address });
+  const balance = BigInt(pool.lpBalance ?? "0");
+  if (balance === 0n) throw new Error("The agent wallet holds no LP tokens of this pool");
+
+  let amount;
+  if (params.lp_amount != null) {
+    amount = BigInt(toUnits(params.lp_amount, LP_DECIMALS));
+  } else {
+    const percent = params.percent ?? 100;
+    if (!(percent > 0 && percent <= 100)) throw new Error("percent must be between 0 and 100");
+    amount = percent === 100 ? balance : balance * BigInt(Math.round(percent * 100)) / 10000n;
+  }
+  if (amount <= 0n) throw new Error("Nothing to withdraw -- amount rounds to zero");
+  if (amount > balance) {
+    throw new Error(`Only ${fromUnits(balance, LP_DECIMALS)} LP tokens held in this pool`);
   }
 
-  const keyPair = await mnemonicToPrivateKey(walletData.mnemonic);
-  const wallet = WalletContractV5R1.create({
-    workchain: 0,
-    publicKey: keyPair.publicKey,
+  const supply = BigInt(pool.lpTotalSupply ?? "0");
+  const [meta0, meta1] = await Promise.all([assetMeta(pool.token0Address), assetMeta(pool.token1Address)]);
+  const out = (reserve) => (supply > 0n ? BigInt(reserve ?? "0") * amount / supply : 0n);
+
+  return {
+    pool,
+    amount,
+    walletAddress,
+    summary: {
+      pool_address: pool.address,
+      lp_amount: fromUnits(amount, LP_DECIMALS),
+      lp_held: fromUnits(balance, LP_DECIMALS),
+      token0: { address: meta0.address, symbol: meta0.symbol, amount: fromUnits(out(pool.reserve0), meta0.decimals) },
+      token1: { address: meta1.address, symbol: meta1.symbol, amount: fromUnits(out(pool.reserve1), meta1.decimals) },
+      pool_share_before_pct: sharePct(balance, supply),
+      pool_share_after_pct: sharePct(balance - amount, supply - amount),
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Farm helpers
+// ---------------------------------------------------------------------------
+
+/** Farm contracts for an API farm version ("v1", "v2", "v3"). */
+function farmContracts(version) {
+  if (!FARM) throw new Error("@ston-fi/sdk is not installed. Install it to use farms.");
+  const v = String(version ?? "").toLowerCase();
+  const contracts = FARM[v.startsWith("v") ? v : `v${v}`];
+  if (!contracts) throw new Error(`Unsupported farm version: ${version}`);
+  return contracts;
+}
+
+/** API timestamp (ISO string or seconds) to unix seconds, or null. */
+function toUnixSeconds(ts) {
+  if (ts == null || ts === "") return null;
+  if (/^\d+$/.test(String(ts))) return Number(ts);
+  const ms = Date.parse(ts);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+/** Stake NFTs that still hold LP tokens. */
+function stakedNfts(farm) {
+  return (farm.nftInfos ?? []).filter((n) => !/unstak/i.test(n.status ?? "") && BigInt(n.stakedTokens ?? "0") > 0n);
+}
+
+/** Unclaimed reward units of one stake NFT, by reward token address. */
+function nftRewards(nft, farm) {
+  if (nft.rewards?.length) return nft.rewards.map((r) => [r.address, BigInt(r.amount ?? "0")]);
+  // Single-reward farms only report the total
+  const token = farm.rewards?.[0]?.address;
+  return token ? [[token, BigInt(nft.nonclaimedRewards ?? "0")]] : [];
+}
+
+/**
+ * One farm position of a wallet: staked LP and its USD value, pending
+ * rewards per token, the advertised APR and when the rewards run out.
+ */
+function farmPosition(farm, pool, assetByAddress) {
+  const nfts = stakedNfts(farm);
+  const staked = nfts.reduce((sum, n) => sum + BigInt(n.stakedTokens), 0n);
+  const lpPrice = parseFloat(pool?.lpPriceUsd ?? "");
+
+  const pending = new Map();
+  for (const nft of farm.nftInfos ?? []) {
+    for (const [token, units] of nftRewards(nft, farm)) pending.set(token, (pending.get(token) ?? 0n) + units);
+  }
+  const rewards = [...pending].filter(([, units]) => units > 0n).map(([token, units]) => {
+    const a = assetByAddress.get(token);
+    const amount = Number(units) / 10 ** (a?.decimals ?? 9);
+    const price = parseFloat(a?.dexPriceUsd ?? "");
+    return { address: token, symbol: a?.symbol ?? null, amount, value_usd: Number.isFinite(price) ? amount * price : null };
   });
 
-  let endpoint;
-  try {
-    const { getHttpEndpoint } = _pluginRequire("@orbs-network/ton-access");
-    endpoint = await getHttpEndpoint({ network: "mainnet" });
-  } catch {
-    endpoint = "https://toncenter.com/api/v2/jsonRPC";
+  const ends = (farm.rewards ?? [])
+    .map((r) => toUnixSeconds(r.estimatedEndTimestamp))
+    .filter((t) => t != null);
+  const apy = parseFloat(farm.apy ?? "");
+  const locked = parseFloat(farm.lockedTotalLpUsd ?? "");
+
+  return {
+    farm_address: farm.minterAddress,
+    pool_address: farm.poolAddress,
+    version: farm.version ?? null,
+    status: farm.status ?? null,
+    apr_pct: Number.isFinite(apy) ? apy * 100 : null,
+    locked_total_lp_usd: Number.isFinite(locked) ? locked : null,
+    staked_lp: fromUnits(staked, LP_DECIMALS),
+    staked_units: staked,
+    staked_usd: Number.isFinite(lpPrice) ? Number(staked) / 10 ** LP_DECIMALS * lpPrice : null,
+    pending_rewards: rewards,
+    // Unpriced reward tokens make the USD total meaningless
+    pending_usd: rewards.every((r) => r.value_usd != null) ? rewards.reduce((sum, r) => sum + r.value_usd, 0) : null,
+    rewards_end_at: ends.length ? Math.max(...ends) : null,
+    all_rewards_distributed: farm.allRewardsDistributed ?? false,
+    min_stake_duration_s: farm.minStakeDurationS ?? null,
+    nfts: nfts.map((n) => ({
+      address: n.address,
+      staked_lp: fromUnits(n.stakedTokens, LP_DECIMALS),
+      status: n.status ?? null,
+      unstake_from: toUnixSeconds(n.minUnstakeTimestamp),
+    })),
+  };
+}
+
+/** Farm positions of a wallet, with staked LP or unclaimed rewards. */
+async function loadFarmPositions(walletAddress) {
+  const [farms, assets] = await Promise.all([
+    stonApi.getWalletFarms({ walletAddress }),
+    getCachedAssets(),
+  ]);
+  const assetByAddress = new Map(assets.map((a) => [a.contractAddress, a]));
+  const poolAddresses = [...new Set(farms.map((f) => f.poolAddress))];
+  const pools = new Map(await Promise.all(poolAddresses.map(async (a) => [a, await stonApi.getPool(a).catch(() => null)])));
+  return farms
+    .map((f) => farmPosition(f, pools.get(f.poolAddress), assetByAddress))
+    .filter((p) => p.staked_units > 0n || p.pending_rewards.length > 0);
+}
+
+/** Store an APR sample per farm position. */
+function sampleFarms(db, positions) {
+  for (const p of positions) {
+    recordFarmSample(db, {
+      farm: p.farm_address,
+      pool: p.pool_address,
+      apr: p.apr_pct,
+      locked_usd: p.locked_total_lp_usd,
+      staked_lp: p.staked_units,
+      staked_usd: p.staked_usd,
+      pending_usd: p.pending_usd,
+      rewards_end_at: p.rewards_end_at,
+    });
   }
+}
 
-  const client = new TonClient({ endpoint });
-  const contract = client.open(wallet);
+/** Send messages in as many transfers as the agent wallet's version needs. */
+async function sendInBatches(messages) {
+  const { version } = await getAgentWallet();
+  const perTransfer = MAX_MESSAGES[version] ?? 4;
+  const sent = [];
+  for (let i = 0; i < messages.length; i += perTransfer) {
+    sent.push(await sendTransfer(messages.slice(i, i + perTransfer)));
+  }
+  return sent;
+}
+
+/** Check a stake and work out the LP amount. */
+async function planStake(params) {
+  const farm = await stonApi.getFarm(params.farm_address);
+  if (farm.allRewardsDistributed) {
+    throw new Error("This farm has paid out all its rewards -- staking in it earns nothing");
+  }
+  const walletAddress = getAgentAddress();
+  const balance = await walletLpBalance(walletAddress, farm.poolAddress);
+  const amount = params.lp_amount != null ? BigInt(toUnits(params.lp_amount, LP_DECIMALS)) : balance;
+  if (amount <= 0n) throw new Error("The agent wallet holds no LP tokens of this farm's pool (see stonfi_provide_liquidity)");
+  if (amount > balance) throw new Error(`Only ${fromUnits(balance, LP_DECIMALS)} LP tokens of this pool in the agent wallet`);
+
+  const apy = parseFloat(farm.apy ?? "");
+  return {
+    farm,
+    amount,
+    walletAddress,
+    summary: {
+      farm_address: farm.minterAddress,
+      pool_address: farm.poolAddress,
+      lp_amount: fromUnits(amount, LP_DECIMALS),
+      lp_in_wallet: fromUnits(balance, LP_DECIMALS),
+      apr_pct: Number.isFinite(apy) ? apy * 100 : null,
+      status: farm.status ?? null,
+      min_stake_duration_s: farm.minStakeDurationS ?? null,
+    },
+  };
+}
+
+/** The agent's stake NFTs to unstake: unlocked ones, optionally one NFT. */
+async function planUnstake(params) {
+  const walletAddress = getAgentAddress();
+  const farm = await stonApi.getWalletFarm({ walletAddress, farmAddress: params.farm_address });
+  let nfts = stakedNfts(farm);
+  if (params.nft_address) {
+    const target = Address.parse(params.nft_address);
+    nfts = nfts.filter((n) => Address.parse(n.address).equals(target));
+  }
+  if (nfts.length === 0) throw new Error("No staked LP tokens of the agent in this farm");
+
+  const now = Math.floor(Date.now() / 1000);
+  const locked = nfts.filter((n) => (toUnixSeconds(n.minUnstakeTimestamp) ?? 0) > now);
+  const unlocked = nfts.filter((n) => !locked.includes(n));
+  if (unlocked.length === 0) {
+    const until = Math.min(...locked.map((n) => toUnixSeconds(n.minUnstakeTimestamp)));
+    throw new Error(`Stake is locked until ${new Date(until * 1000).toISOString()} (farm minimum stake time)`);
+  }
+
+  return {
+    farm,
+    nfts: unlocked,
+    summary: {
+      farm_address: farm.minterAddress,
+      pool_address: farm.poolAddress,
+      nfts: unlocked.map((n) => n.address),
+      lp_amount: fromUnits(unlocked.reduce((sum, n) => sum + BigInt(n.stakedTokens), 0n), LP_DECIMALS),
+      still_locked: locked.map((n) => ({ address: n.address, unstake_from: toUnixSeconds(n.minUnstakeTimestamp) })),
+    },
+  };
+}
+
+/** Stake NFTs with unclaimed rewards, in one farm or all of them. */
+async function planClaim(params) {
+  const walletAddress = getAgentAddress();
+  const farms = params.farm_address
+    ? [await stonApi.getWalletFarm({ walletAddress, farmAddress: params.farm_address })]
+    : await stonApi.getWalletFarms({ walletAddress });
+  const assets = await getCachedAssets();
+  const assetByAddress = new Map(assets.map((a) => [a.contractAddress, a]));
+
+  const claims = [];
+  for (const farm of farms) {
+    for (const nft of farm.nftInfos ?? []) {
+      const rewards = nftRewards(nft, farm).filter(([, units]) => units > 0n);
+      if (rewards.length) claims.push({ farm, nft, rewards });
+    }
+  }
+  if (claims.length === 0) throw new Error("No unclaimed farm rewards");
 
-  return { wallet, keyPair, client, contract };
+  const totals = new Map();
+  for (const c of claims) {
+    for (const [token, units] of c.rewards) totals.set(token, (totals.get(token) ?? 0n) + units);
+  }
+  return {
+    claims,
+    summary: {
+      farms: [...new Set(claims.map((c) => c.farm.minterAddress))],
+      nfts: claims.length,
+      rewards: [...totals].map(([token, units]) => {
+        const a = assetByAddress.get(token);
+        return { address: token, symbol: a?.symbol ?? null, amount: fromUnits(units, a?.decimals ?? 9) };
+      }),
+    },
+  };
 }
 
 // ---------------------------------------------------------------------------
@@ -660,8 +1005,7 @@ const stonfiSwap = {
       }
 
       // Step 3: Get wallet
-      const { wallet, keyPair, client, contract } =
-        await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
       const walletAddr = wallet.address.toString();
 
       // Step 4: Build transaction via SDK (dexFactory auto-detects version)
@@ -704,20 +1048,14 @@ const stonfiSwap = {
       }
 
       // Step 5: Send transaction
-      const seqno = await contract.getSeqno();
-      await contract.sendTransfer({
-        seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({
-            to: txParams.to,
-            value: txParams.value,
-            body: txParams.body,
-            bounce: true,
-          }),
-        ],
-      });
+      const { seqno, msgHash } = await sendTransfer([
+        internal({
+          to: txParams.to,
+          value: txParams.value,
+          body: txParams.body,
+          bounce: true,
+        }),
+      ]);
 
       return {
         success: true,
@@ -731,6 +1069,7 @@ const stonfiSwap = {
           price_impact: sim.priceImpact ?? null,
           slippage,
           seqno,
+          msg_hash: msgHash,
           wallet_address: walletAddr,
           router_address: sim.routerAddress ?? null,
           pool_address: sim.poolAddress ?? null,
@@ -748,13 +1087,736 @@ const stonfiSwap = {
   },
 };
 
+// ---------------------------------------------------------------------------
+// Tool 9: stonfi_provide_liquidity
+// ---------------------------------------------------------------------------
+
+const stonfiProvideLiquidity = {
+  name: "stonfi_provide_liquidity",
+  description:
+    "Add liquidity to a StonFi pool from the agent wallet. mode=balanced deposits token_a plus the matching amount of token_b at the pool ratio; " +
+    "mode=single deposits token_a only (v2 pools). Set dry_run=true to preview the LP tokens and resulting pool share without sending.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      token_a: {
+        type: "string",
+        description: "Token to deposit (contract address; TON is EQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAM9c)",
+      },
+      token_b: {
+        type: "string",
+        description: "The pool's other token (contract address)",
+      },
+      amount: {
+        type: "string",
+        description: 'Amount of token_a in human-readable units (e.g. "10" for 10 TON)',
+      },
+      mode: {
+        type: "string",
+        enum: ["balanced", "single"],
+        description: "balanced: both tokens at the pool ratio (default). single: token_a only, v2 pools",
+      },
+      pool_address: {
+        type: "string",
+        description: "Pool to provide to (default: the pair's deepest active pool)",
+      },
+      slippage: {
+        type: "number",
+        description: "Slippage tolerance on LP tokens received (0.01 = 1%, default 0.01)",
+        minimum: 0.001,
+        maximum: 0.5,
+      },
+      dry_run: {
+        type: "boolean",
+        description: "Only simulate and return the resulting pool share (default false)",
+      },
+    },
+    required: ["token_a", "token_b", "amount"],
+  },
+
+  execute: async (params) => {
+    try {
+      if (!params.dry_run && !dexFactory) {
+        throw new Error("@ston-fi/sdk is not installed. Install it to provide liquidity.");
+      }
+
+      const { pool, sim, mode, summary } = await planProvision(params);
+      if (params.dry_run) {
+        return { success: true, data: { dry_run: true, ...summary } };
+      }
+      if (!sim.router) {
+        throw new Error("Liquidity simulation did not return router info");
+      }
+
+      _sdk?.log?.info(`Providing liquidity: ${summary.token_a.amount} ${summary.token_a.symbol} + ${summary.token_b.amount} ${summary.token_b.symbol} to ${pool.address} (${mode})`);
+
+      const { wallet, client } = await getWalletAndClient();
+      const walletAddr = wallet.address.toString();
+
+      const dexContracts = dexFactory(sim.router);
+      const router = client.open(dexContracts.Router.create(sim.router.address));
+      const proxyTon = dexContracts.pTON.create(sim.router.ptonMasterAddress);
+
+      const single = mode === "single";
+      if (single && typeof router.getSingleSideProvideLiquidityTonTxParams !== "function") {
+        throw new Error(`Single-sided provision needs a v2 pool; this pool's router is v${sim.router.majorVersion}. Use mode=balanced.`);
+      }
+
+      // One message per token leg; both legs meet in the LP account
+      const legs = [
+        [params.token_a, sim.tokenAUnits, params.token_b],
+        [params.token_b, sim.tokenBUnits, params.token_a],
+      ].filter(([, units]) => BigInt(units ?? "0") > 0n);
+
+      const messages = [];
+      for (const [token, units, other] of legs) {
+        const common = { userWalletAddress: walletAddr, sendAmount: units, minLpOut: sim.minLpUnits };
+        let txParams;
+        if (token === TON_ADDRESS) {
+          const p = { ...common, proxyTon, otherTokenAddress: other };
+          txParams = single
+            ? await router.getSingleSideProvideLiquidityTonTxParams(p)
+            : await router.getProvideLiquidityTonTxParams(p);
+        } else {
+          const p = { ...common, sendTokenAddress: token, otherTokenAddress: other === TON_ADDRESS ? proxyTon.address : other };
+          txParams = single
+            ? await router.getSingleSideProvideLiquidityJettonTxParams(p)
+            : await router.getProvideLiquidityJettonTxParams(p);
+        }
+        messages.push(internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }));
+      }
+
+      const { seqno, msgHash } = await sendTransfer(messages);
+
+      recordLpEvent(_sdk?.db, {
+        wallet: wallet.address.toRawString(),
+        pool: pool.address,
+        kind: "provide",
+        lp_units: sim.estimatedLpUnits,
+        lp_estimated: true,
+        fee_index: feeIndex(pool.reserve0, pool.reserve1, pool.lpTotalSupply),
+        msg_hash: msgHash,
+      });
+
+      return {
+        success: true,
+        data: {
+          ...summary,
+          seqno,
+          msg_hash: msgHash,
+          wallet_address: walletAddr,
+          router_address: sim.router.address,
+          message: "Liquidity transaction sent. LP tokens arrive once both legs reach the pool (~30 seconds on TON).",
+        },
+      };
+    } catch (err) {
+      _sdk?.log?.error(`Provide liquidity failed: ${err.message}`);
+      return {
+        success: false,
+        error: String(err.message || err).slice(0, 500),
+      };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 10: stonfi_lp_positions
+// ---------------------------------------------------------------------------
+
+const stonfiLpPositions = {
+  name: "stonfi_lp_positions",
+  description:
+    "List StonFi liquidity positions of a wallet (default: agent wallet): LP tokens, pool share, the underlying token amounts, USD value, APY " +
+    "and, for positions the agent opened through stonfi_provide_liquidity, the fees accrued since.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      address: {
+        type: "string",
+        description: "Wallet address (default: agent wallet)",
+      },
+    },
+  },
+
+  execute: async (params) => {
+    try {
+      const agent = getAgentAddress();
+      const address = params.address ?? agent;
+      const isAgent = Address.parse(address).equals(Address.parse(agent));
+      const wallet = Address.parse(address).toRawString();
+      if (isAgent) await refreshLpEvents(_sdk?.db, wallet);
+
+      const [pools, assets] = await Promise.all([
+        stonApi.getWalletPools({ walletAddress: address }),
+        getCachedAssets(),
+      ]);
+      const assetByAddress = new Map(assets.map((a) => [a.contractAddress, a]));
+
+      const positions = pools
+        .filter((p) => BigInt(p.lpBalance ?? "0") > 0n)
+        .map((p) => {
+          const lp = BigInt(p.lpBalance);
+          const supply = BigInt(p.lpTotalSupply ?? "0");
+          const a0 = assetByAddress.get(p.token0Address);
+          const a1 = assetByAddress.get(p.token1Address);
+          const d0 = a0?.decimals ?? 9;
+          const d1 = a1?.decimals ?? 9;
+          const underlying = (reserve, units) => (supply > 0n ? BigInt(reserve ?? "0") * units / supply : 0n);
+
+          // Fees on the part of the position the event log accounts for
+          let fees = null;
+          const tracked = isAgent ? trackedPosition(_sdk?.db, wallet, p.address) : null;
+          if (tracked) {
+            const share = accruedFeeShare(tracked.entry_index, feeIndex(p.reserve0, p.reserve1, p.lpTotalSupply));
+            if (share != null) {
+              const trackedLp = tracked.lp_units < lp ? tracked.lp_units : lp;
+              const feeUnits = (reserve) => Number(underlying(reserve, trackedLp)) * share;
+              fees = {
+                since: new Date(tracked.since * 1000).toISOString(),
+                tracked_lp: fromUnits(trackedLp, LP_DECIMALS),
+                tracked_lp_estimated: tracked.estimated,
+                fee_share_pct: share * 100,
+                token0_amount: fromUnits(feeUnits(p.reserve0), d0),
+                token1_amount: fromUnits(feeUnits(p.reserve1), d1),
+              };
+            }
+          }
+
+          const lpPrice = parseFloat(p.lpPriceUsd ?? "");
+          return {
+            pool_address: p.address,
+            lp_balance: fromUnits(lp, LP_DECIMALS),
+            pool_share_pct: sharePct(lp, supply),
+            token0: { address: p.token0Address, symbol: a0?.symbol ?? null, amount: fromUnits(underlying(p.reserve0, lp), d0) },
+            token1: { address: p.token1Address, symbol: a1?.symbol ?? null, amount: fromUnits(underlying(p.reserve1, lp), d1) },
+            value_usd: Number.isFinite(lpPrice) ? Number(lp) / 10 ** LP_DECIMALS * lpPrice : null,
+            apy_1d: p.apy1D ?? null,
+            apy_7d: p.apy7D ?? null,
+            apy_30d: p.apy30D ?? null,
+            deprecated: p.deprecated ?? false,
+            fees,
+          };
+        })
+        .sort((a, b) => (b.value_usd ?? 0) - (a.value_usd ?? 0));
+
+      return {
+        success: true,
+        data: {
+          address,
+          count: positions.length,
+          total_value_usd: positions.reduce((sum, p) => sum + (p.value_usd ?? 0), 0),
+          positions,
+        },
+      };
+    } catch (err) {
+      return {
+        success: false,
+        error: String(err.message || err).slice(0, 500),
+      };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 11: stonfi_withdraw_liquidity
+// ---------------------------------------------------------------------------
+
+const stonfiWithdrawLiquidity = {
+  name: "stonfi_withdraw_liquidity",
+  description:
+    "Withdraw liquidity from a StonFi pool by burning the agent's LP tokens -- all of them, a percent, or an exact LP amount. " +
+    "Both pool tokens are returned to the agent wallet. Set dry_run=true to preview the tokens out and the remaining pool share.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      pool_address: {
+        type: "string",
+        description: "Pool contract address (see stonfi_lp_positions)",
+      },
+      percent: {
+        type: "number",
+        description: "Share of the position to withdraw (default 100)",
+        minimum: 0.01,
+        maximum: 100,
+      },
+      lp_amount: {
+        type: "string",
+        description: "Exact LP tokens to burn, in human-readable units (overrides percent)",
+      },
+      dry_run: {
+        type: "boolean",
+        description: "Only preview the tokens out and remaining pool share (default false)",
+      },
+    },
+    required: ["pool_address"],
+  },
+
+  execute: async (params) => {
+    try {
+      if (!params.dry_run && !dexFactory) {
+        throw new Error("@ston-fi/sdk is not installed. Install it to withdraw liquidity.");
+      }
+
+      const { pool, amount, walletAddress, summary } = await planWithdrawal(params);
+      if (params.dry_run) {
+        return { success: true, data: { dry_run: true, ...summary } };
+      }
+
+      _sdk?.log?.info(`Withdrawing ${summary.lp_amount} LP from ${pool.address}`);
+
+      const routerInfo = await stonApi.getRouter(pool.routerAddress);
+      const dexContracts = dexFactory(routerInfo);
+      const { client } = await getWalletAndClient();
+      const poolContract = client.open(dexContracts.Pool.create(pool.address));
+
+      // v1 pools take responseAddress, v2 pools userWalletAddress
+      const txParams = await poolContract.getBurnTxParams({
+        amount,
+        responseAddress: walletAddress,
+        userWalletAddress: walletAddress,
+      });
+
+      const { seqno, msgHash } = await sendTransfer([
+        internal({
+          to: txParams.to,
+          value: txParams.value,
+          body: txParams.body,
+          bounce: true,
+        }),
+      ]);
+
+      recordLpEvent(_sdk?.db, {
+        wallet: Address.parse(walletAddress).toRawString(),
+        pool: pool.address,
+        kind: "withdraw",
+        lp_units: amount,
+        fee_index: feeIndex(pool.reserve0, pool.reserve1, pool.lpTotalSupply),
+        msg_hash: msgHash,
+      });
+
+      return {
+        success: true,
+        data: {
+          ...summary,
+          seqno,
+          msg_hash: msgHash,
+          wallet_address: walletAddress,
+          message: "Burn transaction sent. The pool returns both tokens in ~30 seconds on TON.",
+        },
+      };
+    } catch (err) {
+      _sdk?.log?.error(`Withdraw liquidity failed: ${err.message}`);
+      return {
+        success: false,
+        error: String(err.message || err).slice(0, 500),
+      };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 12: stonfi_farm_stake
+// ---------------------------------------------------------------------------
+
+const stonfiFarmStake = {
+  name: "stonfi_farm_stake",
+  description:
+    "Stake the agent's LP tokens into a StonFi farm to earn farm rewards. Stakes all LP tokens of the farm's pool unless lp_amount is given. " +
+    "Find farms with stonfi_farms; get LP tokens with stonfi_provide_liquidity.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      farm_address: {
+        type: "string",
+        description: "Farm (minter) address from stonfi_farms",
+      },
+      lp_amount: {
+        type: "string",
+        description: "LP tokens to stake in human-readable units (default: all in the wallet)",
+      },
+    },
+    required: ["farm_address"],
+  },
+
+  execute: async (params) => {
+    try {
+      const { farm, amount, walletAddress, summary } = await planStake(params);
+      const { NftMinter } = farmContracts(farm.version);
+
+      _sdk?.log?.info(`Staking ${summary.lp_amount} LP in farm ${farm.minterAddress}`);
+
+      const { client } = await getWalletAndClient();
+      const minter = client.open(NftMinter.create(farm.minterAddress));
+      const txParams = await minter.getStakeTxParams({
+        userWalletAddress: walletAddress,
+        jettonAddress: farm.poolAddress,
+        jettonAmount: amount,
+        poolCount: farm.rewards?.length || undefined,
+      });
+
+      const { seqno, msgHash } = await sendTransfer([
+        internal({
+          to: txParams.to,
+          value: txParams.value,
+          body: txParams.body,
+          bounce: true,
+        }),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          ...summary,
+          seqno,
+          msg_hash: msgHash,
+          wallet_address: walletAddress,
+          message: "Stake transaction sent. The farm mints a stake NFT to the agent wallet; see stonfi_my_farms.",
+        },
+      };
+    } catch (err) {
+      _sdk?.log?.error(`Farm stake failed: ${err.message}`);
+      return {
+        success: false,
+        error: String(err.message || err).slice(0, 500),
+      };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 13: stonfi_farm_unstake
+// ---------------------------------------------------------------------------
+
+const stonfiFarmUnstake = {
+  name: "stonfi_farm_unstake",
+  description:
+    "Unstake the agent's LP tokens from a StonFi farm. Unstakes every stake NFT past its minimum stake time, or only nft_address. " +
+    "The LP tokens return to the agent wallet.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      farm_address: {
+        type: "string",
+        description: "Farm (minter) address",
+      },
+      nft_address: {
+        type: "string",
+        description: "Unstake only this stake NFT (see stonfi_my_farms)",
+      },
+    },
+    required: ["farm_address"],
+  },
+
+  execute: async (params) => {
+    try {
+      const { farm, nfts, summary } = await planUnstake(params);
+      const { NftItem } = farmContracts(farm.version);
+
+      _sdk?.log?.info(`Unstaking ${summary.lp_amount} LP from farm ${farm.minterAddress} (${nfts.length} NFT(s))`);
+
+      const { client } = await getWalletAndClient();
+      const messages = [];
+      for (const nft of nfts) {
+        const item = client.open(NftItem.create(nft.address));
+        const txParams = await item.getUnstakeTxParams({ poolCount: farm.rewards?.length || undefined });
+        messages.push(internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }));
+      }
+      const sent = await sendInBatches(messages);
+
+      return {
+        success: true,
+        data: {
+          ...summary,
+          seqno: sent[sent.length - 1].seqno,
+          msg_hash: sent[sent.length - 1].msgHash,
+          msg_hashes: sent.map((s) => s.msgHash),
+          message: "Unstake transaction sent. LP tokens return to the agent wallet in ~30 seconds.",
+        },
+      };
+    } catch (err) {
+      _sdk?.log?.error(`Farm unstake failed: ${err.message}`);
+      return {
+        success: false,
+        error: String(err.message || err).slice(0, 500),
+      };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 14: stonfi_farm_claim
+// ---------------------------------------------------------------------------
+
+const stonfiFarmClaim = {
+  name: "stonfi_farm_claim",
+  description:
+    "Claim pending StonFi farm rewards to the agent wallet, from one farm or (without farm_address) every farm the agent has rewards in.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      farm_address: {
+        type: "string",
+        description: "Farm (minter) address (default: all farms with pending rewards)",
+      },
+    },
+  },
+
+  execute: async (params) => {
+    try {
+      const { claims, summary } = await planClaim(params);
+
+      _sdk?.log?.info(`Claiming farm rewards from ${claims.length} stake NFT(s)`);
+
+      const { client } = await getWalletAndClient();
+      const messages = [];
+      for (const { farm, nft } of claims) {
+        const { NftItem } = farmContracts(farm.version);
+        const item = client.open(NftItem.create(nft.address));
+        const txParams = await item.getClaimRewardsTxParams({ poolCount: farm.rewards?.length || undefined });
+        messages.push(internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }));
+      }
+      const sent = await sendInBatches(messages);
+
+      return {
+        success: true,
+        data: {
+          ...summary,
+          seqno: sent[sent.length - 1].seqno,
+          msg_hash: sent[sent.length - 1].msgHash,
+          msg_hashes: sent.map((s) => s.msgHash),
+          message: "Claim transaction sent. Rewards arrive in the agent wallet in ~30 seconds.",
+        },
+      };
+    } catch (err) {
+      _sdk?.log?.error(`Farm claim failed: ${err.message}`);
+      return {
+        success: false,
+        error: String(err.message || err).slice(0, 500),
+      };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 15: stonfi_my_farms
+// ---------------------------------------------------------------------------
+
+const stonfiMyFarms = {
+  name: "stonfi_my_farms",
+  description:
+    "Show StonFi farm positions of a wallet (default: agent wallet): staked LP and its USD value, pending rewards, the farm APR and, for the agent, " +
+    "the APR history recorded in the plugin database with the agent's effective APR and warnings when a farm stops being worth it.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      address: {
+        type: "string",
+        description: "Wallet address (default: agent wallet)",
+      },
+      farm_address: {
+        type: "string",
+        description: "Only this farm",
+      },
+      days: {
+        type: "integer",
+        description: "APR history window in days (default 30)",
+        minimum: 1,
+        maximum: 365,
+      },
+    },
+  },
+
+  execute: async (params) => {
+    try {
+      const agent = getAgentAddress();
+      const address = params.address ?? agent;
+      const isAgent = Address.parse(address).equals(Address.parse(agent));
+      const db = farmTracker.db ?? _sdk?.db;
+      const config = farmTracker.config;
+
+      let positions = await loadFarmPositions(address);
+      if (params.farm_address) {
+        const target = Address.parse(params.farm_address);
+        positions = positions.filter((p) => Address.parse(p.farm_address).equals(target));
+      }
+
+      // A fresh sample unless the tracker took one in the last few minutes
+      const now = Math.floor(Date.now() / 1000);
+      if (isAgent && db) {
+        sampleFarms(db, positions.filter((p) => now - (lastSampleAt(db, p.farm_address) ?? 0) >= 300));
+      }
+
+      const from = now - (params.days ?? 30) * 86400;
+      const farms = positions.map(({ staked_units, ...p }) => ({
+        ...p,
+        history: isAgent && db
+          ? buildAprHistory(db, p.farm_address, {
+              from,
+              floorPct: config.farm_apr_floor_pct ?? 5,
+              dropPct: config.farm_apr_drop_pct ?? 50,
+            })
+          : null,
+      }));
+
+      return {
+        success: true,
+        data: {
+          address,
+          count: farms.length,
+          total_staked_usd: farms.reduce((sum, f) => sum + (f.staked_usd ?? 0), 0),
+          total_pending_usd: farms.reduce((sum, f) => sum + (f.pending_usd ?? 0), 0),
+          farms,
+          tracking: {
+            enabled: Boolean(farmTracker.timer),
+            last_run: farmTracker.lastRun,
+            last_error: farmTracker.lastError,
+          },
+        },
+      };
+    } catch (err) {
+      return {
+        success: false,
+        error: String(err.message || err).slice(0, 500),
+      };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Inline manifest
+// ---------------------------------------------------------------------------
+
+export const manifest = {
+  name: "stonfi",
+  version: "1.6.0",
+  sdkVersion: ">=1.0.0",
+  description: "Swap tokens, browse pools, and farm on StonFi DEX -- the largest DEX on TON",
+  bot: { callbacks: true }, // Confirm/Cancel buttons for confirm mode (lib/guard.js)
+  defaultConfig: {
+    farm_tracking_enabled: true,
+    farm_tracking_interval_seconds: 3600,
+    farm_history_retention_days: 365,
+    farm_apr_floor_pct: 5,   // warn when a farm's APR drops below this
+    farm_apr_drop_pct: 50,   // warn when it falls this far from its peak
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Database migration
+// ---------------------------------------------------------------------------
+
+export function migrate(db) {
+  migrateGuard(db);
+  migrateLiquidity(db);
+  migrateFarms(db);
+}
+
+// ---------------------------------------------------------------------------
+// Farm tracker
+// ---------------------------------------------------------------------------
+
+const farmTracker = {
+  db: null,
+  config: {},
+  timer: null,
+  running: false,
+  lastRun: null,
+  lastError: null,
+};
+
+/** One tracker pass: sample the agent's farms, prune old samples. */
+async function runFarmTracker() {
+  if (farmTracker.running) return;
+  farmTracker.running = true;
+  try {
+    const { db, config } = farmTracker;
+    sampleFarms(db, await loadFarmPositions(getAgentAddress()));
+    pruneFarmSamples(db, Math.max(1, Number(config.farm_history_retention_days ?? 365)));
+    farmTracker.lastRun = Math.floor(Date.now() / 1000);
+    farmTracker.lastError = null;
+  } catch (err) {
+    farmTracker.lastError = String(err.message || err).slice(0, 500);
+    _sdk?.log?.warn(`StonFi farm tracker: ${farmTracker.lastError}`);
+  } finally {
+    farmTracker.running = false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Lifecycle
+// ---------------------------------------------------------------------------
+
+export async function start(ctx) {
+  const config = ctx.pluginConfig ?? {};
+  farmTracker.db = ctx.db;
+  farmTracker.config = config;
+  if (!ctx.db || !config.farm_tracking_enabled) return;
+
+  const intervalMs = Math.max(300, Number(config.farm_tracking_interval_seconds ?? 3600)) * 1000;
+  farmTracker.timer = setInterval(runFarmTracker, intervalMs);
+  farmTracker.timer.unref?.();
+  runFarmTracker();
+}
+
+export async function stop() {
+  if (farmTracker.timer) clearInterval(farmTracker.timer);
+  farmTracker.timer = null;
+}
+
+// ---------------------------------------------------------------------------
+// Spend estimates for the action guard (TON offered)
+// ---------------------------------------------------------------------------
+
+const SPEND = {
+  stonfi_swap: (p) => (p.offer_address === TON_ADDRESS ? assetSpend("TON", p.amount) : null),
+  stonfi_provide_liquidity: async (p) => {
+    if (p.dry_run) return null;
+    if (p.token_a === TON_ADDRESS) return assetSpend("TON", p.amount);
+    if (p.token_b !== TON_ADDRESS || p.mode === "single") return null;
+    const { summary } = await planProvision(p);
+    return assetSpend("TON", summary.token_b.amount);
+  },
+};
+
+// Confirm-mode summary: the quote / plan for the same parameters
+const PREVIEW = {
+  stonfi_swap: (p) => stonfiSwapQuote.execute(p),
+  stonfi_provide_liquidity: async (p) => (await planProvision(p)).summary,
+  stonfi_withdraw_liquidity: async (p) => (await planWithdrawal(p)).summary,
+  stonfi_farm_stake: async (p) => (await planStake(p)).summary,
+  stonfi_farm_unstake: async (p) => (await planUnstake(p)).summary,
+  stonfi_farm_claim: async (p) => (await planClaim(p)).summary,
+};
+
+// Dry runs only read the pool and the wallet, so they skip the guard
+// (admin check, spend caps, confirm mode).
+const DRY_RUN = {
+  stonfi_provide_liquidity: (p) => Boolean(p.dry_run),
+  stonfi_withdraw_liquidity: (p) => Boolean(p.dry_run),
+};
+
 // ---------------------------------------------------------------------------
 // Export
 // ---------------------------------------------------------------------------
 
 export const tools = (sdk) => {
   _sdk = sdk;
-  return [
+  initSigner(sdk);
+  return guardTools(sdk, [
     stonfiSearch,
     stonfiPrice,
     stonfiPools,
@@ -763,5 +1825,12 @@ export const tools = (sdk) => {
     stonfiDexStats,
     stonfiSwapQuote,
     stonfiSwap,
-  ];
+    stonfiProvideLiquidity,
+    stonfiLpPositions,
+    stonfiWithdrawLiquidity,
+    stonfiFarmStake,
+    stonfiFarmUnstake,
+    stonfiFarmClaim,
+    stonfiMyFarms,
+  ], SPEND, PREVIEW, DRY_RUN);
 };
@@ -0,0 +1,554 @@
+/**
+ * Action guard -- shared policy layer for every `category: "action"` tool
+ *
+ * guardTools() wraps a plugin's action tools so that, before execute() runs:
+ *
+ *   1. the sender is an admin (teleton's telegram.admin_ids plus any
+ *      pluginConfig.admin_ids), unless pluginConfig.admin_only is false
+ *   2. the tool is not listed in pluginConfig.disabled_tools
+ *   3. the TON/USD value the tool commits fits the per-transaction and
+ *      per-day caps (plugin-wide and per tool via pluginConfig.tool_limits)
+ *   4. in confirm mode (pluginConfig.confirm_mode), the owner approves the
+ *      call with an inline Confirm button before anything is signed
+ *
+ * Spend is reserved in the plugin's SQLite database before the tool runs and
+ * released if it fails, so concurrent calls cannot overshoot a daily cap. A
+ * tool that commits less than estimated (e.g. it stopped part-way) returns
+ * `spent: { ton?, usd? }` next to `data`, and the reservation shrinks to it.
+ * Denied calls are written to the guard_denied audit table.
+ *
+ * Every tool passed to guardTools() is also listed in a process-wide
+ * registry (action tools in their guarded form), so one plugin can hand a
+ * call to another -- e.g. the dex-router plugin running stonfi_swap -- and
+ * the owning plugin's policy still applies. The outcome of each pending
+ * action is kept process-wide too, so the caller can follow it.
+ *
+ * Identical copies live in each plugin's lib/ folder -- edit all copies together.
+ */
+
+import { randomBytes } from "node:crypto";
+import { basename, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+// Callback data sent with raw inline buttons must carry the plugin prefix
+// that sdk.bot.onCallback() adds to its patterns.
+const PLUGIN_ID = basename(dirname(dirname(fileURLToPath(import.meta.url))));
+const CONFIRM_TTL_SECONDS = 300;
+const MAX_OUTCOMES = 500;           // pending-action outcomes kept, oldest dropped first
+const LIMIT_KEYS = ["max_ton_per_tx", "max_usd_per_tx", "daily_ton_limit", "daily_usd_limit"];
+const STABLECOINS = new Set(["USDT", "JUSDT", "USDC", "JUSDC", "USDE", "TUSDE"]);
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+export class GuardError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Database
+// ---------------------------------------------------------------------------
+
+/** Create the spend ledger and denial audit tables. Call from migrate(db). */
+export function migrateGuard(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS guard_spend (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tool TEXT NOT NULL,
+      sender_id TEXT,
+      ton REAL NOT NULL DEFAULT 0,
+      usd REAL NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_guard_spend_created ON guard_spend(created_at);
+
+    CREATE TABLE IF NOT EXISTS guard_denied (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tool TEXT NOT NULL,
+      sender_id TEXT,
+      chat_id TEXT,
+      code TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      params TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+
+    CREATE TABLE IF NOT EXISTS guard_confirmations (
+      id TEXT PRIMARY KEY,
+      tool TEXT NOT NULL,
+      sender_id TEXT,
+      chat_id TEXT,
+      summary TEXT,
+      status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'cancelled', 'expired', 'executed', 'failed')),
+      result TEXT,
+      expires_at INTEGER NOT NULL,
+      resolved_at INTEGER,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+  `);
+  // Pending actions live in memory -- anything left over from a previous run
+  // can no longer be confirmed.
+  db.prepare("UPDATE guard_confirmations SET status = 'expired', resolved_at = unixepoch() WHERE status = 'pending'").run();
+}
+
+// ---------------------------------------------------------------------------
+// Spend helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Price an amount of a named asset for the spend caps: TON counts as TON,
+ * USD stablecoins count as USD, anything else is unpriced (null).
+ */
+export function assetSpend(asset, amount) {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  const symbol = String(asset ?? "").toUpperCase();
+  if (symbol === "TON" || symbol === "NATIVE") return { ton: value };
+  if (STABLECOINS.has(symbol)) return { usd: value };
+  return null;
+}
+
+/** Start of the current UTC day in unix seconds. */
+function dayStart() {
+  const now = new Date();
+  return Math.floor(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) / 1000);
+}
+
+/** Sum today's reserved spend, optionally for one tool. */
+function spentToday(db, tool) {
+  const row = tool
+    ? db.prepare("SELECT COALESCE(SUM(ton), 0) AS ton, COALESCE(SUM(usd), 0) AS usd FROM guard_spend WHERE created_at >= ? AND tool = ?").get(dayStart(), tool)
+    : db.prepare("SELECT COALESCE(SUM(ton), 0) AS ton, COALESCE(SUM(usd), 0) AS usd FROM guard_spend WHERE created_at >= ?").get(dayStart());
+  return { ton: row.ton, usd: row.usd };
+}
+
+function fmt(n) {
+  return Number(n.toFixed(4)).toString();
+}
+
+// ---------------------------------------------------------------------------
+// Policy
+// ---------------------------------------------------------------------------
+
+/** Resolve the guard policy for one tool from pluginConfig. */
+function resolvePolicy(pluginConfig, toolName) {
+  const cfg = pluginConfig ?? {};
+  const perTool = cfg.tool_limits?.[toolName] ?? {};
+  const limits = {};
+  const toolLimits = {};
+  for (const key of LIMIT_KEYS) {
+    if (cfg[key] != null) limits[key] = Number(cfg[key]);
+    if (perTool[key] != null) toolLimits[key] = Number(perTool[key]);
+  }
+  const confirm = cfg.confirm_mode;
+  return {
+    adminOnly: cfg.admin_only ?? true,
+    confirm: confirm === true || (Array.isArray(confirm) && confirm.includes(toolName)),
+    confirmTtl: Number(cfg.confirm_ttl_seconds ?? CONFIRM_TTL_SECONDS),
+    adminIds: (cfg.admin_ids ?? []).map(String),
+    disabled: (cfg.disabled_tools ?? []).includes(toolName) || perTool.disabled === true,
+    limits,
+    toolLimits,
+  };
+}
+
+/** Throw unless the sender is an admin. */
+function checkAdmin(policy, context) {
+  if (!policy.adminOnly) return;
+  const adminIds = [...(context?.config?.telegram?.admin_ids ?? []).map(String), ...policy.adminIds];
+  if (context?.senderId == null || !adminIds.includes(String(context.senderId))) {
+    throw new GuardError("UNAUTHORIZED", "This action is restricted to the bot owner. The request has been rejected.");
+  }
+}
+
+/**
+ * Throw a GuardError unless the sender is an admin. For tools that change
+ * plugin state without being action tools (watchlists, monitors).
+ */
+export function assertAdmin(sdk, context) {
+  checkAdmin(resolvePolicy(sdk.pluginConfig, null), context);
+}
+
+/** Whether this plugin's config turns `toolName` off (disabled_tools or tool_limits). */
+export function isToolDisabled(sdk, toolName) {
+  return resolvePolicy(sdk.pluginConfig, toolName).disabled;
+}
+
+/** Throw if `spend` breaks a per-transaction or per-day cap in `limits`. */
+function checkLimits(limits, spend, today, scope) {
+  if (limits.max_ton_per_tx != null && spend.ton > limits.max_ton_per_tx) {
+    throw new GuardError("LIMIT_PER_TX", `${fmt(spend.ton)} TON exceeds the ${scope} limit of ${fmt(limits.max_ton_per_tx)} TON per transaction.`);
+  }
+  if (limits.max_usd_per_tx != null && spend.usd > limits.max_usd_per_tx) {
+    throw new GuardError("LIMIT_PER_TX", `$${fmt(spend.usd)} exceeds the ${scope} limit of $${fmt(limits.max_usd_per_tx)} per transaction.`);
+  }
+  if (limits.daily_ton_limit != null && today.ton + spend.ton > limits.daily_ton_limit) {
+    throw new GuardError("LIMIT_DAILY", `${fmt(spend.ton)} TON would exceed the ${scope} daily limit of ${fmt(limits.daily_ton_limit)} TON (${fmt(today.ton)} TON spent today).`);
+  }
+  if (limits.daily_usd_limit != null && today.usd + spend.usd > limits.daily_usd_limit) {
+    throw new GuardError("LIMIT_DAILY", `$${fmt(spend.usd)} would exceed the ${scope} daily limit of $${fmt(limits.daily_usd_limit)} ($${fmt(today.usd)} spent today).`);
+  }
+}
+
+/**
+ * Fill in the missing TON or USD side of `spend` from the TON price.
+ * Fails closed when a cap needs the missing side and no price is available.
+ */
+async function valueSpend(sdk, spend, policy) {
+  const ton = Number.isFinite(spend?.ton) ? spend.ton : null;
+  const usd = Number.isFinite(spend?.usd) ? spend.usd : null;
+  if (ton == null && usd == null) return { ton: 0, usd: 0 };
+  if (ton != null && usd != null) return { ton, usd };
+
+  const all = { ...policy.limits, ...policy.toolLimits };
+  const needsUsd = ton != null && (all.max_usd_per_tx != null || all.daily_usd_limit != null);
+  const needsTon = usd != null && (all.max_ton_per_tx != null || all.daily_ton_limit != null);
+
+  let price = null;
+  try {
+    price = (await sdk.ton?.getPrice?.())?.usd ?? null;
+  } catch { /* handled below */ }
+  if (!price) {
+    if (needsUsd || needsTon) {
+      throw new GuardError("PRICE_UNAVAILABLE", "TON price is unavailable, so the spend limits cannot be checked. Try again later.");
+    }
+    return { ton: ton ?? 0, usd: usd ?? 0 };
+  }
+  return ton != null ? { ton, usd: ton * price } : { ton: usd / price, usd };
+}
+
+/** Write a denied call to the audit table (best-effort). */
+function recordDenial(sdk, toolName, context, params, err) {
+  sdk.log?.warn?.(`guard denied ${toolName} for ${context?.senderId ?? "unknown"}: [${err.code}] ${err.message}`);
+  try {
+    sdk.db?.prepare(
+      "INSERT INTO guard_denied (tool, sender_id, chat_id, code, reason, params) VALUES (?, ?, ?, ?, ?, ?)"
+    ).run(
+      toolName,
+      context?.senderId != null ? String(context.senderId) : null,
+      context?.chatId != null ? String(context.chatId) : null,
+      err.code,
+      err.message,
+      JSON.stringify(params ?? {}).slice(0, 2000),
+    );
+  } catch { /* audit is best-effort -- never mask the denial */ }
+}
+
+// ---------------------------------------------------------------------------
+// Execution
+// ---------------------------------------------------------------------------
+
+/** Drop a spend reservation (the action failed or never ran). */
+function releaseSpend(sdk, reservation) {
+  if (reservation != null) sdk.db.prepare("DELETE FROM guard_spend WHERE id = ?").run(reservation);
+}
+
+/**
+ * Shrink a reservation to what a successful action reports it committed
+ * (`result.spent`). A reservation never grows past the amount it was checked at.
+ */
+function settleSpend(sdk, reservation, spent) {
+  if (reservation == null || spent == null) return;
+  const row = sdk.db.prepare("SELECT ton, usd FROM guard_spend WHERE id = ?").get(reservation);
+  if (!row) return;
+  let share = null;
+  if (row.ton > 0 && Number.isFinite(spent.ton)) share = spent.ton / row.ton;
+  else if (row.usd > 0 && Number.isFinite(spent.usd)) share = spent.usd / row.usd;
+  if (share == null || share >= 1) return;
+  if (share <= 0) releaseSpend(sdk, reservation);
+  else sdk.db.prepare("UPDATE guard_spend SET ton = ton * ?, usd = usd * ? WHERE id = ?").run(share, share, reservation);
+}
+
+/** Run the wrapped execute(); release the reservation unless it succeeded. */
+async function runAction(sdk, tool, execute, params, context, reservation) {
+  let result;
+  try {
+    result = await execute.call(tool, params, context);
+  } catch (err) {
+    result = { success: false, error: String(err.message || err).slice(0, 500) };
+  }
+  if (!result?.success) releaseSpend(sdk, reservation);
+  else settleSpend(sdk, reservation, result.spent);
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Confirm mode
+// ---------------------------------------------------------------------------
+
+const pending = new Map();            // id -> pending action (this plugin only)
+const registeredBots = new WeakSet(); // sdk.bot instances with handlers attached
+
+/** Render a pending action for the confirmation message. */
+function formatSummary(toolName, summary, expiresAt) {
+  const lines = [`Confirm ${toolName}?`, ""];
+  for (const [key, value] of Object.entries(summary ?? {})) {
+    if (value == null || value === "") continue;
+    lines.push(`${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`);
+  }
+  lines.push("", `Expires at ${new Date(expiresAt).toISOString().slice(11, 19)} UTC. Nothing is signed until you confirm.`);
+  return lines.join("\n").slice(0, 3500);
+}
+
+/** Run a Telegram call, ignoring failures (the message may be gone). */
+async function quietly(fn) {
+  try {
+    await fn();
+  } catch { /* best-effort UI update */ }
+}
+
+function setConfirmationStatus(sdk, id, status, result = null) {
+  trackOutcome(id, status, result);
+  try {
+    sdk.db?.prepare(
+      "UPDATE guard_confirmations SET status = ?, result = ?, resolved_at = unixepoch() WHERE id = ?"
+    ).run(status, result ? JSON.stringify(result).slice(0, 2000) : null, id);
+  } catch { /* audit is best-effort */ }
+}
+
+/**
+ * Park an action until the owner presses Confirm: post the summary with
+ * Confirm/Cancel buttons and return a pending-action id to the LLM.
+ */
+async function requestConfirmation(sdk, policy, tool, execute, params, context, reservation, preview) {
+  if (!sdk.bot) {
+    throw new GuardError("CONFIRM_UNAVAILABLE", "Confirm mode is on but bot callbacks are not available, so the action cannot be confirmed. Nothing was sent.");
+  }
+  if (context?.chatId == null) {
+    throw new GuardError("CONFIRM_UNAVAILABLE", "Confirm mode needs a chat to post the confirmation to. Nothing was sent.");
+  }
+
+  let summary = { ...params };
+  if (preview) {
+    const out = await preview(params, context);
+    if (out && "success" in out) {
+      if (!out.success) throw new Error(`Preview failed: ${out.error}`);
+      summary = out.data;
+    } else if (out) {
+      summary = out;
+    }
+  }
+
+  const id = randomBytes(8).toString("hex");
+  const expiresAt = Date.now() + policy.confirmTtl * 1000;
+  const text = formatSummary(tool.name, summary, expiresAt);
+  const messageId = await sdk.telegram.sendMessage(context.chatId, text, {
+    inlineKeyboard: [[
+      { text: "✅ Confirm", callback_data: `${PLUGIN_ID}:confirm:${id}` },
+      { text: "❌ Cancel", callback_data: `${PLUGIN_ID}:cancel:${id}` },
+    ]],
+  });
+
+  const timer = setTimeout(() => expireAction(sdk, id), policy.confirmTtl * 1000);
+  timer.unref?.();
+  pending.set(id, { tool, execute, params, context, reservation, text, messageId, timer });
+  trackOutcome(id, "pending");
+  try {
+    sdk.db?.prepare(
+      "INSERT INTO guard_confirmations (id, tool, sender_id, chat_id, summary, expires_at) VALUES (?, ?, ?, ?, ?, ?)"
+    ).run(
+      id,
+      tool.name,
+      context.senderId != null ? String(context.senderId) : null,
+      String(context.chatId),
+      JSON.stringify(summary ?? {}).slice(0, 2000),
+      Math.floor(expiresAt / 1000),
+    );
+  } catch { /* audit is best-effort */ }
+
+  return {
+    success: true,
+    data: {
+      status: "awaiting_confirmation",
+      pending_action_id: id,
+      tool: tool.name,
+      expires_at: new Date(expiresAt).toISOString(),
+      summary,
+      message: "Posted to the chat for the owner to confirm. Nothing has been signed yet -- it runs only if the owner presses Confirm before it expires.",
+    },
+  };
+}
+
+function expireAction(sdk, id) {
+  const action = pending.get(id);
+  if (!action) return;
+  pending.delete(id);
+  releaseSpend(sdk, action.reservation);
+  setConfirmationStatus(sdk, id, "expired");
+  quietly(() => sdk.telegram.editMessage(action.context.chatId, action.messageId, `${action.text}\n\n⌛ Expired -- nothing was sent.`));
+}
+
+/** Handle a Confirm or Cancel press. Only admins can resolve an action. */
+async function resolveAction(sdk, ctx, confirmed) {
+  const id = String(ctx.data ?? "").split(":").pop();
+  const action = pending.get(id);
+  if (!action) {
+    await quietly(() => ctx.answer("This action has expired or was already handled."));
+    return;
+  }
+  const policy = resolvePolicy(sdk.pluginConfig, action.tool.name);
+  const presser = { senderId: ctx.userId, chatId: action.context.chatId, config: action.context.config };
+  try {
+    checkAdmin({ ...policy, adminOnly: true }, presser);
+  } catch (err) {
+    recordDenial(sdk, action.tool.name, presser, action.params, err);
+    await quietly(() => ctx.answer("Only the owner can confirm this action."));
+    return;
+  }
+
+  pending.delete(id);
+  clearTimeout(action.timer);
+
+  if (!confirmed) {
+    releaseSpend(sdk, action.reservation);
+    setConfirmationStatus(sdk, id, "cancelled");
+    await quietly(() => ctx.answer("Cancelled"));
+    await quietly(() => ctx.editMessage(`${action.text}\n\n❌ Cancelled -- nothing was sent.`));
+    return;
+  }
+
+  await quietly(() => ctx.answer("Confirmed -- signing"));
+  await quietly(() => ctx.editMessage(`${action.text}\n\n⏳ Confirmed -- signing...`));
+  const result = await runAction(sdk, action.tool, action.execute, action.params, action.context, action.reservation);
+  setConfirmationStatus(sdk, id, result?.success ? "executed" : "failed", result);
+
+  const outcome = result?.success
+    ? `✅ Sent.${result.data?.msg_hash ? ` msg_hash: ${result.data.msg_hash}` : ""}`
+    : `❌ Failed: ${result?.error ?? "unknown error"}`;
+  await quietly(() => ctx.editMessage(`${action.text}\n\n${outcome}`));
+}
+
+function registerCallbacks(sdk) {
+  if (!sdk.bot || registeredBots.has(sdk.bot)) return;
+  registeredBots.add(sdk.bot);
+  sdk.bot.onCallback("confirm:*", (ctx) => resolveAction(sdk, ctx, true));
+  sdk.bot.onCallback("cancel:*", (ctx) => resolveAction(sdk, ctx, false));
+}
+
+// ---------------------------------------------------------------------------
+// Pending-action outcomes (process-wide, shared by all copies)
+// ---------------------------------------------------------------------------
+
+const OUTCOMES_KEY = Symbol.for("teleton-plugins.confirmations");
+const outcomes = (globalThis[OUTCOMES_KEY] ??= new Map()); // id -> { status, result }
+
+function trackOutcome(id, status, result = null) {
+  outcomes.delete(id);
+  outcomes.set(id, { status, result });
+  while (outcomes.size > MAX_OUTCOMES) outcomes.delete(outcomes.keys().next().value);
+}
+
+/**
+ * Where a pending action stands: `{ status, result }` with status pending,
+ * cancelled, expired, executed or failed (result is the tool's result once
+ * it ran), or null when this process never saw the id -- e.g. after a
+ * restart, which expires every pending action.
+ */
+export function getConfirmationOutcome(id) {
+  return outcomes.get(id) ?? null;
+}
+
+// ---------------------------------------------------------------------------
+// Tool registry (process-wide, shared by all copies)
+// ---------------------------------------------------------------------------
+
+const REGISTRY_KEY = Symbol.for("teleton-plugins.tools");
+const registry = (globalThis[REGISTRY_KEY] ??= new Map()); // name -> { plugin, tool }
+
+/** A tool registered by any plugin that uses the guard, or null if not loaded. */
+export function getRegisteredTool(name) {
+  return registry.get(name)?.tool ?? null;
+}
+
+// ---------------------------------------------------------------------------
+// Wrapper
+// ---------------------------------------------------------------------------
+
+/**
+ * Wrap one action tool with the guard policy.
+ * `estimate(params, context)` returns the value the call commits as
+ * `{ ton?, usd? }` (or null when it cannot be priced); it may be async.
+ * `preview(params, context)` returns the summary shown in confirm mode --
+ * a plain object or a tool result such as a quote tool's execute().
+ * `isDryRun(params)` is true for calls that only read (e.g. `dry_run: true`);
+ * those run unguarded.
+ */
+function guardTool(sdk, tool, estimate, preview, isDryRun) {
+  const execute = tool.execute;
+  return {
+    ...tool,
+    execute: async (params, context) => {
+      if (isDryRun?.(params)) return runAction(sdk, tool, execute, params, context, null);
+      const policy = resolvePolicy(sdk.pluginConfig, tool.name);
+      let reservation = null;
+      try {
+        checkAdmin(policy, context);
+        if (policy.disabled) {
+          throw new GuardError("DISABLED", `${tool.name} is disabled in this plugin's config.`);
+        }
+
+        const hasLimits = Object.keys(policy.limits).length > 0 || Object.keys(policy.toolLimits).length > 0;
+        if (hasLimits && !sdk.db) {
+          throw new GuardError("NO_DATABASE", "Spend limits are configured but this plugin has no database to track them.");
+        }
+        // Spend is recorded even without caps so today's total is right
+        // the moment a cap is configured.
+        if (estimate && sdk.db) {
+          const spend = await valueSpend(sdk, await estimate(params, context), policy);
+          if (spend.ton > 0 || spend.usd > 0) {
+            reservation = sdk.db.transaction(() => {
+              if (hasLimits) {
+                checkLimits(policy.toolLimits, spend, spentToday(sdk.db, tool.name), tool.name);
+                checkLimits(policy.limits, spend, spentToday(sdk.db), "plugin");
+              }
+              return sdk.db.prepare(
+                "INSERT INTO guard_spend (tool, sender_id, ton, usd) VALUES (?, ?, ?, ?)"
+              ).run(tool.name, context?.senderId != null ? String(context.senderId) : null, spend.ton, spend.usd).lastInsertRowid;
+            })();
+          }
+        }
+
+        if (policy.confirm) {
+          return await requestConfirmation(sdk, policy, tool, execute, params, context, reservation, preview);
+        }
+      } catch (err) {
+        releaseSpend(sdk, reservation);
+        if (!(err instanceof GuardError)) {
+          return { success: false, error: String(err.message || err).slice(0, 500) };
+        }
+        recordDenial(sdk, tool.name, context, params, err);
+        return { success: false, error: `[${err.code}] ${err.message}` };
+      }
+
+      return runAction(sdk, tool, execute, params, context, reservation);
+    },
+  };
+}
+
+/**
+ * Route every `category: "action"` tool in `tools` through the guard.
+ * `spend`, `preview` and `dryRun` map tool names to estimators, summaries
+ * and dry-run tests (see guardTool). Action tools without an estimator are
+ * still admin-checked but not counted against the caps; without a preview,
+ * confirm mode shows the raw parameters. The returned tools are added to the
+ * tool registry.
+ */
+export function guardTools(sdk, tools, spend = {}, preview = {}, dryRun = {}) {
+  registerCallbacks(sdk);
+  const guarded = tools.map((tool) =>
+    tool.category === "action"
+      ? guardTool(sdk, tool, spend[tool.name], preview[tool.name], dryRun[tool.name])
+      : tool
+  );
+  for (const tool of guarded) registry.set(tool.name, { plugin: PLUGIN_ID, tool });
+  return guarded;
+}
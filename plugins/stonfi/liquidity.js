@@ -0,0 +1,145 @@
+/**
+ * StonFi liquidity -- provide/withdraw log and fee accrual
+ *
+ * STON.fi pays LP fees by leaving them in the pool reserves, so each LP
+ * token is worth a little more after every swap. In a constant-product pool
+ * sqrt(reserve0 * reserve1) / lp_supply only grows through fees, which makes
+ * it a fee index: the part of a position that is accrued fees is
+ * 1 - index_at_entry / index_now. Stable pools use the same index as an
+ * approximation.
+ *
+ * stonfi_lp_events logs every provide and withdraw the agent sent, with the
+ * sending wallet and the pool's fee index at that moment. An event counts
+ * once the tx tracker confirms it; a provide's LP units are the simulated
+ * amount (the pool mints at least the slippage minimum), so they are
+ * flagged as an estimate. Pure functions over the plugin database.
+ */
+
+import { isFinalStatus } from "./lib/txtracker.js";
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+// A late trace can confirm an expired event; after this it is left as expired.
+const RECHECK_WINDOW_SECONDS = 24 * 3600;
+
+// ---------------------------------------------------------------------------
+// Database
+// ---------------------------------------------------------------------------
+
+/** Create the liquidity event table. Call from migrate(db). */
+export function migrateLiquidity(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS stonfi_lp_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      wallet TEXT NOT NULL,
+      pool TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('provide', 'withdraw')),
+      lp_units TEXT NOT NULL,
+      lp_estimated INTEGER NOT NULL DEFAULT 0,
+      fee_index REAL,
+      msg_hash TEXT,
+      status TEXT NOT NULL DEFAULT 'sent',
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_stonfi_lp_events_pool ON stonfi_lp_events(wallet, pool, created_at);
+  `);
+}
+
+/**
+ * Log one provide or withdraw as sent. No-op without a database. Set
+ * `lp_estimated` when `lp_units` is a simulation rather than the exact amount.
+ */
+export function recordLpEvent(db, event) {
+  if (!db) return null;
+  return db.prepare(`
+    INSERT INTO stonfi_lp_events (wallet, pool, kind, lp_units, lp_estimated, fee_index, msg_hash)
+    VALUES (@wallet, @pool, @kind, @lp_units, @lp_estimated, @fee_index, @msg_hash)
+  `).run({
+    fee_index: null,
+    msg_hash: null,
+    ...event,
+    lp_units: String(event.lp_units),
+    lp_estimated: event.lp_estimated ? 1 : 0,
+  }).lastInsertRowid;
+}
+
+/**
+ * Events of a wallet still waiting for their on-chain outcome, expired ones
+ * included, sent within the last RECHECK_WINDOW_SECONDS. Older events that
+ * never settled are marked expired first and no longer checked.
+ */
+export function unconfirmedLpEvents(db, wallet) {
+  const cutoff = Math.floor(Date.now() / 1000) - RECHECK_WINDOW_SECONDS;
+  db.prepare("UPDATE stonfi_lp_events SET status = 'expired' WHERE wallet = ? AND status = 'sent' AND created_at < ?").run(wallet, cutoff);
+  return db.prepare(
+    "SELECT id, msg_hash FROM stonfi_lp_events WHERE wallet = ? AND status IN ('sent', 'expired') AND msg_hash IS NOT NULL AND created_at >= ?"
+  ).all(wallet, cutoff);
+}
+
+/** Map a tx tracker status onto an event row. Pending is left as it is. */
+export function applyLpTxStatus(db, id, trackerStatus) {
+  if (isFinalStatus(trackerStatus) || trackerStatus === "expired") {
+    db.prepare("UPDATE stonfi_lp_events SET status = ? WHERE id = ?").run(trackerStatus, id);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Fee accrual
+// ---------------------------------------------------------------------------
+
+/** Fee index of a pool: sqrt(reserve0 * reserve1) per LP unit. */
+export function feeIndex(reserve0, reserve1, lpSupply) {
+  const supply = Number(lpSupply);
+  if (!(supply > 0)) return null;
+  return Math.sqrt(Number(reserve0)) * Math.sqrt(Number(reserve1)) / supply;
+}
+
+/**
+ * The LP units the log accounts for in a wallet's pool position and their
+ * average entry fee index, from confirmed events only. Provides average in;
+ * withdraws reduce the holding at the same average, and a full exit starts
+ * over. `estimated` is set when a provide's LP units are simulated.
+ */
+export function trackedPosition(db, wallet, pool) {
+  if (!db) return null;
+  const events = db.prepare(`
+    SELECT kind, lp_units, lp_estimated, fee_index, created_at FROM stonfi_lp_events
+    WHERE wallet = ? AND pool = ? AND status = 'confirmed' ORDER BY created_at, id
+  `).all(wallet, pool);
+
+  let held = 0n;
+  let index = null;
+  let since = null;
+  let estimated = false;
+  for (const e of events) {
+    const units = BigInt(e.lp_units);
+    if (e.kind === "provide") {
+      if (e.fee_index == null) continue;
+      index = held > 0n && index != null
+        ? (index * Number(held) + e.fee_index * Number(units)) / Number(held + units)
+        : e.fee_index;
+      if (held === 0n) since = e.created_at;
+      held += units;
+      estimated ||= e.lp_estimated === 1;
+    } else {
+      held = units >= held ? 0n : held - units;
+      if (held === 0n) {
+        index = null;
+        since = null;
+        estimated = false;
+      }
+    }
+  }
+  return held > 0n && index != null ? { lp_units: held, entry_index: index, since, estimated } : null;
+}
+
+/**
+ * Fees accrued on the logged part of a position, as a fraction of its
+ * current value (0 when the pool's index has not grown).
+ */
+export function accruedFeeShare(entryIndex, currentIndex) {
+  if (!(entryIndex > 0) || !(currentIndex > 0)) return null;
+  return Math.max(0, 1 - entryIndex / currentIndex);
+}
@@ -4,12 +4,44 @@
  * Trade crypto, stocks, forex, and commodities with up to 100x leverage.
  * Uses @storm-trade/sdk for on-chain writes and REST API for reads.
  * Agent wallet at ~/.teleton/wallet.json signs all transactions.
+ * A background monitor (start/stop hooks) alerts on liquidation risk, and
+ * every trade is kept in a PnL ledger (ledger.js). Bracket, OCO and trailing
+ * orders are order groups (orders.js) kept in line by a background manager.
  */
 
 import { createRequire } from "node:module";
-import { readFileSync, realpathSync } from "node:fs";
-import { join } from "node:path";
+import { realpathSync, mkdirSync, writeFileSync } from "node:fs";
 import { homedir } from "node:os";
+import { join } from "node:path";
+import { initSigner, getWalletAndClient, getTonClient, withFailover, getAgentAddress, sendTransfer } from "./lib/signer.js";
+import { guardTools, migrateGuard, assetSpend, getConfirmationOutcome, assertAdmin } from "./lib/guard.js";
+import { refreshMessageStatus } from "./lib/txtracker.js";
+import {
+  migrateLedger,
+  recordTrade,
+  unconfirmedTrades,
+  applyTxStatus,
+  normalizeApiOrder,
+  mergeApiFills,
+  tradesInRange,
+  buildPnlReport,
+  reportCsv,
+  tradesCsv,
+} from "./ledger.js";
+import {
+  LIVE_LEG_STATUSES,
+  migrateOrderGroups,
+  createGroup,
+  addLeg,
+  updateLeg,
+  updateGroup,
+  getGroup,
+  activeGroups,
+  groupLegs,
+  listGroups,
+  trailingStop,
+  nextAnchor,
+} from "./orders.js";
 
 // ---------------------------------------------------------------------------
 // CJS dependencies
@@ -18,9 +50,8 @@ import { homedir } from "node:os";
 const _require = createRequire(realpathSync(process.argv[1]));       // core: @ton/core, @ton/ton, @ton/crypto
 const _pluginRequire = createRequire(import.meta.url);                // local: plugin-specific deps
 
-const { Address, SendMode } = _require("@ton/core");
-const { WalletContractV5R1, TonClient, toNano, internal } = _require("@ton/ton");
-const { mnemonicToPrivateKey } = _require("@ton/crypto");
+const { Address } = _require("@ton/core");
+const { toNano, internal } = _require("@ton/ton");
 const {
   StormSDK,
   Direction,
@@ -35,9 +66,9 @@ const {
 // ---------------------------------------------------------------------------
 
 const API_BASE = "https://api5.storm.tg/api";
-const WALLET_FILE = join(homedir(), ".teleton", "wallet.json");
 
 let _sdk = null;
+const guarded = {};  // guarded tools by name, for background jobs that run other tools
 
 // ---------------------------------------------------------------------------
 // Shared helpers
@@ -59,44 +90,6 @@ async function stormFetch(path, params = {}) {
   return res.json();
 }
 
-/** Read agent wallet, create TonClient, open wallet contract. */
-async function getWalletAndClient() {
-  let walletData;
-  try {
-    walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-  } catch {
-    throw new Error("Agent wallet not found at " + WALLET_FILE);
-  }
-  if (!walletData.mnemonic || !Array.isArray(walletData.mnemonic)) {
-    throw new Error("Invalid wallet file: missing mnemonic array");
-  }
-
-  const keyPair = await mnemonicToPrivateKey(walletData.mnemonic);
-  const wallet = WalletContractV5R1.create({
-    workchain: 0,
-    publicKey: keyPair.publicKey,
-  });
-
-  let endpoint;
-  try {
-    const { getHttpEndpoint } = _pluginRequire("@orbs-network/ton-access");
-    endpoint = await getHttpEndpoint({ network: "mainnet" });
-  } catch {
-    endpoint = "https://toncenter.com/api/v2/jsonRPC";
-  }
-
-  const client = new TonClient({ endpoint });
-  const contract = client.open(wallet);
-
-  return { wallet, keyPair, client, contract };
-}
-
-/** Get agent's friendly wallet address. */
-function getAgentAddress() {
-  const data = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-  return data.address;
-}
-
 /** Return StormSDK instance for the given vault type. */
 function getSDK(vault, client) {
   switch ((vault || "usdt").toLowerCase()) {
@@ -143,6 +136,72 @@ function parseDirection(dir) {
   throw new Error("Invalid direction: " + dir + ". Use 'long' or 'short'.");
 }
 
+// Settlement currency of each vault, for the oracle price the margin
+// math needs on coin-margined vaults.
+const VAULT_SETTLEMENT = { usdt: "USDT", native: "TON", not: "NOT" };
+
+/** 9-decimal contract value to Number. */
+const nano = (v) => Number(v) / 1e9;
+
+/**
+ * Contract view of one position at the current index price, in vault units.
+ * remainMargin and unrealizedPnl come from the market contract, so funding
+ * and rollover fees are included. Without a record only the market fields
+ * (index price, fee and maintenance ratios) are returned.
+ */
+async function positionMetrics(stormSdk, baseAsset, vault, record) {
+  const vamm = await stormSdk.getMarket(baseAsset);
+  const settlement = VAULT_SETTLEMENT[vault];
+  const [indexPrice, settings, settlementPrice] = await Promise.all([
+    stormSdk.getIndexPrice(baseAsset),
+    vamm.getExchangeSettings(),
+    settlement === "USDT" ? Promise.resolve(undefined) : stormSdk.getIndexPrice(settlement),
+  ]);
+  const market = {
+    index_price: nano(indexPrice),
+    fee_ratio: nano(settings.fee),
+    maintenance_ratio: nano(settings.maintenanceMarginRatio),
+  };
+  if (!record) return market;
+
+  const m = await vamm.getRemainMarginWithFundingPayment(indexPrice, record.positionData, settlementPrice);
+  return {
+    ...market,
+    size: nano(record.positionData.size),
+    open_notional: nano(record.positionData.openNotional),
+    notional: nano(m.positionNotional),
+    remain_margin: nano(m.remainMargin),
+    margin_ratio: nano(m.marginRatio),
+    unrealized_pnl: nano(m.unrealizedPnl),
+    funding: nano(m.fundingPayment),
+    rollover_fee: nano(m.rolloverFee),
+  };
+}
+
+/**
+ * Position numbers for the trade ledger, read just before an action is sent.
+ * Best effort: a failed read only leaves the ledger row without estimates.
+ */
+async function ledgerSnapshot(stormSdk, traderAddress, baseAsset, vault, direction) {
+  try {
+    const account = await stormSdk.getPositionAccountData(traderAddress, baseAsset);
+    const record = direction === Direction.long ? account?.longPosition : account?.shortPosition;
+    return await positionMetrics(stormSdk, baseAsset, vault || "usdt", record?.positionData?.size ? record : null);
+  } catch (err) {
+    _sdk?.log?.warn(`Ledger snapshot failed: ${err.message}`);
+    return null;
+  }
+}
+
+/** Write a sent action to the trade ledger. Never throws -- the tx is already out. */
+function logTrade(trade) {
+  try {
+    recordTrade(_sdk?.db, { ...trade, market: trade.market?.toUpperCase() ?? null, vault: trade.vault || "usdt" });
+  } catch (err) {
+    _sdk?.log?.warn(`Ledger write failed: ${err.message}`);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Tool 1: storm_markets
 // ---------------------------------------------------------------------------
@@ -403,7 +462,7 @@ const stormOpenPosition = {
 
   execute: async (params) => {
     try {
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
       const sdk = getSDK(params.vault, client);
       const traderAddress = wallet.address;
       const baseAsset = parseBaseAsset(params.market);
@@ -422,15 +481,27 @@ const stormOpenPosition = {
       if (params.take_profit) increaseOpts.takeTriggerPrice = numToNano(parseNum(params.take_profit, "take_profit"));
 
       const txParams = await sdk.increasePosition(increaseOpts);
-
-      const seqno = await contract.getSeqno();
-      await contract.sendTransfer({
+      const snap = await ledgerSnapshot(sdk, traderAddress, baseAsset, params.vault, direction);
+
+      const { seqno, msgHash } = await sendTransfer([
+        internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
+      ]);
+
+      // Funding and rollover fees on an existing position settle on increase.
+      const notional = Number(params.amount) * Number(params.leverage);
+      logTrade({
+        kind: "open",
+        market: params.market,
+        vault: params.vault,
+        direction: params.direction,
+        amount: Number(params.amount),
+        leverage: Number(params.leverage),
+        price: snap?.index_price ?? null,
+        notional,
+        fee: snap ? snap.fee_ratio * notional + (snap.rollover_fee ?? 0) : 0,
+        funding: snap?.funding ?? 0,
+        msg_hash: msgHash,
         seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
-        ],
       });
 
       return {
@@ -441,6 +512,7 @@ const stormOpenPosition = {
           amount: params.amount,
           leverage: params.leverage,
           seqno,
+          msg_hash: msgHash,
           walletAddress: wallet.address.toString(),
           has_stop_loss: !!params.stop_loss,
           has_take_profit: !!params.take_profit,
@@ -484,7 +556,7 @@ const stormClosePosition = {
 
   execute: async (params) => {
     try {
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
       const sdk = getSDK(params.vault, client);
       const traderAddress = wallet.address;
       const baseAsset = parseBaseAsset(params.market);
@@ -509,15 +581,28 @@ const stormClosePosition = {
         direction,
         size,
       });
-
-      const seqno = await contract.getSeqno();
-      await contract.sendTransfer({
+      const snap = await ledgerSnapshot(sdk, traderAddress, baseAsset, params.vault, direction);
+
+      const { seqno, msgHash } = await sendTransfer([
+        internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
+      ]);
+
+      // Realized PnL is the closed share of the unrealized PnL at the index
+      // price; funding and rollover fees settle in full on any size change.
+      const share = snap?.size ? Math.min(1, nano(size) / snap.size) : null;
+      logTrade({
+        kind: "close",
+        market: params.market,
+        vault: params.vault,
+        direction: params.direction,
+        size: nano(size),
+        price: snap?.index_price ?? null,
+        notional: share !== null ? share * snap.notional : null,
+        realized_pnl: share !== null ? share * snap.unrealized_pnl : 0,
+        fee: share !== null ? snap.fee_ratio * share * snap.notional + snap.rollover_fee : 0,
+        funding: snap?.funding ?? 0,
+        msg_hash: msgHash,
         seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
-        ],
       });
 
       return {
@@ -527,6 +612,7 @@ const stormClosePosition = {
           direction: params.direction,
           size: params.size || "1",
           seqno,
+          msg_hash: msgHash,
           walletAddress: wallet.address.toString(),
           message: "Close position tx sent. Check status after ~15 seconds.",
         },
@@ -564,7 +650,7 @@ const stormAddMargin = {
 
   execute: async (params) => {
     try {
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
       const sdk = getSDK(params.vault, client);
       const traderAddress = wallet.address;
       const baseAsset = parseBaseAsset(params.market);
@@ -577,14 +663,18 @@ const stormAddMargin = {
         amount: parseAmount(params.amount, params.vault),
       });
 
-      const seqno = await contract.getSeqno();
-      await contract.sendTransfer({
+      const { seqno, msgHash } = await sendTransfer([
+        internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
+      ]);
+
+      logTrade({
+        kind: "add_margin",
+        market: params.market,
+        vault: params.vault,
+        direction: params.direction,
+        amount: Number(params.amount),
+        msg_hash: msgHash,
         seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
-        ],
       });
 
       return {
@@ -594,6 +684,7 @@ const stormAddMargin = {
           direction: params.direction,
           amount: params.amount,
           seqno,
+          msg_hash: msgHash,
           walletAddress: wallet.address.toString(),
           message: "Add margin tx sent. Check position after ~15 seconds.",
         },
@@ -630,7 +721,7 @@ const stormRemoveMargin = {
 
   execute: async (params) => {
     try {
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
       const sdk = getSDK(params.vault, client);
       const traderAddress = wallet.address;
       const baseAsset = parseBaseAsset(params.market);
@@ -643,14 +734,18 @@ const stormRemoveMargin = {
         amount: numToNano(parseNum(params.amount, "amount")),
       });
 
-      const seqno = await contract.getSeqno();
-      await contract.sendTransfer({
+      const { seqno, msgHash } = await sendTransfer([
+        internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
+      ]);
+
+      logTrade({
+        kind: "remove_margin",
+        market: params.market,
+        vault: params.vault,
+        direction: params.direction,
+        amount: Number(params.amount),
+        msg_hash: msgHash,
         seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
-        ],
       });
 
       return {
@@ -660,6 +755,7 @@ const stormRemoveMargin = {
           direction: params.direction,
           amount: params.amount,
           seqno,
+          msg_hash: msgHash,
           walletAddress: wallet.address.toString(),
           message: "Remove margin tx sent. Check position after ~15 seconds.",
         },
@@ -735,7 +831,7 @@ const stormCreateOrder = {
 
   execute: async (params) => {
     try {
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
       const sdk = getSDK(params.vault, client);
       const traderAddress = wallet.address;
       const baseAsset = parseBaseAsset(params.market);
@@ -778,14 +874,22 @@ const stormCreateOrder = {
 
       const txParams = await sdk.createOrder(orderOpts);
 
-      const seqno = await contract.getSeqno();
-      await contract.sendTransfer({
+      const { seqno, msgHash } = await sendTransfer([
+        internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
+      ]);
+
+      // Fills are picked up from the API order history by storm_pnl_report.
+      logTrade({
+        kind: "order",
+        market: params.market,
+        vault: params.vault,
+        direction: params.direction,
+        order_type: params.order_type,
+        amount: Number(params.amount),
+        leverage: params.leverage ? Number(params.leverage) : null,
+        price: Number(params.limit_price ?? params.trigger_price) || null,
+        msg_hash: msgHash,
         seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
-        ],
       });
 
       return {
@@ -795,6 +899,7 @@ const stormCreateOrder = {
           direction: params.direction,
           order_type: params.order_type,
           seqno,
+          msg_hash: msgHash,
           walletAddress: wallet.address.toString(),
           message: "Order creation tx sent. Check orders after ~15 seconds.",
         },
@@ -840,7 +945,7 @@ const stormCancelOrder = {
 
   execute: async (params) => {
     try {
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
       const sdk = getSDK(params.vault, client);
       const traderAddress = wallet.address;
       const baseAsset = parseBaseAsset(params.market);
@@ -854,14 +959,18 @@ const stormCancelOrder = {
         direction,
       });
 
-      const seqno = await contract.getSeqno();
-      await contract.sendTransfer({
+      const { seqno, msgHash } = await sendTransfer([
+        internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
+      ]);
+
+      logTrade({
+        kind: "cancel",
+        market: params.market,
+        vault: params.vault,
+        direction: params.direction,
+        order_type: params.order_type,
+        msg_hash: msgHash,
         seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
-        ],
       });
 
       return {
@@ -872,6 +981,7 @@ const stormCancelOrder = {
           order_type: params.order_type,
           order_index: params.order_index ?? 0,
           seqno,
+          msg_hash: msgHash,
           walletAddress: wallet.address.toString(),
           message: "Cancel order tx sent. Check orders after ~15 seconds.",
         },
@@ -906,7 +1016,7 @@ const stormStake = {
 
   execute: async (params) => {
     try {
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
       const sdk = getSDK(params.vault, client);
       const userAddress = wallet.address;
 
@@ -915,15 +1025,9 @@ const stormStake = {
         userAddress,
       });
 
-      const seqno = await contract.getSeqno();
-      await contract.sendTransfer({
-        seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
-        ],
-      });
+      const { seqno, msgHash } = await sendTransfer([
+        internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
+      ]);
 
       return {
         success: true,
@@ -931,6 +1035,7 @@ const stormStake = {
           amount: params.amount,
           vault: params.vault || "usdt",
           seqno,
+          msg_hash: msgHash,
           walletAddress: wallet.address.toString(),
           message: "Stake tx sent. Check vault balance after ~15 seconds.",
         },
@@ -964,7 +1069,7 @@ const stormUnstake = {
 
   execute: async (params) => {
     try {
-      const { wallet, keyPair, client, contract } = await getWalletAndClient();
+      const { wallet, client } = await getWalletAndClient();
       const sdk = getSDK(params.vault, client);
       const userAddress = wallet.address;
 
@@ -972,15 +1077,9 @@ const stormUnstake = {
       if (params.amount) unstakeOpts.amount = numToNano(parseNum(params.amount, "amount"));
       const txParams = await sdk.unstake(unstakeOpts);
 
-      const seqno = await contract.getSeqno();
-      await contract.sendTransfer({
-        seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
-        ],
-      });
+      const { seqno, msgHash } = await sendTransfer([
+        internal({ to: txParams.to, value: txParams.value, body: txParams.body, bounce: true }),
+      ]);
 
       return {
         success: true,
@@ -988,6 +1087,7 @@ const stormUnstake = {
           amount: params.amount,
           vault: params.vault || "usdt",
           seqno,
+          msg_hash: msgHash,
           walletAddress: wallet.address.toString(),
           message: "Unstake tx sent. Check vault balance after ~15 seconds.",
         },
@@ -998,13 +1098,1206 @@ const stormUnstake = {
   },
 };
 
+// ---------------------------------------------------------------------------
+// Liquidation monitor
+// ---------------------------------------------------------------------------
+
+const monitor = {
+  db: null,
+  config: {},
+  appConfig: {},
+  adminIds: [],
+  timer: null,
+  running: false,
+  lastRun: null,
+  lastError: null,
+};
+
+/** Map a market's settlement token to the vault name getSDK() expects. */
+function vaultOf(market) {
+  const settlement = (market.config?.settlementToken || "").toLowerCase();
+  if (settlement === "usdt") return "usdt";
+  if (settlement === "ton") return "native";
+  if (settlement === "not") return "not";
+  return null;
+}
+
+/** Agent wallet plus watched addresses (config and storm_monitor), deduplicated. */
+function monitoredTraders(db, config) {
+  const traders = new Map();
+  const add = (address, label) => {
+    try {
+      const parsed = Address.parse(address);
+      const key = parsed.toRawString();
+      if (!traders.has(key)) traders.set(key, { address: parsed, label });
+    } catch {
+      _sdk?.log?.warn(`Liquidation monitor: ignoring invalid address ${address}`);
+    }
+  };
+  try {
+    add(getAgentAddress(), "agent");
+  } catch {
+    // no agent wallet yet -- watched addresses only
+  }
+  for (const address of config.watch_addresses ?? []) add(address, "config");
+  for (const row of db.prepare("SELECT address, label FROM storm_watch").all()) {
+    add(row.address, row.label ?? "watch");
+  }
+  return [...traders.values()];
+}
+
+/** Alert thresholds (percent distance to liquidation), widest first. */
+function alertThresholds(config) {
+  const list = (config.alert_thresholds ?? [20, 10, 5]).map(Number).filter((n) => n > 0);
+  return list.sort((a, b) => b - a);
+}
+
+/**
+ * Price distance between the index price and a position's liquidation price:
+ * the price at which the margin ratio falls to the market's maintenance
+ * ratio with funding and fees held at their current values.
+ */
+async function assessPosition(stormSdk, market, direction, record) {
+  const p = await positionMetrics(stormSdk, market.baseAsset, market.vault, record);
+  const baseMargin = p.remain_margin - p.unrealized_pnl;
+  const mmr = p.maintenance_ratio;
+
+  // Price multiplier at which (margin + pnl) / notional === mmr
+  const factor = direction === "long"
+    ? (p.open_notional - baseMargin) / (p.notional * (1 - mmr))
+    : (p.open_notional + baseMargin) / (p.notional * (1 + mmr));
+  const distance = p.remain_margin <= 0
+    ? 0
+    : Math.max(0, (direction === "long" ? 1 - factor : factor - 1) * 100);
+
+  return {
+    market: market.name,
+    vault: market.vault,
+    direction,
+    index_price: p.index_price,
+    liquidation_price: Math.max(0, p.index_price * factor),
+    distance_pct: Number(distance.toFixed(2)),
+    margin_ratio: p.margin_ratio,
+    maintenance_ratio: mmr,
+    margin: p.remain_margin,
+    unrealized_pnl: p.unrealized_pnl,
+    locked: record.isLocked,
+  };
+}
+
+/**
+ * Markets in which a trader holds a position, from the REST index of active
+ * positions. Null when the index is unavailable or an entry has no market
+ * config, so the caller falls back to reading every market.
+ */
+async function activeMarkets(trader, markets) {
+  const active = await stormFetch(`/positions/${trader.address.toString()}/active`).catch(() => null);
+  if (!Array.isArray(active)) return null;
+  const keys = new Set();
+  for (const p of active) {
+    const baseAsset = p?.market?.config?.baseAsset;
+    if (!baseAsset) return null;
+    keys.add(`${vaultOf(p.market)}:${baseAsset}`);
+  }
+  return markets.filter((m) => keys.has(`${m.vault}:${m.baseAsset}`));
+}
+
+/**
+ * Read every open position of one trader on-chain. Only the markets the
+ * REST index lists are read; every market is read only when it is down.
+ */
+async function scanTrader(trader, markets) {
+  const held = (await activeMarkets(trader, markets)) ?? markets;
+
+  const positions = [];
+  for (const market of held) {
+    const found = await withFailover(async (client) => {
+      const stormSdk = getSDK(market.vault, client);
+      const account = await stormSdk.getPositionAccountData(trader.address, market.baseAsset);
+      const list = [];
+      for (const [direction, record] of [["long", account?.longPosition], ["short", account?.shortPosition]]) {
+        if (!record || record.positionData.size === 0n) continue;
+        list.push(await assessPosition(stormSdk, market, direction, record));
+      }
+      return list;
+    });
+    positions.push(...found);
+  }
+  return positions;
+}
+
+/** Markets to scan for positions. */
+async function scanMarkets() {
+  const data = await stormFetch("/markets");
+  return (Array.isArray(data) ? data : data.markets || [])
+    .map((m) => ({ name: m.config?.name, baseAsset: m.config?.baseAsset, vault: vaultOf(m) }))
+    .filter((m) => m.name && m.baseAsset && m.vault);
+}
+
+/** Check every monitored position once and return the assessments. */
+async function checkPositions(db, config) {
+  const markets = await scanMarkets();
+
+  const results = [];
+  for (const trader of monitoredTraders(db, config)) {
+    try {
+      const positions = await scanTrader(trader, markets);
+      results.push({ trader: trader.address.toString(), label: trader.label, positions });
+    } catch (err) {
+      results.push({ trader: trader.address.toString(), label: trader.label, error: String(err.message || err).slice(0, 500) });
+    }
+  }
+  return results;
+}
+
+/** Send a Telegram alert to every configured chat. */
+async function sendAlert(text) {
+  const chats = monitor.config.alert_chat_ids?.length ? monitor.config.alert_chat_ids : monitor.adminIds;
+  if (!chats.length) {
+    _sdk?.log?.warn("Liquidation monitor: no alert_chat_ids or admin_ids configured -- " + text);
+    return;
+  }
+  for (const chatId of chats) {
+    try {
+      await _sdk.telegram.sendMessage(String(chatId), text);
+    } catch (err) {
+      _sdk?.log?.warn(`Liquidation monitor: alert to ${chatId} failed: ${err.message}`);
+    }
+  }
+}
+
+/** Start of the current UTC day in unix seconds. */
+function utcDayStart() {
+  const now = new Date();
+  return Math.floor(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) / 1000);
+}
+
+/**
+ * Context for action tools run by the monitor: the first admin, in the
+ * first alert chat. The guard then applies its admin check, spend caps and
+ * confirm mode as it does for the owner's own calls.
+ */
+function jobContext(config) {
+  const chats = config.alert_chat_ids?.length ? config.alert_chat_ids : monitor.adminIds;
+  return { senderId: monitor.adminIds[0] ?? null, chatId: chats[0] ?? null, config: monitor.appConfig };
+}
+
+/**
+ * Top up an agent-wallet position through the guarded storm_add_margin, if
+ * the daily auto-margin budget allows it. Returns `{ sent, note }` for the
+ * alert, or null when auto-margin does not apply to this position.
+ */
+async function autoAddMargin(db, config, position) {
+  const amount = config.auto_margin_amounts?.[position.vault];
+  const spend = amount != null ? assetSpend(position.vault, amount) : null;
+  if (!spend) return null;
+  if ((config.disabled_tools ?? []).includes("storm_add_margin")) return null;
+  if (position.locked) return null;
+
+  const today = db.prepare(
+    "SELECT COALESCE(SUM(ton), 0) AS ton, COALESCE(SUM(usd), 0) AS usd FROM storm_auto_margin WHERE created_at >= ?"
+  ).get(utcDayStart());
+  const budgetTon = Number(config.auto_margin_daily_ton ?? 0);
+  const budgetUsd = Number(config.auto_margin_daily_usd ?? 0);
+  if (spend.ton && today.ton + spend.ton > budgetTon) {
+    return { sent: false, note: `Auto add-margin skipped: daily TON budget (${budgetTon}) reached.` };
+  }
+  if (spend.usd && today.usd + spend.usd > budgetUsd) {
+    return { sent: false, note: `Auto add-margin skipped: daily USD budget (${budgetUsd}) reached.` };
+  }
+
+  const id = db.prepare(
+    "INSERT INTO storm_auto_margin (market, direction, vault, amount, ton, usd) VALUES (?, ?, ?, ?, ?, ?)"
+  ).run(position.market, position.direction, position.vault, String(amount), spend.ton ?? 0, spend.usd ?? 0).lastInsertRowid;
+
+  const result = await guarded.storm_add_margin.execute({
+    market: position.market,
+    direction: position.direction,
+    amount: String(amount),
+    vault: position.vault,
+  }, jobContext(config));
+  if (!result.success) {
+    db.prepare("DELETE FROM storm_auto_margin WHERE id = ?").run(id);
+    _sdk?.log?.warn(`Liquidation monitor: auto add-margin failed: ${result.error}`);
+    return { sent: false, note: `Auto add-margin failed: ${result.error}` };
+  }
+  if (result.data?.status === "awaiting_confirmation") {
+    return { sent: true, note: `Auto add-margin of ${amount} ${VAULT_SETTLEMENT[position.vault]} awaits your confirmation.` };
+  }
+  db.prepare("UPDATE storm_auto_margin SET msg_hash = ? WHERE id = ?").run(result.data.msg_hash, id);
+  _sdk?.log?.info(`Liquidation monitor: added ${amount} margin to ${position.market} ${position.direction} (${result.data.msg_hash})`);
+  return { sent: true, note: `Auto add-margin: sent ${amount} ${VAULT_SETTLEMENT[position.vault]} (msg_hash ${result.data.msg_hash}).` };
+}
+
+/**
+ * Store the latest assessment, top up agent positions inside the auto-margin
+ * trigger, and alert when a tighter threshold is crossed or margin was sent.
+ * Skipped or failed top-ups are only reported with threshold alerts, so a
+ * spent budget does not repeat on every poll.
+ */
+async function handlePosition(db, config, trader, position) {
+  const thresholds = alertThresholds(config);
+  const level = thresholds.filter((t) => position.distance_pct <= t).length;
+  const prev = db.prepare(
+    "SELECT alert_level FROM storm_position_risk WHERE trader = ? AND market = ? AND direction = ?"
+  ).get(trader.trader, position.market, position.direction);
+
+  db.prepare(`
+    INSERT INTO storm_position_risk (trader, market, direction, vault, index_price, liquidation_price, distance_pct, alert_level, checked_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, unixepoch())
+    ON CONFLICT (trader, market, direction) DO UPDATE SET
+      vault = excluded.vault, index_price = excluded.index_price, liquidation_price = excluded.liquidation_price,
+      distance_pct = excluded.distance_pct, alert_level = excluded.alert_level, checked_at = excluded.checked_at
+  `).run(trader.trader, position.market, position.direction, position.vault, position.index_price,
+    position.liquidation_price, position.distance_pct, level);
+
+  let topUp = null;
+  if (trader.label === "agent" && config.auto_add_margin &&
+      position.distance_pct <= Number(config.auto_margin_trigger_pct ?? 5)) {
+    topUp = await autoAddMargin(db, config, position);
+  }
+  if (!topUp?.sent && (level === 0 || level <= (prev?.alert_level ?? 0))) return;
+
+  const lines = [
+    `⚠️ Storm ${position.market} ${position.direction} is ${position.distance_pct}% from liquidation`,
+    `Trader: ${trader.label === "agent" ? "agent wallet" : trader.trader}`,
+    `Index price: ${position.index_price} · liquidation ≈ ${Number(position.liquidation_price.toPrecision(6))}`,
+  ];
+  if (topUp) lines.push(topUp.note);
+  await sendAlert(lines.join("\n"));
+}
+
+/** One monitor pass: check, alert, forget closed positions. */
+async function runMonitor() {
+  if (monitor.running) return;
+  monitor.running = true;
+  try {
+    const { db, config } = monitor;
+    const results = await checkPositions(db, config);
+    for (const trader of results) {
+      if (trader.error) {
+        _sdk?.log?.warn(`Liquidation monitor: ${trader.trader}: ${trader.error}`);
+        continue;
+      }
+      for (const position of trader.positions) {
+        await handlePosition(db, config, trader, position);
+      }
+      const open = new Set(trader.positions.map((p) => `${p.market}|${p.direction}`));
+      for (const row of db.prepare("SELECT market, direction FROM storm_position_risk WHERE trader = ?").all(trader.trader)) {
+        if (!open.has(`${row.market}|${row.direction}`)) {
+          db.prepare("DELETE FROM storm_position_risk WHERE trader = ? AND market = ? AND direction = ?")
+            .run(trader.trader, row.market, row.direction);
+        }
+      }
+    }
+    monitor.lastRun = Math.floor(Date.now() / 1000);
+    monitor.lastError = null;
+  } catch (err) {
+    monitor.lastError = String(err.message || err).slice(0, 500);
+    _sdk?.log?.warn(`Liquidation monitor: ${monitor.lastError}`);
+  } finally {
+    monitor.running = false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Tool 14: storm_monitor
+// ---------------------------------------------------------------------------
+
+const stormMonitor = {
+  name: "storm_monitor",
+  description:
+    "Liquidation-risk monitor: show the latest distance-to-liquidation for monitored positions, run a check now, or add/remove watched trader addresses.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      action: {
+        type: "string",
+        enum: ["status", "check", "watch", "unwatch"],
+        description: "status (default): last results; check: assess positions now without alerting; watch/unwatch: manage watched addresses",
+      },
+      address: { type: "string", description: "Trader address for watch/unwatch" },
+      label: { type: "string", description: "Optional label for a watched address" },
+    },
+  },
+
+  execute: async (params, context) => {
+    try {
+      const db = monitor.db ?? _sdk?.db;
+      if (!db) return { success: false, error: "Plugin database is not available." };
+      const action = params.action ?? "status";
+
+      if (action === "watch" || action === "unwatch") {
+        assertAdmin(_sdk, context);
+        if (!params.address) return { success: false, error: "address is required for " + action };
+        const address = Address.parse(params.address).toString();
+        if (action === "watch") {
+          db.prepare("INSERT INTO storm_watch (address, label) VALUES (?, ?) ON CONFLICT (address) DO UPDATE SET label = excluded.label")
+            .run(address, params.label ?? null);
+        } else {
+          db.prepare("DELETE FROM storm_watch WHERE address = ?").run(address);
+          db.prepare("DELETE FROM storm_position_risk WHERE trader = ?").run(address);
+        }
+        const watched = db.prepare("SELECT address, label, added_at FROM storm_watch ORDER BY added_at").all();
+        return { success: true, data: { action, address, watched } };
+      }
+
+      if (action === "check") {
+        return { success: true, data: { traders: await checkPositions(db, _sdk?.pluginConfig ?? monitor.config) } };
+      }
+
+      return {
+        success: true,
+        data: {
+          running: monitor.timer !== null,
+          interval_seconds: Number(monitor.config.monitor_interval_seconds ?? 300),
+          thresholds_pct: alertThresholds(monitor.config),
+          auto_add_margin: Boolean(monitor.config.auto_add_margin),
+          last_run: monitor.lastRun,
+          last_error: monitor.lastError,
+          watched: db.prepare("SELECT address, label, added_at FROM storm_watch ORDER BY added_at").all(),
+          positions: db.prepare(
+            "SELECT trader, market, direction, vault, index_price, liquidation_price, distance_pct, checked_at FROM storm_position_risk ORDER BY distance_pct"
+          ).all(),
+          auto_margin_today: db.prepare(
+            "SELECT market, direction, vault, amount, msg_hash, created_at FROM storm_auto_margin WHERE created_at >= ? ORDER BY created_at"
+          ).all(utcDayStart()),
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Trade ledger reconciliation
+// ---------------------------------------------------------------------------
+
+const REPORT_DIR = join(homedir(), ".teleton", "plugins", "data");
+
+/**
+ * Settle the ledger: mark agent rows confirmed or dropped from the tx tracker,
+ * then merge executed orders from the Storm API history.
+ */
+async function reconcileLedger(db) {
+  let checked = 0;
+  for (const row of unconfirmedTrades(db)) {
+    const entry = await refreshMessageStatus(row.msg_hash).catch(() => null);
+    if (entry) applyTxStatus(db, row.id, entry.status);
+    checked++;
+  }
+  const history = await stormFetch(`/orders/${getAgentAddress()}/history`);
+  const orders = Array.isArray(history) ? history : history.orders ?? history.data ?? history.items ?? [];
+  const fills = orders.map(normalizeApiOrder).filter(Boolean);
+  return { tx_checked: checked, api_orders: orders.length, api_fills: fills.length, ...mergeApiFills(db, fills) };
+}
+
+/** Open positions of the agent wallet with their unrealized PnL. */
+async function agentOpenPositions() {
+  return scanTrader({ address: Address.parse(getAgentAddress()), label: "agent" }, await scanMarkets());
+}
+
+/** Parse a report bound: unix seconds or an ISO date/datetime. */
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === "") return null;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Invalid ${name}: ${value}. Use an ISO date (e.g. 2026-01-31) or unix seconds.`);
+  return Math.floor(ms / 1000);
+}
+
+const isoDate = (t) => new Date(t * 1000).toISOString();
+
+// ---------------------------------------------------------------------------
+// Tool 15: storm_pnl_report
+// ---------------------------------------------------------------------------
+
+const stormPnlReport = {
+  name: "storm_pnl_report",
+  description:
+    "Realized and unrealized PnL, fees and funding of the agent's Storm Trade activity, broken down by market and vault " +
+    "(amounts in vault currency: USDT, TON or NOT) over a time range. Reconciles the local trade ledger with on-chain " +
+    "outcomes and the Storm API order history first. Can export the breakdown or the trade list as CSV.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      from: { type: "string", description: "Range start: ISO date/datetime or unix seconds (default: 30 days ago)" },
+      to: { type: "string", description: "Range end: ISO date/datetime or unix seconds (default: now)" },
+      market: { type: "string", description: "Only this market, e.g. 'BTC/USD'" },
+      vault: { type: "string", enum: ["usdt", "not", "native"], description: "Only this vault" },
+      format: {
+        type: "string",
+        enum: ["json", "csv", "csv_trades"],
+        description: "json (default); csv: breakdown per market and vault; csv_trades: every ledger row",
+      },
+      reconcile: { type: "boolean", description: "Reconcile with the tx tracker and Storm API first (default: true)" },
+      include_unrealized: { type: "boolean", description: "Add unrealized PnL of open positions (default: true)" },
+    },
+  },
+
+  execute: async (params, context) => {
+    try {
+      const db = _sdk?.db;
+      if (!db) return { success: false, error: "Plugin database is not available." };
+
+      const to = parseTime(params.to, "to") ?? Math.floor(Date.now() / 1000);
+      const from = parseTime(params.from, "from") ?? to - 30 * 86400;
+      if (from >= to) return { success: false, error: "from must be before to." };
+      const market = params.market ? params.market.toUpperCase() : null;
+
+      let reconciliation = null;
+      if (params.reconcile !== false) {
+        try {
+          reconciliation = await reconcileLedger(db);
+        } catch (err) {
+          reconciliation = { error: String(err.message || err).slice(0, 500) };
+        }
+      }
+
+      // Unrealized PnL is a snapshot of now, whatever the range.
+      let open = [];
+      let unrealizedError = null;
+      if (params.include_unrealized !== false) {
+        try {
+          open = (await agentOpenPositions())
+            .filter((p) => (!market || p.market === market) && (!params.vault || p.vault === params.vault));
+        } catch (err) {
+          unrealizedError = String(err.message || err).slice(0, 500);
+        }
+      }
+
+      const trades = tradesInRange(db, { from, to, market, vault: params.vault });
+      const report = buildPnlReport(trades, open);
+      const data = {
+        from: isoDate(from),
+        to: isoDate(to),
+        ...report,
+        open_positions: open.map((p) => ({
+          market: p.market,
+          vault: p.vault,
+          direction: p.direction,
+          unrealized_pnl: p.unrealized_pnl,
+          index_price: p.index_price,
+        })),
+        unrealized_error: unrealizedError,
+        reconciliation,
+      };
+
+      if (params.format === "csv" || params.format === "csv_trades") {
+        const csv = params.format === "csv_trades" ? tradesCsv(trades) : reportCsv(report);
+        mkdirSync(REPORT_DIR, { recursive: true });
+        const file = join(REPORT_DIR, `storm-pnl-${isoDate(from).slice(0, 10)}_${isoDate(to).slice(0, 10)}.csv`);
+        writeFileSync(file, csv);
+        data.csv = csv.length > 20000 ? csv.slice(0, 20000) + "\n... (truncated, see file)" : csv;
+        data.file = file;
+        if (context?.chatId && _sdk?.telegram) {
+          try {
+            await _sdk.telegram.sendFile(context.chatId, file, { caption: `Storm PnL ${data.from.slice(0, 10)} → ${data.to.slice(0, 10)}` });
+            data.sent_to_chat = true;
+          } catch (err) {
+            _sdk?.log?.warn(`PnL CSV upload failed: ${err.message}`);
+            data.sent_to_chat = false;
+          }
+        }
+      }
+
+      return { success: true, data };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Order groups: bracket, OCO and trailing stop
+// ---------------------------------------------------------------------------
+
+const orderManager = {
+  timer: null,
+  running: false,
+  lastRun: null,
+  lastError: null,
+};
+
+/** Exact decimal string of a 9-decimal bigint (order amounts). */
+function formatNano(value) {
+  const whole = value / 1_000_000_000n;
+  const frac = (value % 1_000_000_000n).toString().padStart(9, "0").replace(/0+$/, "");
+  return frac ? `${whole}.${frac}` : String(whole);
+}
+
+/** Price an on-chain order carries: trigger for SL/TP, limit for entries. */
+function orderPrice(order) {
+  return nano(order.orderType === "stopLoss" || order.orderType === "takeProfit" ? order.trigerPrice : order.limitPrice);
+}
+
+const samePrice = (a, b) => Math.abs(a - b) <= Math.abs(b) * 1e-6;
+
+// A confirmed leg missing from the chain for this long is settled as filled
+// or failed; before that the position read may simply predate it.
+const LEG_SETTLE_SECONDS = 300;
+
+/** Agent position size and its on-chain orders (SL/TP and limit entries) in one market/direction. */
+async function readPositionOrders(stormSdk, baseAsset, direction) {
+  const data = await stormSdk.getPositionAccountData(Address.parse(getAgentAddress()), baseAsset);
+  const record = direction === "long" ? data?.longPosition : data?.shortPosition;
+  const side = direction === "long" ? Direction.long : Direction.short;
+  const orders = [];
+  for (const [index, order] of record?.positionOrders ?? []) orders.push({ ...order, index });
+  for (const [index, order] of data?.limitOrders ?? []) {
+    if (order.direction === side) orders.push({ ...order, index });
+  }
+  return { size: record?.positionData?.size ?? 0n, orders };
+}
+
+/**
+ * Send one leg through a guarded tool. Returns the leg fields to store:
+ * `{ msg_hash }` once sent, `{ status: "awaiting", pending_action_id }`
+ * while confirm mode holds it, or `{ error }`.
+ */
+async function sendLeg(toolName, params, context) {
+  const result = await guarded[toolName].execute(params, context);
+  if (!result.success) return { error: result.error };
+  if (result.data?.status === "awaiting_confirmation") {
+    return { status: "awaiting", pending_action_id: result.data.pending_action_id };
+  }
+  return { msg_hash: result.data.msg_hash };
+}
+
+/**
+ * Cancel one open leg through the guarded storm_cancel_order. Under confirm
+ * mode the leg stays open with the cancel's pending action id: a cancel that
+ * is pending or ran is not sent again, and one the owner declined is
+ * reported rather than posted again. Returns an error message or null.
+ */
+async function cancelLeg(db, group, leg, context, status = "cancelled") {
+  const prior = leg.pending_action_id ? getConfirmationOutcome(leg.pending_action_id) : null;
+  if (prior?.status === "pending" || prior?.status === "executed") return null;
+  if (prior?.status === "cancelled") return `cancel of ${leg.order_type} #${leg.order_index} was declined`;
+
+  const result = await guarded.storm_cancel_order.execute({
+    market: group.market,
+    direction: group.direction,
+    order_type: leg.order_type,
+    order_index: leg.order_index,
+    vault: group.vault,
+  }, context);
+  if (!result.success) {
+    _sdk?.log?.warn(`Order group #${group.id}: cancel ${leg.order_type} #${leg.order_index} failed: ${result.error}`);
+    return result.error;
+  }
+  if (result.data?.status === "awaiting_confirmation") {
+    updateLeg(db, leg.id, { pending_action_id: result.data.pending_action_id });
+    return null;
+  }
+  updateLeg(db, leg.id, { status, msg_hash: result.data.msg_hash });
+  return null;
+}
+
+/** Cancel every still-live leg of a group (open ones on-chain). Returns errors. */
+async function closeOutLegs(db, group, legs, context) {
+  const errors = [];
+  for (const leg of legs) {
+    if (leg.status === "open") {
+      const error = await cancelLeg(db, group, leg, context);
+      if (error) errors.push(error);
+    } else if (LIVE_LEG_STATUSES.includes(leg.status)) {
+      updateLeg(db, leg.id, { status: "cancelled" });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Bring one group in line with the chain: find new legs, settle vanished
+ * ones, cancel the other side once an exit fills (OCO), and move a trailing
+ * stop-loss behind the price. Orders go through the guarded tools on
+ * behalf of `context`.
+ */
+async function syncGroup(db, group, stormSdk, context) {
+  const baseAsset = parseBaseAsset(group.market);
+  const { size, orders } = await readPositionOrders(stormSdk, baseAsset, group.direction);
+  const sizeNow = nano(size);
+  const legs = groupLegs(db, group.id, LIVE_LEG_STATUSES);
+  const taken = new Set(legs.filter((l) => l.status === "open").map((l) => `${l.order_type}:${l.order_index}`));
+  const matches = (o, leg) => o.orderType === leg.order_type && samePrice(orderPrice(o), leg.price);
+
+  // Legs we sent (or Storm will create on entry fill) appearing on-chain
+  for (const leg of legs.filter((l) => l.status !== "open")) {
+    const found = orders.find((o) => matches(o, leg) && !taken.has(`${o.orderType}:${o.index}`));
+    if (found) {
+      Object.assign(leg, { status: "open", order_index: found.index, pending_action_id: null });
+      updateLeg(db, leg.id, { status: "open", order_index: found.index, pending_action_id: null });
+      taken.add(`${found.orderType}:${found.index}`);
+      continue;
+    }
+    if (leg.status === "awaiting") {
+      // Held by confirm mode: sent once the owner confirms, failed otherwise
+      const outcome = getConfirmationOutcome(leg.pending_action_id);
+      if (outcome?.status === "pending") continue;
+      const msgHash = outcome?.status === "executed" ? outcome.result?.data?.msg_hash : null;
+      Object.assign(leg, msgHash ? { status: "sent", msg_hash: msgHash } : { status: "failed" }, { pending_action_id: null });
+      updateLeg(db, leg.id, { status: leg.status, msg_hash: leg.msg_hash, pending_action_id: null });
+      if (!msgHash) continue;
+    }
+    if (leg.status !== "sent" || !leg.msg_hash) continue;
+    const tx = await refreshMessageStatus(leg.msg_hash).catch(() => null);
+    const settled = Date.now() / 1000 - leg.created_at > LEG_SETTLE_SECONDS || (leg.order_type === "market" && size > 0n);
+    if (["failed", "bounced", "expired"].includes(tx?.status)) {
+      leg.status = "failed";
+    } else if (tx?.status === "confirmed" && settled) {
+      // Confirmed a while ago but not resting on-chain: an entry already
+      // filled (market entries never rest), an exit already ran.
+      if (leg.role === "entry") leg.status = size > 0n ? "filled" : "cancelled";
+      else leg.status = size > 0n ? "failed" : "filled";
+    } else {
+      continue;
+    }
+    updateLeg(db, leg.id, { status: leg.status });
+  }
+
+  // Open legs that left the chain
+  const lastSize = group.last_size ?? sizeNow;
+  let exitFilled = false;
+  for (const leg of legs.filter((l) => l.status === "open")) {
+    if (orders.some((o) => o.index === leg.order_index && matches(o, leg))) continue;
+    if (leg.role === "entry") leg.status = size > 0n ? "filled" : "cancelled";
+    else leg.status = sizeNow < lastSize || size === 0n ? "filled" : "cancelled";
+    if (leg.role !== "entry" && leg.status === "filled") exitFilled = true;
+    updateLeg(db, leg.id, { status: leg.status });
+  }
+
+  const entry = legs.find((l) => l.role === "entry");
+  const live = legs.filter((l) => LIVE_LEG_STATUSES.includes(l.status));
+  if (entry && ["failed", "cancelled"].includes(entry.status)) {
+    await closeOutLegs(db, group, live, context);
+    updateGroup(db, group.id, { status: entry.status, note: `Entry ${entry.status}`, last_size: sizeNow });
+    return;
+  }
+  const entryLive = entry && LIVE_LEG_STATUSES.includes(entry.status);
+
+  // OCO: one exit filled, or the position is gone -- cancel the rest
+  if (exitFilled || (!entryLive && size === 0n)) {
+    const errors = await closeOutLegs(db, group, live, context);
+    updateGroup(db, group.id, {
+      status: "done",
+      last_size: sizeNow,
+      note: errors.length ? `Sibling cancel failed: ${errors.join("; ").slice(0, 300)}` : exitFilled ? "Exit filled" : "Position closed",
+    });
+    await sendOrderNotice(`Storm ${group.kind} #${group.id} (${group.market} ${group.direction}) finished: ${exitFilled ? "exit filled" : "position closed"}` +
+      (errors.length ? ` -- cancelling the other order failed, cancel it with storm_cancel_order` : ""));
+    return;
+  }
+
+  if (!live.length) {
+    updateGroup(db, group.id, { status: "done", last_size: sizeNow, note: "No orders left" });
+    return;
+  }
+
+  const fields = { last_size: sizeNow };
+  if (group.trail_pct && !entryLive && size > 0n) {
+    const price = nano(await stormSdk.getIndexPrice(baseAsset));
+    const anchor = nextAnchor(group.direction, group.anchor_price, price);
+    fields.anchor_price = anchor;
+    const stops = live.filter((l) => l.role === "stop_loss");
+    const open = stops.filter((l) => l.status === "open");
+    if (open.length > 1) {
+      // The moved stop (newest leg) is on-chain: only now cancel the old one.
+      for (const old of open.slice(0, -1)) await cancelLeg(db, group, old, context, "replaced");
+    } else if (open.length === 1 && stops.length === 1) {
+      // One stop move at a time: wait until the last one is on-chain.
+      const current = open[0];
+      const next = trailingStop(group.direction, anchor, group.trail_pct, current.price, group.trail_step_pct ?? 0);
+      const belowPrice = group.direction === "long" ? next < price : next > price;
+      if (next && belowPrice) await moveStop(db, group, current, next, size, context);
+    }
+  }
+  updateGroup(db, group.id, fields);
+}
+
+/**
+ * Place the moved trailing stop. The old stop stays until syncGroup sees the
+ * new one open on-chain, so a failed move never leaves the position unprotected.
+ */
+async function moveStop(db, group, current, price, size, context) {
+  const amount = formatNano(size);
+  const sent = await sendLeg("storm_create_order", {
+    market: group.market,
+    direction: group.direction,
+    order_type: "stopLoss",
+    amount,
+    trigger_price: String(price),
+    vault: group.vault,
+  }, context);
+  if (sent.error) {
+    _sdk?.log?.warn(`Order group #${group.id}: trailing stop to ${price} failed: ${sent.error}`);
+    return;
+  }
+  addLeg(db, group.id, { role: "stop_loss", order_type: "stopLoss", price, amount, ...sent });
+  _sdk?.log?.info(`Order group #${group.id}: trailing stop ${current.price} -> ${price} sent`);
+}
+
+/** Tell the admins about a finished group. */
+async function sendOrderNotice(text) {
+  _sdk?.log?.info(text);
+  const chats = monitor.config.alert_chat_ids?.length ? monitor.config.alert_chat_ids : monitor.adminIds;
+  for (const chatId of chats) {
+    try {
+      await _sdk.telegram.sendMessage(String(chatId), text);
+    } catch (err) {
+      _sdk?.log?.warn(`Order notice to ${chatId} failed: ${err.message}`);
+    }
+  }
+}
+
+/** One order manager pass over every active group. */
+async function runOrderManager() {
+  const db = monitor.db ?? _sdk?.db;
+  if (orderManager.running || !db) return;
+  orderManager.running = true;
+  try {
+    const groups = activeGroups(db);
+    if (groups.length) {
+      const context = jobContext(monitor.config);
+      const client = await getTonClient();
+      const sdks = new Map();
+      for (const group of groups) {
+        if (!sdks.has(group.vault)) sdks.set(group.vault, getSDK(group.vault, client));
+        try {
+          await syncGroup(db, group, sdks.get(group.vault), context);
+        } catch (err) {
+          _sdk?.log?.warn(`Order group #${group.id}: ${err.message}`);
+        }
+      }
+    }
+    orderManager.lastRun = Math.floor(Date.now() / 1000);
+    orderManager.lastError = null;
+  } catch (err) {
+    orderManager.lastError = String(err.message || err).slice(0, 500);
+    _sdk?.log?.warn(`Order manager: ${orderManager.lastError}`);
+  } finally {
+    orderManager.running = false;
+  }
+}
+
+/**
+ * Place the orders of a new group and record it. `kind` is bracket (entry +
+ * SL/TP), oco (SL + TP on the open position) or trailing (trailing SL, plus
+ * an optional TP on the open position). The orders go through the guarded
+ * entry and order tools with the caller's `context`.
+ */
+async function placeGroup(kind, params, context) {
+  const db = _sdk?.db;
+  if (!db) throw new Error("Plugin database is not available.");
+  const market = params.market.toUpperCase();
+  const vault = params.vault || "usdt";
+  const direction = params.direction;
+  parseDirection(direction);
+
+  const stormSdk = getSDK(vault, await getTonClient());
+  const baseAsset = parseBaseAsset(market);
+  const price = nano(await stormSdk.getIndexPrice(baseAsset));
+  const entryType = kind === "bracket" ? params.entry_type || "limit" : null;
+  const reference = entryType === "limit" ? parseNum(params.limit_price, "limit_price") : price;
+  const trail = params.trailing_pct != null ? parseNum(params.trailing_pct, "trailing_pct") : null;
+  if (trail !== null && trail >= 50) throw new Error("trailing_pct must be below 50.");
+
+  let stop = params.stop_loss != null ? parseNum(params.stop_loss, "stop_loss") : null;
+  if (stop === null && trail !== null) stop = trailingStop(direction, reference, trail, null);
+  const take = params.take_profit != null ? parseNum(params.take_profit, "take_profit") : null;
+  const long = direction === "long";
+  if (stop !== null && (long ? stop >= reference : stop <= reference)) {
+    throw new Error(`stop_loss ${stop} must be ${long ? "below" : "above"} the ${entryType === "limit" ? "limit" : "index"} price ${reference}.`);
+  }
+  if (take !== null && (long ? take <= reference : take >= reference)) {
+    throw new Error(`take_profit ${take} must be ${long ? "above" : "below"} the ${entryType === "limit" ? "limit" : "index"} price ${reference}.`);
+  }
+  if (stop === null && take === null) throw new Error("Set stop_loss, take_profit or trailing_pct.");
+
+  const legs = [];
+  const errors = [];
+  let size = null;
+
+  if (entryType) {
+    // Storm creates the SL/TP orders itself when the entry fills.
+    const sent = entryType === "market"
+      ? await sendLeg("storm_open_position", {
+          market, direction, vault,
+          amount: params.amount,
+          leverage: params.leverage,
+          stop_loss: stop != null ? String(stop) : undefined,
+          take_profit: take != null ? String(take) : undefined,
+        }, context)
+      : await sendLeg("storm_create_order", {
+          market, direction, vault,
+          order_type: "stopLimit",
+          amount: params.amount,
+          leverage: params.leverage,
+          limit_price: params.limit_price,
+          stop_price: params.stop_price ?? params.limit_price,
+          stop_trigger_price: stop != null ? String(stop) : undefined,
+          take_trigger_price: take != null ? String(take) : undefined,
+          expiration: params.expiration,
+        }, context);
+    if (sent.error) return { success: false, error: sent.error };
+    legs.push({ role: "entry", order_type: entryType === "market" ? "market" : "stopLimit", price: reference, amount: String(params.amount), ...sent });
+    if (stop != null) legs.push({ role: "stop_loss", order_type: "stopLoss", price: stop, status: "pending" });
+    if (take != null) legs.push({ role: "take_profit", order_type: "takeProfit", price: take, status: "pending" });
+  } else {
+    const position = await readPositionOrders(stormSdk, baseAsset, direction);
+    if (position.size === 0n) throw new Error(`No open ${direction} position on ${market}.`);
+    size = nano(position.size);
+    const amount = formatNano(position.size);
+    for (const [role, orderType, trigger] of [["stop_loss", "stopLoss", stop], ["take_profit", "takeProfit", take]]) {
+      if (trigger == null) continue;
+      const sent = await sendLeg("storm_create_order", {
+        market, direction, vault, amount,
+        order_type: orderType,
+        trigger_price: String(trigger),
+      }, context);
+      if (sent.error) {
+        if (!legs.length) return { success: false, error: sent.error };
+        errors.push(`${orderType}: ${sent.error}`);
+        continue;
+      }
+      legs.push({ role, order_type: orderType, price: trigger, amount, ...sent });
+    }
+  }
+
+  const groupId = createGroup(db, {
+    kind,
+    market,
+    vault,
+    direction,
+    trail_pct: trail,
+    trail_step_pct: trail !== null ? Number(params.trailing_step_pct ?? 0.5) : null,
+    anchor_price: trail !== null ? reference : null,
+    last_size: size,
+  }, legs);
+  if (errors.length) updateGroup(db, groupId, { note: errors.join("; ").slice(0, 500) });
+
+  return {
+    success: true,
+    data: {
+      group_id: groupId,
+      kind,
+      market,
+      direction,
+      vault,
+      index_price: price,
+      entry: entryType ? { type: entryType, price: reference, amount: params.amount, leverage: params.leverage } : null,
+      stop_loss: stop,
+      take_profit: take,
+      trailing_pct: trail,
+      legs: legs.map((l) => ({
+        role: l.role,
+        order_type: l.order_type,
+        price: l.price,
+        msg_hash: l.msg_hash ?? null,
+        pending_action_id: l.pending_action_id ?? null,
+        status: l.status ?? "sent",
+      })),
+      errors: errors.length ? errors : undefined,
+      message: legs.some((l) => l.status === "awaiting")
+        ? "Orders await your confirmation. Once confirmed, the order manager links them when they are on-chain; check with storm_order_groups."
+        : "Orders sent. The order manager links them once they are on-chain (~15 seconds); check with storm_order_groups.",
+    },
+  };
+}
+
+const directionParam = { type: "string", enum: ["long", "short"], description: "Position direction" };
+const vaultParam = { type: "string", enum: ["usdt", "not", "native"], description: "Vault type (default: usdt)" };
+const trailingParams = {
+  trailing_pct: { type: "string", description: "Trail the stop-loss this many percent behind the best index price (e.g. '3')" },
+  trailing_step_pct: { type: "string", description: "Only move the stop when it improves by at least this percent (default: 0.5)" },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 16: storm_bracket_order
+// ---------------------------------------------------------------------------
+
+const stormBracketOrder = {
+  name: "storm_bracket_order",
+  description:
+    "Bracket entry: a limit or market entry with linked stop-loss and take-profit. When one exit fills, the other is cancelled (OCO). " +
+    "With trailing_pct the stop-loss trails the price after the entry fills.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      market: { type: "string", description: "Market name, e.g. 'BTC/USD'" },
+      direction: directionParam,
+      entry_type: { type: "string", enum: ["limit", "market"], description: "Entry order type (default: limit)" },
+      amount: { type: "string", description: "Margin in vault currency (e.g. '100')" },
+      leverage: { type: "string", description: "Leverage multiplier (e.g. '5')" },
+      limit_price: { type: "string", description: "Entry limit price (limit entries)" },
+      stop_price: { type: "string", description: "Stop price that arms the limit entry (default: limit_price)" },
+      stop_loss: { type: "string", description: "Stop-loss trigger price (optional with trailing_pct)" },
+      take_profit: { type: "string", description: "Take-profit trigger price" },
+      ...trailingParams,
+      expiration: { type: "integer", description: "Entry order expiration in seconds (default: 30 days)" },
+      vault: vaultParam,
+    },
+    required: ["market", "direction", "amount", "leverage"],
+  },
+
+  execute: async (params, context) => {
+    try {
+      if ((params.entry_type || "limit") === "limit" && !params.limit_price) {
+        return { success: false, error: "limit_price is required for a limit entry." };
+      }
+      return await placeGroup("bracket", params, context);
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 17: storm_oco_order
+// ---------------------------------------------------------------------------
+
+const stormOcoOrder = {
+  name: "storm_oco_order",
+  description:
+    "One-cancels-other exit for an open position: places a stop-loss and a take-profit for the full size and cancels the other when one fills.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      market: { type: "string", description: "Market name, e.g. 'BTC/USD'" },
+      direction: directionParam,
+      stop_loss: { type: "string", description: "Stop-loss trigger price" },
+      take_profit: { type: "string", description: "Take-profit trigger price" },
+      vault: vaultParam,
+    },
+    required: ["market", "direction", "stop_loss", "take_profit"],
+  },
+
+  execute: async (params, context) => {
+    try {
+      return await placeGroup("oco", params, context);
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 18: storm_trailing_stop
+// ---------------------------------------------------------------------------
+
+const stormTrailingStop = {
+  name: "storm_trailing_stop",
+  description:
+    "Trailing stop-loss for an open position: a stop-loss that a background loop moves behind the best index price. " +
+    "Optionally with a take-profit (the two are one-cancels-other).",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      market: { type: "string", description: "Market name, e.g. 'BTC/USD'" },
+      direction: directionParam,
+      ...trailingParams,
+      take_profit: { type: "string", description: "Take-profit trigger price (optional)" },
+      vault: vaultParam,
+    },
+    required: ["market", "direction", "trailing_pct"],
+  },
+
+  execute: async (params, context) => {
+    try {
+      return await placeGroup("trailing", { ...params, stop_loss: undefined }, context);
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 19: storm_order_groups
+// ---------------------------------------------------------------------------
+
+const stormOrderGroups = {
+  name: "storm_order_groups",
+  description: "List bracket, OCO and trailing-stop order groups with their legs and the order manager status.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      status: {
+        type: "string",
+        enum: ["active", "done", "cancelled", "failed"],
+        description: "Only groups in this status (default: all)",
+      },
+      group_id: { type: "integer", description: "Show one group" },
+      limit: { type: "integer", description: "Max groups (default: 20)" },
+    },
+  },
+
+  execute: async (params) => {
+    try {
+      const db = _sdk?.db;
+      if (!db) return { success: false, error: "Plugin database is not available." };
+      if (params.group_id != null) {
+        const group = getGroup(db, params.group_id);
+        if (!group) return { success: false, error: `Order group #${params.group_id} not found.` };
+        return { success: true, data: { ...group, legs: groupLegs(db, group.id) } };
+      }
+      return {
+        success: true,
+        data: {
+          manager: {
+            running: orderManager.timer !== null,
+            last_run: orderManager.lastRun,
+            last_error: orderManager.lastError,
+          },
+          groups: listGroups(db, { status: params.status, limit: params.limit ?? 20 }),
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tool 20: storm_cancel_order_group
+// ---------------------------------------------------------------------------
+
+const stormCancelOrderGroup = {
+  name: "storm_cancel_order_group",
+  description: "Cancel an active order group: cancels its resting orders on-chain and stops managing it. The position itself stays open.",
+  category: "action",
+
+  parameters: {
+    type: "object",
+    properties: {
+      group_id: { type: "integer", description: "Order group id (from storm_order_groups)" },
+    },
+    required: ["group_id"],
+  },
+
+  execute: async (params, context) => {
+    try {
+      const db = _sdk?.db;
+      if (!db) return { success: false, error: "Plugin database is not available." };
+      const group = getGroup(db, params.group_id);
+      if (!group) return { success: false, error: `Order group #${params.group_id} not found.` };
+      if (group.status !== "active") return { success: false, error: `Order group #${group.id} is already ${group.status}.` };
+
+      const errors = await closeOutLegs(db, group, groupLegs(db, group.id, LIVE_LEG_STATUSES), context);
+      updateGroup(db, group.id, { status: "cancelled", note: errors.length ? errors.join("; ").slice(0, 500) : "Cancelled by user" });
+      return {
+        success: errors.length === 0,
+        data: { group_id: group.id, legs: groupLegs(db, group.id) },
+        error: errors.length ? `Some orders could not be cancelled: ${errors.join("; ")}`.slice(0, 500) : undefined,
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Inline manifest
+// ---------------------------------------------------------------------------
+
+export const manifest = {
+  name: "stormtrade",
+  version: "1.7.1",
+  sdkVersion: ">=1.0.0",
+  description: "Trade perpetual futures on Storm Trade DEX — crypto, stocks, forex, commodities",
+  bot: { callbacks: true }, // Confirm/Cancel buttons for confirm mode (lib/guard.js)
+  defaultConfig: {
+    monitor_enabled: true,
+    monitor_interval_seconds: 300,
+    alert_thresholds: [20, 10, 5],  // % price distance to liquidation
+    alert_chat_ids: [],             // default: telegram.admin_ids
+    watch_addresses: [],
+    auto_add_margin: false,
+    auto_margin_trigger_pct: 5,
+    auto_margin_amounts: { usdt: "10", native: "5" },
+    auto_margin_daily_usd: 0,
+    auto_margin_daily_ton: 0,
+    order_manager_interval_seconds: 60,
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Database migration
+// ---------------------------------------------------------------------------
+
+export function migrate(db) {
+  migrateGuard(db);
+  migrateLedger(db);
+  migrateOrderGroups(db);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS storm_watch (
+      address TEXT PRIMARY KEY,
+      label TEXT,
+      added_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+
+    CREATE TABLE IF NOT EXISTS storm_position_risk (
+      trader TEXT NOT NULL,
+      market TEXT NOT NULL,
+      direction TEXT NOT NULL,
+      vault TEXT NOT NULL,
+      index_price REAL,
+      liquidation_price REAL,
+      distance_pct REAL,
+      alert_level INTEGER NOT NULL DEFAULT 0,
+      checked_at INTEGER NOT NULL,
+      PRIMARY KEY (trader, market, direction)
+    );
+
+    CREATE TABLE IF NOT EXISTS storm_auto_margin (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      market TEXT NOT NULL,
+      direction TEXT NOT NULL,
+      vault TEXT NOT NULL,
+      amount TEXT NOT NULL,
+      ton REAL NOT NULL DEFAULT 0,
+      usd REAL NOT NULL DEFAULT 0,
+      msg_hash TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_storm_auto_margin_created ON storm_auto_margin(created_at);
+  `);
+}
+
+// ---------------------------------------------------------------------------
+// Spend estimates for the action guard (margin committed, in vault currency)
+// ---------------------------------------------------------------------------
+
+const vaultSpend = (p) => assetSpend(p.vault ?? "usdt", p.amount);
+
+const SPEND = {
+  storm_open_position: vaultSpend,
+  storm_add_margin: vaultSpend,
+  storm_create_order: (p) =>
+    p.order_type === "stopLimit" || p.order_type === "market" ? vaultSpend(p) : null,
+  storm_stake: vaultSpend,
+};
+
 // ---------------------------------------------------------------------------
 // Export
 // ---------------------------------------------------------------------------
 
 export const tools = (sdk) => {
   _sdk = sdk;
-  return [
+  initSigner(sdk);
+  const guardedTools = guardTools(sdk, [
     stormMarkets,
     stormMarketInfo,
     stormPositions,
@@ -1018,5 +2311,46 @@ export const tools = (sdk) => {
     stormCancelOrder,
     stormStake,
     stormUnstake,
-  ];
+    stormMonitor,
+    stormPnlReport,
+    stormBracketOrder,
+    stormOcoOrder,
+    stormTrailingStop,
+    stormOrderGroups,
+    stormCancelOrderGroup,
+  ], SPEND);
+  for (const tool of guardedTools) guarded[tool.name] = tool;
+  return guardedTools;
 };
+
+// ---------------------------------------------------------------------------
+// Lifecycle
+// ---------------------------------------------------------------------------
+
+export async function start(ctx) {
+  const config = ctx.pluginConfig ?? {};
+  monitor.db = ctx.db;
+  monitor.config = config;
+  monitor.appConfig = ctx.config ?? {};
+  monitor.adminIds = [...(ctx.config?.telegram?.admin_ids ?? []), ...(config.admin_ids ?? [])];
+  if (!ctx.db) return;
+
+  // Bracket/OCO/trailing groups need the order manager whatever the monitor does.
+  const orderMs = Math.max(15, Number(config.order_manager_interval_seconds ?? 60)) * 1000;
+  orderManager.timer = setInterval(runOrderManager, orderMs);
+  orderManager.timer.unref?.();
+  runOrderManager();
+
+  if (!config.monitor_enabled) return;
+  const intervalMs = Math.max(60, Number(config.monitor_interval_seconds ?? 300)) * 1000;
+  monitor.timer = setInterval(runMonitor, intervalMs);
+  monitor.timer.unref?.();
+  runMonitor();
+}
+
+export async function stop() {
+  if (monitor.timer) clearInterval(monitor.timer);
+  if (orderManager.timer) clearInterval(orderManager.timer);
+  monitor.timer = null;
+  orderManager.timer = null;
+}
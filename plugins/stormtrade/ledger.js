@@ -0,0 +1,312 @@
+/**
+ * Storm Trade ledger -- trades and realized PnL in the plugin database
+ *
+ * Every open, close, margin change and order the agent sends is written to
+ * storm_trades with contract-side numbers taken just before the send: index
+ * price, exchange fee, funding settled, and the realized share of the
+ * position's unrealized PnL on closes. Amounts are in vault currency (USDT,
+ * TON or NOT), so totals are only ever summed per vault.
+ *
+ * reconcile (index.js) later marks rows confirmed/failed from the tx tracker
+ * and merges the Storm API order history: executed orders that match an
+ * agent row take the API's fill numbers, the rest (keeper-executed SL/TP,
+ * liquidations) are added as source "api". Pure functions over the db.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+// Tracker statuses that mean the action never happened on-chain.
+const DROPPED = ["failed", "bounced", "expired"];
+
+// An API fill matches an agent row for the same market/direction/kind sent
+// this many seconds before it.
+const MATCH_WINDOW_SECONDS = 600;
+
+const CSV_COLUMNS = ["vault", "market", "trades", "volume", "realized_pnl", "fees", "funding", "net_pnl", "unrealized_pnl"];
+const TRADE_COLUMNS = [
+  "id", "created_at", "source", "status", "kind", "market", "vault", "direction", "order_type",
+  "amount", "size", "price", "notional", "realized_pnl", "fee", "funding", "msg_hash", "api_id",
+];
+
+// ---------------------------------------------------------------------------
+// Database
+// ---------------------------------------------------------------------------
+
+/** Create the trade ledger table. Call from migrate(db). */
+export function migrateLedger(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS storm_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL DEFAULT 'agent',
+      status TEXT NOT NULL DEFAULT 'sent',
+      kind TEXT NOT NULL,
+      market TEXT,
+      vault TEXT NOT NULL,
+      direction TEXT,
+      order_type TEXT,
+      amount REAL,
+      leverage REAL,
+      size REAL,
+      price REAL,
+      notional REAL,
+      realized_pnl REAL NOT NULL DEFAULT 0,
+      fee REAL NOT NULL DEFAULT 0,
+      funding REAL NOT NULL DEFAULT 0,
+      msg_hash TEXT,
+      seqno INTEGER,
+      api_id TEXT UNIQUE,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_storm_trades_created ON storm_trades(created_at);
+    CREATE INDEX IF NOT EXISTS idx_storm_trades_status ON storm_trades(status);
+  `);
+}
+
+/** Insert one agent trade. No-op without a database. */
+export function recordTrade(db, trade) {
+  if (!db) return null;
+  return db.prepare(`
+    INSERT INTO storm_trades (kind, market, vault, direction, order_type, amount, leverage, size, price, notional,
+                              realized_pnl, fee, funding, msg_hash, seqno)
+    VALUES (@kind, @market, @vault, @direction, @order_type, @amount, @leverage, @size, @price, @notional,
+            @realized_pnl, @fee, @funding, @msg_hash, @seqno)
+  `).run({
+    market: null, direction: null, order_type: null, amount: null, leverage: null, size: null,
+    price: null, notional: null, realized_pnl: 0, fee: 0, funding: 0, msg_hash: null, seqno: null,
+    ...trade,
+  }).lastInsertRowid;
+}
+
+/** Agent rows still waiting for their on-chain outcome. */
+export function unconfirmedTrades(db) {
+  return db.prepare("SELECT id, msg_hash FROM storm_trades WHERE status = 'sent' AND msg_hash IS NOT NULL").all();
+}
+
+/** Map a tx tracker status onto a ledger row. Pending is left as "sent". */
+export function applyTxStatus(db, id, trackerStatus) {
+  if (trackerStatus === "confirmed" || DROPPED.includes(trackerStatus)) {
+    db.prepare("UPDATE storm_trades SET status = ? WHERE id = ?").run(trackerStatus, id);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Storm API order history
+// ---------------------------------------------------------------------------
+
+const first = (...values) => values.find((v) => v !== undefined && v !== null && v !== "");
+
+/**
+ * Read an API amount. Decimal strings and numbers are taken as-is; large
+ * integer strings are 9-decimal fixed point, as on-chain values are.
+ */
+function apiNum(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") return value;
+  const s = String(value);
+  const n = Number(s);
+  if (!Number.isFinite(n)) return null;
+  return /^-?\d{10,}$/.test(s) ? n / 1e9 : n;
+}
+
+function apiTime(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "number") return Math.floor(value > 1e12 ? value / 1000 : value);
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? apiTime(Number(value)) : Math.floor(parsed / 1000);
+}
+
+function apiVault(settlement) {
+  const s = String(settlement ?? "").toLowerCase();
+  if (s === "ton" || s === "native") return "native";
+  if (s === "not") return "not";
+  return "usdt";
+}
+
+/** Ledger kind for an API order type. */
+function apiKind(type) {
+  const t = String(type ?? "").toLowerCase();
+  if (t.includes("liquidat")) return "liquidation";
+  if (t === "stoploss" || t === "takeprofit" || t.includes("close") || t.includes("decrease")) return "close";
+  if (t.includes("addmargin")) return "add_margin";
+  if (t.includes("removemargin")) return "remove_margin";
+  return "open";
+}
+
+/**
+ * Normalize one entry of /orders/{trader}/history. The API does not publish a
+ * schema, so fields are read leniently; entries that are not executed fills
+ * return null.
+ */
+export function normalizeApiOrder(order) {
+  const status = String(first(order.status, order.state) ?? "").toLowerCase();
+  if (!["executed", "filled", "completed", "done"].includes(status)) return null;
+
+  const id = first(order.id, order._id, order.orderId, order.txHash, order.hash);
+  const market = order.market && typeof order.market === "object" ? order.market : {};
+  const asset = first(order.asset, order.baseAsset, order.baseAssetName, market.config?.baseAsset);
+  const name = first(market.config?.name, market.name, typeof order.market === "string" ? order.market : null,
+    asset ? `${String(asset).toUpperCase()}/USD` : null);
+  const direction = first(order.direction, order.side);
+  const type = first(order.type, order.orderType, order.kind);
+
+  if (id == null || !name) return null;
+  return {
+    api_id: String(id),
+    kind: apiKind(type),
+    order_type: type != null ? String(type) : null,
+    market: name,
+    vault: apiVault(first(order.settlementToken, order.vault, market.config?.settlementToken)),
+    direction: direction === 1 || String(direction).toLowerCase() === "short" ? "short" : "long",
+    size: apiNum(first(order.size, order.executedSize, order.amount)),
+    price: apiNum(first(order.executedPrice, order.executionPrice, order.price)),
+    notional: apiNum(first(order.notional, order.positionNotional, order.quoteAmount)),
+    realized_pnl: apiNum(first(order.realizedPnl, order.pnl)),
+    fee: apiNum(first(order.fee, order.fees, order.tradeFee)),
+    funding: apiNum(first(order.fundingPayment, order.funding)),
+    executed_at: apiTime(first(order.executedAt, order.updatedAt, order.createdAt, order.timestamp)),
+  };
+}
+
+/**
+ * Merge normalized API fills into the ledger. A fill adopts the closest
+ * earlier agent row of the same market, direction and kind (its API numbers
+ * replace the estimates); otherwise it is inserted as source "api". Order
+ * rows are never matched: a resting order fills whenever a keeper runs it,
+ * and that fill is its own row.
+ */
+export function mergeApiFills(db, fills) {
+  let matched = 0;
+  let added = 0;
+  const merge = db.transaction(() => {
+    for (const fill of fills) {
+      if (db.prepare("SELECT 1 FROM storm_trades WHERE api_id = ?").get(fill.api_id)) continue;
+      const at = fill.executed_at ?? Math.floor(Date.now() / 1000);
+      const row = db.prepare(`
+        SELECT id FROM storm_trades
+        WHERE source = 'agent' AND api_id IS NULL AND status IN ('sent', 'confirmed')
+          AND market = ? AND direction = ? AND kind = ? AND created_at BETWEEN ? AND ?
+        ORDER BY created_at DESC LIMIT 1
+      `).get(fill.market, fill.direction, fill.kind, at - MATCH_WINDOW_SECONDS, at);
+
+      if (row) {
+        db.prepare(`
+          UPDATE storm_trades SET api_id = ?, status = 'confirmed',
+            size = COALESCE(?, size), price = COALESCE(?, price), notional = COALESCE(?, notional),
+            realized_pnl = COALESCE(?, realized_pnl), fee = COALESCE(?, fee), funding = COALESCE(?, funding)
+          WHERE id = ?
+        `).run(fill.api_id, fill.size, fill.price, fill.notional, fill.realized_pnl, fill.fee, fill.funding, row.id);
+        matched++;
+      } else {
+        db.prepare(`
+          INSERT INTO storm_trades (source, status, kind, market, vault, direction, order_type, size, price, notional,
+                                    realized_pnl, fee, funding, api_id, created_at)
+          VALUES ('api', 'confirmed', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(fill.kind, fill.market, fill.vault, fill.direction, fill.order_type, fill.size, fill.price, fill.notional,
+          fill.realized_pnl ?? 0, fill.fee ?? 0, fill.funding ?? 0, fill.api_id, at);
+        added++;
+      }
+    }
+  });
+  merge();
+  return { matched, added };
+}
+
+// ---------------------------------------------------------------------------
+// Report
+// ---------------------------------------------------------------------------
+
+function round(n) {
+  return Number((n ?? 0).toFixed(6));
+}
+
+/** Ledger rows in [from, to) that count towards PnL (not dropped on-chain). */
+export function tradesInRange(db, { from, to, market, vault }) {
+  const where = ["created_at >= ?", "created_at < ?", `status NOT IN (${DROPPED.map(() => "?").join(", ")})`];
+  const args = [from, to, ...DROPPED];
+  if (market) { where.push("market = ?"); args.push(market); }
+  if (vault) { where.push("vault = ?"); args.push(vault); }
+  return db.prepare(`SELECT * FROM storm_trades WHERE ${where.join(" AND ")} ORDER BY created_at`).all(...args);
+}
+
+/**
+ * Realized PnL, fees and funding per market and per vault. `open` is the
+ * list of currently open positions ({ market, vault, unrealized_pnl }).
+ * Funding is what the trader paid (negative when received); net = realized -
+ * fees - funding.
+ */
+export function buildPnlReport(trades, open = []) {
+  const markets = new Map();
+  const bucket = (vault, market) => {
+    const key = `${vault}|${market}`;
+    if (!markets.has(key)) {
+      markets.set(key, { vault, market, trades: 0, volume: 0, realized_pnl: 0, fees: 0, funding: 0, unrealized_pnl: 0 });
+    }
+    return markets.get(key);
+  };
+
+  for (const t of trades) {
+    if (t.kind === "order" || t.kind === "cancel") continue; // no position change
+    const b = bucket(t.vault, t.market ?? "--");
+    b.trades++;
+    b.volume += t.notional ?? 0;
+    b.realized_pnl += t.realized_pnl;
+    b.fees += t.fee;
+    b.funding += t.funding;
+  }
+  for (const p of open) {
+    bucket(p.vault, p.market).unrealized_pnl += p.unrealized_pnl ?? 0;
+  }
+
+  const vaults = new Map();
+  const byMarket = [...markets.values()]
+    .sort((a, b) => a.vault.localeCompare(b.vault) || a.market.localeCompare(b.market))
+    .map((b) => {
+      const v = vaults.get(b.vault) ?? { vault: b.vault, trades: 0, volume: 0, realized_pnl: 0, fees: 0, funding: 0, unrealized_pnl: 0 };
+      for (const k of ["trades", "volume", "realized_pnl", "fees", "funding", "unrealized_pnl"]) v[k] += b[k];
+      vaults.set(b.vault, v);
+      return finish(b);
+    });
+
+  return {
+    by_market: byMarket,
+    by_vault: [...vaults.values()].map(finish),
+    unconfirmed: trades.filter((t) => t.status === "sent").length,
+  };
+}
+
+function finish(b) {
+  return {
+    ...b,
+    volume: round(b.volume),
+    realized_pnl: round(b.realized_pnl),
+    fees: round(b.fees),
+    funding: round(b.funding),
+    net_pnl: round(b.realized_pnl - b.fees - b.funding),
+    unrealized_pnl: round(b.unrealized_pnl),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, rows) {
+  return [columns.join(","), ...rows.map((r) => columns.map((c) => csvCell(r[c])).join(","))].join("\n") + "\n";
+}
+
+/** Report breakdown as CSV: one line per market, then one "ALL" line per vault. */
+export function reportCsv(report) {
+  return toCsv(CSV_COLUMNS, [...report.by_market, ...report.by_vault.map((v) => ({ ...v, market: "ALL" }))]);
+}
+
+/** Ledger rows as CSV, with ISO timestamps. */
+export function tradesCsv(trades) {
+  return toCsv(TRADE_COLUMNS, trades.map((t) => ({ ...t, created_at: new Date(t.created_at * 1000).toISOString() })));
+}
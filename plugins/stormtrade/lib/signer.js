@@ -0,0 +1,351 @@
+/**
+ * Agent wallet signer -- shared by every plugin that signs transactions
+ *
+ * Loads the agent wallet from ~/.teleton/wallet.json, resolves RPC endpoints
+ * with failover, and sends transfers under a per-wallet seqno lock.
+ *
+ * Plugins install as standalone folders, so each signing plugin ships an
+ * identical copy of this file in its lib/ folder -- edit all copies together.
+ * Mutable state (the seqno lock and endpoint health) lives on globalThis, so
+ * every copy loaded in the same teleton process shares one lock: two plugins
+ * can never sign with the same seqno at the same moment. Every broadcast is
+ * recorded by ./txtracker.js so its outcome can be checked later (tx_status).
+ *
+ * Configuration (plugin config overrides environment):
+ *   rpc_endpoints  / TON_RPC_ENDPOINTS   -- comma-separated toncenter v2 jsonRPC URLs, tried first
+ *   wallet_version / TON_WALLET_VERSION  -- "v5r1" | "v4r2" | "v3r2" (default: detected from wallet.json)
+ *   TONCENTER_API_KEY                    -- sent to toncenter.com endpoints
+ *
+ * Dependencies (provided by teleton runtime): @ton/core, @ton/ton, @ton/crypto
+ */
+
+import { createRequire } from "node:module";
+import { readFileSync, realpathSync } from "node:fs";
+import { basename, dirname, join } from "node:path";
+import { homedir } from "node:os";
+import { fileURLToPath } from "node:url";
+import { normalizedMessageHash, recordSentMessage } from "./txtracker.js";
+
+const _require = createRequire(realpathSync(process.argv[1]));
+const { Address, SendMode } = _require("@ton/core");
+const { WalletContractV5R1, WalletContractV4, WalletContractV3R2, TonClient, internal } = _require("@ton/ton");
+const { mnemonicToPrivateKey } = _require("@ton/crypto");
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const WALLET_FILE = join(homedir(), ".teleton", "wallet.json");
+const PLUGIN_ID = basename(dirname(dirname(fileURLToPath(import.meta.url))));  // <plugin>/lib/signer.js
+const ORBS_TOPOLOGY = "https://ton.access.orbs.network/mngr/nodes?npm_version=2.3.3";
+const TONCENTER_ENDPOINT = "https://toncenter.com/api/v2/jsonRPC";
+
+const ENDPOINT_COOLDOWN_MS = 60_000;   // skip a failed endpoint for this long
+const ORBS_CACHE_MS = 10 * 60_000;     // re-read the orbs topology this often
+const SEQNO_POLL_MS = 2_000;
+const SEQNO_TIMEOUT_MS = 60_000;       // max time the lock waits for a seqno bump
+
+const WALLET_VERSIONS = {
+  v5r1: (publicKey) => WalletContractV5R1.create({ workchain: 0, publicKey }),
+  v4r2: (publicKey) => WalletContractV4.create({ workchain: 0, publicKey }),
+  v3r2: (publicKey) => WalletContractV3R2.create({ workchain: 0, publicKey }),
+};
+
+// ---------------------------------------------------------------------------
+// Process-wide state (shared by all copies of this module)
+// ---------------------------------------------------------------------------
+
+const STATE_KEY = Symbol.for("teleton-plugins.signer");
+const state = (globalThis[STATE_KEY] ??= {
+  locks: new Map(),        // wallet raw address -> tail of the send queue
+  failedUntil: new Map(),  // endpoint -> timestamp until which it is skipped
+  preferred: null,         // last endpoint that answered
+  orbs: { endpoints: [], fetchedAt: 0 },
+});
+
+// ---------------------------------------------------------------------------
+// Per-plugin configuration
+// ---------------------------------------------------------------------------
+
+let _log = { info() {}, warn() {}, error() {}, debug() {} };
+let _config = {};
+
+/** Initialize the signer with the plugin's SDK (logger + plugin config). */
+export function initSigner(sdk) {
+  if (sdk?.log) _log = sdk.log;
+  _config = sdk?.pluginConfig ?? {};
+}
+
+/** Split a string or array config value into a trimmed list. */
+function toList(value) {
+  if (Array.isArray(value)) return value.map(String).map((s) => s.trim()).filter(Boolean);
+  if (typeof value === "string") return value.split(",").map((s) => s.trim()).filter(Boolean);
+  return [];
+}
+
+// ---------------------------------------------------------------------------
+// Wallet
+// ---------------------------------------------------------------------------
+
+/** Read the agent wallet file. */
+function readWalletFile() {
+  let walletData;
+  try {
+    walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
+  } catch {
+    throw new Error("Agent wallet not found at " + WALLET_FILE);
+  }
+  if (!walletData.mnemonic || !Array.isArray(walletData.mnemonic)) {
+    throw new Error("Invalid wallet file: missing mnemonic array");
+  }
+  return walletData;
+}
+
+/** Load the agent mnemonic and derive its keypair. */
+export async function loadAgentKeyPair() {
+  const walletData = readWalletFile();
+  const keyPair = await mnemonicToPrivateKey(walletData.mnemonic);
+  return { keyPair, walletData };
+}
+
+/**
+ * Pick the wallet contract version: explicit config first, then the version
+ * whose address matches the `address` stored in wallet.json, else V5R1.
+ */
+function resolveWalletVersion(walletData, publicKey) {
+  const configured = String(
+    _config.wallet_version ?? process.env.TON_WALLET_VERSION ?? walletData.version ?? "",
+  ).toLowerCase().replace(/[^a-z0-9]/g, "");
+  if (configured) {
+    const key = configured === "v4" ? "v4r2" : configured === "v5" ? "v5r1" : configured;
+    if (!WALLET_VERSIONS[key]) {
+      throw new Error(`Unsupported wallet version "${configured}" (use ${Object.keys(WALLET_VERSIONS).join(", ")})`);
+    }
+    return key;
+  }
+  if (walletData.address) {
+    try {
+      const stored = Address.parse(walletData.address);
+      for (const [version, create] of Object.entries(WALLET_VERSIONS)) {
+        if (create(publicKey).address.equals(stored)) return version;
+      }
+    } catch { /* unparsable address -- fall through to default */ }
+  }
+  return "v5r1";
+}
+
+/** Load the agent wallet contract for the configured/detected version. */
+export async function getAgentWallet() {
+  const { keyPair, walletData } = await loadAgentKeyPair();
+  const version = resolveWalletVersion(walletData, keyPair.publicKey);
+  const wallet = WALLET_VERSIONS[version](keyPair.publicKey);
+  return { wallet, keyPair, version };
+}
+
+/** Agent wallet address (user-friendly, bounceable), without deriving keys. */
+export function getAgentAddress() {
+  return readWalletFile().address;
+}
+
+// ---------------------------------------------------------------------------
+// RPC endpoints
+// ---------------------------------------------------------------------------
+
+/** Healthy orbs ton-access nodes (cached), shuffled for load spreading. */
+async function getOrbsEndpoints() {
+  if (Date.now() - state.orbs.fetchedAt < ORBS_CACHE_MS) return state.orbs.endpoints;
+  try {
+    const res = await fetch(ORBS_TOPOLOGY, { signal: AbortSignal.timeout(5000) });
+    const nodes = await res.json();
+    const healthy = nodes.filter(
+      (n) => n.Healthy === "1" && n.Weight > 0 && n.Mngr?.health?.["v2-mainnet"],
+    );
+    state.orbs.endpoints = healthy
+      .sort(() => Math.random() - 0.5)
+      .slice(0, 2)
+      .map((n) => `https://ton.access.orbs.network/${n.NodeId}/1/mainnet/toncenter-api-v2/jsonRPC`);
+  } catch (err) {
+    _log.warn(`orbs topology fetch failed: ${err.message}`);
+    state.orbs.endpoints = [];
+  }
+  state.orbs.fetchedAt = Date.now();
+  return state.orbs.endpoints;
+}
+
+/**
+ * Ordered endpoint list: configured endpoints, orbs nodes, toncenter.
+ * The last endpoint that answered goes first; endpoints that failed in the
+ * last minute go last.
+ */
+export async function getEndpoints() {
+  const configured = toList(_config.rpc_endpoints ?? process.env.TON_RPC_ENDPOINTS);
+  const all = [...new Set([...configured, ...(await getOrbsEndpoints()), TONCENTER_ENDPOINT])];
+
+  const now = Date.now();
+  const healthy = all.filter((ep) => (state.failedUntil.get(ep) ?? 0) <= now);
+  const cooling = all.filter((ep) => (state.failedUntil.get(ep) ?? 0) > now);
+  if (state.preferred && healthy.includes(state.preferred)) {
+    healthy.splice(healthy.indexOf(state.preferred), 1);
+    healthy.unshift(state.preferred);
+  }
+  return [...healthy, ...cooling];
+}
+
+/** Create a TonClient for one endpoint (adds the toncenter API key if set). */
+function createClient(endpoint) {
+  const apiKey = endpoint.includes("toncenter.com") ? process.env.TONCENTER_API_KEY : undefined;
+  return new TonClient({ endpoint, apiKey });
+}
+
+/** TonClient on the preferred healthy endpoint (no failover on later calls). */
+export async function getTonClient() {
+  const [endpoint] = await getEndpoints();
+  return createClient(endpoint);
+}
+
+/**
+ * Run `fn(client)` against each endpoint in turn until one succeeds.
+ * Only wrap idempotent work: a call that fails after reaching the network
+ * is retried on the next endpoint.
+ */
+export async function withFailover(fn) {
+  const endpoints = await getEndpoints();
+  let lastErr;
+  for (const endpoint of endpoints) {
+    try {
+      const result = await fn(createClient(endpoint));
+      state.preferred = endpoint;
+      return result;
+    } catch (err) {
+      lastErr = err;
+      state.failedUntil.set(endpoint, Date.now() + ENDPOINT_COOLDOWN_MS);
+      _log.warn(`RPC endpoint failed (${endpoint}): ${err.message}`);
+    }
+  }
+  throw new Error("All RPC endpoints failed: " + (lastErr?.message ?? "no endpoints"));
+}
+
+/**
+ * Drop-in for the per-plugin helpers this module replaces:
+ * agent wallet, keypair, a TonClient and the opened wallet contract.
+ */
+export async function getWalletAndClient() {
+  const { wallet, keyPair, version } = await getAgentWallet();
+  const client = await getTonClient();
+  const contract = client.open(wallet);
+  return { wallet, keyPair, client, contract, version };
+}
+
+// ---------------------------------------------------------------------------
+// Seqno lock + sending
+// ---------------------------------------------------------------------------
+
+/**
+ * Serialize `fn` with every other send from the same wallet in this process.
+ * Callers queue in arrival order; a failure in one does not block the next.
+ */
+export async function withSeqnoLock(wallet, fn) {
+  const key = wallet.address.toRawString();
+  const previous = state.locks.get(key) ?? Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => { release = resolve; });
+  const tail = previous.then(() => current);
+  state.locks.set(key, tail);
+  try {
+    await previous;
+    return await fn();
+  } finally {
+    release();
+    if (state.locks.get(key) === tail) state.locks.delete(key);
+  }
+}
+
+/** Poll until the wallet seqno moves past `seqno`. Returns false on timeout. */
+export async function waitForSeqno(wallet, seqno, timeoutMs = SEQNO_TIMEOUT_MS) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    await new Promise((r) => setTimeout(r, SEQNO_POLL_MS));
+    try {
+      const current = await withFailover((client) => client.open(wallet).getSeqno());
+      if (current > seqno) return true;
+    } catch { /* keep polling until the deadline */ }
+  }
+  return false;
+}
+
+/**
+ * Sign and send `messages` from the agent wallet.
+ *
+ * The seqno is read once and the lock is held until the wallet seqno moves
+ * past it, so the next sender (from any plugin) signs with a fresh seqno.
+ * The message is signed once, so broadcast retries on other endpoints send the
+ * exact same bytes: a message that did land the first time is rejected as a
+ * replay instead of re-sent. Its normalized hash is recorded by the tracker.
+ *
+ * @param {Array} messages  internal() messages
+ * @param {object} [opts]
+ * @param {number} [opts.sendMode]       default PAY_GAS_SEPARATELY | IGNORE_ERRORS
+ * @param {boolean} [opts.waitForSeqno]  hold the lock until confirmed (default true)
+ * @returns {Promise<{ seqno, msgHash, walletAddress, seqnoAdvanced }>}
+ */
+export async function sendTransfer(messages, opts = {}) {
+  const { wallet, keyPair } = await getAgentWallet();
+  const sendMode = opts.sendMode ?? SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS;
+
+  return withSeqnoLock(wallet, async () => {
+    const seqno = await withFailover((client) => client.open(wallet).getSeqno());
+    const transfer = await wallet.createTransfer({
+      seqno,
+      secretKey: keyPair.secretKey,
+      sendMode,
+      messages,
+    });
+    await withFailover((client) => client.sendExternalMessage(wallet, transfer));
+
+    const msgHash = normalizedMessageHash(wallet.address, transfer);
+    recordSentMessage({
+      msgHash,
+      plugin: PLUGIN_ID,
+      wallet: wallet.address.toString(),
+      seqno,
+      messages,
+      log: _log,
+    });
+    _log.info(`Transfer sent from ${wallet.address.toString()} (seqno ${seqno}, msg ${msgHash})`);
+
+    let seqnoAdvanced = null;
+    if (opts.waitForSeqno !== false) {
+      seqnoAdvanced = await waitForSeqno(wallet, seqno);
+      if (!seqnoAdvanced) _log.warn(`Seqno ${seqno} not confirmed within ${SEQNO_TIMEOUT_MS / 1000}s`);
+    }
+    return { seqno, msgHash, walletAddress: wallet.address.toString(), seqnoAdvanced };
+  });
+}
+
+/**
+ * `Sender` adapter for SDKs that send through a Sender (`sdk.sendX(sender, ...)`).
+ * Every send goes through sendTransfer, so it takes the same seqno lock.
+ * The last send's result ({ seqno, msgHash, ... }) is kept on `sender.lastSent`.
+ */
+export function createSender(wallet) {
+  return {
+    address: wallet.address,
+    lastSent: null,
+    async send(args) {
+      const result = await sendTransfer(
+        [
+          internal({
+            to: args.to,
+            value: args.value,
+            body: args.body,
+            init: args.init,
+            bounce: args.bounce ?? true,
+          }),
+        ],
+        { sendMode: args.sendMode },
+      );
+      this.lastSent = result;
+      return result.seqno;
+    },
+  };
+}
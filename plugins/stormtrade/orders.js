@@ -0,0 +1,149 @@
+/**
+ * Storm Trade order groups -- bracket, OCO and trailing-stop state
+ *
+ * Storm only knows single orders: limit/market entries (which can carry one
+ * stop-loss and one take-profit trigger for the position they open) and
+ * stand-alone SL/TP orders. A group ties several of those together so the
+ * order manager in index.js can cancel the other side when one fills (OCO)
+ * and move a stop-loss behind the price (trailing).
+ *
+ * Leg lifecycle:
+ *
+ *   pending    -- created by Storm when the entry fills (bracket SL/TP)
+ *   awaiting   -- held by confirm mode; pending_action_id is set
+ *   sent       -- our create-order tx is out, order index not known yet
+ *   open       -- found on-chain; order_index is set
+ *   filled     -- executed (gone from the position with the position changed)
+ *   cancelled  -- cancelled by the manager, or gone without a fill
+ *   replaced   -- an older trailing stop, cancelled once the newer one is open
+ *   failed     -- the create-order tx failed
+ *
+ * Pure functions over the plugin database.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+export const LIVE_LEG_STATUSES = ["pending", "awaiting", "sent", "open"];
+
+// ---------------------------------------------------------------------------
+// Database
+// ---------------------------------------------------------------------------
+
+/** Create the order group tables. Call from migrate(db). */
+export function migrateOrderGroups(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS storm_order_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      market TEXT NOT NULL,
+      vault TEXT NOT NULL,
+      direction TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active',
+      trail_pct REAL,
+      trail_step_pct REAL,
+      anchor_price REAL,
+      last_size REAL,
+      note TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_storm_order_groups_status ON storm_order_groups(status);
+
+    CREATE TABLE IF NOT EXISTS storm_order_legs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id INTEGER NOT NULL REFERENCES storm_order_groups(id),
+      role TEXT NOT NULL,
+      order_type TEXT NOT NULL,
+      price REAL,
+      amount TEXT,
+      order_index INTEGER,
+      msg_hash TEXT,
+      pending_action_id TEXT,
+      status TEXT NOT NULL DEFAULT 'sent',
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS idx_storm_order_legs_group ON storm_order_legs(group_id);
+  `);
+}
+
+/** Insert a group and its legs in one transaction. Returns the group id. */
+export function createGroup(db, group, legs) {
+  return db.transaction(() => {
+    const id = db.prepare(`
+      INSERT INTO storm_order_groups (kind, market, vault, direction, trail_pct, trail_step_pct, anchor_price, last_size)
+      VALUES (@kind, @market, @vault, @direction, @trail_pct, @trail_step_pct, @anchor_price, @last_size)
+    `).run({ trail_pct: null, trail_step_pct: null, anchor_price: null, last_size: null, ...group }).lastInsertRowid;
+    for (const leg of legs) addLeg(db, id, leg);
+    return id;
+  })();
+}
+
+/** Add one leg to a group. */
+export function addLeg(db, groupId, leg) {
+  return db.prepare(`
+    INSERT INTO storm_order_legs (group_id, role, order_type, price, amount, msg_hash, pending_action_id, status)
+    VALUES (@group_id, @role, @order_type, @price, @amount, @msg_hash, @pending_action_id, @status)
+  `).run({ amount: null, msg_hash: null, pending_action_id: null, status: "sent", ...leg, group_id: groupId }).lastInsertRowid;
+}
+
+export function updateLeg(db, id, fields) {
+  const keys = Object.keys(fields);
+  db.prepare(`UPDATE storm_order_legs SET ${keys.map((k) => `${k} = @${k}`).join(", ")}, updated_at = unixepoch() WHERE id = @id`)
+    .run({ ...fields, id });
+}
+
+export function updateGroup(db, id, fields) {
+  const keys = Object.keys(fields);
+  db.prepare(`UPDATE storm_order_groups SET ${keys.map((k) => `${k} = @${k}`).join(", ")}, updated_at = unixepoch() WHERE id = @id`)
+    .run({ ...fields, id });
+}
+
+export function getGroup(db, id) {
+  return db.prepare("SELECT * FROM storm_order_groups WHERE id = ?").get(id) ?? null;
+}
+
+export function activeGroups(db) {
+  return db.prepare("SELECT * FROM storm_order_groups WHERE status = 'active' ORDER BY id").all();
+}
+
+/** Legs of a group, optionally only those in the given statuses. */
+export function groupLegs(db, groupId, statuses = null) {
+  if (!statuses) return db.prepare("SELECT * FROM storm_order_legs WHERE group_id = ? ORDER BY id").all(groupId);
+  return db.prepare(
+    `SELECT * FROM storm_order_legs WHERE group_id = ? AND status IN (${statuses.map(() => "?").join(", ")}) ORDER BY id`
+  ).all(groupId, ...statuses);
+}
+
+/** Recent groups with their legs, newest first. */
+export function listGroups(db, { status, limit = 20 } = {}) {
+  const groups = status
+    ? db.prepare("SELECT * FROM storm_order_groups WHERE status = ? ORDER BY id DESC LIMIT ?").all(status, limit)
+    : db.prepare("SELECT * FROM storm_order_groups ORDER BY id DESC LIMIT ?").all(limit);
+  return groups.map((g) => ({ ...g, legs: groupLegs(db, g.id) }));
+}
+
+// ---------------------------------------------------------------------------
+// Trailing stop math
+// ---------------------------------------------------------------------------
+
+/**
+ * Next trailing stop price. `anchor` is the best price seen since the stop
+ * was armed (highest for longs, lowest for shorts). Returns null unless the
+ * new stop improves on `current` by at least `stepPct` percent.
+ */
+export function trailingStop(direction, anchor, trailPct, current, stepPct = 0) {
+  const target = direction === "long" ? anchor * (1 - trailPct / 100) : anchor * (1 + trailPct / 100);
+  const rounded = Number(target.toPrecision(8));
+  if (current == null) return rounded;
+  const gain = direction === "long" ? (rounded - current) / current : (current - rounded) / current;
+  return gain * 100 >= Math.max(stepPct, 1e-9) ? rounded : null;
+}
+
+/** Best price for the trailing anchor. */
+export function nextAnchor(direction, anchor, price) {
+  if (anchor == null) return price;
+  return direction === "long" ? Math.max(anchor, price) : Math.min(anchor, price);
+}
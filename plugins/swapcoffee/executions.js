@@ -0,0 +1,194 @@
+/**
+ * swap.coffee executions -- quoted vs received output
+ *
+ * swap_execute logs every swap it sends together with the quote and the
+ * agent's balance of the output token just before sending. Once the route
+ * is terminal the balance is read again: the difference is what actually
+ * arrived, and realized slippage is the shortfall against the quote, in
+ * percent (negative when the swap returned more than quoted).
+ *
+ * For TON output the TON the swap messages carried and the gas swap.coffee
+ * returned are taken back out of the difference; the wallet's network fee
+ * is not, so TON outputs read a few thousandths of a TON low. Other wallet
+ * activity between the two reads also shows up in the difference.
+ *
+ * Pure functions over the plugin database.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const TIMELINE_POINTS = 60;
+
+// ---------------------------------------------------------------------------
+// Database
+// ---------------------------------------------------------------------------
+
+/** Create the execution table. Call from migrate(db). */
+export function migrateExecutions(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS swap_executions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      route_id INTEGER,
+      msg_hash TEXT,
+      input_token TEXT NOT NULL,
+      output_token TEXT NOT NULL,
+      input_amount REAL NOT NULL,
+      quoted_output REAL NOT NULL,
+      output_decimals INTEGER NOT NULL,
+      route_type TEXT NOT NULL,
+      dexes TEXT NOT NULL DEFAULT '[]',
+      balance_before TEXT,
+      ton_attached TEXT NOT NULL DEFAULT '0',
+      status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'reconciled', 'failed', 'no_baseline', 'expired')),
+      route_status TEXT,
+      realized_output REAL,
+      reported_output REAL,
+      slippage_pct REAL,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      settled_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_swap_executions_status ON swap_executions(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_swap_executions_route ON swap_executions(route_id);
+  `);
+}
+
+/** Log a sent swap. No-op without a database. */
+export function recordExecution(db, execution) {
+  if (!db) return null;
+  return db.prepare(`
+    INSERT INTO swap_executions (route_id, msg_hash, input_token, output_token, input_amount, quoted_output,
+      output_decimals, route_type, dexes, balance_before, ton_attached)
+    VALUES (@route_id, @msg_hash, @input_token, @output_token, @input_amount, @quoted_output,
+      @output_decimals, @route_type, @dexes, @balance_before, @ton_attached)
+  `).run({
+    route_id: null,
+    msg_hash: null,
+    ...execution,
+    dexes: JSON.stringify(execution.dexes ?? []),
+    balance_before: execution.balance_before != null ? String(execution.balance_before) : null,
+    ton_attached: String(execution.ton_attached ?? 0),
+  }).lastInsertRowid;
+}
+
+export function pendingExecutions(db) {
+  return db.prepare("SELECT * FROM swap_executions WHERE status = 'pending' ORDER BY id").all();
+}
+
+export function executionByRoute(db, routeId) {
+  return db.prepare("SELECT * FROM swap_executions WHERE route_id = ? ORDER BY id DESC LIMIT 1").get(routeId) ?? null;
+}
+
+/** Settle a pending execution. Returns false if it was already settled. */
+export function settleExecution(db, id, fields) {
+  const keys = Object.keys(fields);
+  return db.prepare(
+    `UPDATE swap_executions SET ${keys.map((k) => `${k} = @${k}`).join(", ")}, settled_at = unixepoch() WHERE id = @id AND status = 'pending'`
+  ).run({ ...fields, id }).changes > 0;
+}
+
+// ---------------------------------------------------------------------------
+// Reconciliation
+// ---------------------------------------------------------------------------
+
+/**
+ * Output that arrived, in human units, from the raw balances around the
+ * swap. `gasReturned` is the gas swap.coffee sent back (nanotons), only
+ * used for TON output.
+ */
+export function realizedOutput(execution, balanceAfter, gasReturned = 0n) {
+  let delta = BigInt(balanceAfter) - BigInt(execution.balance_before);
+  if (execution.output_token === "native") delta += BigInt(execution.ton_attached) - BigInt(gasReturned);
+  return Number(delta) / 10 ** execution.output_decimals;
+}
+
+/** Shortfall against the quote in percent (negative: more than quoted). */
+export function slippagePct(quoted, realized) {
+  return quoted > 0 ? ((quoted - realized) / quoted) * 100 : null;
+}
+
+// ---------------------------------------------------------------------------
+// Report
+// ---------------------------------------------------------------------------
+
+function round(n, digits = 4) {
+  return n == null ? null : Number(n.toFixed(digits));
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function stats(rows) {
+  const slips = rows.map((r) => r.slippage_pct);
+  return {
+    swaps: rows.length,
+    avg_slippage_pct: slips.length ? round(slips.reduce((s, x) => s + x, 0) / slips.length) : null,
+    median_slippage_pct: round(median(slips)),
+    worst_slippage_pct: slips.length ? round(Math.max(...slips)) : null,
+    best_slippage_pct: slips.length ? round(Math.min(...slips)) : null,
+  };
+}
+
+function groupStats(rows, keysOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    for (const key of keysOf(row)) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+  }
+  return [...groups.entries()]
+    .map(([key, list]) => ({ key, ...stats(list) }))
+    .sort((a, b) => b.swaps - a.swaps);
+}
+
+/**
+ * Realized slippage since `from`: overall, per route type, per DEX (a swap
+ * counts for every DEX its route used) and per `bucket` ("day" or "week"),
+ * plus how many executions are still pending or could not be reconciled.
+ */
+export function buildExecutionReport(db, { from, bucket = "day", recent = 10 }) {
+  const rows = db.prepare(
+    "SELECT * FROM swap_executions WHERE created_at >= ? ORDER BY created_at, id"
+  ).all(from);
+  const settled = rows.filter((r) => r.status === "reconciled" && r.slippage_pct != null);
+  const period = bucket === "week" ? 7 * 86400 : 86400;
+
+  const statusCounts = {};
+  for (const r of rows) statusCounts[r.status] = (statusCounts[r.status] ?? 0) + 1;
+
+  const timeline = groupStats(settled, (r) => [Math.floor(r.created_at / period) * period])
+    .sort((a, b) => a.key - b.key)
+    .slice(-TIMELINE_POINTS)
+    .map(({ key, ...s }) => ({ period_start: new Date(key * 1000).toISOString().slice(0, 10), ...s }));
+
+  return {
+    executions: rows.length,
+    by_status: statusCounts,
+    overall: stats(settled),
+    by_route_type: groupStats(settled, (r) => [r.route_type]).map(({ key, ...s }) => ({ route_type: key, ...s })),
+    by_dex: groupStats(settled, (r) => JSON.parse(r.dexes)).map(({ key, ...s }) => ({ dex: key, ...s })),
+    timeline,
+    recent: rows.slice(-recent).reverse().map((r) => ({
+      route_id: r.route_id,
+      status: r.status,
+      route_status: r.route_status,
+      input: `${r.input_amount} ${r.input_token}`,
+      output_token: r.output_token,
+      quoted_output: r.quoted_output,
+      realized_output: r.realized_output != null ? round(r.realized_output, 9) : null,
+      reported_output: r.reported_output,
+      slippage_pct: round(r.slippage_pct),
+      route_type: r.route_type,
+      dexes: JSON.parse(r.dexes),
+      msg_hash: r.msg_hash,
+      created_at: new Date(r.created_at * 1000).toISOString(),
+    })),
+  };
+}
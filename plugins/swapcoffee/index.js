@@ -4,30 +4,41 @@
  * Find optimal swap routes, execute token swaps, browse pools, and check
  * token prices across all major TON DEXes (StonFi, DeDust, etc.).
  * Agent wallet at ~/.teleton/wallet.json signs all swap transactions.
+ *
+ * Every executed swap is reconciled once its route finishes: the output
+ * that actually arrived is compared with the quote (executions.js), and
+ * swap_execution_report aggregates the realized slippage.
  */
 
 import { createRequire } from "node:module";
-import { readFileSync, realpathSync } from "node:fs";
-import { join } from "node:path";
-import { homedir } from "node:os";
+import { realpathSync } from "node:fs";
+import { initSigner, getAgentWallet, getAgentAddress, withFailover, sendTransfer } from "./lib/signer.js";
+import { guardTools, migrateGuard, assetSpend } from "./lib/guard.js";
+import {
+  migrateExecutions,
+  recordExecution,
+  pendingExecutions,
+  executionByRoute,
+  settleExecution,
+  realizedOutput,
+  slippagePct,
+  buildExecutionReport,
+} from "./executions.js";
 
 // ---------------------------------------------------------------------------
 // CJS dependencies
 // ---------------------------------------------------------------------------
 
 const _require = createRequire(realpathSync(process.argv[1]));       // core: @ton/core, @ton/ton, @ton/crypto
-const _pluginRequire = createRequire(import.meta.url);                // local: plugin-specific deps
 
-const { Cell, Address, SendMode } = _require("@ton/core");
-const { WalletContractV5R1, TonClient, internal } = _require("@ton/ton");
-const { mnemonicToPrivateKey } = _require("@ton/crypto");
+const { Cell, Address, beginCell } = _require("@ton/core");
+const { internal } = _require("@ton/ton");
 
 // ---------------------------------------------------------------------------
 // Constants
 // ---------------------------------------------------------------------------
 
 const API_BASE = "https://backend.swap.coffee";
-const WALLET_FILE = join(homedir(), ".teleton", "wallet.json");
 
 let _sdk = null;
 
@@ -55,38 +66,252 @@ async function swapFetch(path, opts = {}) {
 }
 
 // ---------------------------------------------------------------------------
-// Wallet helper
+// Route tree
 // ---------------------------------------------------------------------------
 
-async function getWalletAndClient() {
-  let walletData;
-  try {
-    walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-  } catch {
-    throw new Error("Agent wallet not found at " + WALLET_FILE);
+function round(n, digits = 8) {
+  return n == null || !Number.isFinite(n) ? null : Number(n.toPrecision(digits));
+}
+
+function tokenSymbol(token) {
+  return token?.metadata?.symbol ?? token?.address?.address ?? "?";
+}
+
+/**
+ * One routing step and everything after it. `share` is the fraction of the
+ * trade's input that flows through this leg: a first leg's input over the
+ * total, and a later leg's slice of its parent's share.
+ */
+function routeLeg(step, share) {
+  const amountIn = Number(step.swap?.input_amount);
+  const amountOut = Number(step.swap?.output_amount);
+  const next = Array.isArray(step.next) ? step.next : [];
+  const nextIn = next.reduce((sum, n) => sum + (Number(n.swap?.input_amount) || 0), 0);
+  return {
+    dex: step.dex ?? null,
+    pool_address: step.pool_address ?? null,
+    token_in: tokenSymbol(step.input_token),
+    token_out: tokenSymbol(step.output_token),
+    amount_in: round(amountIn),
+    amount_out: round(amountOut),
+    price: amountIn > 0 ? round(amountOut / amountIn) : null,
+    share_pct: round(share * 100, 4),
+    result: step.swap?.result ?? null,
+    next: next.map((n) => routeLeg(n, nextIn > 0 ? share * (Number(n.swap?.input_amount) || 0) / nextIn : 0)),
+  };
+}
+
+/** Root-to-leaf branches of a leg: [{ legs, share }]. */
+function branches(leg) {
+  if (leg.next.length === 0) return [{ legs: [leg], share: leg.share_pct }];
+  return leg.next.flatMap((n) => branches(n).map((b) => ({ legs: [leg, ...b.legs], share: b.share })));
+}
+
+/**
+ * Route tree of a /v1/route response: one split per path, each with its
+ * legs (and further splits in `next`), input/output and effective price.
+ * `dex_breakdown` is the share of the input that passes through each DEX
+ * on its way, and the legs it runs there.
+ */
+function buildRouteTree(data) {
+  const paths = Array.isArray(data.paths) ? data.paths : [];
+  const totalIn = Number(data.input_amount) || paths.reduce((s, p) => s + (Number(p.swap?.input_amount) || 0), 0);
+
+  const roots = paths.map((p) => routeLeg(p, totalIn > 0 ? (Number(p.swap?.input_amount) || 0) / totalIn : 0));
+  const ends = roots.map(branches);
+  const splits = roots.map((leg, i) => {
+    const amountOut = round(ends[i].reduce((s, b) => s + (b.legs[b.legs.length - 1].amount_out ?? 0), 0));
+    return {
+      share_pct: leg.share_pct,
+      amount_in: leg.amount_in,
+      amount_out: amountOut,
+      price: leg.amount_in > 0 ? round(amountOut / leg.amount_in) : null,
+      route: leg,
+    };
+  });
+
+  const byDex = new Map();
+  let legs = 0;
+  for (const [i, split] of splits.entries()) {
+    for (const b of ends[i]) {
+      for (const dex of new Set(b.legs.map((l) => l.dex))) {
+        const entry = byDex.get(dex) ?? { dex, share_pct: 0, legs: 0 };
+        entry.share_pct += b.share;
+        byDex.set(dex, entry);
+      }
+    }
+    const walk = (leg) => {
+      legs++;
+      byDex.get(leg.dex).legs++;
+      leg.next.forEach(walk);
+    };
+    walk(split.route);
   }
-  if (!walletData.mnemonic || !Array.isArray(walletData.mnemonic)) {
-    throw new Error("Invalid wallet file: missing mnemonic array");
+
+  return {
+    input_token: tokenSymbol(data.input_token),
+    output_token: tokenSymbol(data.output_token),
+    price: Number(data.input_amount) > 0 ? round(Number(data.output_amount) / Number(data.input_amount)) : null,
+    splits,
+    dex_breakdown: [...byDex.values()]
+      .map((d) => ({ ...d, share_pct: round(d.share_pct, 4) }))
+      .sort((a, b) => b.share_pct - a.share_pct),
+    total_legs: legs,
+  };
+}
+
+/** Plain-text drawing of a route tree for posting in chat. */
+function renderRouteTree(tree, data, single) {
+  const lines = [
+    `${round(Number(data.input_amount), 6)} ${tree.input_token} -> ${round(Number(data.output_amount), 6)} ${tree.output_token}` +
+      ` (1 ${tree.input_token} = ${round(tree.price, 6)} ${tree.output_token})`,
+    `${tree.splits.length} split${tree.splits.length === 1 ? "" : "s"}, ${tree.total_legs} leg${tree.total_legs === 1 ? "" : "s"}` +
+      (data.price_impact != null ? `, price impact ${round(Number(data.price_impact) * 100, 3)}%` : ""),
+  ];
+
+  const drawLeg = (leg, prefix, last) => {
+    lines.push(
+      `${prefix}${last ? "└─" : "├─"} ${leg.dex}: ${leg.amount_in} ${leg.token_in} -> ${leg.amount_out} ${leg.token_out} @ ${round(leg.price, 6)}`
+    );
+    leg.next.forEach((n, i) => drawLeg(n, prefix + (last ? "   " : "│  "), i === leg.next.length - 1));
+  };
+  tree.splits.forEach((split, i) => {
+    const last = i === tree.splits.length - 1;
+    lines.push(`${last ? "└─" : "├─"} ${round(split.share_pct, 3)}%: ${split.amount_in} ${tree.input_token} -> ${split.amount_out} ${tree.output_token} @ ${round(split.price, 6)}`);
+    drawLeg(split.route, last ? "   " : "│  ", true);
+  });
+
+  lines.push(`By DEX: ${tree.dex_breakdown.map((d) => `${d.dex} ${round(d.share_pct, 3)}%`).join(", ")}`);
+  if (single) {
+    lines.push(
+      `Best single route: ${single.output_amount} ${tree.output_token} via ${single.dexes.join(" -> ")}` +
+        ` -- the split route gets ${single.gain_pct >= 0 ? "+" : ""}${single.gain_pct}%`
+    );
   }
+  return lines.join("\n");
+}
+
+/** The best unsplit route for the same swap, against the split one. */
+function compareSingleRoute(data, singleData) {
+  const path = singleData.paths?.[0];
+  if (!path) return null;
+  const dexes = [];
+  for (let step = path; step; step = step.next?.[0]) dexes.push(step.dex);
+  const single = Number(singleData.output_amount);
+  const split = Number(data.output_amount);
+  return {
+    output_amount: round(single),
+    dexes,
+    gain_pct: single > 0 ? round((split / single - 1) * 100, 4) : null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Reconciliation
+// ---------------------------------------------------------------------------
+
+const RECONCILE_GIVE_UP_SECONDS = 3600;
+
+const reconciler = {
+  db: null,
+  timer: null,
+  running: false,
+  inFlight: new Set(), // execution ids being reconciled
+};
 
-  const keyPair = await mnemonicToPrivateKey(walletData.mnemonic);
-  const wallet = WalletContractV5R1.create({
-    workchain: 0,
-    publicKey: keyPair.publicKey,
+/** Raw balance of "native" TON or a jetton held by `owner` (0 without a jetton wallet). */
+async function tokenBalance(token, owner) {
+  return withFailover(async (client) => {
+    if (token === "native") return await client.getBalance(owner);
+    const { stack } = await client.runMethod(Address.parse(token), "get_wallet_address", [
+      { type: "slice", cell: beginCell().storeAddress(owner).endCell() },
+    ]);
+    const jettonWallet = stack.readAddress();
+    const state = await client.getContractState(jettonWallet);
+    if (state.state !== "active") return 0n;
+    const data = await client.runMethod(jettonWallet, "get_wallet_data");
+    return data.stack.readBigNumber();
   });
+}
+
+/** "direct" (one pool), "multi_hop" (one path through several pools) or "split". */
+function routeType(paths) {
+  if (paths.length > 1 || paths.some((p) => (p.next?.length ?? 0) > 1)) return "split";
+  return paths[0]?.next?.length ? "multi_hop" : "direct";
+}
+
+/** Overall status of a /v2/route/result response. */
+function routeOutcome(data) {
+  if (!data.terminal) return "pending";
+  const statuses = (data.splits ?? []).map((s) => s.status);
+  if (statuses.every((s) => s === "succeeded")) return "succeeded";
+  if (statuses.some((s) => s === "failed")) return "failed";
+  if (statuses.some((s) => s === "timed_out")) return "timed_out";
+  if (statuses.some((s) => s === "succeeded")) return "partially_complete";
+  return "failed";
+}
 
-  let endpoint;
+/**
+ * Settle one execution against its terminal route result: read the output
+ * balance again and store realized output and slippage. Returns the
+ * settled fields, or null if another pass got there first.
+ */
+async function reconcileExecution(db, execution, result) {
+  if (reconciler.inFlight.has(execution.id)) return null;
+  reconciler.inFlight.add(execution.id);
   try {
-    const { getHttpEndpoint } = _pluginRequire("@orbs-network/ton-access");
-    endpoint = await getHttpEndpoint({ network: "mainnet" });
-  } catch {
-    endpoint = "https://toncenter.com/api/v2/jsonRPC";
+    const outcome = routeOutcome(result);
+    const splits = result.splits ?? [];
+    const reported = splits.reduce((s, sp) => s + (Number(sp.output?.amount) || 0), 0);
+    let fields;
+    if (splits.every((sp) => sp.status !== "succeeded")) {
+      fields = { status: "failed", route_status: outcome };
+    } else if (execution.balance_before == null) {
+      fields = { status: "no_baseline", route_status: outcome, reported_output: reported };
+    } else {
+      const owner = Address.parse(getAgentAddress());
+      const after = await tokenBalance(execution.output_token, owner);
+      const gasReturned = splits.reduce((s, sp) => s + BigInt(Math.round(Number(sp.gas_received) || 0)), 0n);
+      const realized = realizedOutput(execution, after, gasReturned);
+      fields = {
+        status: "reconciled",
+        route_status: outcome,
+        realized_output: realized,
+        reported_output: reported,
+        slippage_pct: slippagePct(execution.quoted_output, realized),
+      };
+    }
+    return settleExecution(db, execution.id, fields) ? fields : null;
+  } finally {
+    reconciler.inFlight.delete(execution.id);
   }
+}
 
-  const client = new TonClient({ endpoint });
-  const contract = client.open(wallet);
-
-  return { wallet, keyPair, client, contract };
+/** Reconcile every pending execution whose route has finished. */
+async function runReconciler() {
+  const db = reconciler.db;
+  if (reconciler.running || !db) return;
+  reconciler.running = true;
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    for (const execution of pendingExecutions(db)) {
+      try {
+        if (execution.route_id == null) {
+          settleExecution(db, execution.id, { status: "expired" });
+          continue;
+        }
+        const result = await swapFetch(`/v2/route/result?route_id=${execution.route_id}`);
+        if (result.terminal) await reconcileExecution(db, execution, result);
+        else if (now - execution.created_at > RECONCILE_GIVE_UP_SECONDS) {
+          settleExecution(db, execution.id, { status: "expired", route_status: "pending" });
+        }
+      } catch (err) {
+        _sdk?.log?.warn(`Swap reconciliation (route ${execution.route_id}): ${err.message}`);
+      }
+    }
+  } finally {
+    reconciler.running = false;
+  }
 }
 
 // ---------------------------------------------------------------------------
@@ -96,7 +321,9 @@ async function getWalletAndClient() {
 const swapQuote = {
   name: "swap_quote",
   description:
-    "Get a swap quote -- find the optimal route between two tokens on TON with expected output amount, price impact, and gas estimate. Use token addresses (e.g. 'EQCxE6...') or 'native' for TON.",
+    "Get a swap quote -- find the optimal route between two tokens on TON with expected output amount, price impact, and gas estimate. " +
+    "Returns the route tree: each split, each hop with its DEX, input/output and effective price, and the share of the trade per DEX. " +
+    "Set render_text=true for a text drawing of the route to post in chat. Use token addresses (e.g. 'EQCxE6...') or 'native' for TON.",
   category: "data-bearing",
 
   parameters: {
@@ -123,6 +350,14 @@ const swapQuote = {
         minimum: 1,
         maximum: 20,
       },
+      render_text: {
+        type: "boolean",
+        description: "Also return route_text, a plain-text drawing of the route for chat (default false)",
+      },
+      compare_single: {
+        type: "boolean",
+        description: "Also quote the best unsplit route and show what splitting gains (default false)",
+      },
     },
     required: ["input_token", "output_token", "input_amount"],
   },
@@ -145,20 +380,22 @@ const swapQuote = {
         max_length: 3,
       };
 
-      const data = await swapFetch("/v1/route", {
-        method: "POST",
-        body: JSON.stringify(body),
-      });
+      const compare = params.compare_single && maxSplits > 1;
+      const [data, singleData] = await Promise.all([
+        swapFetch("/v1/route", {
+          method: "POST",
+          body: JSON.stringify(body),
+        }),
+        compare
+          ? swapFetch("/v1/route", {
+              method: "POST",
+              body: JSON.stringify({ ...body, max_splits: 1 }),
+            }).catch(() => null)
+          : null,
+      ]);
 
-      // Summarize the route paths for the LLM
-      const dexes = new Set();
-      let totalHops = 0;
-      if (Array.isArray(data.paths)) {
-        for (const path of data.paths) {
-          if (path.dex) dexes.add(path.dex);
-          totalHops++;
-        }
-      }
+      const route = buildRouteTree(data);
+      const single = singleData ? compareSingleRoute(data, singleData) : null;
 
       return {
         success: true,
@@ -170,10 +407,13 @@ const swapQuote = {
           price_impact: data.price_impact,
           recommended_gas: data.recommended_gas,
           route_summary: {
-            dexes_used: [...dexes],
-            total_hops: totalHops,
-            num_paths: Array.isArray(data.paths) ? data.paths.length : 0,
+            dexes_used: route.dex_breakdown.map((d) => d.dex),
+            total_hops: route.total_legs,
+            num_paths: route.splits.length,
           },
+          route,
+          ...(compare ? { single_route: single } : {}),
+          ...(params.render_text ? { route_text: renderRouteTree(route, data, single) } : {}),
         },
       };
     } catch (err) {
@@ -261,7 +501,7 @@ const swapExecute = {
       }
 
       // Step 2: Get wallet
-      const { wallet, keyPair, contract } = await getWalletAndClient();
+      const { wallet } = await getAgentWallet();
       const senderAddress = wallet.address.toString();
 
       // Step 3: Get transactions from the route
@@ -295,15 +535,38 @@ const swapExecute = {
         });
       });
 
-      // Step 5: Send transfer
-      const seqno = await contract.getSeqno();
-      await contract.sendTransfer({
-        seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages,
+      // Step 5: Output balance before sending, the baseline for reconciliation
+      const outputToken = params.output_token;
+      const balanceBefore = await tokenBalance(outputToken, wallet.address).catch((err) => {
+        _sdk?.log?.warn(`Balance before swap unavailable, it will not be reconciled: ${err.message}`);
+        return null;
       });
 
+      // Step 6: Send transfer
+      const { seqno, msgHash } = await sendTransfer(messages);
+
+      // The swap is out: logging it must not turn the result into a failure
+      // the agent would retry.
+      let type = null;
+      try {
+        type = routeType(routeData.paths);
+        recordExecution(_sdk?.db, {
+          route_id: txData.route_id ?? null,
+          msg_hash: msgHash,
+          input_token: params.input_token,
+          output_token: outputToken,
+          input_amount: inputAmount,
+          quoted_output: Number(routeData.output_amount),
+          output_decimals: routeData.output_token?.metadata?.decimals ?? 9,
+          route_type: type,
+          dexes: buildRouteTree(routeData).dex_breakdown.map((d) => d.dex),
+          balance_before: balanceBefore,
+          ton_attached: txData.transactions.reduce((sum, tx) => sum + BigInt(tx.value), 0n),
+        });
+      } catch (err) {
+        _sdk?.log?.warn(`Swap sent (${msgHash}) but not logged for reconciliation: ${err.message}`);
+      }
+
       return {
         success: true,
         data: {
@@ -313,9 +576,12 @@ const swapExecute = {
           slippage,
           transactions_sent: txData.transactions.length,
           seqno,
+          msg_hash: msgHash,
           wallet_address: senderAddress,
+          route_type: type,
           message:
-            "Swap transaction sent. Use swap_status with route_id to check completion (~30 seconds).",
+            "Swap transaction sent. Use swap_status with route_id to check completion (~30 seconds). " +
+            "The received amount is reconciled against the quote when the route finishes (swap_execution_report).",
         },
       };
     } catch (err) {
@@ -356,19 +622,24 @@ const swapStatus = {
       );
 
       // Derive overall status from splits
-      let overallStatus = "pending";
-      if (data.terminal) {
-        const statuses = (data.splits ?? []).map((s) => s.status);
-        if (statuses.every((s) => s === "succeeded")) {
-          overallStatus = "succeeded";
-        } else if (statuses.some((s) => s === "failed")) {
-          overallStatus = "failed";
-        } else if (statuses.some((s) => s === "timed_out")) {
-          overallStatus = "timed_out";
-        } else if (statuses.some((s) => s === "succeeded")) {
-          overallStatus = "partially_complete";
-        } else {
-          overallStatus = "failed";
+      const overallStatus = routeOutcome(data);
+
+      // Reconcile a swap this plugin sent as soon as its route is done
+      let reconciliation = null;
+      const execution = data.terminal && _sdk?.db ? executionByRoute(_sdk.db, params.route_id) : null;
+      if (execution) {
+        const settled = execution.status === "pending"
+          ? await reconcileExecution(_sdk.db, execution, data).catch((err) => ({ error: err.message }))
+          : execution;
+        if (settled) {
+          reconciliation = settled.error
+            ? { status: "error", error: String(settled.error).slice(0, 200) }
+            : {
+                status: settled.status,
+                quoted_output: execution.quoted_output,
+                realized_output: settled.realized_output ?? null,
+                slippage_pct: settled.slippage_pct != null ? Number(settled.slippage_pct.toFixed(4)) : null,
+              };
         }
       }
 
@@ -389,6 +660,7 @@ const swapStatus = {
           overall_status: overallStatus,
           terminal: data.terminal ?? false,
           splits: splitsSummary,
+          ...(reconciliation ? { reconciliation } : {}),
         },
       };
     } catch (err) {
@@ -677,18 +949,150 @@ const swapPools = {
   },
 };
 
+// ---------------------------------------------------------------------------
+// Tool 7: swap_execution_report
+// ---------------------------------------------------------------------------
+
+const swapExecutionReport = {
+  name: "swap_execution_report",
+  description:
+    "Report on executed swaps: output actually received vs the quote (realized slippage), aggregated overall, per route type (direct, multi_hop, split), per DEX and per day or week, with the latest executions.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      days: {
+        type: "integer",
+        description: "Look-back window in days (1-365, default 30)",
+        minimum: 1,
+        maximum: 365,
+      },
+      bucket: {
+        type: "string",
+        enum: ["day", "week"],
+        description: 'Timeline granularity (default "day")',
+      },
+      recent: {
+        type: "integer",
+        description: "Latest executions to list (0-50, default 10)",
+        minimum: 0,
+        maximum: 50,
+      },
+    },
+  },
+
+  execute: async (params) => {
+    try {
+      if (!_sdk?.db) throw new Error("Execution history needs the plugin database, which is not available");
+      const days = Math.min(Math.max(1, params.days ?? 30), 365);
+      const report = buildExecutionReport(_sdk.db, {
+        from: Math.floor(Date.now() / 1000) - days * 86400,
+        bucket: params.bucket ?? "day",
+        recent: Math.min(Math.max(0, params.recent ?? 10), 50),
+      });
+      return {
+        success: true,
+        data: {
+          days,
+          ...report,
+          note: "slippage_pct is the shortfall of the received output against the quote (negative: received more). " +
+            "TON outputs read slightly low by the wallet's network fee.",
+        },
+      };
+    } catch (err) {
+      return {
+        success: false,
+        error: String(err.message || err).slice(0, 500),
+      };
+    }
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Inline manifest
+// ---------------------------------------------------------------------------
+
+export const manifest = {
+  name: "swapcoffee",
+  version: "1.6.0",
+  sdkVersion: ">=1.0.0",
+  description: "Swap tokens on TON via swap.coffee aggregator - best rates across all DEXes",
+  bot: { callbacks: true }, // Confirm/Cancel buttons for confirm mode (lib/guard.js)
+  defaultConfig: {
+    reconcile_enabled: true,
+    reconcile_interval_seconds: 60,
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Database migration
+// ---------------------------------------------------------------------------
+
+export function migrate(db) {
+  migrateGuard(db);
+  migrateExecutions(db);
+}
+
+// ---------------------------------------------------------------------------
+// Spend estimates for the action guard (TON offered)
+// ---------------------------------------------------------------------------
+
+const SPEND = {
+  swap_execute: (p) => (p.input_token === "native" ? assetSpend("TON", p.input_amount) : null),
+};
+
+// Confirm-mode summary: the quote for the same parameters
+const PREVIEW = {
+  swap_execute: async (p) => {
+    const quote = await swapQuote.execute({ ...p, render_text: true });
+    if (!quote.success) return quote;
+    const d = quote.data;
+    return {
+      input_amount: d.input_amount,
+      output_amount: d.output_amount,
+      output_usd: d.output_usd,
+      price_impact: d.price_impact,
+      recommended_gas: d.recommended_gas,
+      route: d.route_text,
+    };
+  },
+};
+
 // ---------------------------------------------------------------------------
 // Export
 // ---------------------------------------------------------------------------
 
 export const tools = (sdk) => {
   _sdk = sdk;
-  return [
+  initSigner(sdk);
+  return guardTools(sdk, [
     swapQuote,
     swapExecute,
     swapStatus,
     swapTokens,
     swapPrice,
     swapPools,
-  ];
+    swapExecutionReport,
+  ], SPEND, PREVIEW);
 };
+
+// ---------------------------------------------------------------------------
+// Lifecycle
+// ---------------------------------------------------------------------------
+
+export async function start(ctx) {
+  const config = ctx.pluginConfig ?? {};
+  reconciler.db = ctx.db;
+  if (!ctx.db || !(config.reconcile_enabled ?? true)) return;
+
+  const intervalMs = Math.max(30, Number(config.reconcile_interval_seconds ?? 60)) * 1000;
+  reconciler.timer = setInterval(runReconciler, intervalMs);
+  reconciler.timer.unref?.();
+  runReconciler();
+}
+
+export async function stop() {
+  if (reconciler.timer) clearInterval(reconciler.timer);
+  reconciler.timer = null;
+}
@@ -0,0 +1,288 @@
+/**
+ * TONAPI trace explainer -- a trace and its event as an ordered narrative
+ *
+ * The trace (/v2/traces) is the tree of transactions one external message
+ * set off; the event (/v2/events) is TONAPI's reading of the same trace as
+ * actions (transfers, swaps, mints...) and a value flow per account. Steps
+ * are told in logical-time order: who sent how much to whom with which op,
+ * and whether the receiving contract ran, failed or bounced the message.
+ *
+ * A failed transaction whose message asked for a bounce sends the value
+ * back; the returning message is marked as a bounce, and its reason is the
+ * exit code of the transaction it came from. Net balance changes come from
+ * the event's value flow: TON moved minus the fees the account paid.
+ *
+ * Pure functions over TONAPI trace and event objects.
+ */
+
+import { shortAddress } from "./watchlist.js";
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+// TVM and common contract exit codes
+const EXIT_CODES = {
+  2: "stack underflow",
+  3: "stack overflow",
+  4: "integer overflow",
+  5: "integer out of range",
+  6: "invalid opcode",
+  7: "type check error",
+  8: "cell overflow",
+  9: "cell underflow",
+  10: "dictionary error",
+  13: "out of gas",
+  32: "invalid action list",
+  33: "action list too long",
+  34: "invalid or unsupported action",
+  35: "invalid source address in outbound message",
+  36: "invalid destination address in outbound message",
+  37: "not enough TON to send the message",
+  38: "not enough extra currencies",
+  40: "not enough funds to process the message",
+  43: "library cell limit exceeded",
+  65535: "unknown op code",
+  // Jetton wallets (TEP-74 reference implementation)
+  705: "jetton wallet: sender is not the owner",
+  706: "jetton wallet: not enough jettons",
+  707: "jetton wallet: wrong workchain",
+  709: "jetton wallet: not enough TON attached for the transfer",
+};
+
+const SKIP_REASONS = {
+  cskip_no_state: "the destination has no deployed contract",
+  cskip_bad_state: "the destination contract state is invalid",
+  cskip_no_gas: "the message carried no TON to pay for gas",
+  cskip_suspended: "the destination account is suspended",
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function fmt(n, digits = 6) {
+  return Number(n).toLocaleString("en-US", { maximumFractionDigits: Math.abs(n) >= 100 ? 2 : digits });
+}
+
+const nanoTon = (v) => Number(v ?? 0) / 1e9;
+
+function jettonAmount(raw, jetton) {
+  return Number(raw ?? 0) / 10 ** (jetton?.decimals ?? 9);
+}
+
+/** Name of an account: its TONAPI name, else short address plus its contract interface. */
+function accountName(account, labels) {
+  if (!account) return "?";
+  const address = typeof account === "string" ? account : account.address;
+  if (labels?.has(address)) return labels.get(address);
+  return account.name ?? shortAddress(address);
+}
+
+/** Why a transaction failed, in words; null if it did not. */
+export function failureReason(tx) {
+  const compute = tx.compute_phase ?? {};
+  if (compute.skipped) {
+    return SKIP_REASONS[compute.skip_reason] ?? `compute phase skipped (${compute.skip_reason ?? "unknown reason"})`;
+  }
+  if (compute.success === false || (compute.exit_code != null && compute.exit_code !== 0 && compute.exit_code !== 1)) {
+    const code = compute.exit_code;
+    return `exit code ${code} (${compute.exit_code_description ?? EXIT_CODES[code] ?? "contract-specific error"})`;
+  }
+  const action = tx.action_phase;
+  if (action && action.success === false) {
+    const code = action.result_code;
+    return `action phase failed with result code ${code} (${action.result_code_description ?? EXIT_CODES[code] ?? "unknown"})`;
+  }
+  if (tx.aborted) return "transaction aborted";
+  return tx.success === false ? "transaction failed" : null;
+}
+
+/** What a message carried: its decoded op, comment, or a plain transfer. */
+function messageKind(msg) {
+  if (!msg) return null;
+  const text = msg.decoded_body?.text;
+  if (msg.decoded_op_name === "text_comment" && text != null) return `comment "${String(text).slice(0, 80)}"`;
+  if (msg.decoded_op_name) return msg.decoded_op_name;
+  if (msg.op_code) return `op ${msg.op_code}`;
+  return "plain transfer";
+}
+
+// ---------------------------------------------------------------------------
+// Trace
+// ---------------------------------------------------------------------------
+
+/**
+ * Transactions of a trace in logical-time order, each with the
+ * transaction that sent its inbound message (`parent`).
+ */
+export function flattenTrace(trace) {
+  const nodes = [];
+  (function walk(node, parent, depth) {
+    const tx = node.transaction ?? {};
+    nodes.push({ tx, parent, depth, interfaces: node.interfaces ?? [] });
+    for (const child of node.children ?? []) walk(child, tx, depth + 1);
+  })(trace, null, 0);
+  return nodes.sort((a, b) => Number(a.tx.lt ?? 0) - Number(b.tx.lt ?? 0));
+}
+
+/** Address -> display name, using contract interfaces for unnamed accounts. */
+function accountLabels(nodes) {
+  const labels = new Map();
+  for (const { tx, interfaces } of nodes) {
+    const address = tx.account?.address;
+    if (!address || labels.has(address)) continue;
+    const name = tx.account.name ?? shortAddress(address);
+    const kind = tx.account.is_wallet ? "wallet" : interfaces[0] ?? null;
+    labels.set(address, kind && !tx.account.name ? `${name} (${kind})` : name);
+  }
+  return labels;
+}
+
+/** One narrative line per transaction, and the bounces among them. */
+function describeSteps(nodes, labels) {
+  const steps = [];
+  const bounces = [];
+  nodes.forEach(({ tx, parent }, i) => {
+    const msg = tx.in_msg ?? {};
+    const to = accountName(tx.account, labels);
+    const fee = nanoTon(tx.total_fees);
+    const reason = failureReason(tx);
+
+    let line;
+    if (!msg.source) {
+      line = `${to} received an external message (signed request)`;
+    } else if (msg.bounced) {
+      const why = parent ? failureReason(parent) : null;
+      line = `${accountName(msg.source, labels)} bounced ${fmt(nanoTon(msg.value))} TON back to ${to}`;
+      bounces.push({
+        step: i + 1,
+        from: accountName(msg.source, labels),
+        to,
+        value_ton: nanoTon(msg.value),
+        original_message: parent ? messageKind(parent.in_msg) : null,
+        reason: why ?? "unknown",
+      });
+      if (why) line += ` -- the ${parent ? messageKind(parent.in_msg) : "message"} failed: ${why}`;
+    } else {
+      line = `${accountName(msg.source, labels)} sent ${fmt(nanoTon(msg.value))} TON to ${to} (${messageKind(msg)})`;
+    }
+
+    if (reason) {
+      line += `; FAILED: ${reason}`;
+      if (msg.bounce && !msg.bounced && msg.source) line += " -- the value bounces back to the sender";
+    }
+    line += ` [fee ${fmt(fee)} TON]`;
+    steps.push({ step: i + 1, depth: nodes[i].depth, text: line, success: reason == null, hash: tx.hash ?? null });
+  });
+  return { steps, bounces };
+}
+
+// ---------------------------------------------------------------------------
+// Event
+// ---------------------------------------------------------------------------
+
+/** One sentence per event action: transfers, swaps, mints, burns, NFT moves. */
+export function describeAction(a, labels) {
+  const name = (acc) => accountName(acc, labels);
+  const failed = a.status && a.status !== "ok" ? " (failed)" : "";
+  const d = a[a.type] ?? {};
+  switch (a.type) {
+    case "TonTransfer":
+      return `${name(d.sender)} sent ${fmt(nanoTon(d.amount))} TON to ${name(d.recipient)}${d.comment ? ` with comment "${String(d.comment).slice(0, 80)}"` : ""}${failed}`;
+    case "JettonTransfer":
+      return `${name(d.sender)} sent ${fmt(jettonAmount(d.amount, d.jetton))} ${d.jetton?.symbol ?? "jettons"} to ${name(d.recipient)}${failed}`;
+    case "JettonSwap": {
+      const inLeg = d.ton_in != null ? `${fmt(nanoTon(d.ton_in))} TON` : `${fmt(jettonAmount(d.amount_in, d.jetton_master_in))} ${d.jetton_master_in?.symbol ?? "jettons"}`;
+      const outLeg = d.ton_out != null ? `${fmt(nanoTon(d.ton_out))} TON` : `${fmt(jettonAmount(d.amount_out, d.jetton_master_out))} ${d.jetton_master_out?.symbol ?? "jettons"}`;
+      return `${name(d.user_wallet)} swapped ${inLeg} for ${outLeg}${d.dex ? ` on ${d.dex}` : ""}${failed}`;
+    }
+    case "JettonMint":
+      return `${fmt(jettonAmount(d.amount, d.jetton))} ${d.jetton?.symbol ?? "jettons"} minted to ${name(d.recipient)}${failed}`;
+    case "JettonBurn":
+      return `${name(d.sender)} burned ${fmt(jettonAmount(d.amount, d.jetton))} ${d.jetton?.symbol ?? "jettons"}${failed}`;
+    case "NftItemTransfer":
+      return `${name(d.sender)} sent NFT ${a.simple_preview?.value ?? shortAddress(d.nft)} to ${name(d.recipient)}${failed}`;
+    case "NftPurchase":
+      return `${name(d.buyer)} bought NFT ${d.nft?.metadata?.name ?? shortAddress(d.nft?.address)} from ${name(d.seller)}${d.amount?.value != null ? ` for ${fmt(nanoTon(d.amount.value))} ${d.amount.token_name ?? "TON"}` : ""}${failed}`;
+    case "ContractDeploy":
+      return `Contract ${name(d.address)} deployed${d.interfaces?.length ? ` (${d.interfaces.join(", ")})` : ""}${failed}`;
+    default:
+      return `${a.simple_preview?.description ?? a.type}${failed}`;
+  }
+}
+
+/** Net TON and jetton change per account from the event's value flow. */
+export function participants(event, labels) {
+  return (event?.value_flow ?? []).map((f) => {
+    const ton = nanoTon(f.ton);
+    const fees = nanoTon(f.fees);
+    return {
+      account: accountName(f.account, labels),
+      address: f.account?.address ?? null,
+      ton_moved: ton,
+      fees_ton: fees,
+      net_ton: ton - fees,
+      jettons: (f.jettons ?? []).map((j) => ({
+        symbol: j.jetton?.symbol ?? null,
+        jetton_address: j.jetton?.address ?? null,
+        change: jettonAmount(j.qty ?? j.quantity, j.jetton),
+      })),
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Explanation
+// ---------------------------------------------------------------------------
+
+/**
+ * Explain a trace with its event (the event may be null). `maxSteps` caps
+ * the per-transaction narrative; totals always cover the whole trace.
+ */
+export function explainTrace(trace, event, maxSteps = 50) {
+  const nodes = flattenTrace(trace);
+  const labels = accountLabels(nodes);
+  const { steps, bounces } = describeSteps(nodes, labels);
+  const totalFees = nodes.reduce((s, n) => s + nanoTon(n.tx.total_fees), 0);
+  const failed = steps.filter((s) => !s.success).length;
+  const root = nodes.find((n) => n.depth === 0)?.tx ?? {};
+
+  const actions = (event?.actions ?? []).map((a) => describeAction(a, labels));
+  const people = participants(event, labels).sort((a, b) => Math.abs(b.net_ton) - Math.abs(a.net_ton));
+
+  const lines = [];
+  lines.push(`Trace ${root.hash ?? "?"} started by ${accountName(root.account, labels)}` +
+    `${root.utime ? ` at ${new Date(root.utime * 1000).toISOString()}` : ""}: ${nodes.length} transaction(s), ` +
+    `${failed ? `${failed} failed` : "all succeeded"}${bounces.length ? `, ${bounces.length} bounce(s)` : ""}.`);
+  if (event?.in_progress) lines.push("The trace is still in progress; later steps may be missing.");
+  if (event?.is_scam) lines.push("TONAPI flags this event as scam.");
+  if (actions.length) lines.push("What happened:", ...actions.map((a) => `- ${a}`));
+  lines.push("Step by step:", ...steps.slice(0, maxSteps).map((s) => `${s.step}. ${"  ".repeat(Math.min(s.depth, 4))}${s.text}`));
+  if (steps.length > maxSteps) lines.push(`... ${steps.length - maxSteps} more step(s) not shown`);
+  if (bounces.length) {
+    lines.push("Bounces:", ...bounces.map((b) => `- ${fmt(b.value_ton)} TON returned from ${b.from} to ${b.to}: ${b.reason}`));
+  }
+  lines.push(`Total fees: ${fmt(totalFees)} TON`);
+  if (people.length) {
+    lines.push("Net change per participant:", ...people.map((p) => {
+      const parts = [`${p.net_ton >= 0 ? "+" : ""}${fmt(p.net_ton)} TON`];
+      for (const j of p.jettons) parts.push(`${j.change >= 0 ? "+" : ""}${fmt(j.change)} ${j.symbol ?? "jettons"}`);
+      return `- ${p.account}: ${parts.join(", ")}${p.fees_ton ? ` (fees ${fmt(p.fees_ton)} TON)` : ""}`;
+    }));
+  }
+
+  return {
+    trace_id: root.hash ?? null,
+    timestamp: root.utime ?? null,
+    in_progress: event?.in_progress ?? null,
+    transactions: nodes.length,
+    failed_transactions: failed,
+    actions,
+    steps: steps.slice(0, maxSteps),
+    bounces,
+    total_fees_ton: totalFees,
+    participants: people,
+    narrative: lines.join("\n"),
+  };
+}
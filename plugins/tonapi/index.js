@@ -5,15 +5,217 @@
  * lookups, execution traces, DNS resolution, staking pools, and validators.
  * Data from the public TONAPI (optional Bearer token for higher rate limits).
  * API key loaded via sdk.secrets (optional).
+ *
+ * tonapi_explain (explain.js) tells a trace as an ordered narrative: steps,
+ * transfers and swaps, bounces with their exit codes, fees, net changes.
+ *
+ * The watchlist (watchlist.js) polls the events of watched addresses every
+ * watch_interval_seconds and posts a summary of each new event that passes
+ * the address's filters -- TON and jetton transfers, NFT moves, swaps -- to
+ * the chat the address was added from, or to alert_chat_ids.
  */
 
+import {
+  migrateWatchlist,
+  upsertWatch,
+  updateWatch,
+  getWatch,
+  removeWatch,
+  listWatches,
+  recordEvent,
+  recentEvents,
+  eventActions,
+  valueAction,
+  passesFilters,
+  formatActions,
+  shortAddress,
+  ACTION_KINDS,
+  DIRECTIONS,
+} from "./watchlist.js";
+import { explainTrace } from "./explain.js";
+
 const API_BASE = "https://tonapi.io";
 
+// Events fetched per address and poll; more new events than this in one
+// interval are reported as possibly missed.
+const EVENTS_PER_POLL = 50;
+const MAX_NOTICES_PER_POLL = 10;
+
+let _sdk = null;
+
+// ---------------------------------------------------------------------------
+// Watchlist poller
+// ---------------------------------------------------------------------------
+
+const watcher = {
+  db: null,
+  config: {},
+  fetch: null, // tonapiFetch of the tools closure (shares its rate limit)
+  timer: null,
+  running: false,
+  lastRun: null,
+  lastError: null,
+};
+
+/** Post a notice to alert_chat_ids, or else the chat the address was added from. */
+async function sendNotice(watch, text) {
+  const configured = watcher.config.alert_chat_ids ?? [];
+  const chats = configured.length ? configured : watch.chat_id != null ? [watch.chat_id] : [];
+  if (!chats.length) {
+    _sdk?.log?.warn(`Watchlist: no chat for ${watch.address} -- ${text}`);
+    return;
+  }
+  for (const chatId of chats) {
+    try {
+      await _sdk.telegram.sendMessage(String(chatId), text);
+    } catch (err) {
+      _sdk?.log?.warn(`Watchlist: notice to ${chatId} failed: ${err.message}`);
+    }
+  }
+}
+
+/** TON price and jetton rates for valuing actions ({ ton, usd } per unit). */
+async function actionRates(jettons) {
+  const data = await watcher.fetch("/v2/rates", { tokens: ["ton", ...jettons].join(","), currencies: "ton,usd" });
+  const rates = new Map();
+  for (const [token, info] of Object.entries(data.rates ?? {})) {
+    rates.set(token.toLowerCase(), { ton: info.prices?.TON ?? null, usd: info.prices?.USD ?? null });
+  }
+  return { tonUsd: rates.get("ton")?.usd ?? null, rate: (jetton) => rates.get(String(jetton).toLowerCase()) ?? null };
+}
+
+/**
+ * Look at the events of one address since its last check and notify the
+ * ones that pass its filters. Stops before an event still in progress, so
+ * it is looked at again once it has settled.
+ */
+async function checkWatch(db, watch) {
+  const data = await watcher.fetch(`/v2/accounts/${watch.address}/events`, { limit: EVENTS_PER_POLL, subject_only: true });
+  const fresh = (data.events ?? []).filter((e) => e.lt > watch.last_lt).sort((a, b) => a.lt - b.lt);
+  const settled = [];
+  for (const event of fresh) {
+    if (event.in_progress) break;
+    settled.push(event);
+  }
+  const truncated = watch.last_lt > 0 && fresh.length === EVENTS_PER_POLL;
+
+  const perEvent = settled.filter((e) => !e.is_scam).map((event) => ({ event, actions: eventActions(event, watch.address) }));
+  const all = perEvent.flatMap((e) => e.actions).filter((a) => watch.kinds.includes(a.kind));
+  const notices = [];
+  if (all.length) {
+    const jettons = [...new Set(all.map((a) => a.jetton).filter(Boolean))];
+    const { tonUsd, rate } = await actionRates(jettons);
+    for (const { event, actions } of perEvent) {
+      const kept = actions.map((a) => ({ ...a, ...valueAction(a, rate, tonUsd) })).filter((a) => passesFilters(a, watch));
+      if (!kept.length) continue;
+      const summary = formatActions(kept).join("\n");
+      if (recordEvent(db, watch.id, event, summary)) notices.push({ event, summary });
+    }
+  }
+
+  const name = watch.label ? `${watch.label} (${shortAddress(watch.address)})` : shortAddress(watch.address);
+  for (const { event, summary } of notices.slice(0, MAX_NOTICES_PER_POLL)) {
+    const time = event.timestamp ? new Date(event.timestamp * 1000).toISOString().slice(0, 16).replace("T", " ") : "";
+    await sendNotice(watch, `👁 ${name} · ${time} UTC\n${summary}\nhttps://tonviewer.com/transaction/${event.event_id}`);
+  }
+  if (notices.length > MAX_NOTICES_PER_POLL || truncated) {
+    const more = notices.length - Math.min(notices.length, MAX_NOTICES_PER_POLL);
+    await sendNotice(watch, `👁 ${name}: ` + [
+      more > 0 ? `${more} more event(s) not shown` : null,
+      truncated ? `over ${EVENTS_PER_POLL} events since the last check -- older ones may have been missed` : null,
+    ].filter(Boolean).join("; "));
+  }
+
+  const lastLt = settled.length ? settled[settled.length - 1].lt : watch.last_lt;
+  updateWatch(db, watch.id, { last_lt: lastLt, last_checked_at: Math.floor(Date.now() / 1000), last_error: null });
+  return { address: watch.address, label: watch.label, new_events: settled.length, notified: notices.length };
+}
+
+/** Check every enabled address once. */
+async function runWatcher() {
+  if (watcher.running || !watcher.db || !watcher.fetch) return [];
+  watcher.running = true;
+  const results = [];
+  try {
+    for (const watch of listWatches(watcher.db, { enabledOnly: true })) {
+      try {
+        results.push(await checkWatch(watcher.db, watch));
+      } catch (err) {
+        const error = String(err.message || err).slice(0, 500);
+        updateWatch(watcher.db, watch.id, { last_checked_at: Math.floor(Date.now() / 1000), last_error: error });
+        results.push({ address: watch.address, label: watch.label, error });
+      }
+    }
+    watcher.lastRun = new Date().toISOString();
+    watcher.lastError = null;
+  } catch (err) {
+    watcher.lastError = String(err.message || err).slice(0, 500);
+    _sdk?.log?.error(`Watchlist: ${watcher.lastError}`);
+  } finally {
+    watcher.running = false;
+  }
+  return results;
+}
+
+function formatWatch(db, w) {
+  return {
+    address: w.address,
+    label: w.label,
+    enabled: w.enabled,
+    kinds: w.kinds,
+    direction: w.direction,
+    min_ton: w.min_ton,
+    min_usd: w.min_usd,
+    last_checked_at: w.last_checked_at ? new Date(w.last_checked_at * 1000).toISOString() : null,
+    last_error: w.last_error,
+    recent: recentEvents(db, w.id).map((e) => ({
+      event_id: e.event_id,
+      time: e.timestamp ? new Date(e.timestamp * 1000).toISOString() : null,
+      summary: e.summary,
+    })),
+  };
+}
+
+/** Only admins (telegram.admin_ids plus this plugin's admin_ids) may change the watchlist. */
+function assertAdmin(sdk, context) {
+  const adminIds = [
+    ...(context?.config?.telegram?.admin_ids ?? []),
+    ...(sdk.pluginConfig?.admin_ids ?? []),
+  ].map(String);
+  if (context?.senderId == null || !adminIds.includes(String(context.senderId))) {
+    throw new Error("Changing the watchlist is restricted to the bot owner. The request has been rejected.");
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Plugin manifest
+// ---------------------------------------------------------------------------
+
+export const manifest = {
+  name: "tonapi",
+  version: "1.2.0",
+  sdkVersion: ">=1.0.0",
+  description: "TON blockchain data from TONAPI -- accounts, jettons, NFTs, prices, transactions, traces, DNS, staking",
+  defaultConfig: {
+    watch_interval_seconds: 60,
+    alert_chat_ids: [],   // default: the chat each address was added from
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Database migration
+// ---------------------------------------------------------------------------
+
+export function migrate(db) {
+  migrateWatchlist(db);
+}
+
 // ---------------------------------------------------------------------------
 // SDK export
 // ---------------------------------------------------------------------------
 
 export const tools = (sdk) => {
+  _sdk = sdk;
   const API_KEY = sdk.secrets.get("api_key") ?? null;
   const RATE_LIMIT_MS = API_KEY ? 1000 : 4000;
 
@@ -48,6 +250,8 @@ export const tools = (sdk) => {
     return res.json();
   }
 
+  watcher.fetch = tonapiFetch;
+
   // ---------------------------------------------------------------------------
   // Tools
   // ---------------------------------------------------------------------------
@@ -719,6 +923,41 @@ export const tools = (sdk) => {
         }
       },
     },
+    {
+      name: "tonapi_explain",
+      description:
+        "Explain a TON transaction in plain words. Walks its whole trace and returns an ordered narrative: who sent how much TON to whom and with which op, the jetton transfers, swaps and NFT moves, which messages failed or bounced and why (exit codes), the total fees, and the net TON/jetton change of every participant. Use instead of tonapi_trace/tonapi_transaction to understand what a transaction did.",
+      category: "data-bearing",
+      parameters: {
+        type: "object",
+        properties: {
+          transaction_id: {
+            type: "string",
+            description: "Hash of any transaction in the trace, or the trace/event ID",
+          },
+          max_steps: {
+            type: "integer",
+            description: "Transactions to narrate step by step, 1-200 (default: 50); totals always cover the whole trace",
+            minimum: 1,
+            maximum: 200,
+          },
+        },
+        required: ["transaction_id"],
+      },
+      execute: async (params) => {
+        try {
+          const trace = await tonapiFetch(`/v2/traces/${encodeURIComponent(params.transaction_id)}`);
+          const rootHash = trace.transaction?.hash ?? params.transaction_id;
+          // Actions and value flow; the step narrative still works without them
+          const event = await tonapiFetch(`/v2/events/${encodeURIComponent(rootHash)}`).catch(() => null);
+          const data = explainTrace(trace, event, params.max_steps ?? 50);
+          if (!event) data.note = "TONAPI returned no event for this trace: actions and per-participant changes are missing.";
+          return { success: true, data };
+        } catch (err) {
+          return { success: false, error: String(err.message || err).slice(0, 500) };
+        }
+      },
+    },
     {
       name: "tonapi_validators",
       description:
@@ -928,5 +1167,148 @@ export const tools = (sdk) => {
         }
       },
     },
+
+    // Watchlist
+    {
+      name: "tonapi_watchlist",
+      description:
+        "Watch TON addresses (own wallets, whales, project treasuries) and get a chat notice for every new event: incoming/outgoing TON, jetton transfers, NFT moves and swaps. " +
+        "Actions: list (default) shows watched addresses with their filters and latest notices; add watches an address or updates its filters (kinds, direction, min_ton, min_usd, enabled); remove stops watching; check polls now. Notices go to the chat the address was added from.",
+      category: "data-bearing",
+      parameters: {
+        type: "object",
+        properties: {
+          action: {
+            type: "string",
+            enum: ["list", "add", "remove", "check"],
+            description: "list (default), add (or update filters), remove, or check now",
+          },
+          address: {
+            type: "string",
+            description: "Wallet/contract address or .ton domain (required for add/remove; optional for check)",
+          },
+          label: {
+            type: "string",
+            description: "Name shown in notices, e.g. \"treasury\" or \"whale 1\"",
+          },
+          kinds: {
+            type: "array",
+            items: { type: "string", enum: ACTION_KINDS },
+            description: "Action kinds to notify: ton, jetton, nft, swap (default: all)",
+          },
+          direction: {
+            type: "string",
+            enum: DIRECTIONS,
+            description: "Notify incoming (in), outgoing (out) or both (default) transfers",
+          },
+          min_ton: {
+            type: "number",
+            description: "Skip actions worth less than this many TON (default 0: no minimum)",
+            minimum: 0,
+          },
+          min_usd: {
+            type: "number",
+            description: "Skip actions worth less than this many USD (default 0: no minimum)",
+            minimum: 0,
+          },
+          enabled: {
+            type: "boolean",
+            description: "Pause (false) or resume (true) notices for the address",
+          },
+        },
+      },
+      execute: async (params, context) => {
+        try {
+          const db = watcher.db ?? sdk.db;
+          if (!db) return { success: false, error: "Plugin database is not available." };
+          const action = params.action ?? "list";
+          if (action === "add" || action === "remove") assertAdmin(sdk, context);
+
+          let address = null;
+          if (params.address) {
+            const account = await tonapiFetch(`/v2/accounts/${encodeURIComponent(params.address.trim())}`);
+            if (!account.address) throw new Error(`Unknown account: ${params.address}`);
+            address = account.address;
+          }
+
+          if (action === "add") {
+            if (!address) return { success: false, error: "address is required for add" };
+            if (params.kinds && params.kinds.length === 0) return { success: false, error: "kinds must name at least one kind" };
+            let lastLt;
+            if (!getWatch(db, address)) {
+              // Start from the latest event: nothing before now is notified
+              const latest = await tonapiFetch(`/v2/accounts/${address}/events`, { limit: 1, subject_only: true });
+              lastLt = latest.events?.[0]?.lt ?? 0;
+            }
+            const watch = upsertWatch(db, {
+              address,
+              label: params.label,
+              kinds: params.kinds,
+              direction: params.direction,
+              min_ton: params.min_ton,
+              min_usd: params.min_usd,
+              enabled: params.enabled,
+              chat_id: context?.chatId != null ? String(context.chatId) : null,
+              last_lt: lastLt,
+            });
+            return {
+              success: true,
+              data: {
+                action,
+                ...formatWatch(db, watch),
+                message: `Checking for new events every ${Math.max(15, Number(watcher.config.watch_interval_seconds ?? 60))} seconds.`,
+              },
+            };
+          }
+
+          if (action === "remove") {
+            if (!address) return { success: false, error: "address is required for remove" };
+            if (!removeWatch(db, address)) return { success: false, error: `${params.address} is not on the watchlist` };
+            return { success: true, data: { action, address, watched: listWatches(db).length } };
+          }
+
+          if (action === "check") {
+            if (address) {
+              const watch = getWatch(db, address);
+              if (!watch) return { success: false, error: `${params.address} is not on the watchlist` };
+              return { success: true, data: { action, results: [await checkWatch(db, watch)] } };
+            }
+            return { success: true, data: { action, results: await runWatcher() } };
+          }
+
+          return {
+            success: true,
+            data: {
+              running: watcher.timer !== null,
+              interval_seconds: Math.max(15, Number(watcher.config.watch_interval_seconds ?? 60)),
+              last_run: watcher.lastRun,
+              last_error: watcher.lastError,
+              watched: listWatches(db).map((w) => formatWatch(db, w)),
+            },
+          };
+        } catch (err) {
+          return { success: false, error: String(err.message || err).slice(0, 500) };
+        }
+      },
+    },
   ];
 };
+
+// ---------------------------------------------------------------------------
+// Lifecycle
+// ---------------------------------------------------------------------------
+
+export async function start(ctx) {
+  watcher.db = ctx.db;
+  watcher.config = ctx.pluginConfig ?? {};
+  if (!ctx.db) return;
+
+  const intervalMs = Math.max(15, Number(watcher.config.watch_interval_seconds ?? 60)) * 1000;
+  watcher.timer = setInterval(runWatcher, intervalMs);
+  watcher.timer.unref?.();
+}
+
+export async function stop() {
+  if (watcher.timer) clearInterval(watcher.timer);
+  watcher.timer = null;
+}
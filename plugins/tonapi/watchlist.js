@@ -0,0 +1,281 @@
+/**
+ * TONAPI watchlist -- watched addresses and their event notifications
+ *
+ * Each watched address remembers the logical time (lt) of the last event it
+ * was checked up to, so every event is looked at once and nothing is
+ * backfilled when an address is added. Per-address filters pick the action
+ * kinds (ton, jetton, nft, swap), the direction (in, out or both) and the
+ * minimum value in TON and/or USD. With a minimum set, actions whose value
+ * is unknown are dropped too; NFT moves have no value and ignore minimums.
+ *
+ * Pure functions over the plugin database and TONAPI event objects.
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+export const ACTION_KINDS = ["ton", "jetton", "nft", "swap"];
+export const DIRECTIONS = ["in", "out", "both"];
+
+// ---------------------------------------------------------------------------
+// Database
+// ---------------------------------------------------------------------------
+
+/** Create the watchlist tables. Call from migrate(db). */
+export function migrateWatchlist(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tonapi_watchlist (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      address TEXT NOT NULL UNIQUE,
+      label TEXT,
+      kinds TEXT NOT NULL DEFAULT '["ton","jetton","nft","swap"]',
+      direction TEXT NOT NULL DEFAULT 'both' CHECK (direction IN ('in', 'out', 'both')),
+      min_ton REAL NOT NULL DEFAULT 0,
+      min_usd REAL NOT NULL DEFAULT 0,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      chat_id TEXT,
+      last_lt INTEGER NOT NULL DEFAULT 0,
+      last_checked_at INTEGER,
+      last_error TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+
+    CREATE TABLE IF NOT EXISTS tonapi_watch_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      watch_id INTEGER NOT NULL REFERENCES tonapi_watchlist(id) ON DELETE CASCADE,
+      event_id TEXT NOT NULL,
+      lt INTEGER NOT NULL,
+      timestamp INTEGER,
+      summary TEXT NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      UNIQUE (watch_id, event_id)
+    );
+  `);
+}
+
+function parseWatch(row) {
+  return row ? { ...row, kinds: JSON.parse(row.kinds), enabled: row.enabled === 1 } : null;
+}
+
+/**
+ * Add an address, or update the filters of one already watched (fields
+ * left undefined keep their value). Returns the entry.
+ */
+export function upsertWatch(db, watch) {
+  const existing = getWatch(db, watch.address);
+  if (!existing) {
+    db.prepare(`
+      INSERT INTO tonapi_watchlist (address, label, kinds, direction, min_ton, min_usd, enabled, chat_id, last_lt)
+      VALUES (@address, @label, @kinds, @direction, @min_ton, @min_usd, @enabled, @chat_id, @last_lt)
+    `).run({
+      address: watch.address,
+      label: watch.label ?? null,
+      kinds: JSON.stringify(watch.kinds ?? ACTION_KINDS),
+      direction: watch.direction ?? "both",
+      min_ton: watch.min_ton ?? 0,
+      min_usd: watch.min_usd ?? 0,
+      enabled: watch.enabled === false ? 0 : 1,
+      chat_id: watch.chat_id ?? null,
+      last_lt: watch.last_lt ?? 0,
+    });
+  } else {
+    const fields = {};
+    if (watch.label !== undefined) fields.label = watch.label;
+    if (watch.kinds !== undefined) fields.kinds = JSON.stringify(watch.kinds);
+    if (watch.direction !== undefined) fields.direction = watch.direction;
+    if (watch.min_ton !== undefined) fields.min_ton = watch.min_ton;
+    if (watch.min_usd !== undefined) fields.min_usd = watch.min_usd;
+    if (watch.enabled !== undefined) fields.enabled = watch.enabled ? 1 : 0;
+    if (Object.keys(fields).length) updateWatch(db, existing.id, fields);
+  }
+  return getWatch(db, watch.address);
+}
+
+export function updateWatch(db, id, fields) {
+  const keys = Object.keys(fields);
+  db.prepare(`UPDATE tonapi_watchlist SET ${keys.map((k) => `${k} = @${k}`).join(", ")} WHERE id = @id`)
+    .run({ ...fields, id });
+}
+
+export function getWatch(db, address) {
+  return parseWatch(db.prepare("SELECT * FROM tonapi_watchlist WHERE address = ?").get(address));
+}
+
+/** Remove an address and its event log. Returns false if it was not watched. */
+export function removeWatch(db, address) {
+  const watch = getWatch(db, address);
+  if (!watch) return false;
+  db.prepare("DELETE FROM tonapi_watch_events WHERE watch_id = ?").run(watch.id);
+  db.prepare("DELETE FROM tonapi_watchlist WHERE id = ?").run(watch.id);
+  return true;
+}
+
+export function listWatches(db, { enabledOnly = false } = {}) {
+  return db.prepare(`SELECT * FROM tonapi_watchlist ${enabledOnly ? "WHERE enabled = 1" : ""} ORDER BY id`).all().map(parseWatch);
+}
+
+/** Log a notified event. Returns false if it was already logged. */
+export function recordEvent(db, watchId, event, summary) {
+  return db.prepare(`
+    INSERT INTO tonapi_watch_events (watch_id, event_id, lt, timestamp, summary)
+    VALUES (?, ?, ?, ?, ?) ON CONFLICT (watch_id, event_id) DO NOTHING
+  `).run(watchId, event.event_id, event.lt, event.timestamp ?? null, summary).changes > 0;
+}
+
+/** Latest notified events of an address, newest first. */
+export function recentEvents(db, watchId, limit = 5) {
+  return db.prepare(
+    "SELECT event_id, timestamp, summary FROM tonapi_watch_events WHERE watch_id = ? ORDER BY lt DESC LIMIT ?"
+  ).all(watchId, limit);
+}
+
+// ---------------------------------------------------------------------------
+// Events
+// ---------------------------------------------------------------------------
+
+/** "0:abcd...1234" -- TONAPI returns raw addresses. */
+export function shortAddress(address) {
+  const a = String(address ?? "?");
+  return a.length > 16 ? `${a.slice(0, 6)}...${a.slice(-4)}` : a;
+}
+
+function party(account) {
+  if (!account) return "?";
+  return account.name ?? shortAddress(account.address);
+}
+
+function fmt(n) {
+  return Number(n).toLocaleString("en-US", { maximumFractionDigits: n >= 100 ? 2 : 6 });
+}
+
+/**
+ * The actions of an event that involve `address`, normalized to
+ * { kind, direction, text, ton, jetton, amount } where `ton` is a TON
+ * amount (transfers and swap TON legs) and `jetton`/`amount` a jetton
+ * amount to value. Failed and unsupported actions are left out.
+ */
+export function eventActions(event, address) {
+  const out = [];
+  const is = (account) => account?.address === address;
+  for (const a of event.actions ?? []) {
+    if (a.status && a.status !== "ok") continue;
+
+    if (a.type === "TonTransfer" && a.TonTransfer) {
+      const t = a.TonTransfer;
+      const direction = is(t.recipient) ? "in" : is(t.sender) ? "out" : null;
+      if (!direction) continue;
+      const ton = Number(t.amount ?? 0) / 1e9;
+      out.push({
+        kind: "ton",
+        direction,
+        ton,
+        text: direction === "in"
+          ? `Received ${fmt(ton)} TON from ${party(t.sender)}`
+          : `Sent ${fmt(ton)} TON to ${party(t.recipient)}`,
+        comment: t.comment ?? null,
+      });
+    } else if (a.type === "JettonTransfer" && a.JettonTransfer) {
+      const t = a.JettonTransfer;
+      const direction = is(t.recipient) ? "in" : is(t.sender) ? "out" : null;
+      if (!direction) continue;
+      const amount = Number(t.amount ?? 0) / 10 ** (t.jetton?.decimals ?? 9);
+      const symbol = t.jetton?.symbol ?? "jetton";
+      out.push({
+        kind: "jetton",
+        direction,
+        jetton: t.jetton?.address ?? null,
+        amount,
+        scam: t.jetton?.verification === "blacklist",
+        text: direction === "in"
+          ? `Received ${fmt(amount)} ${symbol} from ${party(t.sender)}`
+          : `Sent ${fmt(amount)} ${symbol} to ${party(t.recipient)}`,
+        comment: t.comment ?? null,
+      });
+    } else if (a.type === "NftItemTransfer" && a.NftItemTransfer) {
+      const t = a.NftItemTransfer;
+      const direction = is(t.recipient) ? "in" : is(t.sender) ? "out" : null;
+      if (!direction) continue;
+      const nft = a.simple_preview?.value ?? shortAddress(t.nft);
+      out.push({
+        kind: "nft",
+        direction,
+        text: direction === "in" ? `Received NFT ${nft} from ${party(t.sender)}` : `Sent NFT ${nft} to ${party(t.recipient)}`,
+      });
+    } else if (a.type === "NftPurchase" && a.NftPurchase) {
+      const t = a.NftPurchase;
+      const direction = is(t.buyer) ? "in" : is(t.seller) ? "out" : null;
+      if (!direction) continue;
+      const nft = t.nft?.metadata?.name ?? shortAddress(t.nft?.address);
+      const price = t.amount?.token_name === "TON" ? Number(t.amount.value ?? 0) / 1e9 : null;
+      out.push({
+        kind: "nft",
+        direction,
+        ton: price,
+        text: `${direction === "in" ? "Bought" : "Sold"} NFT ${nft}${price != null ? ` for ${fmt(price)} TON` : ""}`,
+      });
+    } else if (a.type === "JettonSwap" && a.JettonSwap) {
+      const s = a.JettonSwap;
+      if (s.user_wallet && !is(s.user_wallet)) continue;
+      const inLeg = s.ton_in != null
+        ? { ton: Number(s.ton_in) / 1e9, text: `${fmt(Number(s.ton_in) / 1e9)} TON` }
+        : { jetton: s.jetton_master_in?.address, amount: Number(s.amount_in ?? 0) / 10 ** (s.jetton_master_in?.decimals ?? 9) };
+      const outLeg = s.ton_out != null
+        ? { ton: Number(s.ton_out) / 1e9, text: `${fmt(Number(s.ton_out) / 1e9)} TON` }
+        : { jetton: s.jetton_master_out?.address, amount: Number(s.amount_out ?? 0) / 10 ** (s.jetton_master_out?.decimals ?? 9) };
+      inLeg.text ??= `${fmt(inLeg.amount)} ${s.jetton_master_in?.symbol ?? "jetton"}`;
+      outLeg.text ??= `${fmt(outLeg.amount)} ${s.jetton_master_out?.symbol ?? "jetton"}`;
+      // Valued by its TON leg when it has one. The address sent the in-leg,
+      // so a swap valued by it is outgoing and one valued by the out-leg incoming.
+      const leg = inLeg.ton != null ? inLeg : outLeg.ton != null ? outLeg : inLeg;
+      out.push({
+        kind: "swap",
+        direction: leg === inLeg ? "out" : "in",
+        ton: leg.ton ?? null,
+        jetton: leg.ton == null ? leg.jetton : null,
+        amount: leg.ton == null ? leg.amount : null,
+        text: `Swapped ${inLeg.text} for ${outLeg.text}${s.dex ? ` on ${s.dex}` : ""}`,
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Value an action in TON and USD. `rate(jetton)` returns { ton, usd } per
+ * jetton unit or null; `tonUsd` is the TON price (may be null).
+ */
+export function valueAction(action, rate, tonUsd) {
+  if (action.ton != null) {
+    return { value_ton: action.ton, value_usd: tonUsd != null ? action.ton * tonUsd : null };
+  }
+  if (action.jetton && action.amount != null) {
+    const r = rate(action.jetton);
+    return {
+      value_ton: r?.ton != null ? action.amount * r.ton : null,
+      value_usd: r?.usd != null ? action.amount * r.usd : null,
+    };
+  }
+  return { value_ton: null, value_usd: null };
+}
+
+/** Whether a valued action passes an entry's filters. */
+export function passesFilters(action, watch) {
+  if (!watch.kinds.includes(action.kind)) return false;
+  if (action.scam) return false;
+  if (watch.direction !== "both" && action.direction !== watch.direction) return false;
+  if (action.kind === "nft" && action.ton == null) return true;
+  if (watch.min_ton > 0 && !(action.value_ton >= watch.min_ton)) return false;
+  if (watch.min_usd > 0 && !(action.value_usd >= watch.min_usd)) return false;
+  return true;
+}
+
+/** One line per action, with its USD value when known. */
+export function formatActions(actions) {
+  return actions.map((a) => {
+    const value = a.ton == null && a.value_ton != null ? ` (≈ ${fmt(a.value_ton)} TON` : "";
+    const usd = a.value_usd != null ? `${value ? ", " : " (≈ "}$${fmt(a.value_usd)})` : value ? ")" : "";
+    const comment = a.comment ? ` -- "${String(a.comment).slice(0, 100)}"` : "";
+    return `${a.text}${value}${usd}${comment}`;
+  });
+}
@@ -0,0 +1,146 @@
+/**
+ * TX Tracker plugin -- confirmation status for transactions sent by any plugin
+ *
+ * Every plugin that signs through lib/signer.js records the external message
+ * it broadcasts in a shared ledger (lib/txtracker.js). This plugin reads that
+ * ledger and follows each message to its transaction and trace, reporting
+ * whether it was confirmed, bounced, failed, is still pending, or expired.
+ */
+
+import {
+  parseMessageHash,
+  refreshMessageStatus,
+  getTrackedMessage,
+  listTrackedMessages,
+  isFinalStatus,
+} from "./lib/txtracker.js";
+
+const STATUSES = ["pending", "confirmed", "bounced", "failed", "expired"];
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Shape a ledger entry for the LLM. */
+function formatEntry(entry) {
+  return {
+    msg_hash: entry.msg_hash,
+    status: entry.status,
+    plugin: entry.plugin,
+    wallet: entry.wallet,
+    seqno: entry.seqno,
+    sent_at: entry.sent_at ? new Date(entry.sent_at).toISOString() : null,
+    checked_at: entry.checked_at ? new Date(entry.checked_at).toISOString() : null,
+    messages: entry.messages,
+    tx_hash: entry.tx_hash,
+    trace_transactions: entry.transactions,
+    bounced: entry.bounced,
+    failed: entry.failed,
+    explorer: entry.tx_hash ? `https://tonviewer.com/transaction/${entry.tx_hash}` : null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+export const tools = (sdk) => {
+
+// ---------------------------------------------------------------------------
+// Tool 1: tx_status
+// ---------------------------------------------------------------------------
+
+const txStatus = {
+  name: "tx_status",
+  description:
+    "Check whether a transaction sent by any plugin (swaps, positions, mints, domain buys, ...) was confirmed, bounced, failed, or is still pending. Pass the msg_hash returned by the write tool, or omit it to list recent sends (filter by plugin or status). Reports bounced messages and failed compute phases from the full trace.",
+  category: "data-bearing",
+
+  parameters: {
+    type: "object",
+    properties: {
+      msg_hash: {
+        type: "string",
+        description: "External message hash returned by a write tool (hex or base64). Omit to list recent transactions.",
+      },
+      plugin: {
+        type: "string",
+        description: "Only list transactions sent by this plugin (e.g. 'stonfi', 'stormtrade')",
+      },
+      status: {
+        type: "string",
+        enum: STATUSES,
+        description: "Only list transactions with this status",
+      },
+      limit: {
+        type: "integer",
+        description: "Max transactions to list (default 10, max 50)",
+        minimum: 1,
+        maximum: 50,
+      },
+      refresh: {
+        type: "boolean",
+        description: "Re-check non-final transactions against the chain index before answering (default true)",
+      },
+    },
+  },
+
+  execute: async (params) => {
+    try {
+      const refresh = params.refresh ?? true;
+
+      if (params.msg_hash) {
+        const msgHash = parseMessageHash(params.msg_hash);
+        const entry = refresh
+          ? await refreshMessageStatus(msgHash)
+          : getTrackedMessage(msgHash);
+        if (!entry) {
+          return {
+            success: false,
+            error: refresh
+              ? `No tracked transaction with msg_hash ${msgHash}, and the chain index has no trace for it`
+              : `No tracked transaction with msg_hash ${msgHash}`,
+          };
+        }
+        return { success: true, data: formatEntry(entry) };
+      }
+
+      const limit = Math.min(params.limit ?? 10, 50);
+      let entries = listTrackedMessages({ plugin: params.plugin, status: params.status, limit });
+      if (refresh) {
+        const refreshed = [];
+        for (const entry of entries) {
+          if (isFinalStatus(entry.status)) {
+            refreshed.push(entry);
+            continue;
+          }
+          try {
+            refreshed.push(await refreshMessageStatus(entry.msg_hash));
+          } catch (err) {
+            sdk.log.debug(`tx_status refresh failed for ${entry.msg_hash}: ${err.message}`);
+            refreshed.push(entry);
+          }
+        }
+        entries = refreshed;
+      }
+
+      const counts = {};
+      for (const e of entries) counts[e.status] = (counts[e.status] ?? 0) + 1;
+
+      return {
+        success: true,
+        data: {
+          count: entries.length,
+          by_status: counts,
+          transactions: entries.map(formatEntry),
+        },
+      };
+    } catch (err) {
+      return { success: false, error: String(err.message || err).slice(0, 500) };
+    }
+  },
+};
+
+return [txStatus];
+
+}; // end tools(sdk)
@@ -14,6 +14,27 @@
 import { initApi } from "./lib/api.js";
 import { readTools } from "./tools/read.js";
 import { actionTools } from "./tools/actions.js";
+import { migrateGuard, guardTools } from "./lib/guard.js";
+
+// ---------------------------------------------------------------------------
+// Inline manifest
+// ---------------------------------------------------------------------------
+
+export const manifest = {
+  name: "webdom",
+  version: "1.4.2",
+  sdkVersion: ">=1.0.0",
+  description: "Buy, sell, auction, and manage .ton domains and Telegram usernames on webdom.market",
+  bot: { callbacks: true }, // Confirm/Cancel buttons for confirm mode (lib/guard.js)
+};
+
+// ---------------------------------------------------------------------------
+// Database migration (action guard spend ledger + audit log)
+// ---------------------------------------------------------------------------
+
+export function migrate(db) {
+  migrateGuard(db);
+}
 
 // ---------------------------------------------------------------------------
 // Tools export (SDK format)
@@ -21,5 +42,7 @@ import { actionTools } from "./tools/actions.js";
 
 export const tools = (sdk) => {
   initApi(sdk);
-  return [...readTools(sdk), ...actionTools(sdk)];
+  // Read tools pass through guardTools unchanged; it only registers them so
+  // other plugins (e.g. portfolio) can call webdom_my_domains.
+  return [...guardTools(sdk, readTools(sdk)), ...actionTools(sdk)];
 };
@@ -4,56 +4,27 @@
  */
 
 import { createRequire } from "node:module";
-import { realpathSync, readFileSync } from "node:fs";
-import { join } from "node:path";
-import { homedir } from "node:os";
+import { realpathSync } from "node:fs";
 
 import {
   WEBDOM_MARKETPLACE,
   OP,
 } from "../lib/constants.js";
+import { initSigner, getAgentWallet, withFailover, sendTransfer } from "../lib/signer.js";
+import { guardTools, assetSpend } from "../lib/guard.js";
 
 // ---------------------------------------------------------------------------
 // TON dependencies (CJS — use createRequire for ESM compat)
 // ---------------------------------------------------------------------------
 
 const _require = createRequire(realpathSync(process.argv[1]));
-const { Address, beginCell, toNano, SendMode } = _require("@ton/core");
-const { WalletContractV5R1, TonClient, internal } = _require("@ton/ton");
-const { mnemonicToPrivateKey } = _require("@ton/crypto");
+const { Address, beginCell, toNano } = _require("@ton/core");
+const { internal } = _require("@ton/ton");
 
 // ---------------------------------------------------------------------------
 // Constants
 // ---------------------------------------------------------------------------
 
-const WALLET_FILE = join(homedir(), ".teleton", "wallet.json");
-
-// ---------------------------------------------------------------------------
-// RPC endpoint resolution (same logic as core endpoint.ts)
-// ---------------------------------------------------------------------------
-
-const ORBS_TOPOLOGY = "https://ton.access.orbs.network/mngr/nodes?npm_version=2.3.3";
-const TONCENTER_FALLBACK = "https://toncenter.com/api/v2/jsonRPC";
-
-async function getAllEndpoints() {
-  const endpoints = [];
-  try {
-    const res = await fetch(ORBS_TOPOLOGY, { signal: AbortSignal.timeout(5000) });
-    const nodes = await res.json();
-    const healthy = nodes.filter(
-      (n) => n.Healthy === "1" && n.Weight > 0 && n.Mngr?.health?.["v2-mainnet"]
-    );
-    // pick 2 random orbs nodes for redundancy
-    const shuffled = healthy.sort(() => Math.random() - 0.5);
-    for (const node of shuffled.slice(0, 2)) {
-      endpoints.push(`https://ton.access.orbs.network/${node.NodeId}/1/mainnet/toncenter-api-v2/jsonRPC`);
-    }
-  } catch {
-    _log?.warn("[webdom] orbs topology fetch failed");
-  }
-  endpoints.push(TONCENTER_FALLBACK);
-  return endpoints;
-}
 const MARKETPLACE = Address.parse(WEBDOM_MARKETPLACE);
 
 const GAS_PURCHASE = toNano("0.176");  // webdom buy gas (0.13 + 0.046)
@@ -98,26 +69,9 @@ async function getNftSaleInfo(nftAddress) {
 
 let _log = null;
 
-function loadWalletKeyPair() {
-  let walletData;
-  try {
-    walletData = JSON.parse(readFileSync(WALLET_FILE, "utf-8"));
-  } catch (err) {
-    _log?.error("[webdom] wallet read failed:", err.message);
-    throw new Error("Agent wallet not found at " + WALLET_FILE);
-  }
-  if (!walletData.mnemonic || !Array.isArray(walletData.mnemonic)) {
-    throw new Error("Invalid wallet file: missing mnemonic array");
-  }
-  return walletData.mnemonic;
-}
-
 async function getSaleData(saleAddr) {
-  const endpoints = await getAllEndpoints();
-  let lastErr;
-  for (const ep of endpoints) {
-    try {
-      const client = new TonClient({ endpoint: ep });
+  try {
+    return await withFailover(async (client) => {
       const res = await client.runMethod(saleAddr, "get_sale_data");
       // nft_sale_v2 returns: (is_complete, created_at, marketplace_address,
       //   nft_address, nft_owner_address, full_price, marketplace_fee_address,
@@ -129,11 +83,10 @@ async function getSaleData(saleAddr) {
       const nftOwner = res.stack.readAddress();
       const fullPrice = res.stack.readBigNumber();
       return { isComplete, nftAddress, nftOwner, fullPrice };
-    } catch (err) {
-      lastErr = err;
-    }
+    });
+  } catch (err) {
+    throw new Error("Could not read sale data: " + err.message);
   }
-  throw new Error("Could not read sale data: " + lastErr?.message);
 }
 
 function buildDeployFeeBody(nftAddress, queryId) {
@@ -148,93 +101,30 @@ function buildDeployFeeBody(nftAddress, queryId) {
 async function sendMultiMessages(messages) {
   _log?.info("[webdom] sendMultiMessages, count:", messages.length);
 
-  const mnemonic = loadWalletKeyPair();
-  const keyPair = await mnemonicToPrivateKey(mnemonic);
-  const wallet = WalletContractV5R1.create({ workchain: 0, publicKey: keyPair.publicKey });
-  _log?.info("[webdom] wallet:", wallet.address.toString({ bounceable: true }));
-
-  const endpoints = await getAllEndpoints();
-  let lastErr;
-
-  for (const ep of endpoints) {
-    try {
-      _log?.info("[webdom] trying endpoint:", ep);
-      const client = new TonClient({ endpoint: ep });
-      const contract = client.open(wallet);
-
-      const seqno = await contract.getSeqno();
-      _log?.info("[webdom] seqno:", seqno);
-
-      if (ep.includes("toncenter.com")) await new Promise((r) => setTimeout(r, 3000));
-
-      await contract.sendTransfer({
-        seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages,
-      });
-
-      _log?.info("[webdom] multi-message sent via", ep, "seqno:", seqno);
-      return {
-        tx_seqno: seqno,
-        wallet_address: wallet.address.toString({ bounceable: true }),
-      };
-    } catch (err) {
-      _log?.warn("[webdom] endpoint failed:", ep, err.message);
-      lastErr = err;
-      await new Promise((r) => setTimeout(r, 1000));
-    }
-  }
+  // Shared signer: endpoint failover + process-wide seqno lock
+  const { seqno, msgHash, walletAddress } = await sendTransfer(messages);
 
-  throw new Error("All RPC endpoints failed: " + lastErr?.message);
+  _log?.info("[webdom] multi-message sent, seqno:", seqno);
+  return {
+    tx_seqno: seqno,
+    msg_hash: msgHash,
+    wallet_address: walletAddress,
+  };
 }
 
 async function sendTransaction(to, value, body) {
   _log?.info("[webdom] sendTransaction to:", to.toString(), "value:", value.toString());
 
-  const mnemonic = loadWalletKeyPair();
-  const keyPair = await mnemonicToPrivateKey(mnemonic);
-  const wallet = WalletContractV5R1.create({ workchain: 0, publicKey: keyPair.publicKey });
-  _log?.info("[webdom] wallet:", wallet.address.toString({ bounceable: true }));
-
-  const endpoints = await getAllEndpoints();
-  let lastErr;
-
-  for (const ep of endpoints) {
-    try {
-      _log?.info("[webdom] trying endpoint:", ep);
-      const client = new TonClient({ endpoint: ep });
-      const contract = client.open(wallet);
-
-      const seqno = await contract.getSeqno();
-      _log?.info("[webdom] seqno:", seqno);
-
-      // toncenter rate limit without API key — need ~3s between requests
-      if (ep.includes("toncenter.com")) await new Promise((r) => setTimeout(r, 3000));
-
-      await contract.sendTransfer({
-        seqno,
-        secretKey: keyPair.secretKey,
-        sendMode: SendMode.PAY_GAS_SEPARATELY | SendMode.IGNORE_ERRORS,
-        messages: [
-          internal({ to, value, body, bounce: true }),
-        ],
-      });
-
-      _log?.info("[webdom] transaction sent via", ep, "seqno:", seqno);
-      return {
-        tx_seqno: seqno,
-        wallet_address: wallet.address.toString({ bounceable: true }),
-      };
-    } catch (err) {
-      _log?.warn("[webdom] endpoint failed:", ep, err.message);
-      lastErr = err;
-      // wait 1s before trying next endpoint
-      await new Promise((r) => setTimeout(r, 1000));
-    }
-  }
+  const { seqno, msgHash, walletAddress } = await sendTransfer([
+    internal({ to, value, body, bounce: true }),
+  ]);
 
-  throw new Error("All RPC endpoints failed: " + lastErr?.message);
+  _log?.info("[webdom] transaction sent, seqno:", seqno);
+  return {
+    tx_seqno: seqno,
+    msg_hash: msgHash,
+    wallet_address: walletAddress,
+  };
 }
 
 // ---------------------------------------------------------------------------
@@ -265,14 +155,46 @@ function buildNftTransferBody(newOwner, responseAddr, forwardAmount, forwardPayl
     .endCell();
 }
 
+// ---------------------------------------------------------------------------
+// Spend estimates for the action guard (TON sent, gas included)
+// ---------------------------------------------------------------------------
+
+const SPEND = {
+  webdom_buy_domain: (p) => assetSpend("TON", Number(p.price_ton) + 0.176),
+  webdom_place_bid: (p) => assetSpend("TON", Number(p.bid_ton) + 0.11),
+  webdom_dns_bid: (p) => assetSpend("TON", p.bid_ton),
+};
+
+// Confirm-mode summaries: destination, amount and gas
+const PREVIEW = {
+  webdom_buy_domain: (p) => ({
+    sale_contract: p.sale_address,
+    price_ton: p.price_ton,
+    gas_ton: "0.176",
+    total_ton: String(Number(p.price_ton) + 0.176),
+  }),
+  webdom_place_bid: (p) => ({
+    auction_contract: p.auction_address,
+    bid_ton: p.bid_ton,
+    gas_ton: "0.11",
+    total_ton: String(Number(p.bid_ton) + 0.11),
+  }),
+  webdom_dns_bid: (p) => ({
+    domain: p.domain_name ?? null,
+    domain_nft: p.domain_nft_address ?? null,
+    bid_ton: p.bid_ton,
+  }),
+};
+
 // ---------------------------------------------------------------------------
 // Action tools
 // ---------------------------------------------------------------------------
 
 export const actionTools = (sdk) => {
   _log = sdk.log;
+  initSigner(sdk);
 
-  return [
+  return guardTools(sdk, [
 
   // ── 1. webdom_buy_domain ────────────────────────────────────────────────
   {
@@ -414,9 +336,7 @@ export const actionTools = (sdk) => {
           .endCell();
 
         // Need wallet address for response_destination in NFT transfer
-        const mnemonic = loadWalletKeyPair();
-        const keyPair = await mnemonicToPrivateKey(mnemonic);
-        const wallet = WalletContractV5R1.create({ workchain: 0, publicKey: keyPair.publicKey });
+        const { wallet } = await getAgentWallet();
         const senderAddr = wallet.address;
 
         // Shared query_id (timestamp ms) — marketplace matches fee to listing via this
@@ -529,9 +449,7 @@ export const actionTools = (sdk) => {
           .endCell();
 
         // Need wallet address for response_destination in NFT transfer
-        const mnemonic = loadWalletKeyPair();
-        const keyPair = await mnemonicToPrivateKey(mnemonic);
-        const wallet = WalletContractV5R1.create({ workchain: 0, publicKey: keyPair.publicKey });
+        const { wallet } = await getAgentWallet();
         const senderAddr = wallet.address;
 
         // Shared query_id — marketplace matches fee to listing via this
@@ -783,5 +701,5 @@ export const actionTools = (sdk) => {
       }
     },
   },
-];  // end return
+], SPEND, PREVIEW);  // end return
 };  // end actionTools(sdk)